@@ -19,6 +19,13 @@ module.exports = {
   GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET || 'your-google-client-secret',
   GOOGLE_CALLBACK_URL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:5000/api/auth/google/callback',
 
+  // Receipt storage (local, s3 or cloudinary)
+  STORAGE_PROVIDER: process.env.STORAGE_PROVIDER || 'local',
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || './uploads',
+  FILE_URL_SECRET: process.env.FILE_URL_SECRET || 'your-file-url-signing-secret',
+  S3_BUCKET: process.env.S3_BUCKET || 'your-bucket',
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+
   // Cloudinary Configuration (for receipt uploads and OCR)
   CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME || 'your-cloudinary-cloud-name',
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY || 'your-cloudinary-api-key',
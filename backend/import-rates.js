@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const exchangeRateService = require('./services/exchangeRateService');
+
+// Loads historical exchange rates from a local CSV or JSON file, e.g. when the rate API is unreachable
+//   node import-rates.js rates.csv [source]
+async function importRates(filePath, source = 'import') {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense-management');
+    console.log('Connected to MongoDB');
+
+    const result = await exchangeRateService.importFile(filePath, source);
+    if (!result.success) {
+      console.error('Import failed:', result.error);
+      process.exit(1);
+    }
+
+    console.log(`Imported ${result.imported} rates for ${result.days} base currency days`);
+    for (const error of result.errors) {
+      console.log(`Row ${error.row}: ${error.error}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Import failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run import if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  const [filePath, source] = process.argv.slice(2);
+  if (!filePath) {
+    console.error('Usage: node import-rates.js <file.csv|file.json> [source]');
+    process.exit(1);
+  }
+
+  importRates(filePath, source);
+}
+
+module.exports = importRates;
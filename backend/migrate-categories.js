@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Company = require('./models/Company');
+const categoryService = require('./services/categoryService');
+
+// Creates the category catalog of every company from the former fixed categories, plus any
+// other category its expenses, budgets, policy, delegations, workflows or merchants still use
+//   node migrate-categories.js
+async function migrateCategories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense-management');
+    console.log('Connected to MongoDB');
+
+    const companies = await Company.find().select('name');
+    for (const company of companies) {
+      const result = await categoryService.migrateCompany(company._id);
+      const added = result.added.length > 0 ? `, added ${result.added.join(', ')}` : '';
+      console.log(`${company.name}: ${result.seeded ? 'created default categories' : 'catalog exists'}${added}`);
+    }
+
+    console.log(`Migrated ${companies.length} companies`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+  migrateCategories();
+}
+
+module.exports = migrateCategories;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// One run of the accounting export: the journal entries of a set of approved or paid expenses
+// in a general ledger format, kept so the same file can be downloaded again
+const accountingExportSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['quickbooks_iif', 'xero_csv', 'csv', 'json'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  // What was selected: expenses approved in a date range, or the expenses of a payment batch
+  criteria: {
+    from: Date,
+    to: Date,
+    paymentBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentBatch'
+    }
+  },
+  // Journal amounts are in the company currency
+  currency: {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    symbol: String,
+    name: String
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  expenseCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Expenses that could not be converted to the company currency and were left for a later export
+  skipped: [{
+    _id: false,
+    expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense'
+    },
+    error: String
+  }],
+  filename: String,
+  content: {
+    type: String,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountingExportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+accountingExportSchema.index({ company: 1, createdAt: -1 });
+accountingExportSchema.index({ company: 1, reference: 1 }, { unique: true });
+
+module.exports = mongoose.model('AccountingExport', accountingExportSchema);
@@ -104,11 +104,41 @@ const approvalWorkflowSchema = new mongoose.Schema({
       type: Number, // hours
       default: 48
     },
+    // Hours before the escalation deadline to remind the current approver; 0 disables reminders
+    reminderBeforeHours: {
+      type: Number,
+      default: 24
+    },
+    // escalate: hand over to the escalation approvers; delegate: hand over to the approver's manager
+    action: {
+      type: String,
+      enum: ['escalate', 'delegate'],
+      default: 'escalate'
+    },
     escalationApprovers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }]
   },
+  // Adds an extra step for expenses that take a budget past the threshold
+  budgetSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    threshold: {
+      type: Number, // percent of the budget
+      default: 100
+    },
+    stepName: {
+      type: String,
+      default: 'Budget Approval'
+    },
+    approvers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A recurring budget: the amount applies to every month, quarter or year.
+// Department, category and cost center narrow the scope; blank means any.
+const budgetSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String
+  },
+  costCenter: {
+    type: String,
+    trim: true
+  },
+  period: {
+    type: String,
+    enum: ['month', 'quarter', 'year'],
+    default: 'month'
+  },
+  // In the company currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Percentages of the amount that trigger an alert email, once per period
+  thresholds: {
+    type: [Number],
+    default: [80, 100]
+  },
+  // Who receives threshold alerts; company admins when empty
+  notify: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  alerts: [{
+    periodStart: Date,
+    threshold: Number,
+    percent: Number,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+budgetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+budgetSchema.index({ company: 1, isActive: 1 });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Charge on a company-paid card, imported from a statement or pushed by the card feed.
+// It is matched to the cardholder's expense for it; until that expense has a receipt
+// the transaction is in the cardholder's "needs receipt" queue.
+const cardTransactionSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Cardholder
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['import', 'webhook'],
+    required: true
+  },
+  // Card feed transaction id, or the statement reference or row hash of an import
+  externalId: {
+    type: String,
+    required: true
+  },
+  cardLast4: String,
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    code: {
+      type: String,
+      required: true
+    },
+    symbol: String,
+    name: String
+  },
+  description: String,
+  merchant: String,
+  // Category for an expense created from the transaction
+  category: String,
+  importSource: {
+    filename: String,
+    fileType: {
+      type: String,
+      enum: ['csv', 'xlsx', 'ofx']
+    },
+    row: Number
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched'],
+    default: 'unmatched'
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // How the expense was found; `created` expenses were made from the transaction itself
+  match: {
+    method: {
+      type: String,
+      enum: ['auto', 'manual', 'created']
+    },
+    confidence: Number,
+    reasons: [String],
+    matchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    matchedAt: Date,
+    // Restored on the expense when the match is undone
+    expenseWasReimbursable: Boolean
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+cardTransactionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+cardTransactionSchema.index({ company: 1, user: 1, externalId: 1 }, { unique: true });
+cardTransactionSchema.index({ company: 1, user: 1, status: 1, date: -1 });
+cardTransactionSchema.index({ company: 1, date: -1 });
+
+module.exports = mongoose.model('CardTransaction', cardTransactionSchema);
@@ -43,8 +43,47 @@ const companySchema = new mongoose.Schema({
     maxExpenseAmount: {
       type: Number,
       default: 10000
+    },
+    // Unset uses the OCR_PROVIDER environment setting
+    ocrProvider: {
+      type: String,
+      enum: ['google_vision', 'tesseract']
+    },
+    // General ledger accounts used by accounting exports; categories without a GL account
+    // are booked to expenseAccount
+    accounting: {
+      expenseAccount: {
+        type: String,
+        trim: true,
+        default: 'Travel & Expenses'
+      },
+      taxAccount: {
+        type: String,
+        trim: true,
+        default: 'Input Tax'
+      },
+      // Offset of reimbursable expenses, owed to the employee
+      payableAccount: {
+        type: String,
+        trim: true,
+        default: 'Employee Reimbursements Payable'
+      },
+      // Offset of expenses the company paid directly
+      clearingAccount: {
+        type: String,
+        trim: true,
+        default: 'Company Card Clearing'
+      }
     }
   },
+  // Each company's card feed signs its webhook pushes with its own secret
+  cardFeed: {
+    webhookSecret: {
+      type: String,
+      select: false
+    },
+    secretCreatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Company-defined field captured on expenses, e.g. project code, client or attendees.
+// Values are stored on the expense under `customFields.<key>`.
+const customFieldSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Stable identifier used on expenses, workflow conditions and exports; cannot change once created
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select', 'user'],
+    required: true
+  },
+  // Choices of a select field
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Select and user fields can take several values, e.g. attendees
+  multiple: {
+    type: Boolean,
+    default: false
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Category keys the field applies to, including their subcategories; empty for every category
+  categories: [String],
+  helpText: {
+    type: String,
+    trim: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive fields keep their values on existing expenses but are no longer asked for
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+customFieldSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+customFieldSchema.index({ company: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Out-of-office delegation: while it is in force the delegate can act on the
+// delegator's pending approval steps, within the optional amount and category limits
+const delegationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // In the company currency; expenses above it stay with the delegator
+  maxAmount: {
+    type: Number,
+    min: 0
+  },
+  // Empty means all categories
+  categories: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+delegationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+delegationSchema.index({ company: 1, delegate: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ company: 1, delegator: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One pass of the escalation scheduler and everything it did
+const escalationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  // Set when an admin ran the check for their own company only
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  expensesChecked: {
+    type: Number,
+    default: 0
+  },
+  actions: [{
+    expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense'
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company'
+    },
+    action: {
+      type: String,
+      enum: ['reminder', 'escalated', 'delegated', 'skipped', 'failed'],
+      required: true
+    },
+    level: Number,
+    fromApprover: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    toApprover: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String
+  }],
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+escalationRunSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+escalationRunSchema.index({ startedAt: -1 });
+escalationRunSchema.index({ 'actions.company': 1, startedAt: -1 });
+
+module.exports = mongoose.model('EscalationRun', escalationRunSchema);
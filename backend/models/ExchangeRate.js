@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One daily rate per currency pair: 1 unit of base = rate units of quote
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quote: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // UTC midnight of the day the rate applies to
+  date: {
+    type: Date,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    default: 'exchangerate-api'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+exchangeRateSchema.index({ base: 1, date: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const storageService = require('../services/storageService');
+
+// Receipts and invoices can be the primary receipt; the rest are supporting documents
+const ATTACHMENT_TYPES = ['receipt', 'invoice', 'boarding_pass', 'attendee_list', 'other'];
+
+const lineItemFields = {
+  _id: false,
+  description: String,
+  quantity: Number,
+  unitPrice: Number,
+  amount: Number
+};
+
+// Stored file with its OCR result, shared by the primary receipt and the attachments
+const fileFields = {
+  // App path of the file; sent to clients as an expiring signed URL
+  url: String,
+  // Storage provider and key; files from before storage providers existed only have a public Cloudinary URL
+  storage: String,
+  filename: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  // First-page preview for PDF receipts
+  thumbnailUrl: String,
+  thumbnailFilename: String,
+  contentHash: String,
+  textHash: String,
+  ocrData: {
+    extractedText: String,
+    confidence: Number,
+    extractedAmount: Number,
+    extractedDate: Date,
+    extractedMerchant: String,
+    // OCR provider that produced the result
+    engine: String,
+    engineVersion: String,
+    processedAt: Date,
+    pageCount: Number,
+    // Structured receipt contents; extractedAmount is the labeled total when there is one
+    extractedCurrency: String,
+    lineItems: [lineItemFields],
+    subtotal: Number,
+    tax: Number,
+    tip: Number,
+    total: Number,
+    cardLast4: String
+  }
+};
+
+const signedFileOptions = {
+  toJSON: {
+    transform: (doc, ret) => storageService.signFile(ret)
+  }
+};
 
 const expenseSchema = new mongoose.Schema({
   employee: {
@@ -11,6 +66,12 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Company',
     required: true
   },
+  // Mileage and per diem amounts are computed from the company rate tables
+  kind: {
+    type: String,
+    enum: ['standard', 'mileage', 'per_diem'],
+    default: 'standard'
+  },
   amount: {
     type: Number,
     required: true,
@@ -25,37 +86,124 @@ const expenseSchema = new mongoose.Schema({
     symbol: String,
     name: String
   },
+  // Amount in the company currency, captured when the expense is submitted
+  normalized: {
+    amount: Number,
+    currency: {
+      type: String,
+      uppercase: true
+    },
+    rate: Number,
+    rateSource: String,
+    rateDate: Date,
+    normalizedAt: Date,
+    revaluedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Key of a category in the company catalog (ExpenseCategory)
   category: {
     type: String,
-    required: true,
-    enum: [
-      'travel', 'meals', 'accommodation', 'transport', 
-      'office_supplies', 'entertainment', 'training', 
-      'communication', 'other'
-    ]
+    required: true
   },
   description: {
     type: String,
     required: true,
     trim: true
   },
+  // Merchant name as normalized by the merchant directory, e.g. "Starbucks" for "STARBUCKS #1234"
+  merchant: {
+    type: String,
+    trim: true
+  },
+  // Category the merchant directory suggested when the expense was created from a receipt
+  categorySuggestion: {
+    category: String,
+    confidence: Number,
+    source: {
+      type: String,
+      enum: ['rule', 'history']
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant'
+    }
+  },
   date: {
     type: Date,
     required: true
   },
-  receipt: {
-    url: String,
-    filename: String,
-    originalName: String,
-    mimeType: String,
-    size: Number,
-    ocrData: {
-      extractedText: String,
-      confidence: Number,
-      extractedAmount: Number,
-      extractedDate: Date,
-      extractedMerchant: String
+  // Where the expense was incurred; defaults to the company country for policy limits
+  country: {
+    type: String,
+    trim: true
+  },
+  nights: {
+    type: Number,
+    min: 1
+  },
+  costCenter: {
+    type: String,
+    trim: true
+  },
+  mileage: {
+    distance: Number,
+    unit: {
+      type: String,
+      enum: ['km', 'mile']
+    },
+    vehicleType: String,
+    startLocation: String,
+    endLocation: String,
+    rate: Number,
+    rateUnit: String,
+    rateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MileageRate'
+    }
+  },
+  perDiem: {
+    country: String,
+    days: Number,
+    partialDays: Number,
+    dailyRate: Number,
+    partialDayPercent: Number,
+    rateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PerDiemRate'
+    }
+  },
+  // Copy of the primary receipt attachment, kept for policy checks and duplicate detection
+  receipt: new mongoose.Schema(fileFields, { _id: false, ...signedFileOptions }),
+  attachments: [new mongoose.Schema({
+    ...fileFields,
+    type: {
+      type: String,
+      enum: ATTACHMENT_TYPES,
+      default: 'receipt'
+    },
+    description: String,
+    isPrimary: {
+      type: Boolean,
+      default: false
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
     }
+  }, signedFileOptions)],
+  // Expenses split from one receipt share a group and list the line items they cover
+  itemization: {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense'
+    },
+    lineItems: [lineItemFields]
   },
   status: {
     type: String,
@@ -73,7 +221,9 @@ const expenseSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      // 'escalated' steps were handed over to another approver by the escalation scheduler,
+      // 'reassigned' steps by an admin
+      enum: ['pending', 'approved', 'rejected', 'escalated', 'reassigned'],
       default: 'pending'
     },
     stepName: {
@@ -87,6 +237,24 @@ const expenseSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    isEscalation: {
+      type: Boolean,
+      default: false
+    },
+    escalatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reassignedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reminderSentAt: Date,
+    // Delegate who acted on this step on behalf of the approver
+    actedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     rule: {
       type: String
     },
@@ -105,7 +273,92 @@ const expenseSchema = new mongoose.Schema({
   submittedAt: Date,
   approvedAt: Date,
   paidAt: Date,
+  paymentBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentBatch'
+  },
+  // Accounting export the expense was booked in; set once so it is never exported twice
+  accountingExport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountingExport'
+  },
+  exportedAt: Date,
+  // Statement or spreadsheet row the expense was imported from; externalId keeps re-imports of
+  // overlapping statements from creating the same expense twice
+  importSource: {
+    filename: String,
+    fileType: {
+      type: String,
+      enum: ['csv', 'xlsx', 'ofx']
+    },
+    row: Number,
+    externalId: String,
+    importedAt: Date
+  },
+  // Company card charge that paid for the expense; such expenses are not reimbursed
+  cardTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CardTransaction'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport'
+  },
+  policyViolations: [{
+    rule: {
+      type: String,
+      enum: ['max_amount', 'category_limit', 'receipt_required', 'weekend', 'holiday', 'submission_age']
+    },
+    severity: {
+      type: String,
+      enum: ['warning', 'block']
+    },
+    message: String,
+    limit: Number,
+    actual: Number
+  }],
+  policyCheckedAt: Date,
+  duplicateCheck: {
+    isLikelyDuplicate: {
+      type: Boolean,
+      default: false
+    },
+    matches: [{
+      expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+      },
+      employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      score: Number,
+      reasons: [String]
+    }],
+    checkedAt: Date
+  },
+  // Budgets this expense counts against, as of submission (refreshed for approvers)
+  budgetImpact: [{
+    budget: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    name: String,
+    periodLabel: String,
+    periodStart: Date,
+    amount: Number,
+    consumed: Number,
+    percent: Number,
+    overBudget: Boolean
+  }],
+  budgetCheckedAt: Date,
   tags: [String],
+  // Values of the company's custom fields by field key (see CustomField)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   isReimbursable: {
     type: Boolean,
     default: true
@@ -128,6 +381,10 @@ expenseSchema.pre('save', function(next) {
 expenseSchema.index({ employee: 1, createdAt: -1 });
 expenseSchema.index({ company: 1, status: 1 });
 expenseSchema.index({ date: -1 });
+expenseSchema.index({ company: 1, 'receipt.contentHash': 1 });
+expenseSchema.index({ company: 1, 'receipt.textHash': 1 });
+expenseSchema.index({ company: 1, employee: 1, 'importSource.externalId': 1 });
+expenseSchema.index({ company: 1, employee: 1, cardTransaction: 1 });
 
 module.exports = mongoose.model('Expense', expenseSchema);
 
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Company-defined expense category. Expenses, budgets, policies and delegations refer to it by key.
+const expenseCategorySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Stable identifier stored on expenses, e.g. "office_supplies"; cannot change once created
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]+$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // General ledger account expenses in this category are booked to
+  glAccount: {
+    type: String,
+    trim: true
+  },
+  // Material icon name, e.g. "Flight"
+  icon: {
+    type: String,
+    trim: true
+  },
+  // Budgets, limits, delegations and workflow rules on a parent also cover its children
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseCategory',
+    default: null
+  },
+  settings: {
+    // Every expense in this category needs a receipt, whatever the policy threshold
+    receiptRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Tax rate in percent assumed to be included in the amount when the receipt does not show the tax
+    defaultTaxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories stay on existing expenses but cannot be picked for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+expenseCategorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+expenseCategorySchema.index({ company: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExpenseCategory', expenseCategorySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of everything that happens to an expense.
+// Events are written once and never updated or deleted.
+const expenseEventSchema = new mongoose.Schema({
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the actor was acting as a delegate for this approver
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'created', 'updated', 'submitted', 'approved', 'rejected',
+      'overridden', 'receipt_uploaded', 'paid', 'payment_reversed', 'deleted',
+      'escalated', 'exported', 'export_voided', 'card_matched', 'card_unmatched',
+      'reassigned'
+    ]
+  },
+  fromStatus: String,
+  toStatus: String,
+  changes: [{
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  comments: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+expenseEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Expense events are append-only and cannot be modified'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Expense events are append-only and cannot be modified'));
+};
+
+expenseEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+expenseEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectMutation
+);
+
+expenseEventSchema.index({ expense: 1, createdAt: 1 });
+expenseEventSchema.index({ company: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExpenseEvent', expenseEventSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const severityField = {
+  type: String,
+  enum: ['warning', 'block'],
+  default: 'warning'
+};
+
+// Company-wide expense policy. Amounts are in the company currency.
+const expensePolicySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    unique: true
+  },
+  // e.g. meals per_day, accommodation per_night for a given country
+  categoryLimits: [{
+    category: {
+      type: String,
+      required: true
+    },
+    period: {
+      type: String,
+      enum: ['per_expense', 'per_day', 'per_night'],
+      default: 'per_expense'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Empty applies to every country; a matching country-specific limit wins
+    country: {
+      type: String,
+      trim: true
+    },
+    severity: severityField
+  }],
+  // Falls back to Company.settings.requireReceipt when not set
+  receiptRequiredAbove: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  receiptSeverity: {
+    ...severityField,
+    default: 'block'
+  },
+  dayRestrictions: {
+    weekends: {
+      type: Boolean,
+      default: false
+    },
+    holidays: {
+      type: Boolean,
+      default: false
+    },
+    // Empty restricts every category
+    categories: [String],
+    severity: severityField
+  },
+  holidays: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    name: String
+  }],
+  maxSubmissionAgeDays: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  submissionAgeSeverity: {
+    ...severityField,
+    default: 'block'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+expensePolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ExpensePolicy', expensePolicySchema);
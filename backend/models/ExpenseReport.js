@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Bundles several expenses (e.g. one business trip) into a single submission
+// that goes through one approval chain.
+const expenseReportSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Member expenses with the outcome decided for each of them
+  lineItems: [{
+    expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reason: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    code: {
+      type: String,
+      uppercase: true
+    },
+    symbol: String,
+    name: String
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'partially_approved', 'rejected'],
+    default: 'draft'
+  },
+  selectedWorkflow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalWorkflow'
+  },
+  approvalChain: [{
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    level: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      // 'reassigned' steps were handed over to another approver by an admin
+      enum: ['pending', 'approved', 'rejected', 'reassigned'],
+      default: 'pending'
+    },
+    stepName: {
+      type: String
+    },
+    isRequired: {
+      type: Boolean,
+      default: false
+    },
+    isManagerApprover: {
+      type: Boolean,
+      default: false
+    },
+    reassignedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Delegate who acted on this step on behalf of the approver
+    actedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rule: {
+      type: String
+    },
+    comments: String,
+    actionDate: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rejectionReason: String,
+  submittedAt: Date,
+  decidedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+expenseReportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+expenseReportSchema.index({ employee: 1, createdAt: -1 });
+expenseReportSchema.index({ company: 1, status: 1 });
+
+module.exports = mongoose.model('ExpenseReport', expenseReportSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Saved column mapping for a card statement or spreadsheet layout, shared across the company
+const importTemplateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // File headers the expense fields are read from; a statement has either `amount`
+  // or separate `debit` and `credit` columns
+  mapping: {
+    date: String,
+    description: String,
+    amount: String,
+    debit: String,
+    credit: String,
+    currency: String,
+    merchant: String,
+    category: String,
+    reference: String
+  },
+  // Line of the header row, for files with a preamble above it
+  headerRow: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Order of numeric dates such as 03/04/2025; the company country decides when not set
+  dateOrder: {
+    type: String,
+    enum: ['DMY', 'MDY', 'YMD']
+  },
+  // Whether charges appear as positive or negative amounts in the `amount` column
+  chargeSign: {
+    type: String,
+    enum: ['positive', 'negative'],
+    default: 'positive'
+  },
+  defaultCategory: String,
+  defaultCurrency: {
+    type: String,
+    uppercase: true
+  },
+  // Card charges are paid by the company, so imported expenses are not reimbursed by default
+  reimbursable: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+importTemplateSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportTemplate', importTemplateSchema);
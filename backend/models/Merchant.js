@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Merchant directory entry: the normalized name receipts are matched against, an optional
+// admin rule mapping it to a category, and the categories of its approved expenses
+const merchantSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Normalized name, e.g. "starbucks" for "STARBUCKS #1234"
+  key: {
+    type: String,
+    required: true
+  },
+  // Other normalized names of the same merchant, e.g. "sbux"
+  aliases: [String],
+  // Admin rule; when set it always wins over the learned categories
+  category: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'learned'],
+    default: 'learned'
+  },
+  // Approved expenses per category
+  categoryCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  expenseCount: {
+    type: Number,
+    default: 0
+  },
+  lastSeenAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+merchantSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+merchantSchema.index({ company: 1, key: 1 }, { unique: true });
+merchantSchema.index({ company: 1, aliases: 1 });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Reimbursement rate per distance unit for a vehicle type, in the company currency
+const mileageRateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['car', 'motorcycle', 'bicycle', 'electric_car', 'van'],
+    required: true
+  },
+  unit: {
+    type: String,
+    enum: ['km', 'mile'],
+    default: 'km'
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mileageRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+mileageRateSchema.index({ company: 1, vehicleType: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('MileageRate', mileageRateSchema);
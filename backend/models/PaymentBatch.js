@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const paymentBatchSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'reversed'],
+    default: 'completed'
+  },
+  currency: {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    symbol: String,
+    name: String
+  },
+  // One payment per employee, in the company currency
+  payments: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    lines: [{
+      expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense',
+        required: true
+      },
+      description: String,
+      originalAmount: Number,
+      originalCurrency: String,
+      exchangeRate: Number,
+      amount: Number
+    }],
+    remittanceSent: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  expenseCount: {
+    type: Number,
+    default: 0
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversedAt: Date,
+  reversalReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentBatchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+paymentBatchSchema.index({ company: 1, createdAt: -1 });
+paymentBatchSchema.index({ company: 1, reference: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentBatch', paymentBatchSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Daily allowance by destination country, in the company currency
+const perDiemRateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Empty is the fallback rate for countries without their own entry
+  country: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  dailyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Share of the daily rate paid for departure and return days
+  partialDayPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 75
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+perDiemRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+perDiemRateSchema.index({ company: 1, country: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PerDiemRate', perDiemRateSchema);
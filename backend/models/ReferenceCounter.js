@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Last number issued in a company's daily reference sequence, e.g. key PAY-20260101
+const referenceCounterSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+referenceCounterSchema.index({ company: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReferenceCounter', referenceCounterSchema);
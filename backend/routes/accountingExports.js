@@ -0,0 +1,243 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const AccountingExport = require('../models/AccountingExport');
+const Company = require('../models/Company');
+const PaymentBatch = require('../models/PaymentBatch');
+const accountingExportService = require('../services/accountingExportService');
+const { body, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const ACCOUNT_FIELDS = ['expenseAccount', 'taxAccount', 'payableAccount', 'clearingAccount'];
+
+const criteriaValidators = (location) => [
+  location('from').optional().isISO8601(),
+  location('to').optional().isISO8601(),
+  location('paymentBatch').optional().isMongoId()
+];
+
+// A date-only `to` covers the whole day
+const getCriteria = ({ from, to, paymentBatch }) => ({
+  from: from ? new Date(from) : undefined,
+  to: to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : undefined,
+  paymentBatch: paymentBatch || undefined
+});
+
+const paymentBatchExists = (req, paymentBatch) => paymentBatch
+  ? PaymentBatch.exists({ _id: paymentBatch, company: req.user.company._id })
+  : true;
+
+// GL accounts used for the offset and tax lines
+router.get('/settings', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company._id).select('settings.accounting');
+    res.json({ accounting: company.settings.accounting, formats: accountingExportService.getFormats() });
+  } catch (error) {
+    console.error('Get accounting settings error:', error);
+    res.status(500).json({ message: 'Failed to get accounting settings' });
+  }
+});
+
+router.put('/settings',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  ACCOUNT_FIELDS.map(field => body(field).optional().trim().isLength({ min: 1, max: 100 })),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findById(req.user.company._id);
+      for (const field of ACCOUNT_FIELDS) {
+        if (req.body[field] !== undefined) company.settings.accounting[field] = req.body[field];
+      }
+      await company.save();
+
+      res.json({ message: 'Accounting settings updated successfully', accounting: company.settings.accounting });
+    } catch (error) {
+      console.error('Update accounting settings error:', error);
+      res.status(500).json({ message: 'Failed to update accounting settings' });
+    }
+  }
+);
+
+// Preview the journal entries the next export with these criteria would contain
+router.get('/preview',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  criteriaValidators(query),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const preview = await accountingExportService.preview(req.user.company._id, getCriteria(req.query));
+
+      res.json(preview);
+    } catch (error) {
+      console.error('Preview accounting export error:', error);
+      res.status(500).json({ message: 'Failed to preview accounting export' });
+    }
+  }
+);
+
+// Get accounting exports
+router.get('/', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const filter = { company: req.user.company._id };
+
+    if (status) filter.status = status;
+
+    const accountingExports = await AccountingExport.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('voidedBy', 'firstName lastName email')
+      .populate('criteria.paymentBatch', 'reference')
+      .select('-expenses')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AccountingExport.countDocuments(filter);
+
+    res.json({
+      exports: accountingExports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get accounting exports error:', error);
+    res.status(500).json({ message: 'Failed to get accounting exports' });
+  }
+});
+
+router.get('/:exportId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const accountingExport = await AccountingExport.findOne({
+      _id: req.params.exportId,
+      company: req.user.company._id
+    })
+    .populate('expenses', 'description amount currency category employee approvedAt')
+    .populate('createdBy', 'firstName lastName email')
+    .populate('voidedBy', 'firstName lastName email')
+    .populate('criteria.paymentBatch', 'reference');
+
+    if (!accountingExport) {
+      return res.status(404).json({ message: 'Accounting export not found' });
+    }
+
+    res.json(accountingExport);
+  } catch (error) {
+    console.error('Get accounting export error:', error);
+    res.status(500).json({ message: 'Failed to get accounting export' });
+  }
+});
+
+// Download the file of an export; voided exports can still be downloaded for reference
+router.get('/:exportId/download', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const file = await accountingExportService.getFile(req.user.company._id, req.params.exportId);
+    if (!file) {
+      return res.status(404).json({ message: 'Accounting export not found' });
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Download accounting export error:', error);
+    res.status(500).json({ message: 'Failed to download accounting export' });
+  }
+});
+
+// Export the approved or paid expenses approved in a date range or paid in a payment batch
+router.post('/',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    body('format').isIn(accountingExportService.getFormats()),
+    ...criteriaValidators(body)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!await paymentBatchExists(req, req.body.paymentBatch)) {
+        return res.status(404).json({ message: 'Payment batch not found' });
+      }
+
+      const result = await accountingExportService.createExport(
+        req.user.company._id,
+        req.user,
+        req.body.format,
+        getCriteria(req.body)
+      );
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error, skipped: result.skipped });
+      }
+
+      res.status(201).json({
+        message: `Accounting export ${result.export.reference} created: ${result.export.expenseCount} expenses`,
+        export: result.export,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      console.error('Create accounting export error:', error);
+      res.status(500).json({ message: 'Failed to create accounting export' });
+    }
+  }
+);
+
+// Void an export whose file was not imported, so its expenses can be exported again
+router.post('/:exportId/void',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    body('reason').trim().isLength({ min: 1, max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await accountingExportService.voidExport(
+        req.user.company._id,
+        req.params.exportId,
+        req.user,
+        req.body.reason
+      );
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        message: `Accounting export voided: ${result.releasedCount} expenses can be exported again`,
+        export: result.export
+      });
+    } catch (error) {
+      console.error('Void accounting export error:', error);
+      res.status(500).json({ message: 'Failed to void accounting export' });
+    }
+  }
+);
+
+module.exports = router;
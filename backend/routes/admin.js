@@ -2,6 +2,9 @@ const express = require('express');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const normalizationService = require('../services/normalizationService');
+const approvalRoutingService = require('../services/approvalRoutingService');
+const { toCsv } = require('../utils/csv');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -154,6 +157,8 @@ router.post('/users/bulk',
             continue;
           }
 
+          const previousManager = user.manager;
+
           switch (action) {
             case 'activate':
               user.isActive = true;
@@ -181,7 +186,17 @@ router.post('/users/bulk',
           }
 
           await user.save();
-          results.push({ userId, success: true });
+
+          // Approvals still assigned to a deactivated user, or left without an approver, need an admin to reassign them
+          let pendingApprovals = 0;
+          if (action === 'assignManager') {
+            const rerouteResult = await approvalRoutingService.rerouteManagerSteps(user, previousManager, req.user);
+            pendingApprovals = rerouteResult.unassigned?.length || 0;
+          } else if (action === 'deactivate') {
+            pendingApprovals = await approvalRoutingService.countPendingApprovals(req.user.company._id, user._id);
+          }
+
+          results.push({ userId, success: true, pendingApprovals });
         } catch (error) {
           results.push({ userId, success: false, error: error.message });
         }
@@ -281,14 +296,21 @@ router.get('/users/export', authenticateToken, requireRole('admin'), async (req,
       .select('-googleId -__v');
 
     if (format === 'csv') {
-      // Generate CSV
-      const csvHeader = 'Email,FirstName,LastName,Role,Department,EmployeeId,Manager,IsActive,CreatedAt\n';
-      const csvRows = users.map(user => 
-        `"${user.email}","${user.firstName}","${user.lastName}","${user.role}","${user.department || ''}","${user.employeeId || ''}","${user.manager ? user.manager.firstName + ' ' + user.manager.lastName : ''}","${user.isActive}","${user.createdAt}"`
-      ).join('\n');
-      
-      const csv = csvHeader + csvRows;
-      
+      const csv = toCsv([
+        ['Email', 'FirstName', 'LastName', 'Role', 'Department', 'EmployeeId', 'Manager', 'IsActive', 'CreatedAt'],
+        ...users.map(user => [
+          user.email,
+          user.firstName,
+          user.lastName,
+          user.role,
+          user.department,
+          user.employeeId,
+          user.manager ? `${user.manager.firstName} ${user.manager.lastName}` : '',
+          user.isActive,
+          user.createdAt.toISOString()
+        ])
+      ]);
+
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename=users.csv');
       res.send(csv);
@@ -321,7 +343,8 @@ router.put('/settings',
     body('settings.approvalWorkflow').optional().isIn(['simple', 'multi-level', 'custom']),
     body('settings.autoApprovalThreshold').optional().isNumeric().isFloat({ min: 0 }),
     body('settings.requireReceipt').optional().isBoolean(),
-    body('settings.maxExpenseAmount').optional().isNumeric().isFloat({ min: 0 })
+    body('settings.maxExpenseAmount').optional().isNumeric().isFloat({ min: 0 }),
+    body('settings.ocrProvider').optional({ nullable: true }).isIn(['google_vision', 'tesseract'])
   ],
   async (req, res) => {
     try {
@@ -355,4 +378,46 @@ router.put('/settings',
   }
 );
 
+// Re-value submitted expenses in the company currency from the rate history
+router.post('/expenses/revalue',
+  authenticateToken,
+  requireRole('admin'),
+  [
+    body('expenseIds').optional().isArray(),
+    body('expenseIds.*').optional().isMongoId(),
+    body('statuses').optional().isArray(),
+    body('statuses.*').optional().isIn(['submitted', 'pending_approval', 'approved', 'rejected', 'paid']),
+    body('onlyMissing').optional().isBoolean(),
+    body('rateSource').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { expenseIds, statuses, onlyMissing, rateSource } = req.body;
+      const result = await normalizationService.revalue(req.user.company._id, req.user, {
+        expenseIds,
+        statuses,
+        onlyMissing,
+        rateSource
+      });
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.json({
+        message: `Re-valued ${result.revalued} of ${result.checked} expenses`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Revalue expenses error:', error);
+      res.status(500).json({ message: 'Failed to re-value expenses' });
+    }
+  }
+);
+
 module.exports = router;
@@ -76,7 +76,8 @@ router.post('/',
         approvalSequence = [],
         conditionalRules = [],
         defaultApprovers = [],
-        escalationSettings = {}
+        escalationSettings = {},
+        budgetSettings = {}
       } = req.body;
 
       // Validate approvers exist and belong to company
@@ -84,7 +85,8 @@ router.post('/',
         ...defaultApprovers,
         ...rules.flatMap(rule => rule.approvers || []),
         ...approvalSequence.flatMap(step => step.approvers || []),
-        ...conditionalRules.flatMap(rule => rule.specificApprovers || [])
+        ...conditionalRules.flatMap(rule => rule.specificApprovers || []),
+        ...(budgetSettings.approvers || [])
       ];
 
       // Remove duplicates but keep unique IDs
@@ -150,7 +152,8 @@ router.post('/',
         approvalSequence,
         conditionalRules,
         defaultApprovers,
-        escalationSettings
+        escalationSettings,
+        budgetSettings
       });
 
       await workflow.save();
@@ -208,16 +211,18 @@ router.put('/:id',
         approvalSequence,
         conditionalRules,
         defaultApprovers,
-        escalationSettings
+        escalationSettings,
+        budgetSettings
       } = req.body;
 
       // Validate approvers if provided
-      if (defaultApprovers || rules || approvalSequence || conditionalRules) {
+      if (defaultApprovers || rules || approvalSequence || conditionalRules || budgetSettings) {
         const allApproverIds = [
           ...(defaultApprovers || []),
           ...(rules || []).flatMap(rule => rule.approvers || []),
           ...(approvalSequence || []).flatMap(step => step.approvers || []),
-          ...(conditionalRules || []).flatMap(rule => rule.specificApprovers || [])
+          ...(conditionalRules || []).flatMap(rule => rule.specificApprovers || []),
+          ...(budgetSettings?.approvers || [])
         ];
 
         // Remove duplicates but keep unique IDs
@@ -285,6 +290,7 @@ router.put('/:id',
       if (conditionalRules) workflow.conditionalRules = conditionalRules;
       if (defaultApprovers) workflow.defaultApprovers = defaultApprovers;
       if (escalationSettings) workflow.escalationSettings = { ...workflow.escalationSettings, ...escalationSettings };
+      if (budgetSettings) workflow.budgetSettings = budgetSettings;
 
       await workflow.save();
 
@@ -416,6 +422,7 @@ router.get('/:id/stats', authenticateToken, requireCompany, async (req, res) =>
 
     // Get expense statistics for this workflow
     const Expense = require('../models/Expense');
+    const normalizationService = require('../services/normalizationService');
     
     const stats = await Expense.aggregate([
       {
@@ -428,18 +435,22 @@ router.get('/:id/stats', authenticateToken, requireCompany, async (req, res) =>
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
+          totalAmount: { $sum: normalizationService.amountExpr(req.user.company.currency.code) },
+          unconvertedCount: { $sum: normalizationService.unconvertedExpr(req.user.company.currency.code) }
         }
       }
     ]);
 
     const totalExpenses = stats.reduce((sum, stat) => sum + stat.count, 0);
     const totalAmount = stats.reduce((sum, stat) => sum + stat.totalAmount, 0);
+    const unconvertedExpenses = stats.reduce((sum, stat) => sum + stat.unconvertedCount, 0);
 
     res.json({
       workflow: workflow.name,
       totalExpenses,
       totalAmount,
+      unconvertedExpenses,
+      currency: req.user.company.currency,
       statusBreakdown: stats,
       rulesCount: workflow.rules.length,
       sequenceStepsCount: workflow.approvalSequence.length,
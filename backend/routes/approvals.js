@@ -3,6 +3,12 @@ const { authenticateToken, requireRole, requireCompany } = require('../middlewar
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const delegationService = require('../services/delegationService');
+const budgetService = require('../services/budgetService');
+const normalizationService = require('../services/normalizationService');
+const merchantService = require('../services/merchantService');
+const approvalRoutingService = require('../services/approvalRoutingService');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -12,69 +18,34 @@ router.get('/pending', authenticateToken, requireRole('manager', 'admin'), async
   try {
     const { page = 1, limit = 10 } = req.query;
 
-    // Find expenses where current user is the NEXT approver in sequence
+    // Find expenses where current user is the NEXT approver in sequence, either
+    // directly or on behalf of someone who delegated to them
     // This ensures sequential workflow: only the next approver can see the expense
-    const query = {
-      company: req.user.company._id,
-      status: 'submitted',
-      $expr: {
-        $let: {
-          vars: {
-            userApproval: {
-              $arrayElemAt: [
-                {
-                  $filter: {
-                    input: '$approvalChain',
-                    cond: {
-                      $and: [
-                        { $eq: ['$$this.approver', req.user._id] },
-                        { $eq: ['$$this.status', 'pending'] }
-                      ]
-                    }
-                  }
-                },
-                0
-              ]
-            }
-          },
-          in: {
-            $and: [
-              { $ne: ['$$userApproval', null] },
-              {
-                $eq: [
-                  '$$userApproval.level',
-                  {
-                    $min: {
-                      $map: {
-                        input: {
-                          $filter: {
-                            input: '$approvalChain',
-                            cond: { $eq: ['$$this.status', 'pending'] }
-                          }
-                        },
-                        in: '$$this.level'
-                      }
-                    }
-                  }
-                ]
-              }
-            ]
-          }
-        }
-      }
-    };
+    const query = await delegationService.buildPendingQuery(req.user);
 
     const expenses = await Expense.find(query)
       .populate('employee', 'firstName lastName email department')
       .populate('approvalChain.approver', 'firstName lastName email role')
+      .populate({
+        path: 'duplicateCheck.matches.expense',
+        select: 'description amount currency category date status employee',
+        populate: { path: 'employee', select: 'firstName lastName email' }
+      })
       .sort({ submittedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
+    // Refresh budget consumption so approvers see where each budget stands now
+    const impacts = await budgetService.getImpacts(expenses, req.user.company._id);
+    for (const expense of expenses) {
+      expense.budgetImpact = impacts.get(expense._id.toString());
+    }
+
     const total = await Expense.countDocuments(query);
 
     res.json({
       expenses,
+      duplicatesFlagged: expenses.filter(e => e.duplicateCheck?.isLikelyDuplicate).length,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -93,9 +64,13 @@ router.get('/history', authenticateToken, requireRole('manager', 'admin'), async
   try {
     const { page = 1, limit = 10, status } = req.query;
 
+    // Includes steps the user acted on as a delegate
     const query = {
       company: req.user.company._id,
-      'approvalChain.approver': req.user._id
+      $or: [
+        { 'approvalChain.approver': req.user._id },
+        { 'approvalChain.actedBy': req.user._id }
+      ]
     };
 
     if (status) {
@@ -105,6 +80,7 @@ router.get('/history', authenticateToken, requireRole('manager', 'admin'), async
     const expenses = await Expense.find(query)
       .populate('employee', 'firstName lastName email department')
       .populate('approvalChain.approver', 'firstName lastName email role')
+      .populate('approvalChain.actedBy', 'firstName lastName email role')
       .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -145,53 +121,8 @@ router.post('/:expenseId/approve',
 
       // Find expense where current user is the NEXT approver in sequence
       const expense = await Expense.findOne({
-        _id: expenseId,
-        company: req.user.company._id,
-        $expr: {
-          $let: {
-            vars: {
-              userApproval: {
-                $arrayElemAt: [
-                  {
-                    $filter: {
-                      input: '$approvalChain',
-                      cond: {
-                        $and: [
-                          { $eq: ['$$this.approver', req.user._id] },
-                          { $eq: ['$$this.status', 'pending'] }
-                        ]
-                      }
-                    }
-                  },
-                  0
-                ]
-              }
-            },
-            in: {
-              $and: [
-                { $ne: ['$$userApproval', null] },
-                {
-                  $eq: [
-                    '$$userApproval.level',
-                    {
-                      $min: {
-                        $map: {
-                          input: {
-                            $filter: {
-                              input: '$approvalChain',
-                              cond: { $eq: ['$$this.status', 'pending'] }
-                            }
-                          },
-                          in: '$$this.level'
-                        }
-                      }
-                    }
-                  ]
-                }
-              ]
-            }
-          }
-        }
+        ...await delegationService.buildPendingQuery(req.user),
+        _id: expenseId
       });
 
       if (!expense) {
@@ -199,18 +130,21 @@ router.post('/:expenseId/approve',
       }
 
       // Update approval chain
-      const approvalIndex = expense.approvalChain.findIndex(
-        approval => approval.approver.toString() === req.user._id.toString() && 
-                   approval.status === 'pending'
-      );
+      const step = await delegationService.findActingStep(expense, req.user);
 
-      if (approvalIndex === -1) {
+      if (!step) {
         return res.status(400).json({ message: 'No pending approval found for this user' });
       }
 
+      const approvalIndex = step.index;
+
+      const before = auditService.snapshot(expense);
       expense.approvalChain[approvalIndex].status = 'approved';
       expense.approvalChain[approvalIndex].comments = comments;
       expense.approvalChain[approvalIndex].actionDate = new Date();
+      if (step.onBehalfOf) {
+        expense.approvalChain[approvalIndex].actedBy = req.user._id;
+      }
 
       // Check if all required approvals are complete
       const allRequiredApprovals = expense.approvalChain.filter(
@@ -285,8 +219,9 @@ router.post('/:expenseId/approve',
 
           const populatedExpense = await Expense.findById(expense._id)
             .populate('employee', 'firstName lastName email');
+          const recipients = await delegationService.addDelegates(nextApprovers, expense);
 
-          await emailService.sendExpenseSubmittedEmail(populatedExpense, populatedExpense.employee, nextApprovers);
+          await emailService.sendExpenseSubmittedEmail(populatedExpense, populatedExpense.employee, recipients);
           console.log('📧 Notified next approvers:', nextApprovers.map(a => `${a.firstName} ${a.lastName}`));
         } catch (emailError) {
           console.error('Failed to notify next approvers:', emailError);
@@ -294,6 +229,15 @@ router.post('/:expenseId/approve',
       }
 
       await expense.save();
+      await auditService.recordEvent(expense, req.user, 'approved', {
+        before,
+        comments,
+        onBehalfOf: step.onBehalfOf,
+        metadata: { level: expense.approvalChain[approvalIndex].level }
+      });
+      if (expense.status === 'approved') {
+        await merchantService.learnFromExpense(expense);
+      }
 
       // Send email notification to employee
       try {
@@ -346,33 +290,37 @@ router.post('/:expenseId/reject',
       const expense = await Expense.findOne({
         _id: expenseId,
         company: req.user.company._id,
-        'approvalChain.approver': req.user._id,
         'approvalChain.status': 'pending'
       });
 
-      if (!expense) {
+      // The user must hold a pending step, directly or through a delegation
+      const step = expense && await delegationService.findActingStep(expense, req.user);
+
+      if (!step) {
         return res.status(404).json({ message: 'Expense not found or not pending your approval' });
       }
 
-      // Update approval chain
-      const approvalIndex = expense.approvalChain.findIndex(
-        approval => approval.approver.toString() === req.user._id.toString() && 
-                   approval.status === 'pending'
-      );
-
-      if (approvalIndex === -1) {
-        return res.status(400).json({ message: 'No pending approval found for this user' });
-      }
+      const approvalIndex = step.index;
 
+      const before = auditService.snapshot(expense);
       expense.approvalChain[approvalIndex].status = 'rejected';
       expense.approvalChain[approvalIndex].comments = comments;
       expense.approvalChain[approvalIndex].actionDate = new Date();
+      if (step.onBehalfOf) {
+        expense.approvalChain[approvalIndex].actedBy = req.user._id;
+      }
 
       // Reject the entire expense
       expense.status = 'rejected';
       expense.rejectionReason = reason;
 
       await expense.save();
+      await auditService.recordEvent(expense, req.user, 'rejected', {
+        before,
+        comments: reason,
+        onBehalfOf: step.onBehalfOf,
+        metadata: { level: expense.approvalChain[approvalIndex].level }
+      });
 
       // Send email notification to employee
       try {
@@ -418,7 +366,8 @@ router.get('/stats', authenticateToken, requireRole('manager', 'admin'), async (
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
+          totalAmount: { $sum: normalizationService.amountExpr(req.user.company.currency.code) },
+          unconvertedCount: { $sum: normalizationService.unconvertedExpr(req.user.company.currency.code) }
         }
       }
     ]);
@@ -431,7 +380,8 @@ router.get('/stats', authenticateToken, requireRole('manager', 'admin'), async (
 
     res.json({
       stats,
-      totalPending
+      totalPending,
+      currency: req.user.company.currency
     });
   } catch (error) {
     console.error('Get approval stats error:', error);
@@ -439,6 +389,98 @@ router.get('/stats', authenticateToken, requireRole('manager', 'admin'), async (
   }
 });
 
+// Submitted expenses and reports waiting on an approver who cannot act (Admin only)
+router.get('/stuck', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await approvalRoutingService.getStuckApprovals(req.user.company._id);
+    if (!result.success) {
+      return res.status(500).json({ message: 'Failed to get stuck approvals' });
+    }
+
+    res.json({ items: result.items });
+  } catch (error) {
+    console.error('Get stuck approvals error:', error);
+    res.status(500).json({ message: 'Failed to get stuck approvals' });
+  }
+});
+
+// Hand all pending approvals of one approver to another (Admin only)
+router.post('/reassign-approver',
+  authenticateToken,
+  requireRole('admin'),
+  [
+    body('fromApproverId').isMongoId(),
+    body('toApproverId').isMongoId(),
+    body('comments').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { fromApproverId, toApproverId, comments } = req.body;
+      const result = await approvalRoutingService.reassignApprover(
+        req.user.company._id, fromApproverId, toApproverId, req.user, comments
+      );
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        message: `${result.reassigned.length} pending approvals reassigned, ${result.skipped.length} skipped`,
+        reassigned: result.reassigned,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      console.error('Reassign approver error:', error);
+      res.status(500).json({ message: 'Failed to reassign approvals' });
+    }
+  }
+);
+
+// Reassign the pending steps of one expense (Admin only). Without fromApproverId or stepIds,
+// the steps of the current level that nobody can act on are reassigned.
+router.post('/:expenseId/reassign',
+  authenticateToken,
+  requireRole('admin'),
+  [
+    body('toApproverId').isMongoId(),
+    body('fromApproverId').optional().isMongoId(),
+    body('stepIds').optional().isArray(),
+    body('stepIds.*').isMongoId(),
+    body('comments').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { toApproverId, fromApproverId, stepIds, comments } = req.body;
+      const result = await approvalRoutingService.reassignDocument(
+        'expense', req.user.company._id, req.params.expenseId, toApproverId, req.user,
+        { fromApproverId, stepIds, comments }
+      );
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        message: 'Approval reassigned successfully',
+        expense: result.document
+      });
+    } catch (error) {
+      console.error('Reassign expense approval error:', error);
+      res.status(500).json({ message: 'Failed to reassign approval' });
+    }
+  }
+);
+
 // Override approval (Admin only)
 router.post('/:expenseId/override',
   authenticateToken,
@@ -467,6 +509,8 @@ router.post('/:expenseId/override',
         return res.status(404).json({ message: 'Expense not found' });
       }
 
+      const before = auditService.snapshot(expense);
+
       // Add admin override to approval chain
       expense.approvalChain.push({
         approver: req.user._id,
@@ -486,6 +530,14 @@ router.post('/:expenseId/override',
       }
 
       await expense.save();
+      await auditService.recordEvent(expense, req.user, 'overridden', {
+        before,
+        comments: comments || reason,
+        metadata: { action, reason }
+      });
+      if (expense.status === 'approved') {
+        await merchantService.learnFromExpense(expense);
+      }
 
       res.json({
         message: `Expense ${action}d by admin override`,
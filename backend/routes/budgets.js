@@ -0,0 +1,125 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const budgetService = require('../services/budgetService');
+const categoryService = require('../services/categoryService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Rules may still refer to a category that is no longer used for new expenses
+const isCategory = (value, { req }) =>
+  categoryService.assertCategory(req.user.company?._id, value, { activeOnly: false });
+
+const FIELDS = ['name', 'department', 'category', 'costCenter', 'period', 'amount', 'thresholds', 'notify', 'isActive'];
+
+const budgetValidators = (optional) => [
+  body('name').optional().trim().isLength({ max: 100 }),
+  body('department').optional().trim().isLength({ max: 100 }),
+  body('category').optional({ values: 'falsy' }).custom(isCategory),
+  body('costCenter').optional().trim().isLength({ max: 50 }),
+  body('period').optional().isIn(['month', 'quarter', 'year']),
+  (optional ? body('amount').optional() : body('amount')).isFloat({ min: 0 }),
+  body('thresholds').optional().isArray(),
+  body('thresholds.*').optional().isFloat({ min: 1, max: 1000 }),
+  body('notify').optional().isArray(),
+  body('notify.*').optional().isMongoId(),
+  body('isActive').optional().isBoolean()
+];
+
+// Blank strings from the form mean "any", so they are stored as unset
+const applyFields = (budget, data) => {
+  for (const field of FIELDS) {
+    if (data[field] === undefined) continue;
+    budget[field] = data[field] === '' ? undefined : data[field];
+  }
+  if (data.thresholds) {
+    budget.thresholds = [...new Set(data.thresholds.map(Number))].sort((a, b) => a - b);
+  }
+};
+
+const validateNotify = async (companyId, notify) => {
+  if (!notify || notify.length === 0) return true;
+
+  const count = await User.countDocuments({ _id: { $in: notify }, company: companyId, isActive: true });
+  return count === new Set(notify.map(String)).size;
+};
+
+// Get budgets with their consumption in the current period
+router.get('/', authenticateToken, requireRole('manager', 'admin'), requireCompany, async (req, res) => {
+  try {
+    const budgets = await budgetService.getBudgetStatus(req.user.company._id);
+    res.json({ budgets });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ message: 'Failed to get budgets' });
+  }
+});
+
+// Create budget
+router.post('/', authenticateToken, requireRole('admin'), requireCompany, budgetValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await validateNotify(req.user.company._id, req.body.notify)) {
+      return res.status(400).json({ message: 'Some notification recipients were not found' });
+    }
+
+    const budget = new Budget({ company: req.user.company._id, createdBy: req.user._id });
+    applyFields(budget, req.body);
+    await budget.save();
+
+    res.status(201).json({ message: 'Budget created successfully', budget });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({ message: 'Failed to create budget' });
+  }
+});
+
+// Update budget
+router.put('/:budgetId', authenticateToken, requireRole('admin'), requireCompany, budgetValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const budget = await Budget.findOne({ _id: req.params.budgetId, company: req.user.company._id });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    if (!await validateNotify(req.user.company._id, req.body.notify)) {
+      return res.status(400).json({ message: 'Some notification recipients were not found' });
+    }
+
+    applyFields(budget, req.body);
+    await budget.save();
+
+    res.json({ message: 'Budget updated successfully', budget });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({ message: 'Failed to update budget' });
+  }
+});
+
+// Delete budget
+router.delete('/:budgetId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.budgetId, company: req.user.company._id });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ message: 'Failed to delete budget' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const CardTransaction = require('../models/CardTransaction');
+const Company = require('../models/Company');
+const categoryService = require('../services/categoryService');
+const cardTransactionService = require('../services/cardTransactionService');
+const { body, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const isCategory = (value, { req }) => categoryService.assertCategory(req.user.company?._id, value);
+
+// Card statements, as for the expense import
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|tsv|txt|xlsx|ofx|qfx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, XLSX, OFX and QFX files are allowed'), false);
+    }
+  }
+});
+
+// Pushes older or newer than this are refused, so a captured request cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// The card feed signs "<timestamp>.<raw body>" with HMAC-SHA256 using the company's webhook
+// secret, and sends the Unix timestamp in X-Card-Feed-Timestamp and the hex digest in
+// X-Card-Feed-Signature
+const isSignedByFeed = (req, secret) => {
+  const timestamp = String(req.get('X-Card-Feed-Timestamp') || '');
+  const signature = String(req.get('X-Card-Feed-Signature') || '').replace(/^sha256=/, '');
+  if (!req.rawBody || !/^\d{1,12}$/.test(timestamp) || !/^[a-f0-9]{64}$/i.test(signature)) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(req.rawBody).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+// The cardholder's own transactions; admins see the whole company's
+const findTransaction = (req) => CardTransaction.findOne({
+  _id: req.params.transactionId,
+  company: req.user.company._id,
+  ...(req.user.role === 'admin' ? {} : { user: req.user._id })
+});
+
+// Card transactions pushed by the card provider. X-Card-Feed-Company names the company, and
+// only a signature made with that company's secret is accepted.
+router.post('/webhook',
+  [
+    body('transactions').isArray({ min: 1 })
+  ],
+  async (req, res) => {
+    try {
+      const companyId = String(req.get('X-Card-Feed-Company') || '');
+      const secret = /^[a-f0-9]{24}$/i.test(companyId) && await cardTransactionService.getWebhookSecret(companyId);
+      if (!secret || !isSignedByFeed(req, secret)) {
+        return res.status(401).json({ message: 'Invalid signature' });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await cardTransactionService.receiveFeed(companyId, req.body.transactions);
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        received: result.received,
+        created: result.created,
+        duplicates: result.duplicates,
+        matched: result.matched,
+        errors: result.errors
+      });
+    } catch (error) {
+      console.error('Card feed webhook error:', error);
+      res.status(500).json({ message: 'Failed to record card transactions' });
+    }
+  }
+);
+
+// Whether the company's card feed has a webhook secret (Admin only)
+router.get('/webhook-secret', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company._id).select('+cardFeed.webhookSecret');
+    const configured = Boolean(company?.cardFeed?.webhookSecret);
+
+    res.json({
+      configured,
+      company: req.user.company._id,
+      createdAt: configured ? company.cardFeed.secretCreatedAt : null
+    });
+  } catch (error) {
+    console.error('Get card feed webhook secret error:', error);
+    res.status(500).json({ message: 'Failed to get the card feed webhook secret' });
+  }
+});
+
+// Generate or rotate the company's webhook secret; the response is the only time it is shown (Admin only)
+router.post('/webhook-secret', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const result = await cardTransactionService.rotateWebhookSecret(req.user.company._id);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Card feed webhook secret generated',
+      company: req.user.company._id,
+      secret: result.secret,
+      createdAt: result.createdAt
+    });
+  } catch (error) {
+    console.error('Rotate card feed webhook secret error:', error);
+    res.status(500).json({ message: 'Failed to generate the card feed webhook secret' });
+  }
+});
+
+router.get('/',
+  authenticateToken,
+  requireCompany,
+  [
+    query('status').optional().isIn(['unmatched', 'matched']),
+    query('user').optional().isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page = 1, limit = 20, status, user } = req.query;
+      const filter = { company: req.user.company._id };
+      if (req.user.role !== 'admin') filter.user = req.user._id;
+      else if (user) filter.user = user;
+      if (status) filter.status = status;
+
+      const transactions = await CardTransaction.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('expense', 'description amount currency date merchant status receipt.url')
+        .sort({ date: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await CardTransaction.countDocuments(filter);
+
+      res.json({
+        transactions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get card transactions error:', error);
+      res.status(500).json({ message: 'Failed to get card transactions' });
+    }
+  }
+);
+
+// The signed-in cardholder's charges that still need a receipt
+router.get('/needs-receipt', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const transactions = await cardTransactionService.getNeedsReceipt(req.user);
+    res.json({ transactions });
+  } catch (error) {
+    console.error('Get needs-receipt queue error:', error);
+    res.status(500).json({ message: 'Failed to get transactions that need a receipt' });
+  }
+});
+
+// Record the charges of a CSV, XLSX or OFX/QFX card statement and match them to expenses.
+// Takes the same mapping options as the expense import.
+router.post('/import',
+  authenticateToken,
+  requireRole('employee'),
+  statementUpload.single('file'),
+  [
+    body('templateId').optional().isMongoId(),
+    body('mapping').optional().isJSON(),
+    body('headerRow').optional().isInt({ min: 1, max: 100 }),
+    body('dateOrder').optional().isIn(['DMY', 'MDY', 'YMD']),
+    body('chargeSign').optional().isIn(['positive', 'negative']),
+    body('defaultCategory').optional().custom(isCategory),
+    body('defaultCurrency').optional().isLength({ min: 3, max: 3 }).isAlpha(),
+    body('dryRun').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const { templateId, mapping, headerRow, dateOrder, chargeSign, defaultCategory, defaultCurrency, dryRun } = req.body;
+
+      const result = await cardTransactionService.importTransactions(req.user, req.file, {
+        templateId,
+        mapping: mapping ? JSON.parse(mapping) : undefined,
+        headerRow: headerRow ? parseInt(headerRow) : undefined,
+        dateOrder,
+        chargeSign,
+        defaultCategory,
+        defaultCurrency: defaultCurrency?.toUpperCase(),
+        dryRun: String(dryRun) === 'true'
+      });
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          message: result.error,
+          fileType: result.fileType,
+          columns: result.columns,
+          mapping: result.mapping
+        });
+      }
+
+      const matchedCount = result.results.filter(item => item.match).length;
+      res.json({
+        message: result.dryRun
+          ? `Dry run: ${result.results.length} transactions would be recorded, ${matchedCount} matched to expenses, ${result.errors.length} rows cannot be imported`
+          : `Import completed: ${result.results.length} transactions recorded, ${matchedCount} matched to expenses, ${result.errors.length} failed`,
+        dryRun: result.dryRun,
+        fileType: result.fileType,
+        columns: result.columns,
+        mapping: result.mapping,
+        results: result.results,
+        errors: result.errors,
+        successCount: result.results.length,
+        matchedCount,
+        errorCount: result.errors.length
+      });
+    } catch (error) {
+      console.error('Import card transactions error:', error);
+      res.status(500).json({ message: 'Failed to import card transactions' });
+    }
+  }
+);
+
+// Expenses that may be the purchase behind the charge, best first
+router.get('/:transactionId/candidates', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card transaction not found' });
+    }
+
+    const candidates = await cardTransactionService.findCandidates(transaction);
+    res.json({ candidates });
+  } catch (error) {
+    console.error('Get match candidates error:', error);
+    res.status(500).json({ message: 'Failed to get match candidates' });
+  }
+});
+
+router.post('/:transactionId/match',
+  authenticateToken,
+  requireRole('employee'),
+  [body('expenseId').isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const transaction = await findTransaction(req);
+      if (!transaction) {
+        return res.status(404).json({ message: 'Card transaction not found' });
+      }
+
+      const result = await cardTransactionService.matchManually(transaction, req.body.expenseId, req.user);
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({ message: 'Card transaction matched to the expense', transaction });
+    } catch (error) {
+      console.error('Match card transaction error:', error);
+      res.status(500).json({ message: 'Failed to match card transaction' });
+    }
+  }
+);
+
+router.post('/:transactionId/unmatch', authenticateToken, requireRole('employee'), async (req, res) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card transaction not found' });
+    }
+
+    const result = await cardTransactionService.unmatch(transaction, req.user);
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({ message: 'Card transaction unmatched', transaction });
+  } catch (error) {
+    console.error('Unmatch card transaction error:', error);
+    res.status(500).json({ message: 'Failed to unmatch card transaction' });
+  }
+});
+
+// Create a draft expense for a charge with no matching expense
+router.post('/:transactionId/expense', authenticateToken, requireRole('employee'), async (req, res) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Card transaction not found' });
+    }
+
+    const result = await cardTransactionService.createExpense(transaction, req.user);
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(201).json({ message: 'Draft expense created from the card transaction', expense: result.expense, transaction });
+  } catch (error) {
+    console.error('Create expense from card transaction error:', error);
+    res.status(500).json({ message: 'Failed to create expense' });
+  }
+});
+
+module.exports = router;
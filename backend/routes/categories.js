@@ -0,0 +1,153 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const ExpenseCategory = require('../models/ExpenseCategory');
+const categoryService = require('../services/categoryService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const categoryValidators = (optional) => [
+  (optional ? body('label').optional() : body('label')).trim().isLength({ min: 1, max: 100 }),
+  body('key').optional().trim().matches(/^[a-z0-9_]{1,50}$/),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('glAccount').optional().trim().isLength({ max: 50 }),
+  body('icon').optional().trim().isLength({ max: 50 }),
+  body('parent').optional({ nullable: true }).isMongoId(),
+  body('settings.receiptRequired').optional().isBoolean(),
+  body('settings.defaultTaxRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  body('sortOrder').optional().isInt(),
+  body('isActive').optional().isBoolean()
+];
+
+const FIELDS = ['label', 'description', 'glAccount', 'icon', 'sortOrder', 'isActive'];
+
+// Copies the editable fields and checks the parent belongs to the company and is not a descendant
+const applyChanges = async (category, data, companyId) => {
+  for (const field of FIELDS) {
+    if (data[field] !== undefined) category[field] = data[field];
+  }
+  if (data.settings?.receiptRequired !== undefined) {
+    category.settings.receiptRequired = data.settings.receiptRequired;
+  }
+  if (data.settings?.defaultTaxRate !== undefined) {
+    category.settings.defaultTaxRate = data.settings.defaultTaxRate;
+  }
+
+  if (data.parent !== undefined) {
+    if (data.parent) {
+      const parent = await ExpenseCategory.findOne({ _id: data.parent, company: companyId });
+      if (!parent) {
+        return 'Parent category not found';
+      }
+      if (await categoryService.wouldCreateCycle(category, parent._id)) {
+        return 'A category cannot be placed under itself or one of its subcategories';
+      }
+    }
+    category.parent = data.parent || null;
+  }
+
+  return null;
+};
+
+// Categories of the user's company; inactive ones are included so existing expenses keep their labels
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const categories = await categoryService.getCategories(req.user.company._id, {
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ categories });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Failed to get categories' });
+  }
+});
+
+router.post('/', authenticateToken, requireRole('admin'), requireCompany, categoryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = req.user.company._id;
+    await categoryService.ensureDefaults(companyId);
+
+    const key = req.body.key || categoryService.slugify(req.body.label);
+    if (!key) {
+      return res.status(400).json({ message: 'Category key must contain letters or digits' });
+    }
+    if (await ExpenseCategory.exists({ company: companyId, key })) {
+      return res.status(409).json({ message: `A category with the key "${key}" already exists` });
+    }
+
+    const category = new ExpenseCategory({ company: companyId, key, createdBy: req.user._id });
+    const error = await applyChanges(category, req.body, companyId);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await category.save();
+
+    res.status(201).json({ message: 'Category created successfully', category });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Failed to create category' });
+  }
+});
+
+// The key cannot be changed because expenses, budgets and rules refer to it
+router.put('/:categoryId', authenticateToken, requireRole('admin'), requireCompany, categoryValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await ExpenseCategory.findOne({ _id: req.params.categoryId, company: req.user.company._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (req.body.key !== undefined && req.body.key !== category.key) {
+      return res.status(400).json({ message: 'The category key cannot be changed' });
+    }
+
+    const error = await applyChanges(category, req.body, req.user.company._id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await category.save();
+
+    res.json({ message: 'Category updated successfully', category });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Failed to update category' });
+  }
+});
+
+// Only unused categories can be deleted; used ones are deactivated instead
+router.delete('/:categoryId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const companyId = req.user.company._id;
+    const category = await ExpenseCategory.findOne({ _id: req.params.categoryId, company: companyId });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    if (await ExpenseCategory.exists({ company: companyId, parent: category._id })) {
+      return res.status(409).json({ message: 'Move or delete the subcategories first' });
+    }
+    if (await categoryService.isInUse(companyId, category.key)) {
+      return res.status(409).json({ message: 'This category is in use; deactivate it instead' });
+    }
+
+    await category.deleteOne();
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
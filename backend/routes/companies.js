@@ -2,6 +2,8 @@ const express = require('express');
 const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
 const Company = require('../models/Company');
 const User = require('../models/User');
+const Expense = require('../models/Expense');
+const normalizationService = require('../services/normalizationService');
 const axios = require('axios');
 
 const router = express.Router();
@@ -127,6 +129,10 @@ router.get('/:companyId/users', authenticateToken, requireCompany, async (req, r
 // Get company statistics
 router.get('/:companyId/stats', authenticateToken, requireCompany, async (req, res) => {
   try {
+    if (req.params.companyId !== req.user.company._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     const totalUsers = await User.countDocuments({ 
       company: req.params.companyId,
       isActive: true 
@@ -142,10 +148,27 @@ router.get('/:companyId/stats', authenticateToken, requireCompany, async (req, r
       { $group: { _id: '$department', count: { $sum: 1 } } }
     ]);
 
+    // Expense totals in the company currency
+    const expensesByStatus = await Expense.aggregate([
+      { $match: { company: req.user.company._id } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalAmount: { $sum: normalizationService.amountExpr(req.user.company.currency.code) },
+          unconvertedCount: { $sum: normalizationService.unconvertedExpr(req.user.company.currency.code) }
+        }
+      }
+    ]);
+
     res.json({
       totalUsers,
       usersByRole,
-      usersByDepartment
+      usersByDepartment,
+      expensesByStatus,
+      totalExpenseAmount: expensesByStatus.reduce((sum, stat) => sum + stat.totalAmount, 0),
+      unconvertedExpenses: expensesByStatus.reduce((sum, stat) => sum + stat.unconvertedCount, 0),
+      currency: req.user.company.currency
     });
   } catch (error) {
     console.error('Get company stats error:', error);
@@ -2,6 +2,8 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const Currency = require('../models/Currency');
 const externalApiService = require('../services/externalApiService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { query, body, validationResult } = require('express-validator');
 
 const router = express.Router();
 
@@ -18,11 +20,25 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get exchange rates for a base currency
-router.get('/rates/:baseCurrency', authenticateToken, async (req, res) => {
+// Get exchange rates for a base currency, optionally as of a past date
+router.get('/rates/:baseCurrency', authenticateToken, [query('date').optional().isISO8601()], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { baseCurrency } = req.params;
-    const rates = await externalApiService.getExchangeRates(baseCurrency);
+
+    if (req.query.date) {
+      const rates = await exchangeRateService.getRatesForDate(baseCurrency, req.query.date);
+      if (!rates) {
+        return res.status(404).json({ message: `No ${baseCurrency.toUpperCase()} exchange rates stored on or before ${req.query.date}` });
+      }
+      return res.json(rates);
+    }
+
+    const rates = await exchangeRateService.recordLatest(baseCurrency.toUpperCase());
     res.json(rates);
   } catch (error) {
     console.error('Get exchange rates error:', error);
@@ -30,10 +46,10 @@ router.get('/rates/:baseCurrency', authenticateToken, async (req, res) => {
   }
 });
 
-// Convert amount between currencies
-router.post('/convert', authenticateToken, async (req, res) => {
+// Convert amount between currencies, at the rate of a given date when one is passed
+router.post('/convert', authenticateToken, [body('date').optional().isISO8601()], async (req, res) => {
   try {
-    const { amount, fromCurrency, toCurrency } = req.body;
+    const { amount, fromCurrency, toCurrency, date } = req.body;
 
     if (!amount || !fromCurrency || !toCurrency) {
       return res.status(400).json({ 
@@ -41,7 +57,14 @@ router.post('/convert', authenticateToken, async (req, res) => {
       });
     }
 
-    const result = await externalApiService.convertCurrency(amount, fromCurrency, toCurrency);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = date
+      ? await exchangeRateService.convert(amount, fromCurrency, toCurrency, date)
+      : await externalApiService.convertCurrency(amount, fromCurrency, toCurrency);
     res.json(result);
   } catch (error) {
     console.error('Currency conversion error:', error);
@@ -65,6 +88,7 @@ router.post('/update-rates', authenticateToken, async (req, res) => {
   try {
     const { baseCurrency = 'USD' } = req.body;
     const result = await externalApiService.updateCurrencyRates(baseCurrency);
+    await exchangeRateService.recordLatest(baseCurrency);
     
     if (result.success) {
       res.json({
@@ -0,0 +1,143 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const CustomField = require('../models/CustomField');
+const categoryService = require('../services/categoryService');
+const customFieldService = require('../services/customFieldService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Fields may stay scoped to a category that was deactivated later
+const isCategory = (value, { req }) => categoryService.assertCategory(req.user.company?._id, value, { activeOnly: false });
+
+const fieldValidators = (optional) => [
+  (optional ? body('label').optional() : body('label')).trim().isLength({ min: 1, max: 100 }),
+  (optional ? body('type').optional() : body('type')).isIn(['text', 'number', 'date', 'select', 'user']),
+  body('key').optional().trim().matches(/^[a-z][a-z0-9_]{0,49}$/),
+  body('options').optional().isArray({ max: 100 }),
+  body('options.*').trim().isLength({ min: 1, max: 100 }),
+  body('multiple').optional().isBoolean(),
+  body('required').optional().isBoolean(),
+  body('categories').optional().isArray(),
+  body('categories.*').custom(isCategory),
+  body('helpText').optional().trim().isLength({ max: 200 }),
+  body('sortOrder').optional().isInt(),
+  body('isActive').optional().isBoolean()
+];
+
+const FIELDS = ['label', 'type', 'options', 'multiple', 'required', 'categories', 'helpText', 'sortOrder', 'isActive'];
+
+const applyChanges = (field, data) => {
+  for (const name of FIELDS) {
+    if (data[name] !== undefined) field[name] = data[name];
+  }
+
+  if (field.type === 'select' && field.options.length === 0) {
+    return 'A select field needs at least one option';
+  }
+  return null;
+};
+
+// Fields of the user's company; `category` limits them to the active fields asked for on that category
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const fields = req.query.category
+      ? await customFieldService.getFieldsForCategory(req.user.company._id, req.query.category)
+      : await customFieldService.getFields(req.user.company._id, { activeOnly: req.query.active === 'true' });
+
+    res.json({ fields });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ message: 'Failed to get custom fields' });
+  }
+});
+
+router.post('/', authenticateToken, requireRole('admin'), requireCompany, fieldValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const companyId = req.user.company._id;
+    const key = req.body.key || categoryService.slugify(req.body.label);
+    if (!/^[a-z]/.test(key)) {
+      return res.status(400).json({ message: 'Field key must start with a letter' });
+    }
+    if (await CustomField.exists({ company: companyId, key })) {
+      return res.status(409).json({ message: `A field with the key "${key}" already exists` });
+    }
+
+    const field = new CustomField({ company: companyId, key, createdBy: req.user._id });
+    const error = applyChanges(field, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await field.save();
+
+    res.status(201).json({ message: 'Custom field created successfully', field });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ message: 'Failed to create custom field' });
+  }
+});
+
+// The key cannot be changed, and neither can the type once expenses have values for the field
+router.put('/:fieldId', authenticateToken, requireRole('admin'), requireCompany, fieldValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const field = await CustomField.findOne({ _id: req.params.fieldId, company: req.user.company._id });
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+    if (req.body.key !== undefined && req.body.key !== field.key) {
+      return res.status(400).json({ message: 'The field key cannot be changed' });
+    }
+
+    const typeChanged = (req.body.type !== undefined && req.body.type !== field.type) ||
+      (req.body.multiple !== undefined && req.body.multiple !== field.multiple);
+    if (typeChanged && await customFieldService.isInUse(req.user.company._id, field.key)) {
+      return res.status(409).json({ message: 'Expenses already have values for this field; its type cannot be changed' });
+    }
+
+    const error = applyChanges(field, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await field.save();
+
+    res.json({ message: 'Custom field updated successfully', field });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ message: 'Failed to update custom field' });
+  }
+});
+
+// Only fields without values on any expense can be deleted; others are deactivated instead
+router.delete('/:fieldId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const field = await CustomField.findOne({ _id: req.params.fieldId, company: req.user.company._id });
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    if (await customFieldService.isInUse(req.user.company._id, field.key)) {
+      return res.status(409).json({ message: 'Expenses have values for this field; deactivate it instead' });
+    }
+
+    await field.deleteOne();
+
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({ message: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const categoryService = require('../services/categoryService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Rules may still refer to a category that is no longer used for new expenses
+const isCategory = (value, { req }) =>
+  categoryService.assertCategory(req.user.company?._id, value, { activeOnly: false });
+
+const delegationValidators = (optional) => [
+  (optional ? body('delegate').optional() : body('delegate')).isMongoId(),
+  (optional ? body('startDate').optional() : body('startDate')).isISO8601(),
+  (optional ? body('endDate').optional() : body('endDate')).isISO8601(),
+  body('maxAmount').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('categories').optional().isArray(),
+  body('categories.*').optional().custom(isCategory),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean()
+];
+
+const populateDelegation = (query) => query
+  .populate('delegator', 'firstName lastName email role')
+  .populate('delegate', 'firstName lastName email role')
+  .populate('createdBy', 'firstName lastName email');
+
+// Date pickers send whole days, so a delegation runs until the end of its last day
+const endOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// Only the delegator and admins can change a delegation
+const canManage = (user, delegation) =>
+  user.role === 'admin' || delegation.delegator.toString() === user._id.toString();
+
+// Both parties must be active approvers in the company and different people
+const validateParties = async (companyId, delegatorId, delegateId) => {
+  if (delegatorId.toString() === delegateId.toString()) {
+    return 'You cannot delegate to yourself';
+  }
+
+  const users = await User.find({
+    _id: { $in: [delegatorId, delegateId] },
+    company: companyId,
+    isActive: true,
+    role: { $in: ['manager', 'admin'] }
+  }).select('_id');
+
+  if (users.length !== 2) {
+    return 'Delegator and delegate must be active managers or admins in your company';
+  }
+
+  return null;
+};
+
+// Get delegations the user has given and received; admins can list the whole company
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const { all, userId } = req.query;
+    const companyId = req.user.company._id;
+
+    if (req.user.role === 'admin' && (all === 'true' || userId)) {
+      const query = { company: companyId };
+      if (userId) query.$or = [{ delegator: userId }, { delegate: userId }];
+
+      const delegations = await populateDelegation(Delegation.find(query).sort({ startDate: -1 }));
+      return res.json({ delegations });
+    }
+
+    const [given, received] = await Promise.all([
+      populateDelegation(Delegation.find({ company: companyId, delegator: req.user._id }).sort({ startDate: -1 })),
+      populateDelegation(Delegation.find({ company: companyId, delegate: req.user._id }).sort({ startDate: -1 }))
+    ]);
+
+    res.json({ delegations: given, received });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ message: 'Failed to get delegations' });
+  }
+});
+
+// Create a delegation; admins can create one on behalf of another user
+router.post('/',
+  authenticateToken,
+  requireRole('manager', 'admin'),
+  requireCompany,
+  [
+    ...delegationValidators(false),
+    body('delegator').optional().isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { delegate, startDate, endDate, maxAmount, categories, reason } = req.body;
+      const delegator = req.body.delegator || req.user._id;
+
+      if (delegator.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admins can set delegations for other users' });
+      }
+
+      if (endOfDay(endDate) < new Date(startDate)) {
+        return res.status(400).json({ message: 'End date must be on or after the start date' });
+      }
+
+      const partyError = await validateParties(req.user.company._id, delegator, delegate);
+      if (partyError) {
+        return res.status(400).json({ message: partyError });
+      }
+
+      const delegation = new Delegation({
+        company: req.user.company._id,
+        delegator,
+        delegate,
+        startDate,
+        endDate: endOfDay(endDate),
+        maxAmount: maxAmount ?? undefined,
+        categories: categories || [],
+        reason,
+        createdBy: req.user._id
+      });
+
+      await delegation.save();
+
+      res.status(201).json({
+        message: 'Delegation created successfully',
+        delegation: await populateDelegation(Delegation.findById(delegation._id))
+      });
+    } catch (error) {
+      console.error('Create delegation error:', error);
+      res.status(500).json({ message: 'Failed to create delegation' });
+    }
+  }
+);
+
+// Update a delegation
+router.put('/:delegationId',
+  authenticateToken,
+  requireRole('manager', 'admin'),
+  requireCompany,
+  delegationValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const delegation = await Delegation.findOne({
+        _id: req.params.delegationId,
+        company: req.user.company._id
+      });
+
+      if (!delegation) {
+        return res.status(404).json({ message: 'Delegation not found' });
+      }
+
+      if (!canManage(req.user, delegation)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      for (const field of ['delegate', 'startDate', 'categories', 'reason', 'isActive']) {
+        if (req.body[field] !== undefined) delegation[field] = req.body[field];
+      }
+      if (req.body.endDate !== undefined) {
+        delegation.endDate = endOfDay(req.body.endDate);
+      }
+      if (req.body.maxAmount !== undefined) {
+        delegation.maxAmount = req.body.maxAmount ?? undefined;
+      }
+
+      if (delegation.endDate < delegation.startDate) {
+        return res.status(400).json({ message: 'End date must be on or after the start date' });
+      }
+
+      if (req.body.delegate !== undefined) {
+        const partyError = await validateParties(req.user.company._id, delegation.delegator, delegation.delegate);
+        if (partyError) {
+          return res.status(400).json({ message: partyError });
+        }
+      }
+
+      await delegation.save();
+
+      res.json({
+        message: 'Delegation updated successfully',
+        delegation: await populateDelegation(Delegation.findById(delegation._id))
+      });
+    } catch (error) {
+      console.error('Update delegation error:', error);
+      res.status(500).json({ message: 'Failed to update delegation' });
+    }
+  }
+);
+
+// Delete a delegation; steps already acted on keep their actedBy record
+router.delete('/:delegationId', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const delegation = await Delegation.findOne({
+      _id: req.params.delegationId,
+      company: req.user.company._id
+    });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    if (!canManage(req.user, delegation)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await delegation.deleteOne();
+
+    res.json({ message: 'Delegation deleted successfully' });
+  } catch (error) {
+    console.error('Delete delegation error:', error);
+    res.status(500).json({ message: 'Failed to delete delegation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const EscalationRun = require('../models/EscalationRun');
+const escalationScheduler = require('../services/escalationScheduler');
+
+const router = express.Router();
+
+// Runs cover every company, so only this company's actions are returned
+const toCompanyRun = (run, companyId) => {
+  if (!run) return null;
+
+  const data = run.toObject();
+  data.actions = data.actions.filter(action => action.company?.toString() === companyId.toString());
+  return data;
+};
+
+const populateRun = (query) => query
+  .populate('triggeredBy', 'firstName lastName email')
+  .populate('actions.expense', 'description amount currency status')
+  .populate('actions.fromApprover', 'firstName lastName email')
+  .populate('actions.toApprover', 'firstName lastName email');
+
+// Scheduler state and the last run with what it did for this company
+router.get('/status', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const companyId = req.user.company._id;
+    const visibleRuns = {
+      $or: [{ company: { $exists: false } }, { company: null }, { company: companyId }]
+    };
+
+    const lastRun = await populateRun(
+      EscalationRun.findOne({ ...visibleRuns, status: { $ne: 'running' } }).sort({ startedAt: -1 })
+    );
+
+    const recentActions = await populateRun(
+      EscalationRun.find({ 'actions.company': companyId }).sort({ startedAt: -1 }).limit(10)
+    );
+
+    res.json({
+      scheduler: escalationScheduler.getStatus(),
+      lastRun: toCompanyRun(lastRun, companyId),
+      recentRuns: recentActions.map(run => toCompanyRun(run, companyId))
+    });
+  } catch (error) {
+    console.error('Get escalation status error:', error);
+    res.status(500).json({ message: 'Failed to get escalation status' });
+  }
+});
+
+// Run the escalation check for this company now
+router.post('/run', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const result = await escalationScheduler.run({
+      trigger: 'manual',
+      companyId: req.user.company._id,
+      triggeredBy: req.user._id
+    });
+
+    if (!result.run) {
+      return res.status(409).json({ message: result.error });
+    }
+
+    const run = await populateRun(EscalationRun.findById(result.run._id));
+
+    res.json({
+      message: result.success ? 'Escalation check completed' : 'Escalation check failed',
+      run: toCompanyRun(run, req.user.company._id)
+    });
+  } catch (error) {
+    console.error('Run escalation error:', error);
+    res.status(500).json({ message: 'Failed to run escalation check' });
+  }
+});
+
+module.exports = router;
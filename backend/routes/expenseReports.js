@@ -0,0 +1,428 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const ExpenseReport = require('../models/ExpenseReport');
+const User = require('../models/User');
+const expenseReportService = require('../services/expenseReportService');
+const approvalRoutingService = require('../services/approvalRoutingService');
+const delegationService = require('../services/delegationService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Get expense reports
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const query = { company: req.user.company._id };
+
+    // Role-based filtering
+    if (req.user.role === 'employee') {
+      query.employee = req.user._id;
+    } else if (req.user.role === 'manager') {
+      const teamMembers = await User.find({
+        $or: [
+          { manager: req.user._id },
+          { _id: req.user._id }
+        ],
+        isActive: true
+      }).select('_id');
+
+      query.employee = { $in: teamMembers.map(member => member._id) };
+    }
+
+    if (status) query.status = status;
+
+    const reports = await ExpenseReport.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .populate('lineItems.expense', 'description amount currency category date status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ExpenseReport.countDocuments(query);
+
+    res.json({
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get expense reports error:', error);
+    res.status(500).json({ message: 'Failed to get expense reports' });
+  }
+});
+
+// Get expense reports pending the current user's approval
+router.get('/pending', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const candidates = await ExpenseReport.find(await delegationService.buildPendingQuery(req.user, 'report'))
+      .populate('employee', 'firstName lastName email department')
+      .populate('lineItems.expense')
+      .populate('approvalChain.approver', 'firstName lastName email role')
+      .sort({ submittedAt: -1 });
+
+    // The query cannot check delegated categories against the member expenses
+    const reports = [];
+    for (const report of candidates) {
+      if (await delegationService.findActingStep(report, req.user)) {
+        reports.push(report);
+      }
+    }
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Get pending expense reports error:', error);
+    res.status(500).json({ message: 'Failed to get pending expense reports' });
+  }
+});
+
+// Get expense report by ID
+router.get('/:reportId', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const report = await expenseReportService.getReportWithExpenses(req.params.reportId, req.user.company._id);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Expense report not found' });
+    }
+
+    if (req.user.role === 'employee' && report.employee._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get expense report error:', error);
+    res.status(500).json({ message: 'Failed to get expense report' });
+  }
+});
+
+// Create expense report
+router.post('/',
+  authenticateToken,
+  requireRole('employee'),
+  [
+    body('title').trim().isLength({ min: 1, max: 200 }),
+    body('purpose').optional().trim().isLength({ max: 500 }),
+    body('startDate').isISO8601(),
+    body('endDate').isISO8601(),
+    body('expenseIds').isArray({ min: 1 }),
+    body('expenseIds.*').isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, purpose, startDate, endDate, expenseIds } = req.body;
+
+      if (new Date(endDate) < new Date(startDate)) {
+        return res.status(400).json({ message: 'End date must be on or after start date' });
+      }
+
+      const members = await expenseReportService.loadMemberExpenses(
+        req.user._id,
+        req.user.company._id,
+        expenseIds
+      );
+
+      if (!members.success) {
+        return res.status(400).json({ message: members.error });
+      }
+
+      const report = new ExpenseReport({
+        employee: req.user._id,
+        company: req.user.company._id,
+        title,
+        purpose,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate)
+      });
+
+      await expenseReportService.setMembers(report, members.expenses);
+      await report.save();
+
+      const populatedReport = await expenseReportService.getReportWithExpenses(report._id, req.user.company._id);
+
+      res.status(201).json({
+        message: 'Expense report created successfully',
+        report: populatedReport
+      });
+    } catch (error) {
+      console.error('Create expense report error:', error);
+      res.status(500).json({ message: 'Failed to create expense report' });
+    }
+  }
+);
+
+// Update expense report
+router.put('/:reportId',
+  authenticateToken,
+  requireRole('employee'),
+  [
+    body('title').optional().trim().isLength({ min: 1, max: 200 }),
+    body('purpose').optional().trim().isLength({ max: 500 }),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('expenseIds').optional().isArray({ min: 1 }),
+    body('expenseIds.*').optional().isMongoId()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await ExpenseReport.findOne({
+        _id: req.params.reportId,
+        employee: req.user._id,
+        company: req.user.company._id
+      });
+
+      if (!report) {
+        return res.status(404).json({ message: 'Expense report not found' });
+      }
+
+      if (report.status !== 'draft') {
+        return res.status(400).json({ message: 'Only draft reports can be updated' });
+      }
+
+      const { title, purpose, startDate, endDate, expenseIds } = req.body;
+
+      if (title) report.title = title;
+      if (purpose !== undefined) report.purpose = purpose;
+      if (startDate) report.startDate = new Date(startDate);
+      if (endDate) report.endDate = new Date(endDate);
+
+      if (report.endDate < report.startDate) {
+        return res.status(400).json({ message: 'End date must be on or after start date' });
+      }
+
+      if (expenseIds) {
+        const members = await expenseReportService.loadMemberExpenses(
+          req.user._id,
+          req.user.company._id,
+          expenseIds,
+          report._id
+        );
+
+        if (!members.success) {
+          return res.status(400).json({ message: members.error });
+        }
+
+        await expenseReportService.setMembers(report, members.expenses);
+      }
+
+      await report.save();
+
+      const populatedReport = await expenseReportService.getReportWithExpenses(report._id, req.user.company._id);
+
+      res.json({
+        message: 'Expense report updated successfully',
+        report: populatedReport
+      });
+    } catch (error) {
+      console.error('Update expense report error:', error);
+      res.status(500).json({ message: 'Failed to update expense report' });
+    }
+  }
+);
+
+// Delete expense report (its expenses stay as drafts)
+router.delete('/:reportId', authenticateToken, requireRole('employee'), async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({
+      _id: req.params.reportId,
+      employee: req.user._id,
+      company: req.user.company._id
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Expense report not found' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft reports can be deleted' });
+    }
+
+    await expenseReportService.releaseMembers(report);
+    await ExpenseReport.findByIdAndDelete(report._id);
+
+    res.json({ message: 'Expense report deleted successfully' });
+  } catch (error) {
+    console.error('Delete expense report error:', error);
+    res.status(500).json({ message: 'Failed to delete expense report' });
+  }
+});
+
+// Submit expense report for approval
+router.post('/:reportId/submit', authenticateToken, requireRole('employee'), async (req, res) => {
+  try {
+    const { workflowId } = req.body;
+
+    const report = await ExpenseReport.findOne({
+      _id: req.params.reportId,
+      employee: req.user._id,
+      company: req.user.company._id
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Expense report not found' });
+    }
+
+    const result = await expenseReportService.submitReport(report, workflowId);
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error, violations: result.violations });
+    }
+
+    res.json({
+      message: 'Expense report submitted for approval',
+      report: result.report
+    });
+  } catch (error) {
+    console.error('Submit expense report error:', error);
+    res.status(500).json({ message: 'Failed to submit expense report' });
+  }
+});
+
+// Approve expense report, optionally rejecting individual line items
+router.post('/:reportId/approve',
+  authenticateToken,
+  requireRole('manager', 'admin'),
+  [
+    body('comments').optional().trim().isLength({ max: 500 }),
+    body('lineItems').optional().isArray(),
+    body('lineItems.*.expense').optional().isMongoId(),
+    body('lineItems.*.status').optional().isIn(['approved', 'rejected']),
+    body('lineItems.*.reason').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await ExpenseReport.findOne({
+        ...await delegationService.buildPendingQuery(req.user, 'report'),
+        _id: req.params.reportId
+      });
+
+      // The user must hold a pending step, directly or through a delegation
+      const step = report && await delegationService.findActingStep(report, req.user);
+
+      if (!step) {
+        return res.status(404).json({ message: 'Expense report not found or not pending your approval' });
+      }
+
+      const { comments, lineItems = [] } = req.body;
+      const result = await expenseReportService.approveReport(report, req.user, comments, lineItems, step);
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.json({
+        message: 'Expense report approved successfully',
+        report: result.report
+      });
+    } catch (error) {
+      console.error('Approve expense report error:', error);
+      res.status(500).json({ message: 'Failed to approve expense report' });
+    }
+  }
+);
+
+// Reject the whole expense report
+router.post('/:reportId/reject',
+  authenticateToken,
+  requireRole('manager', 'admin'),
+  [
+    body('reason').trim().isLength({ min: 1, max: 500 }),
+    body('comments').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await ExpenseReport.findOne({
+        ...await delegationService.buildPendingQuery(req.user, 'report'),
+        _id: req.params.reportId
+      });
+
+      // The user must hold a pending step, directly or through a delegation
+      const step = report && await delegationService.findActingStep(report, req.user);
+
+      if (!step) {
+        return res.status(404).json({ message: 'Expense report not found or not pending your approval' });
+      }
+
+      const { reason, comments } = req.body;
+      const result = await expenseReportService.rejectReport(report, req.user, reason, comments, step);
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.json({
+        message: 'Expense report rejected successfully',
+        report: result.report
+      });
+    } catch (error) {
+      console.error('Reject expense report error:', error);
+      res.status(500).json({ message: 'Failed to reject expense report' });
+    }
+  }
+);
+
+// Reassign the pending steps of one report (Admin only). Without fromApproverId or stepIds,
+// the steps of the current level that nobody can act on are reassigned.
+router.post('/:reportId/reassign',
+  authenticateToken,
+  requireRole('admin'),
+  [
+    body('toApproverId').isMongoId(),
+    body('fromApproverId').optional().isMongoId(),
+    body('stepIds').optional().isArray(),
+    body('stepIds.*').isMongoId(),
+    body('comments').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { toApproverId, fromApproverId, stepIds, comments } = req.body;
+      const result = await approvalRoutingService.reassignDocument(
+        'report', req.user.company._id, req.params.reportId, toApproverId, req.user,
+        { fromApproverId, stepIds, comments }
+      );
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        message: 'Approval reassigned successfully',
+        report: result.document
+      });
+    } catch (error) {
+      console.error('Reassign expense report approval error:', error);
+      res.status(500).json({ message: 'Failed to reassign approval' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,22 +1,97 @@
 const express = require('express');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
 const ocrService = require('../services/ocrService');
+const pdfService = require('../services/pdfService');
+const attachmentService = require('../services/attachmentService');
 const approvalWorkflowService = require('../services/approvalWorkflowService');
-const { body, validationResult } = require('express-validator');
+const auditService = require('../services/auditService');
+const policyService = require('../services/policyService');
+const duplicateService = require('../services/duplicateService');
+const allowanceService = require('../services/allowanceService');
+const delegationService = require('../services/delegationService');
+const budgetService = require('../services/budgetService');
+const normalizationService = require('../services/normalizationService');
+const itemizationService = require('../services/itemizationService');
+const merchantService = require('../services/merchantService');
+const categoryService = require('../services/categoryService');
+const customFieldService = require('../services/customFieldService');
+const expenseExportService = require('../services/expenseExportService');
+const expenseImportService = require('../services/expenseImportService');
+const cardTransactionService = require('../services/cardTransactionService');
+const { body, query, validationResult } = require('express-validator');
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Expense kinds whose amount is computed from the company rate tables
+const ALLOWANCE_KINDS = ['mileage', 'per_diem'];
+
+// New expenses need an active category from the company catalog
+const isCategory = (value, { req }) => categoryService.assertCategory(req.user.company?._id, value);
+
+const ATTACHMENT_TYPES = ['receipt', 'invoice', 'boarding_pass', 'attendee_list', 'other'];
+
+// Files can be added until the expense is approved, but only changed or removed on drafts
+const ATTACHABLE_STATUSES = ['draft', 'submitted', 'pending_approval', 'rejected'];
+
+const allowanceFieldValidators = [
+  body('mileage.distance').optional().isFloat({ gt: 0 }),
+  body('mileage.unit').optional().isIn(['km', 'mile']),
+  body('mileage.vehicleType').optional().isIn(['car', 'motorcycle', 'bicycle', 'electric_car', 'van']),
+  body('mileage.startLocation').optional().trim().isLength({ max: 200 }),
+  body('mileage.endLocation').optional().trim().isLength({ max: 200 }),
+  body('perDiem.country').optional().trim().isLength({ min: 1, max: 100 }),
+  body('perDiem.days').optional().isInt({ min: 0, max: 365 }),
+  body('perDiem.partialDays').optional().isInt({ min: 0, max: 2 })
+];
+
+// Mileage and per diem amounts are never taken from the client
+const computeAllowance = (companyId, kind, { mileage, perDiem, date }) => {
+  return allowanceService.calculate(companyId, kind, {
+    mileage: mileage && { ...mileage, distance: parseFloat(mileage.distance), date },
+    perDiem: perDiem && {
+      ...perDiem,
+      days: parseInt(perDiem.days || 0),
+      partialDays: parseInt(perDiem.partialDays || 0),
+      date
+    }
+  });
+};
+
+// Filters and sort of the expense list, limited to what the user's role may see:
+// employees their own expenses, managers their team's, admins the whole company
+const buildListQuery = async (req) => {
+  const { status, category, startDate, endDate, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+  const query = { company: req.user.company._id };
+
+  if (req.user.role === 'employee') {
+    query.employee = req.user._id;
+  } else if (req.user.role === 'manager') {
+    const teamMembers = await User.find({
+      $or: [
+        { manager: req.user._id },
+        { _id: req.user._id }
+      ],
+      isActive: true
+    }).select('_id');
+
+    query.employee = { $in: teamMembers.map(member => member._id) };
+  }
+
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  return { query, sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 } };
+};
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -26,10 +101,25 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (file.mimetype.startsWith('image/') || pdfService.isPdf(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new Error('Only image and PDF files are allowed'), false);
+    }
+  }
+});
+
+// Card statements and spreadsheets for the bulk import
+const statementUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|tsv|txt|xlsx|ofx|qfx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, XLSX, OFX and QFX files are allowed'), false);
     }
   }
 });
@@ -37,23 +127,82 @@ const upload = multer({
 // Get expenses
 router.get('/', authenticateToken, requireCompany, async (req, res) => {
   try {
-    const { 
-      status, 
-      category, 
-      startDate, 
-      endDate, 
-      page = 1, 
-      limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
+    const { query, sort } = await buildListQuery(req);
 
+    const expenses = await Expense.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Expense.countDocuments(query);
+
+    res.json({
+      expenses,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(500).json({ message: 'Failed to get expenses' });
+  }
+});
+
+// Export the expenses the list filters select as CSV, an XLSX with a sheet per status, or a printable PDF report
+router.get('/export',
+  authenticateToken,
+  requireCompany,
+  [
+    query('format').optional().isIn(expenseExportService.getFormats()),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { format = 'csv', status, category, startDate, endDate } = req.query;
+      const { query: filter, sort } = await buildListQuery(req);
+
+      const result = await expenseExportService.exportExpenses(
+        req.user.company,
+        req.user,
+        filter,
+        sort,
+        format,
+        { status, category, startDate, endDate }
+      );
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.send(result.content);
+    } catch (error) {
+      console.error('Export expenses error:', error);
+      res.status(500).json({ message: 'Failed to export expenses' });
+    }
+  }
+);
+
+// Get dashboard data with role-based filtering
+router.get('/dashboard', authenticateToken, requireCompany, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    console.log('📊 Dashboard request from user:', req.user._id, 'role:', req.user.role);
     const query = { company: req.user.company._id };
 
-    // Role-based filtering
-    if (req.user.role === 'employee') {
-      query.employee = req.user._id;
-    } else if (req.user.role === 'manager') {
+    // Role-based filtering (only managers and admins can access dashboard)
+    if (req.user.role === 'manager') {
       // Managers can see their team's expenses
       const teamMembers = await User.find({ 
         $or: [
@@ -65,38 +214,111 @@ router.get('/', authenticateToken, requireCompany, async (req, res) => {
       
       query.employee = { $in: teamMembers.map(member => member._id) };
     }
+    // Admins can see all expenses (no additional filtering needed)
 
-    if (status) query.status = status;
-    if (category) query.category = category;
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
-
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const expenses = await Expense.find(query)
+    console.log('📊 Query for expenses:', JSON.stringify(query));
+    
+    // Get recent expenses (last 5)
+    console.log('📊 Getting recent expenses...');
+    const recentExpenses = await Expense.find(query)
       .populate('employee', 'firstName lastName email department')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      .sort({ createdAt: -1 })
+      .limit(5);
+    
+    console.log('📊 Recent expenses found:', recentExpenses.length);
 
-    const total = await Expense.countDocuments(query);
+    // Get statistics
+    console.log('📊 Getting statistics...');
+    const stats = await Expense.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalAmount: { $sum: normalizationService.amountExpr(req.user.company.currency.code) },
+          unconvertedCount: { $sum: normalizationService.unconvertedExpr(req.user.company.currency.code) }
+        }
+      }
+    ]);
+    
+    console.log('📊 Stats aggregation result:', stats);
 
-    res.json({
-      expenses,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+    // Calculate total stats
+    let totalExpenses = 0;
+    let pendingExpenses = 0;
+    let approvedExpenses = 0;
+    let rejectedExpenses = 0;
+    let totalAmount = 0;
+    let pendingAmount = 0;
+    let approvedAmount = 0;
+    let unconvertedExpenses = 0;
+
+    stats.forEach(stat => {
+      totalExpenses += stat.count;
+      totalAmount += stat.totalAmount;
+      unconvertedExpenses += stat.unconvertedCount;
+      
+      if (stat._id === 'submitted') {
+        pendingExpenses = stat.count;
+        pendingAmount = stat.totalAmount;
+      } else if (stat._id === 'approved') {
+        approvedExpenses = stat.count;
+        approvedAmount = stat.totalAmount;
+      } else if (stat._id === 'rejected') {
+        rejectedExpenses = stat.count;
       }
     });
+
+    // Add approval statistics for managers and admins
+    let approvalStats = null;
+    if (req.user.role === 'manager' || req.user.role === 'admin') {
+      try {
+        console.log('📊 Getting approval stats for user:', req.user._id);
+        
+        // Simplified approval statistics - just return zeros for now
+        approvalStats = {
+          totalApprovals: 0,
+          approvedCount: 0,
+          pendingCount: 0,
+          rejectedCount: 0
+        };
+        
+        console.log('📊 Approval stats set:', approvalStats);
+      } catch (approvalError) {
+        console.error('Error getting approval stats:', approvalError);
+        // Don't fail the entire request if approval stats fail
+        approvalStats = {
+          totalApprovals: 0,
+          approvedCount: 0,
+          pendingCount: 0,
+          rejectedCount: 0
+        };
+      }
+    }
+
+    const response = {
+      stats: {
+        totalExpenses,
+        pendingExpenses,
+        approvedExpenses,
+        rejectedExpenses,
+        totalAmount,
+        pendingAmount,
+        approvedAmount,
+        // Drafts and expenses without an exchange rate are counted but not in the amounts
+        unconvertedExpenses
+      },
+      // Amounts are in the company currency
+      currency: req.user.company.currency,
+      recentExpenses,
+      approvalStats
+    };
+    
+    console.log('📊 Dashboard response:', JSON.stringify(response, null, 2));
+    res.json(response);
   } catch (error) {
-    console.error('Get expenses error:', error);
-    res.status(500).json({ message: 'Failed to get expenses' });
+    console.error('Get dashboard data error:', error);
+    res.status(500).json({ message: 'Failed to get dashboard data' });
   }
 });
 
@@ -126,139 +348,466 @@ router.get('/:expenseId', authenticateToken, requireCompany, async (req, res) =>
     console.error('Get expense error:', error);
     res.status(500).json({ message: 'Failed to get expense' });
   }
-});
+});
+
+// Get audit history for an expense
+router.get('/:expenseId/history', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+
+    const expense = await Expense.findOne({ 
+      _id: expenseId, 
+      company: req.user.company._id 
+    }).select('employee');
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    // Check access permissions
+    if (req.user.role === 'employee' && expense.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const events = await auditService.getExpenseHistory(expense._id, req.user.company._id);
+
+    res.json({ events });
+  } catch (error) {
+    console.error('Get expense history error:', error);
+    res.status(500).json({ message: 'Failed to get expense history' });
+  }
+});
+
+// Create expense
+router.post('/',
+  authenticateToken,
+  requireRole('employee'),
+  [
+    body('amount').if(body('kind').not().isIn(ALLOWANCE_KINDS)).isNumeric().isFloat({ min: 0 }),
+    body('currency.code').if(body('kind').not().isIn(ALLOWANCE_KINDS)).isLength({ min: 3, max: 3 }),
+    body('category').if(body('kind').not().isIn(ALLOWANCE_KINDS)).exists(),
+    body('category').optional().custom(isCategory),
+    body('description').trim().isLength({ min: 1, max: 500 }),
+    body('date').isISO8601(),
+    body('country').optional().trim().isLength({ max: 100 }),
+    body('nights').optional().isInt({ min: 1 }),
+    body('costCenter').optional().trim().isLength({ max: 50 }),
+    body('kind').optional().isIn(['standard', ...ALLOWANCE_KINDS]),
+    body('mileage.distance').if(body('kind').equals('mileage')).exists(),
+    body('perDiem.country').if(body('kind').equals('per_diem')).exists(),
+    body('customFields').optional().isObject(),
+    ...allowanceFieldValidators
+  ],
+  async (req, res) => {
+    try {
+      console.log('🔧 Expense creation request:', req.body);
+      console.log('👤 User:', req.user ? 'Authenticated' : 'Not authenticated');
+      
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        console.log('❌ Validation errors:', errors.array());
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { category, description, date, merchant, tags, workflowId, nights, costCenter } = req.body;
+      const kind = req.body.kind || 'standard';
+      let { amount, currency, country } = req.body;
+      let allowance = {};
+
+      if (ALLOWANCE_KINDS.includes(kind)) {
+        allowance = await computeAllowance(req.user.company._id, kind, req.body);
+        if (!allowance.success) {
+          return res.status(400).json({ message: allowance.error });
+        }
+
+        amount = allowance.amount;
+        currency = allowance.currency;
+        if (kind === 'per_diem' && !country) country = allowance.perDiem.country;
+      }
+
+      const expenseCategory = category || (kind === 'mileage' ? 'transport' : 'meals');
+      const customFields = await customFieldService.validate(req.user.company._id, expenseCategory, req.body.customFields);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
+
+      const expense = new Expense({
+        employee: req.user._id,
+        company: req.user.company._id,
+        kind,
+        amount,
+        currency,
+        category: expenseCategory,
+        description,
+        date: new Date(date),
+        country,
+        nights,
+        costCenter,
+        mileage: allowance.mileage,
+        perDiem: allowance.perDiem,
+        merchant: merchant ? (await merchantService.resolve(req.user.company._id, merchant)).name : '',
+        tags: tags || [],
+        customFields: customFields.values,
+        selectedWorkflow: workflowId || undefined
+      });
+
+      // Violations are stored on the draft; blocks are enforced at submission
+      await policyService.applyPolicy(expense, 'create');
+      await duplicateService.checkExpense(expense);
+      await expense.save();
+      await auditService.recordEvent(expense, req.user, 'created');
+      await cardTransactionService.matchExpense(expense, req.user);
+
+      const populatedExpense = await Expense.findById(expense._id)
+        .populate('employee', 'firstName lastName email department');
+
+      res.status(201).json({
+        message: 'Expense created successfully',
+        expense: populatedExpense
+      });
+    } catch (error) {
+      console.error('Create expense error:', error);
+      res.status(500).json({ message: 'Failed to create expense' });
+    }
+  }
+);
+
+// Finds one of the user's own expenses and makes sure older single receipts appear as attachments
+const findOwnExpense = async (req) => {
+  const expense = await Expense.findOne({
+    _id: req.params.expenseId,
+    employee: req.user._id,
+    company: req.user.company._id
+  });
+
+  if (expense) {
+    attachmentService.ensureAttachments(expense);
+  }
+  return expense;
+};
+
+// Re-runs the checks that depend on the primary receipt
+const refreshReceiptChecks = async (expense) => {
+  if (expense.status === 'draft') {
+    await policyService.applyPolicy(expense, 'create');
+  }
+  await duplicateService.checkExpense(expense);
+};
+
+// Adds a file to an expense; receipts and invoices are OCR'd and the first one becomes the primary receipt
+const addAttachment = async (req, res, type) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'No file uploaded' });
+  }
+
+  const expense = await findOwnExpense(req);
+  if (!expense) {
+    return res.status(404).json({ message: 'Expense not found' });
+  }
+
+  if (!ATTACHABLE_STATUSES.includes(expense.status)) {
+    return res.status(400).json({ message: 'Files cannot be added to approved or paid expenses' });
+  }
+
+  const before = auditService.snapshot(expense);
+  const stored = await attachmentService.storeFile(req.file, type, req.user.company);
+
+  expense.attachments.push({
+    ...stored,
+    type,
+    description: req.body.description,
+    uploadedBy: req.user._id
+  });
+
+  const attachment = expense.attachments[expense.attachments.length - 1];
+  const hasPrimary = expense.attachments.some(a => a.isPrimary);
+  if (attachmentService.isReceiptType(type) && (!hasPrimary || req.body.primary === 'true')) {
+    attachmentService.setPrimary(expense, attachment._id);
+  }
+
+  await refreshReceiptChecks(expense);
+  await expense.save();
+  await auditService.recordEvent(expense, req.user, 'receipt_uploaded', {
+    before,
+    metadata: {
+      attachment: attachment._id,
+      type,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    }
+  });
+  // The receipt's total, date and card may identify the card charge
+  await cardTransactionService.matchExpense(expense, req.user);
+
+  res.status(201).json({
+    message: 'File uploaded successfully',
+    attachment,
+    receipt: expense.receipt,
+    attachments: expense.attachments
+  });
+};
+
+// Upload receipt with OCR
+router.post('/:expenseId/receipt',
+  authenticateToken,
+  requireRole('employee'),
+  upload.single('receipt'),
+  async (req, res) => {
+    try {
+      await addAttachment(req, res, 'receipt');
+    } catch (error) {
+      console.error('Upload receipt error:', error);
+      res.status(500).json({ message: 'Failed to upload receipt' });
+    }
+  }
+);
+
+// Upload a receipt, invoice or supporting document
+router.post('/:expenseId/attachments',
+  authenticateToken,
+  requireRole('employee'),
+  upload.single('file'),
+  [
+    body('type').optional().isIn(ATTACHMENT_TYPES),
+    body('description').optional().trim().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await addAttachment(req, res, req.body.type || 'receipt');
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      res.status(500).json({ message: 'Failed to upload file' });
+    }
+  }
+);
+
+// Change an attachment's type or description, or make it the primary receipt
+router.put('/:expenseId/attachments/:attachmentId',
+  authenticateToken,
+  requireRole('employee'),
+  [
+    body('type').optional().isIn(ATTACHMENT_TYPES),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('isPrimary').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const expense = await findOwnExpense(req);
+      if (!expense) {
+        return res.status(404).json({ message: 'Expense not found' });
+      }
+
+      if (expense.status !== 'draft') {
+        return res.status(400).json({ message: 'Only attachments of draft expenses can be changed' });
+      }
+
+      const attachment = expense.attachments.id(req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const { type, description, isPrimary } = req.body;
+      const newType = type || attachment.type;
+
+      if (isPrimary === true && !attachmentService.isReceiptType(newType)) {
+        return res.status(400).json({ message: 'Only a receipt or invoice can be the primary receipt' });
+      }
+
+      const before = auditService.snapshot(expense);
+
+      if (description !== undefined) attachment.description = description;
+      if (type) {
+        attachment.type = type;
+        // A supporting document cannot stay the primary receipt
+        if (!attachmentService.isReceiptType(type)) attachment.isPrimary = false;
+      }
+
+      if (isPrimary === true) {
+        attachmentService.setPrimary(expense, attachment._id);
+      } else {
+        if (isPrimary === false) attachment.isPrimary = false;
+        attachmentService.syncPrimaryReceipt(expense);
+      }
+
+      await refreshReceiptChecks(expense);
+      await expense.save();
+      await auditService.recordEvent(expense, req.user, 'updated', {
+        before,
+        metadata: { attachment: attachment._id, type: attachment.type, isPrimary: attachment.isPrimary }
+      });
+
+      res.json({
+        message: 'Attachment updated successfully',
+        attachment,
+        receipt: expense.receipt,
+        attachments: expense.attachments
+      });
+    } catch (error) {
+      console.error('Update attachment error:', error);
+      res.status(500).json({ message: 'Failed to update attachment' });
+    }
+  }
+);
 
-// Create expense
-router.post('/',
+// Replace the file of an attachment, keeping its type and primary flag
+router.post('/:expenseId/attachments/:attachmentId/replace',
   authenticateToken,
   requireRole('employee'),
-  [
-    body('amount').isNumeric().isFloat({ min: 0 }),
-    body('currency.code').isLength({ min: 3, max: 3 }),
-    body('category').isIn([
-      'travel', 'meals', 'accommodation', 'transport', 
-      'office_supplies', 'entertainment', 'training', 
-      'communication', 'other'
-    ]),
-    body('description').trim().isLength({ min: 1, max: 500 }),
-    body('date').isISO8601()
-  ],
+  upload.single('file'),
   async (req, res) => {
     try {
-      console.log('🔧 Expense creation request:', req.body);
-      console.log('👤 User:', req.user ? 'Authenticated' : 'Not authenticated');
-      
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        console.log('❌ Validation errors:', errors.array());
-        return res.status(400).json({ errors: errors.array() });
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
       }
 
-      const { amount, currency, category, description, date, merchant, tags, workflowId } = req.body;
+      const expense = await findOwnExpense(req);
+      if (!expense) {
+        return res.status(404).json({ message: 'Expense not found' });
+      }
 
-      const expense = new Expense({
-        employee: req.user._id,
-        company: req.user.company._id,
-        amount,
-        currency,
-        category,
-        description,
-        date: new Date(date),
-        merchant: merchant || '',
-        tags: tags || [],
-        selectedWorkflow: workflowId || undefined
+      if (expense.status !== 'draft') {
+        return res.status(400).json({ message: 'Only attachments of draft expenses can be replaced' });
+      }
+
+      const attachment = expense.attachments.id(req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const before = auditService.snapshot(expense);
+      const previous = attachment.toObject();
+      const stored = await attachmentService.storeFile(req.file, attachment.type, req.user.company);
+
+      // Clear fields the new file may not have, such as a PDF thumbnail
+      attachment.set({
+        thumbnailUrl: undefined,
+        thumbnailFilename: undefined,
+        textHash: undefined,
+        ocrData: undefined,
+        ...stored,
+        uploadedBy: req.user._id,
+        uploadedAt: new Date()
       });
+      attachmentService.syncPrimaryReceipt(expense);
 
+      await refreshReceiptChecks(expense);
       await expense.save();
+      await attachmentService.removeFile(previous);
+      await auditService.recordEvent(expense, req.user, 'receipt_uploaded', {
+        before,
+        metadata: {
+          attachment: attachment._id,
+          replaced: previous.originalName,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype
+        }
+      });
 
-      const populatedExpense = await Expense.findById(expense._id)
-        .populate('employee', 'firstName lastName email department');
-
-      res.status(201).json({
-        message: 'Expense created successfully',
-        expense: populatedExpense
+      res.json({
+        message: 'Attachment replaced successfully',
+        attachment,
+        receipt: expense.receipt,
+        attachments: expense.attachments
       });
     } catch (error) {
-      console.error('Create expense error:', error);
-      res.status(500).json({ message: 'Failed to create expense' });
+      console.error('Replace attachment error:', error);
+      res.status(500).json({ message: 'Failed to replace attachment' });
     }
   }
 );
 
-// Upload receipt with OCR
-router.post('/:expenseId/receipt',
+// Delete an attachment; the next receipt or invoice becomes primary if the primary one is removed
+router.delete('/:expenseId/attachments/:attachmentId', authenticateToken, requireRole('employee'), async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req);
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (expense.status !== 'draft') {
+      return res.status(400).json({ message: 'Only attachments of draft expenses can be deleted' });
+    }
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const before = auditService.snapshot(expense);
+    const removed = attachment.toObject();
+
+    expense.attachments.pull(attachment._id);
+    attachmentService.syncPrimaryReceipt(expense);
+
+    await refreshReceiptChecks(expense);
+    await expense.save();
+    await attachmentService.removeFile(removed);
+    await auditService.recordEvent(expense, req.user, 'updated', {
+      before,
+      metadata: { attachmentRemoved: removed._id, originalName: removed.originalName }
+    });
+
+    res.json({
+      message: 'Attachment deleted successfully',
+      receipt: expense.receipt,
+      attachments: expense.attachments
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Failed to delete attachment' });
+  }
+});
+
+// Split a draft into itemized expenses by the line items read from its receipt
+router.post('/:expenseId/split',
   authenticateToken,
   requireRole('employee'),
-  upload.single('receipt'),
+  [
+    body('splits').isArray({ min: 2, max: 20 }),
+    body('splits.*.category').custom(isCategory),
+    body('splits.*.description').optional().trim().isLength({ min: 1, max: 500 }),
+    body('splits.*.lineItems').optional().isArray(),
+    body('splits.*.lineItems.*').isInt({ min: 0 }).toInt(),
+    body('splits.*.amount').optional().isFloat({ min: 0 }).toFloat()
+  ],
   async (req, res) => {
     try {
-      const { expenseId } = req.params;
-      
-      if (!req.file) {
-        return res.status(400).json({ message: 'No file uploaded' });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      const expense = await Expense.findOne({ 
-        _id: expenseId, 
-        employee: req.user._id,
-        company: req.user.company._id 
-      });
-
+      const expense = await findOwnExpense(req);
       if (!expense) {
         return res.status(404).json({ message: 'Expense not found' });
       }
 
-      // Upload to Cloudinary
-      const result = await cloudinary.uploader.upload(
-        `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
-        {
-          folder: 'expense-receipts',
-          resource_type: 'image'
-        }
-      );
-
-      // Process receipt with OCR
-      const ocrResult = await ocrService.processReceipt(req.file.buffer, req.file.mimetype);
-      
-      if (ocrResult.success) {
-        const ocrData = ocrResult.data;
-        
-        // Update expense with OCR data if amounts match
-        if (ocrData.extractedAmount && Math.abs(ocrData.extractedAmount - expense.amount) < 0.01) {
-          console.log('OCR extracted amount matches expense amount');
-        }
-        
-        expense.receipt.ocrData = ocrData;
-      } else {
-        console.error('OCR processing failed:', ocrResult.error);
-        // Still save receipt without OCR data
-        expense.receipt.ocrData = {
-          extractedText: 'OCR processing failed',
-          confidence: 0,
-          extractedAmount: null,
-          extractedDate: null,
-          extractedMerchant: null
-        };
+      const result = await itemizationService.split(expense, req.body.splits, req.user);
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
       }
 
-      expense.receipt = {
-        url: result.secure_url,
-        filename: result.public_id,
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        size: req.file.size,
-        ocrData
-      };
+      const expenses = await Expense.find({ _id: { $in: result.expenses.map(e => e._id) } })
+        .populate('employee', 'firstName lastName email department')
+        .sort({ createdAt: 1 });
 
-      await expense.save();
-
-      res.json({
-        message: 'Receipt uploaded successfully',
-        receipt: expense.receipt
+      res.status(201).json({
+        message: `Expense split into ${expenses.length} expenses`,
+        expenses
       });
     } catch (error) {
-      console.error('Upload receipt error:', error);
-      res.status(500).json({ message: 'Failed to upload receipt' });
+      console.error('Split expense error:', error);
+      res.status(500).json({ message: 'Failed to split expense' });
     }
   }
 );
@@ -269,14 +818,15 @@ router.put('/:expenseId',
   requireRole('employee'),
   [
     body('amount').optional().isNumeric().isFloat({ min: 0 }),
-    body('category').optional().isIn([
-      'travel', 'meals', 'accommodation', 'transport', 
-      'office_supplies', 'entertainment', 'training', 
-      'communication', 'other'
-    ]),
+    body('category').optional().custom(isCategory),
     body('description').optional().trim().isLength({ min: 1, max: 500 }),
     body('date').optional().isISO8601(),
-    body('tags').optional().isArray()
+    body('country').optional().trim().isLength({ max: 100 }),
+    body('nights').optional().isInt({ min: 1 }),
+    body('costCenter').optional().trim().isLength({ max: 50 }),
+    body('tags').optional().isArray(),
+    body('customFields').optional().isObject(),
+    ...allowanceFieldValidators
   ],
   async (req, res) => {
     try {
@@ -300,15 +850,54 @@ router.put('/:expenseId',
         return res.status(400).json({ message: 'Only draft expenses can be updated' });
       }
 
-      const { amount, category, description, date, tags } = req.body;
+      const before = auditService.snapshot(expense);
+      const { amount, category, description, date, tags, country, nights, costCenter, mileage, perDiem } = req.body;
 
-      if (amount !== undefined) expense.amount = amount;
       if (category) expense.category = category;
+
+      // Checked on every update so a category change asks for the new category's fields
+      const customFields = await customFieldService.validate(
+        req.user.company._id,
+        expense.category,
+        req.body.customFields,
+        Object.fromEntries(expense.customFields || [])
+      );
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
+      expense.customFields = customFields.values;
+
       if (description) expense.description = description;
       if (date) expense.date = new Date(date);
+      if (country !== undefined) expense.country = country;
+      if (nights !== undefined) expense.nights = nights;
+      if (costCenter !== undefined) expense.costCenter = costCenter;
       if (tags) expense.tags = tags;
 
+      if (ALLOWANCE_KINDS.includes(expense.kind)) {
+        // Recompute from the stored inputs merged with any changes
+        const current = expense.toObject();
+        const allowance = await computeAllowance(req.user.company._id, expense.kind, {
+          mileage: { ...current.mileage, ...mileage },
+          perDiem: { ...current.perDiem, ...perDiem },
+          date: expense.date
+        });
+        if (!allowance.success) {
+          return res.status(400).json({ message: allowance.error });
+        }
+
+        expense.amount = allowance.amount;
+        expense.currency = allowance.currency;
+        if (allowance.mileage) expense.mileage = allowance.mileage;
+        if (allowance.perDiem) expense.perDiem = allowance.perDiem;
+      } else if (amount !== undefined) {
+        expense.amount = amount;
+      }
+
+      await policyService.applyPolicy(expense, 'create');
+      await duplicateService.checkExpense(expense);
       await expense.save();
+      await auditService.recordEvent(expense, req.user, 'updated', { before });
 
       const updatedExpense = await Expense.findById(expense._id)
         .populate('employee', 'firstName lastName email department');
@@ -344,7 +933,25 @@ router.post('/:expenseId/submit', authenticateToken, requireRole('employee'), as
       return res.status(400).json({ message: 'Expense already submitted' });
     }
 
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense belongs to an expense report; submit the report instead' });
+    }
+
     console.log('🔍 Submitting expense with workflow:', workflowId);
+    const before = auditService.snapshot(expense);
+
+    const policyResult = await policyService.applyPolicy(expense, 'submit');
+    if (policyResult.blocked) {
+      await expense.save();
+      return res.status(400).json({
+        message: 'Expense violates company policy and cannot be submitted',
+        violations: policyResult.violations
+      });
+    }
+
+    await duplicateService.checkExpense(expense);
+    await normalizationService.normalize(expense, req.user.company);
+    await budgetService.applyBudgetCheck(expense);
 
     // Set up approval chain using selected workflow or auto-select
     const approvalChain = await approvalWorkflowService.setupApprovalChain(expense, workflowId);
@@ -354,6 +961,11 @@ router.post('/:expenseId/submit', authenticateToken, requireRole('employee'), as
     expense.status = 'submitted';
     expense.submittedAt = new Date();
     await expense.save();
+    await auditService.recordEvent(expense, req.user, 'submitted', {
+      before,
+      metadata: { workflowId: workflowId || null }
+    });
+    await budgetService.checkThresholds(expense);
 
     // Send email notification to approvers
     if (approvalChain && approvalChain.length > 0) {
@@ -363,7 +975,10 @@ router.post('/:expenseId/submit', authenticateToken, requireRole('employee'), as
         const manager = employee.manager ? await User.findById(employee.manager) : null;
         
         const approvers = approvalChain.map(app => app.approver).filter(app => app);
-        const allApprovers = manager ? [manager, ...approvers] : approvers;
+        const allApprovers = await delegationService.addDelegates(
+          manager ? [manager, ...approvers] : approvers,
+          expense
+        );
         
         if (allApprovers.length > 0) {
           await emailService.sendExpenseSubmittedEmail(expense, expense.employee, allApprovers);
@@ -403,7 +1018,17 @@ router.delete('/:expenseId', authenticateToken, requireRole('employee'), async (
       return res.status(400).json({ message: 'Only draft expenses can be deleted' });
     }
 
+    if (expense.report) {
+      return res.status(400).json({ message: 'Remove this expense from its expense report before deleting it' });
+    }
+
+    await auditService.recordEvent(expense, req.user, 'deleted', {
+      before: auditService.snapshot(expense)
+    });
     await Expense.findByIdAndDelete(expenseId);
+    await attachmentService.removeExpenseFiles(expense);
+    await cardTransactionService.releaseExpense(expense);
+    await duplicateService.releaseMatches(expense);
 
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
@@ -454,13 +1079,15 @@ router.get('/team/expenses', authenticateToken, requireRole('manager'), async (r
       { $group: {
         _id: '$status',
         count: { $sum: 1 },
-        totalAmount: { $sum: '$amount' }
+        totalAmount: { $sum: normalizationService.amountExpr(req.user.company.currency.code) },
+        unconvertedCount: { $sum: normalizationService.unconvertedExpr(req.user.company.currency.code) }
       }}
     ]);
 
     res.json({
       expenses,
       teamStats,
+      currency: req.user.company.currency,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -496,7 +1123,9 @@ router.post('/ocr-process',
 
       console.log('🔧 Processing receipt with OCR...');
       // Process receipt with OCR
-      const ocrResult = await ocrService.processReceipt(req.file.buffer, req.file.mimetype);
+      const ocrResult = await ocrService.processReceipt(req.file.buffer, req.file.mimetype, {
+        company: req.user.company
+      });
       
       console.log('📊 OCR Result:', ocrResult);
       
@@ -509,9 +1138,14 @@ router.post('/ocr-process',
       }
 
       console.log('✅ OCR processing successful');
+      const merchant = await merchantService.resolve(req.user.company._id, ocrResult.data.extractedMerchant);
       res.json({
         success: true,
-        data: ocrResult.data
+        data: {
+          ...ocrResult.data,
+          merchant: merchant.name,
+          categorySuggestion: merchant.suggestion
+        }
       });
     } catch (error) {
       console.error('💥 OCR processing error:', error);
@@ -534,14 +1168,11 @@ router.post('/ocr-draft',
   [
     body('amount').isNumeric().isFloat({ min: 0 }),
     body('currency.code').isLength({ min: 3, max: 3 }),
-    body('category').optional().isIn([
-      'travel', 'meals', 'accommodation', 'transport', 
-      'office_supplies', 'entertainment', 'training', 
-      'communication', 'other'
-    ]),
+    body('category').optional().custom(isCategory),
     body('description').trim().isLength({ min: 1, max: 500 }),
     body('date').optional().isISO8601(),
-    body('ocrData').optional().isObject()
+    body('ocrData').optional().isObject(),
+    body('customFields').optional().isObject()
   ],
   async (req, res) => {
     try {
@@ -550,25 +1181,54 @@ router.post('/ocr-draft',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { amount, currency, category, description, date, merchant, tags, ocrData } = req.body;
+      const { amount, currency, category, description, date, tags, ocrData } = req.body;
+      const merchant = await merchantService.resolve(
+        req.user.company._id,
+        req.body.merchant || ocrData?.extractedMerchant
+      );
+      // A category deactivated since it was learned is not suggested any more
+      const suggestedCategory = merchant.suggestion &&
+        await categoryService.findCategory(req.user.company._id, merchant.suggestion.category);
+      const suggestion = suggestedCategory?.isActive ? merchant.suggestion : null;
+      const expenseCategory = category || suggestion?.category || 'other';
+
+      // Required fields are asked for when the draft is edited
+      const customFields = await customFieldService.validate(
+        req.user.company._id, expenseCategory, req.body.customFields, {}, { enforceRequired: false }
+      );
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
 
       const expense = new Expense({
         employee: req.user._id,
         company: req.user.company._id,
         amount,
         currency,
-        category: category || 'other',
+        category: expenseCategory,
         description,
         date: date ? new Date(date) : new Date(),
-        merchant: merchant || '',
+        merchant: merchant.name,
+        categorySuggestion: suggestion ? {
+          category: suggestion.category,
+          confidence: suggestion.confidence,
+          source: suggestion.source,
+          merchant: suggestion.merchant
+        } : undefined,
         tags: tags || [],
+        customFields: customFields.values,
         status: 'draft',
-        receipt: {
-          pendingOCRData: ocrData || null
-        }
+        // The image itself is attached later; keep what OCR read, including the engine used
+        receipt: ocrData ? { ocrData } : undefined
       });
 
+      await policyService.applyPolicy(expense, 'create');
+      await duplicateService.checkExpense(expense);
       await expense.save();
+      await auditService.recordEvent(expense, req.user, 'created', {
+        metadata: { source: 'ocr' }
+      });
+      await cardTransactionService.matchExpense(expense, req.user);
 
       const populatedExpense = await Expense.findById(expense._id)
         .populate('employee', 'firstName lastName email department');
@@ -584,125 +1244,76 @@ router.post('/ocr-draft',
   }
 );
 
-// Get dashboard data with role-based filtering
-router.get('/dashboard', authenticateToken, requireCompany, requireRole('manager', 'admin'), async (req, res) => {
-  try {
-    console.log('📊 Dashboard request from user:', req.user._id, 'role:', req.user.role);
-    const query = { company: req.user.company._id };
-
-    // Role-based filtering (only managers and admins can access dashboard)
-    if (req.user.role === 'manager') {
-      // Managers can see their team's expenses
-      const teamMembers = await User.find({ 
-        $or: [
-          { manager: req.user._id },
-          { _id: req.user._id }
-        ],
-        isActive: true
-      }).select('_id');
-      
-      query.employee = { $in: teamMembers.map(member => member._id) };
-    }
-    // Admins can see all expenses (no additional filtering needed)
-
-    console.log('📊 Query for expenses:', JSON.stringify(query));
-    
-    // Get recent expenses (last 5)
-    console.log('📊 Getting recent expenses...');
-    const recentExpenses = await Expense.find(query)
-      .populate('employee', 'firstName lastName email department')
-      .sort({ createdAt: -1 })
-      .limit(5);
-    
-    console.log('📊 Recent expenses found:', recentExpenses.length);
+// Create draft expenses from a CSV, XLSX or OFX/QFX card statement. `mapping` (JSON) or a saved
+// `templateId` says which columns hold what; with `dryRun` the rows are checked but nothing is created.
+router.post('/import',
+  authenticateToken,
+  requireRole('employee'),
+  statementUpload.single('file'),
+  [
+    body('templateId').optional().isMongoId(),
+    body('mapping').optional().isJSON(),
+    body('headerRow').optional().isInt({ min: 1, max: 100 }),
+    body('dateOrder').optional().isIn(['DMY', 'MDY', 'YMD']),
+    body('chargeSign').optional().isIn(['positive', 'negative']),
+    body('defaultCategory').optional().custom(isCategory),
+    body('defaultCurrency').optional().isLength({ min: 3, max: 3 }).isAlpha(),
+    body('reimbursable').optional().isBoolean(),
+    body('dryRun').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Get statistics
-    console.log('📊 Getting statistics...');
-    const stats = await Expense.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
-        }
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
       }
-    ]);
-    
-    console.log('📊 Stats aggregation result:', stats);
 
-    // Calculate total stats
-    let totalExpenses = 0;
-    let pendingExpenses = 0;
-    let approvedExpenses = 0;
-    let rejectedExpenses = 0;
-    let totalAmount = 0;
-    let pendingAmount = 0;
-    let approvedAmount = 0;
+      const { templateId, mapping, headerRow, dateOrder, chargeSign, defaultCategory, defaultCurrency, reimbursable, dryRun } = req.body;
+
+      const result = await expenseImportService.importExpenses(req.user, req.file, {
+        templateId,
+        mapping: mapping ? JSON.parse(mapping) : undefined,
+        headerRow: headerRow ? parseInt(headerRow) : undefined,
+        dateOrder,
+        chargeSign,
+        defaultCategory,
+        defaultCurrency: defaultCurrency?.toUpperCase(),
+        reimbursable: reimbursable === undefined ? undefined : String(reimbursable) === 'true',
+        dryRun: String(dryRun) === 'true'
+      });
 
-    stats.forEach(stat => {
-      totalExpenses += stat.count;
-      totalAmount += stat.totalAmount;
-      
-      if (stat._id === 'submitted') {
-        pendingExpenses = stat.count;
-        pendingAmount = stat.totalAmount;
-      } else if (stat._id === 'approved') {
-        approvedExpenses = stat.count;
-        approvedAmount = stat.totalAmount;
-      } else if (stat._id === 'rejected') {
-        rejectedExpenses = stat.count;
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          message: result.error,
+          fileType: result.fileType,
+          columns: result.columns,
+          mapping: result.mapping
+        });
       }
-    });
 
-    // Add approval statistics for managers and admins
-    let approvalStats = null;
-    if (req.user.role === 'manager' || req.user.role === 'admin') {
-      try {
-        console.log('📊 Getting approval stats for user:', req.user._id);
-        
-        // Simplified approval statistics - just return zeros for now
-        approvalStats = {
-          totalApprovals: 0,
-          approvedCount: 0,
-          pendingCount: 0,
-          rejectedCount: 0
-        };
-        
-        console.log('📊 Approval stats set:', approvalStats);
-      } catch (approvalError) {
-        console.error('Error getting approval stats:', approvalError);
-        // Don't fail the entire request if approval stats fail
-        approvalStats = {
-          totalApprovals: 0,
-          approvedCount: 0,
-          pendingCount: 0,
-          rejectedCount: 0
-        };
-      }
+      res.json({
+        message: result.dryRun
+          ? `Dry run: ${result.results.length} expenses would be created, ${result.errors.length} rows cannot be imported`
+          : `Import completed: ${result.results.length} successful, ${result.errors.length} failed`,
+        dryRun: result.dryRun,
+        fileType: result.fileType,
+        columns: result.columns,
+        mapping: result.mapping,
+        results: result.results,
+        errors: result.errors,
+        successCount: result.results.length,
+        errorCount: result.errors.length
+      });
+    } catch (error) {
+      console.error('Import expenses error:', error);
+      res.status(500).json({ message: 'Failed to import expenses' });
     }
-
-    const response = {
-      stats: {
-        totalExpenses,
-        pendingExpenses,
-        approvedExpenses,
-        rejectedExpenses,
-        totalAmount,
-        pendingAmount,
-        approvedAmount
-      },
-      recentExpenses,
-      approvalStats
-    };
-    
-    console.log('📊 Dashboard response:', JSON.stringify(response, null, 2));
-    res.json(response);
-  } catch (error) {
-    console.error('Get dashboard data error:', error);
-    res.status(500).json({ message: 'Failed to get dashboard data' });
   }
-});
+);
 
 // Get my expenses (Employee role)
 router.get('/my/expenses', authenticateToken, requireRole('employee'), async (req, res) => {
@@ -0,0 +1,39 @@
+const express = require('express');
+const path = require('path');
+const storageService = require('../services/storageService');
+
+const router = express.Router();
+
+// Serve a stored receipt or attachment. Images and <object> previews cannot send the
+// bearer token, so the expiring signature handed out with the expense is the authentication.
+router.get('/:storage/*', async (req, res) => {
+  try {
+    const filePath = req.baseUrl + req.path;
+    const file = storageService.parseUrl(filePath);
+
+    if (!file || !storageService.verifySignature(filePath, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ message: 'Invalid or expired file link' });
+    }
+
+    const buffer = await storageService.get(file.storage, file.key);
+
+    // The frontend runs on another origin and embeds PDFs, which the default helmet headers forbid
+    res.removeHeader('X-Frame-Options');
+    res.set({
+      'Content-Security-Policy': `frame-ancestors 'self' ${process.env.FRONTEND_URL || 'http://localhost:5173'}`,
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Cache-Control': `private, max-age=${storageService.urlTtl}`,
+      'Content-Disposition': 'inline'
+    });
+    res.type(path.extname(file.key) || 'application/octet-stream');
+    res.send(buffer);
+  } catch (error) {
+    console.error('Get file error:', error);
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey' || error.response?.status === 404) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    res.status(500).json({ message: 'Failed to get file' });
+  }
+});
+
+module.exports = router;
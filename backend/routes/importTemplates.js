@@ -0,0 +1,122 @@
+const express = require('express');
+const { authenticateToken, requireCompany } = require('../middleware/auth');
+const ImportTemplate = require('../models/ImportTemplate');
+const categoryService = require('../services/categoryService');
+const expenseImportService = require('../services/expenseImportService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const isCategory = (value, { req }) => categoryService.assertCategory(req.user.company?._id, value);
+
+const templateValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().isLength({ min: 1, max: 100 }),
+  (optional ? body('mapping').optional() : body('mapping')).isObject(),
+  body('mapping.*').optional().isString().isLength({ max: 200 }),
+  body('headerRow').optional().isInt({ min: 1, max: 100 }),
+  body('dateOrder').optional({ values: 'null' }).isIn(['DMY', 'MDY', 'YMD']),
+  body('chargeSign').optional().isIn(['positive', 'negative']),
+  body('defaultCategory').optional({ values: 'falsy' }).custom(isCategory),
+  body('defaultCurrency').optional({ values: 'falsy' }).isLength({ min: 3, max: 3 }).isAlpha(),
+  body('reimbursable').optional().isBoolean()
+];
+
+const FIELDS = ['name', 'headerRow', 'dateOrder', 'chargeSign', 'defaultCategory', 'defaultCurrency', 'reimbursable'];
+
+const applyChanges = (template, data) => {
+  // Optional settings are cleared with an empty value
+  for (const name of FIELDS) {
+    if (data[name] !== undefined) template[name] = data[name] === '' || data[name] === null ? undefined : data[name];
+  }
+  if (data.mapping !== undefined) {
+    template.mapping = expenseImportService.cleanMapping(data.mapping);
+  }
+};
+
+// Templates are shared across the company, but only their creator or an admin may change them
+const canEdit = (req, template) => req.user.role === 'admin' || template.createdBy.equals(req.user._id);
+
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const templates = await ImportTemplate.find({ company: req.user.company._id })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ name: 1 });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get import templates error:', error);
+    res.status(500).json({ message: 'Failed to get import templates' });
+  }
+});
+
+router.post('/', authenticateToken, requireCompany, templateValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (await ImportTemplate.exists({ company: req.user.company._id, name: req.body.name })) {
+      return res.status(409).json({ message: `A template named "${req.body.name}" already exists` });
+    }
+
+    const template = new ImportTemplate({ company: req.user.company._id, createdBy: req.user._id });
+    applyChanges(template, req.body);
+    await template.save();
+
+    res.status(201).json({ message: 'Import template created successfully', template });
+  } catch (error) {
+    console.error('Create import template error:', error);
+    res.status(500).json({ message: 'Failed to create import template' });
+  }
+});
+
+router.put('/:templateId', authenticateToken, requireCompany, templateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await ImportTemplate.findOne({ _id: req.params.templateId, company: req.user.company._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Import template not found' });
+    }
+    if (!canEdit(req, template)) {
+      return res.status(403).json({ message: 'Only the creator of a template or an admin can change it' });
+    }
+    if (req.body.name && req.body.name !== template.name &&
+      await ImportTemplate.exists({ company: req.user.company._id, name: req.body.name })) {
+      return res.status(409).json({ message: `A template named "${req.body.name}" already exists` });
+    }
+
+    applyChanges(template, req.body);
+    await template.save();
+
+    res.json({ message: 'Import template updated successfully', template });
+  } catch (error) {
+    console.error('Update import template error:', error);
+    res.status(500).json({ message: 'Failed to update import template' });
+  }
+});
+
+router.delete('/:templateId', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const template = await ImportTemplate.findOne({ _id: req.params.templateId, company: req.user.company._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Import template not found' });
+    }
+    if (!canEdit(req, template)) {
+      return res.status(403).json({ message: 'Only the creator of a template or an admin can delete it' });
+    }
+
+    await template.deleteOne();
+
+    res.json({ message: 'Import template deleted successfully' });
+  } catch (error) {
+    console.error('Delete import template error:', error);
+    res.status(500).json({ message: 'Failed to delete import template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const Merchant = require('../models/Merchant');
+const merchantService = require('../services/merchantService');
+const categoryService = require('../services/categoryService');
+const { body, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Rules only suggest categories that can still be picked
+const isCategory = (value, { req }) => categoryService.assertCategory(req.user.company?._id, value);
+
+const merchantValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().isLength({ min: 1, max: 200 }),
+  body('aliases').optional().isArray({ max: 50 }),
+  body('aliases.*').isString().trim().isLength({ min: 1, max: 200 }),
+  body('category').optional({ nullable: true }).custom(isCategory),
+  body('isActive').optional().isBoolean()
+];
+
+// Normalized keys of the aliases, without the merchant's own key
+const normalizeAliases = (aliases, key) => [...new Set(
+  aliases.map(alias => merchantService.normalizeKey(alias)).filter(alias => alias && alias !== key)
+)];
+
+const withSuggestion = (merchant) => ({
+  ...merchant.toJSON(),
+  suggestion: merchantService.getSuggestion(merchant)
+});
+
+// Merchant directory with admin rules and learned categories
+router.get('/',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [query('search').optional().trim(), query('source').optional().isIn(['admin', 'learned'])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = { company: req.user.company._id };
+      if (req.query.source) filter.source = req.query.source;
+      if (req.query.search) {
+        const key = merchantService.normalizeKey(req.query.search);
+        filter.$or = [{ key: { $regex: `^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } }, { aliases: key }];
+      }
+
+      const merchants = await Merchant.find(filter)
+        .sort({ category: -1, expenseCount: -1, name: 1 })
+        .limit(500);
+
+      res.json({ merchants: merchants.map(withSuggestion) });
+    } catch (error) {
+      console.error('Get merchants error:', error);
+      res.status(500).json({ message: 'Failed to get merchants' });
+    }
+  }
+);
+
+// Normalized name and suggested category for a merchant string read from a receipt
+router.get('/suggest',
+  authenticateToken,
+  requireCompany,
+  [query('merchant').trim().isLength({ min: 1, max: 200 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const merchant = await merchantService.resolve(req.user.company._id, req.query.merchant);
+      res.json({ merchant: merchant.name, suggestion: merchant.suggestion });
+    } catch (error) {
+      console.error('Suggest merchant category error:', error);
+      res.status(500).json({ message: 'Failed to suggest category' });
+    }
+  }
+);
+
+router.post('/', authenticateToken, requireRole('admin'), requireCompany, merchantValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const key = merchantService.normalizeKey(req.body.name);
+    if (!key) {
+      return res.status(400).json({ message: 'Merchant name must contain letters or digits' });
+    }
+
+    // Admins can turn a learned merchant into a rule by adding it again
+    let merchant = await Merchant.findOne({ company: req.user.company._id, key });
+    if (merchant?.source === 'admin') {
+      return res.status(409).json({ message: 'A rule for this merchant already exists' });
+    }
+    if (!merchant) {
+      merchant = new Merchant({ company: req.user.company._id, key, createdBy: req.user._id });
+    }
+
+    merchant.name = req.body.name;
+    merchant.source = 'admin';
+    merchant.aliases = normalizeAliases(req.body.aliases || [], key);
+    merchant.category = req.body.category || undefined;
+    if (req.body.isActive !== undefined) merchant.isActive = req.body.isActive;
+
+    await merchant.save();
+
+    res.status(201).json({ message: 'Merchant rule created successfully', merchant: withSuggestion(merchant) });
+  } catch (error) {
+    console.error('Create merchant error:', error);
+    res.status(500).json({ message: 'Failed to create merchant rule' });
+  }
+});
+
+router.put('/:merchantId', authenticateToken, requireRole('admin'), requireCompany, merchantValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const merchant = await Merchant.findOne({ _id: req.params.merchantId, company: req.user.company._id });
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    // The key stays the same so learned history is kept; a new name only changes the display
+    if (req.body.name !== undefined) merchant.name = req.body.name;
+    if (req.body.aliases !== undefined) merchant.aliases = normalizeAliases(req.body.aliases, merchant.key);
+    if (req.body.category !== undefined) merchant.category = req.body.category || undefined;
+    if (req.body.isActive !== undefined) merchant.isActive = req.body.isActive;
+    // Curated entries survive a relearn
+    merchant.source = 'admin';
+
+    await merchant.save();
+
+    res.json({ message: 'Merchant updated successfully', merchant: withSuggestion(merchant) });
+  } catch (error) {
+    console.error('Update merchant error:', error);
+    res.status(500).json({ message: 'Failed to update merchant' });
+  }
+});
+
+// Existing expenses keep their merchant name and category
+router.delete('/:merchantId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const merchant = await Merchant.findOneAndDelete({ _id: req.params.merchantId, company: req.user.company._id });
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    res.json({ message: 'Merchant deleted successfully' });
+  } catch (error) {
+    console.error('Delete merchant error:', error);
+    res.status(500).json({ message: 'Failed to delete merchant' });
+  }
+});
+
+// Rebuild the learned categories from the company's approved expenses
+router.post('/relearn', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const result = await merchantService.relearn(req.user.company._id);
+    if (!result.success) {
+      return res.status(500).json({ message: 'Failed to relearn merchants', error: result.error });
+    }
+
+    res.json({
+      message: `Learned ${result.merchants} merchants from ${result.expenses} approved expenses`,
+      expenses: result.expenses,
+      merchants: result.merchants
+    });
+  } catch (error) {
+    console.error('Relearn merchants error:', error);
+    res.status(500).json({ message: 'Failed to relearn merchants' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const PaymentBatch = require('../models/PaymentBatch');
+const paymentService = require('../services/paymentService');
+const { body, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Preview the approved reimbursable expenses that the next payment run would pay
+router.get('/payable',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    query('approvedBefore').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { approvedBefore, employeeId } = req.query;
+      const preview = await paymentService.getPayableExpenses(req.user.company._id, {
+        approvedBefore,
+        employeeIds: employeeId ? [employeeId] : []
+      });
+
+      res.json(preview);
+    } catch (error) {
+      console.error('Get payable expenses error:', error);
+      res.status(500).json({ message: 'Failed to get payable expenses' });
+    }
+  }
+);
+
+// Get payment batches
+router.get('/', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const query = { company: req.user.company._id };
+
+    if (status) query.status = status;
+
+    const batches = await PaymentBatch.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('reversedBy', 'firstName lastName email')
+      .select('-payments.lines')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PaymentBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payment batches error:', error);
+    res.status(500).json({ message: 'Failed to get payment batches' });
+  }
+});
+
+// Get payment batch by ID
+router.get('/:batchId', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const batch = await PaymentBatch.findOne({
+      _id: req.params.batchId,
+      company: req.user.company._id
+    })
+    .populate('payments.employee', 'firstName lastName email department')
+    .populate('createdBy', 'firstName lastName email')
+    .populate('reversedBy', 'firstName lastName email');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payment batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Get payment batch error:', error);
+    res.status(500).json({ message: 'Failed to get payment batch' });
+  }
+});
+
+// Run a payment batch: pay approved reimbursable expenses and email remittances
+router.post('/',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    body('expenseIds').optional().isArray(),
+    body('expenseIds.*').optional().isMongoId(),
+    body('employeeIds').optional().isArray(),
+    body('employeeIds.*').optional().isMongoId(),
+    body('approvedBefore').optional().isISO8601(),
+    body('notes').optional().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { expenseIds, employeeIds, approvedBefore, notes } = req.body;
+
+      const result = await paymentService.createPaymentRun(
+        req.user.company._id,
+        req.user,
+        { expenseIds, employeeIds, approvedBefore },
+        notes
+      );
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error, skipped: result.skipped });
+      }
+
+      res.status(201).json({
+        message: `Payment run ${result.batch.reference} completed: ${result.batch.expenseCount} expenses paid`,
+        batch: result.batch,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      console.error('Create payment run error:', error);
+      res.status(500).json({ message: 'Failed to create payment run' });
+    }
+  }
+);
+
+// Reverse a payment batch: move its expenses back to approved
+router.post('/:batchId/reverse',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    body('reason').trim().isLength({ min: 1, max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await paymentService.reversePaymentBatch(
+        req.user.company._id,
+        req.params.batchId,
+        req.user,
+        req.body.reason
+      );
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ message: result.error });
+      }
+
+      res.json({
+        message: `Payment batch reversed: ${result.reversedCount} expenses returned to approved`,
+        batch: result.batch
+      });
+    } catch (error) {
+      console.error('Reverse payment batch error:', error);
+      res.status(500).json({ message: 'Failed to reverse payment batch' });
+    }
+  }
+);
+
+module.exports = router;
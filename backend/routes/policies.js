@@ -0,0 +1,117 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const Expense = require('../models/Expense');
+const policyService = require('../services/policyService');
+const categoryService = require('../services/categoryService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Rules may still refer to a category that is no longer used for new expenses
+const isCategory = (value, { req }) =>
+  categoryService.assertCategory(req.user.company?._id, value, { activeOnly: false });
+
+// Get the company expense policy
+router.get('/', authenticateToken, requireCompany, async (req, res) => {
+  try {
+    const policy = await policyService.getPolicy(req.user.company._id);
+    res.json(policy);
+  } catch (error) {
+    console.error('Get expense policy error:', error);
+    res.status(500).json({ message: 'Failed to get expense policy' });
+  }
+});
+
+// Update the company expense policy
+router.put('/',
+  authenticateToken,
+  requireRole('admin'),
+  requireCompany,
+  [
+    body('categoryLimits').optional().isArray(),
+    body('categoryLimits.*.category').custom(isCategory),
+    body('categoryLimits.*.period').optional().isIn(['per_expense', 'per_day', 'per_night']),
+    body('categoryLimits.*.amount').isFloat({ min: 0 }),
+    body('categoryLimits.*.country').optional().trim().isLength({ max: 100 }),
+    body('categoryLimits.*.severity').optional().isIn(['warning', 'block']),
+    body('receiptRequiredAbove').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('receiptSeverity').optional().isIn(['warning', 'block']),
+    body('dayRestrictions.weekends').optional().isBoolean(),
+    body('dayRestrictions.holidays').optional().isBoolean(),
+    body('dayRestrictions.categories').optional().isArray(),
+    body('dayRestrictions.categories.*').optional().custom(isCategory),
+    body('dayRestrictions.severity').optional().isIn(['warning', 'block']),
+    body('holidays').optional().isArray(),
+    body('holidays.*.date').isISO8601(),
+    body('holidays.*.name').optional().trim().isLength({ max: 100 }),
+    body('maxSubmissionAgeDays').optional({ nullable: true }).isInt({ min: 1 }),
+    body('submissionAgeSeverity').optional().isIn(['warning', 'block'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let policy = await ExpensePolicy.findOne({ company: req.user.company._id });
+      if (!policy) {
+        policy = new ExpensePolicy({ company: req.user.company._id });
+      }
+
+      const fields = [
+        'categoryLimits', 'receiptRequiredAbove', 'receiptSeverity', 'dayRestrictions',
+        'holidays', 'maxSubmissionAgeDays', 'submissionAgeSeverity'
+      ];
+
+      for (const field of fields) {
+        if (req.body[field] !== undefined) {
+          policy[field] = req.body[field];
+        }
+      }
+      policy.updatedBy = req.user._id;
+
+      await policy.save();
+
+      res.json({
+        message: 'Expense policy updated successfully',
+        policy
+      });
+    } catch (error) {
+      console.error('Update expense policy error:', error);
+      res.status(500).json({ message: 'Failed to update expense policy' });
+    }
+  }
+);
+
+// Re-check open drafts and submitted expenses against the current policy
+router.post('/reevaluate', authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+  try {
+    const expenses = await Expense.find({
+      company: req.user.company._id,
+      status: { $in: ['draft', 'submitted'] }
+    });
+
+    let flagged = 0;
+    for (const expense of expenses) {
+      const { violations } = await policyService.applyPolicy(
+        expense,
+        expense.status === 'draft' ? 'create' : 'submit'
+      );
+      await expense.save();
+      if (violations.length > 0) flagged++;
+    }
+
+    res.json({
+      message: `Re-evaluated ${expenses.length} expenses`,
+      evaluated: expenses.length,
+      flagged
+    });
+  } catch (error) {
+    console.error('Re-evaluate expense policy error:', error);
+    res.status(500).json({ message: 'Failed to re-evaluate expenses' });
+  }
+});
+
+module.exports = router;
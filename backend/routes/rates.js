@@ -0,0 +1,164 @@
+const express = require('express');
+const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
+const MileageRate = require('../models/MileageRate');
+const PerDiemRate = require('../models/PerDiemRate');
+const allowanceService = require('../services/allowanceService');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const mileageValidators = (optional) => [
+  (optional ? body('vehicleType').optional() : body('vehicleType'))
+    .isIn(['car', 'motorcycle', 'bicycle', 'electric_car', 'van']),
+  body('unit').optional().isIn(['km', 'mile']),
+  (optional ? body('rate').optional() : body('rate')).isFloat({ min: 0 }),
+  body('effectiveFrom').optional().isISO8601(),
+  body('effectiveTo').optional({ nullable: true }).isISO8601(),
+  body('isActive').optional().isBoolean()
+];
+
+const perDiemValidators = (optional) => [
+  body('country').optional().trim().isLength({ max: 100 }),
+  (optional ? body('dailyRate').optional() : body('dailyRate')).isFloat({ min: 0 }),
+  body('partialDayPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('effectiveFrom').optional().isISO8601(),
+  body('effectiveTo').optional({ nullable: true }).isISO8601(),
+  body('isActive').optional().isBoolean()
+];
+
+// Registers list/create/update/delete routes for one rate table
+const registerRateTable = (path, Model, validators, fields, label) => {
+  router.get(path, authenticateToken, requireCompany, async (req, res) => {
+    try {
+      const query = { company: req.user.company._id };
+      if (req.query.active === 'true') query.isActive = true;
+
+      const rates = await Model.find(query).sort({ effectiveFrom: -1 });
+      res.json({ rates });
+    } catch (error) {
+      console.error(`Get ${label} rates error:`, error);
+      res.status(500).json({ message: `Failed to get ${label} rates` });
+    }
+  });
+
+  router.post(path, authenticateToken, requireRole('admin'), requireCompany, validators(false), async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rate = new Model({ company: req.user.company._id, createdBy: req.user._id });
+      for (const field of fields) {
+        if (req.body[field] !== undefined) rate[field] = req.body[field];
+      }
+
+      await rate.save();
+
+      res.status(201).json({ message: `${label} rate created successfully`, rate });
+    } catch (error) {
+      console.error(`Create ${label} rate error:`, error);
+      res.status(500).json({ message: `Failed to create ${label} rate` });
+    }
+  });
+
+  router.put(`${path}/:rateId`, authenticateToken, requireRole('admin'), requireCompany, validators(true), async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rate = await Model.findOne({ _id: req.params.rateId, company: req.user.company._id });
+      if (!rate) {
+        return res.status(404).json({ message: `${label} rate not found` });
+      }
+
+      for (const field of fields) {
+        if (req.body[field] !== undefined) rate[field] = req.body[field];
+      }
+
+      await rate.save();
+
+      res.json({ message: `${label} rate updated successfully`, rate });
+    } catch (error) {
+      console.error(`Update ${label} rate error:`, error);
+      res.status(500).json({ message: `Failed to update ${label} rate` });
+    }
+  });
+
+  // Existing expenses keep a copy of the rate they were computed with
+  router.delete(`${path}/:rateId`, authenticateToken, requireRole('admin'), requireCompany, async (req, res) => {
+    try {
+      const rate = await Model.findOneAndDelete({ _id: req.params.rateId, company: req.user.company._id });
+      if (!rate) {
+        return res.status(404).json({ message: `${label} rate not found` });
+      }
+
+      res.json({ message: `${label} rate deleted successfully` });
+    } catch (error) {
+      console.error(`Delete ${label} rate error:`, error);
+      res.status(500).json({ message: `Failed to delete ${label} rate` });
+    }
+  });
+};
+
+registerRateTable(
+  '/mileage',
+  MileageRate,
+  mileageValidators,
+  ['vehicleType', 'unit', 'rate', 'effectiveFrom', 'effectiveTo', 'isActive'],
+  'Mileage'
+);
+
+registerRateTable(
+  '/per-diem',
+  PerDiemRate,
+  perDiemValidators,
+  ['country', 'dailyRate', 'partialDayPercent', 'effectiveFrom', 'effectiveTo', 'isActive'],
+  'Per diem'
+);
+
+// Preview the amount a mileage or per diem expense would get
+router.post('/calculate',
+  authenticateToken,
+  requireCompany,
+  [
+    body('kind').isIn(['mileage', 'per_diem']),
+    body('date').optional().isISO8601(),
+    body('mileage.distance').optional().isFloat({ gt: 0 }),
+    body('mileage.unit').optional().isIn(['km', 'mile']),
+    body('perDiem.days').optional().isInt({ min: 0, max: 365 }),
+    body('perDiem.partialDays').optional().isInt({ min: 0, max: 2 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { kind, date, mileage, perDiem } = req.body;
+      const result = await allowanceService.calculate(req.user.company._id, kind, {
+        mileage: mileage && { ...mileage, distance: parseFloat(mileage.distance), date },
+        perDiem: perDiem && {
+          ...perDiem,
+          days: parseInt(perDiem.days || 0),
+          partialDays: parseInt(perDiem.partialDays || 0),
+          date
+        }
+      });
+
+      if (!result.success) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Calculate allowance error:', error);
+      res.status(500).json({ message: 'Failed to calculate amount' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticateToken, requireRole, requireCompany } = require('../middleware/auth');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
+const approvalRoutingService = require('../services/approvalRoutingService');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -159,7 +160,8 @@ router.put('/:userId',
     body('role').optional().isIn(['employee', 'manager', 'admin']),
     body('department').optional().trim(),
     body('employeeId').optional().trim(),
-    body('manager').optional().isMongoId(),
+    // An empty manager clears it
+    body('manager').optional({ checkFalsy: true }).isMongoId(),
     body('isActive').optional().isBoolean()
   ],
   async (req, res) => {
@@ -180,6 +182,8 @@ router.put('/:userId',
       }
 
       const { email, firstName, lastName, role, department, employeeId, manager, isActive } = req.body;
+      const previousManager = user.manager;
+      const wasActive = user.isActive;
 
       // Check email uniqueness if changing
       if (email && email !== user.email) {
@@ -213,18 +217,35 @@ router.put('/:userId',
             return res.status(400).json({ message: 'Invalid manager' });
           }
         }
-        user.manager = manager;
+        user.manager = manager || null;
       }
 
       await user.save();
 
+      // Pending manager-approver steps follow the employee to their new manager; without an
+      // active one they are left unassigned and listed as stuck
+      let rerouted = [];
+      let unassigned = [];
+      if (manager !== undefined && (previousManager?.toString() || '') !== (manager || '')) {
+        const rerouteResult = await approvalRoutingService.rerouteManagerSteps(user, previousManager, req.user);
+        rerouted = rerouteResult.reassigned || [];
+        unassigned = rerouteResult.unassigned || [];
+      }
+
+      // Approvals still assigned to a deactivated user, or left without an approver, need an admin to reassign them
+      const pendingApprovals = unassigned.length + (wasActive && !user.isActive
+        ? await approvalRoutingService.countPendingApprovals(req.user.company._id, user._id)
+        : 0);
+
       const updatedUser = await User.findById(user._id)
         .populate('manager', 'firstName lastName email')
         .select('-googleId');
 
       res.json({
         message: 'User updated successfully',
-        user: updatedUser
+        user: updatedUser,
+        reroutedApprovals: rerouted.length,
+        pendingApprovals
       });
     } catch (error) {
       console.error('Update user error:', error);
@@ -256,7 +277,15 @@ router.delete('/:userId', authenticateToken, requireRole('admin'), requireCompan
     user.isActive = false;
     await user.save();
 
-    res.json({ message: 'User deactivated successfully' });
+    // Approvals still assigned to the user need an admin to reassign them
+    const pendingApprovals = await approvalRoutingService.countPendingApprovals(req.user.company._id, user._id);
+
+    res.json({
+      message: pendingApprovals > 0
+        ? `User deactivated successfully; ${pendingApprovals} pending approvals need to be reassigned`
+        : 'User deactivated successfully',
+      pendingApprovals
+    });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Failed to delete user' });
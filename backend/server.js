@@ -10,6 +10,9 @@ require('dotenv').config();
 // Import Passport configuration
 require('./config/passport');
 
+// Background jobs
+const escalationScheduler = require('./services/escalationScheduler');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -17,7 +20,9 @@ const PORT = process.env.PORT || 3000;
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Lets the browser read the file name of downloads
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
@@ -27,8 +32,13 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware; the card feed webhook is signed over the raw body
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/card-transactions/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Debug middleware for multipart requests
@@ -56,7 +66,10 @@ app.use(passport.session());
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense-management')
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  escalationScheduler.start();
+})
 .catch(err => {
   console.error('MongoDB connection error:', err);
   console.log('⚠️  MongoDB not available. Some features may not work.');
@@ -76,6 +89,20 @@ app.use('/api/currencies', require('./routes/currencies'));
 app.use('/api/email', require('./routes/email'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/approval-workflows', require('./routes/approvalWorkflows'));
+app.use('/api/payment-runs', require('./routes/paymentRuns'));
+app.use('/api/accounting-exports', require('./routes/accountingExports'));
+app.use('/api/expense-reports', require('./routes/expenseReports'));
+app.use('/api/policies', require('./routes/policies'));
+app.use('/api/rates', require('./routes/rates'));
+app.use('/api/escalations', require('./routes/escalations'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/custom-fields', require('./routes/customFields'));
+app.use('/api/merchants', require('./routes/merchants'));
+app.use('/api/import-templates', require('./routes/importTemplates'));
+app.use('/api/card-transactions', require('./routes/cardTransactions'));
+app.use('/api/files', require('./routes/files'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,435 @@
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const AccountingExport = require('../models/AccountingExport');
+const externalApiService = require('./externalApiService');
+const categoryService = require('./categoryService');
+const customFieldService = require('./customFieldService');
+const auditService = require('./auditService');
+const { toCsv } = require('../utils/csv');
+const { saveWithReference } = require('../utils/reference');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// IIF is tab separated; tabs and line breaks inside a value would break the row
+const iifCell = (value) => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+
+const isoDate = (date) => new Date(date).toISOString().split('T')[0];
+
+const usDate = (date) => {
+  const [year, month, day] = isoDate(date).split('-');
+  return `${month}/${day}/${year}`;
+};
+
+const money = (value) => value.toFixed(2);
+
+// Each format renders the journal entries of an export into a file
+const FORMATS = {
+  // QuickBooks Desktop general journal transactions; credits are negative
+  quickbooks_iif: {
+    extension: 'iif',
+    contentType: 'text/plain',
+    render: ({ entries }) => {
+      const rows = [
+        ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+        ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+        ['!ENDTRNS']
+      ];
+
+      for (const entry of entries) {
+        entry.lines.forEach((line, index) => {
+          rows.push([
+            index === 0 ? 'TRNS' : 'SPL',
+            '',
+            'GENERAL JOURNAL',
+            usDate(entry.date),
+            line.account,
+            line.name || '',
+            money(line.debit - line.credit),
+            entry.number,
+            line.description
+          ]);
+        });
+        rows.push(['ENDTRNS']);
+      }
+
+      return rows.map(row => row.map(iifCell).join('\t')).join('\r\n') + '\r\n';
+    }
+  },
+
+  // Xero manual journal import; lines with the same narration and date form one journal.
+  // Tax is already split into its own line, so no Xero tax rate applies.
+  xero_csv: {
+    extension: 'csv',
+    contentType: 'text/csv',
+    render: ({ entries }) => {
+      const rows = [['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount']];
+
+      for (const entry of entries) {
+        for (const line of entry.lines) {
+          rows.push([
+            `${entry.number} ${entry.memo}`,
+            isoDate(entry.date),
+            line.description,
+            line.account,
+            'Tax Exempt',
+            money(line.debit - line.credit)
+          ]);
+        }
+      }
+
+      return toCsv(rows);
+    }
+  },
+
+  // Generic double-entry CSV, one row per journal line, with the expense's custom fields
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv',
+    render: ({ entries, currency, customColumns }) => {
+      const rows = [[
+        'Entry', 'Date', 'Account', 'Description', 'Name', 'Debit', 'Credit', 'Currency',
+        'Expense ID', 'Category', 'Merchant', ...customColumns.map(column => column.header)
+      ]];
+
+      for (const entry of entries) {
+        for (const line of entry.lines) {
+          rows.push([
+            entry.number,
+            isoDate(entry.date),
+            line.account,
+            line.description,
+            line.name || '',
+            line.debit ? money(line.debit) : '',
+            line.credit ? money(line.credit) : '',
+            currency.code,
+            entry.expense._id,
+            entry.category,
+            entry.expense.merchant || '',
+            ...customColumns.map(column => column.value(entry.expense))
+          ]);
+        }
+      }
+
+      return toCsv(rows);
+    }
+  },
+
+  json: {
+    extension: 'json',
+    contentType: 'application/json',
+    render: ({ reference, entries, currency, customColumns }) => JSON.stringify({
+      reference,
+      currency: currency.code,
+      entries: entries.map(entry => ({
+        number: entry.number,
+        date: isoDate(entry.date),
+        memo: entry.memo,
+        expense: entry.expense._id,
+        employee: entry.employeeName,
+        category: entry.category,
+        merchant: entry.expense.merchant || null,
+        customFields: Object.fromEntries(customColumns
+          .map(column => [column.header, column.value(entry.expense)])
+          .filter(([, value]) => value !== '')),
+        lines: entry.lines.map(({ account, description, name, debit, credit }) => ({
+          account, description, name: name || null, debit, credit
+        }))
+      }))
+    }, null, 2)
+  }
+};
+
+class AccountingExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  // Approved or paid expenses that were not exported yet, by approval date or payment batch
+  buildExportableQuery(companyId, criteria = {}) {
+    const { from, to, paymentBatch } = criteria;
+
+    const query = {
+      company: companyId,
+      status: { $in: ['approved', 'paid'] },
+      accountingExport: { $exists: false }
+    };
+
+    if (paymentBatch) {
+      query.paymentBatch = paymentBatch;
+    }
+    if (from || to) {
+      query.approvedAt = {};
+      if (from) query.approvedAt.$gte = new Date(from);
+      if (to) query.approvedAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  // Tax on the receipt, prorated to the approved amount, or the category's default tax rate.
+  // Itemized expenses share a receipt, so only the default rate applies to them.
+  getTaxAmount(expense, categorySettings, gross) {
+    if (expense.kind !== 'standard') {
+      return 0;
+    }
+
+    const ocrData = expense.receipt?.ocrData;
+    const receiptTotal = ocrData?.total || ocrData?.extractedAmount;
+    if (!expense.itemization?.lineItems?.length && ocrData?.tax > 0 && receiptTotal > ocrData.tax) {
+      return round(gross * ocrData.tax / receiptTotal);
+    }
+
+    const rate = categorySettings.defaultTaxRate;
+    return rate > 0 ? round(gross * rate / (100 + rate)) : 0;
+  }
+
+  // Converts the approved amount to the company currency, preferring the rate captured at submission
+  async toCompanyCurrency(expense, company) {
+    const approvedAmount = expense.totalApprovedAmount || expense.amount;
+
+    if (expense.normalized?.currency === company.currency.code && expense.normalized.rate) {
+      return round(approvedAmount * expense.normalized.rate);
+    }
+
+    const conversion = await externalApiService.convertCurrency(
+      approvedAmount,
+      expense.currency.code,
+      company.currency.code
+    );
+    return round(conversion.convertedAmount);
+  }
+
+  // Debits the category's GL account and the tax account; credits the employee payable, or the
+  // clearing account for expenses the company paid directly
+  buildEntry(expense, gross, categorySettings, accounts, number) {
+    const employeeName = `${expense.employee.firstName} ${expense.employee.lastName}`;
+    const memo = `${employeeName}: ${expense.description}`;
+    const tax = this.getTaxAmount(expense, categorySettings, gross);
+
+    const lines = [{
+      account: categorySettings.glAccount || accounts.expenseAccount,
+      description: `${categorySettings.label}: ${expense.description}`,
+      name: employeeName,
+      debit: round(gross - tax),
+      credit: 0
+    }];
+
+    if (tax > 0) {
+      lines.push({
+        account: accounts.taxAccount,
+        description: `Tax: ${expense.description}`,
+        name: employeeName,
+        debit: tax,
+        credit: 0
+      });
+    }
+
+    lines.push({
+      account: expense.isReimbursable ? accounts.payableAccount : accounts.clearingAccount,
+      description: memo,
+      name: employeeName,
+      debit: 0,
+      credit: gross
+    });
+
+    return {
+      number,
+      date: expense.approvedAt || expense.date,
+      memo,
+      expense,
+      employeeName,
+      category: categorySettings.label,
+      tax,
+      lines
+    };
+  }
+
+  async buildEntries(company, expenses, reference) {
+    const accounts = company.settings?.accounting || {};
+    const settingsByCategory = new Map();
+    const entries = [];
+    const skipped = [];
+
+    for (const expense of expenses) {
+      try {
+        if (!settingsByCategory.has(expense.category)) {
+          settingsByCategory.set(expense.category, await categoryService.getSettings(company._id, expense.category));
+        }
+
+        const gross = await this.toCompanyCurrency(expense, company);
+        const number = `${reference}-${String(entries.length + 1).padStart(4, '0')}`;
+        entries.push(this.buildEntry(expense, gross, settingsByCategory.get(expense.category), accounts, number));
+      } catch (error) {
+        skipped.push({ expense: expense._id, error: error.message });
+      }
+    }
+
+    return { entries, skipped };
+  }
+
+  // What an export with these criteria would contain, without claiming the expenses
+  async preview(companyId, criteria = {}) {
+    const company = await Company.findById(companyId);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const expenses = await Expense.find(this.buildExportableQuery(companyId, criteria))
+      .populate('employee', 'firstName lastName email')
+      .sort({ approvedAt: 1 });
+    const { entries, skipped } = await this.buildEntries(company, expenses, 'PREVIEW');
+
+    return {
+      currency: company.currency,
+      expenseCount: entries.length,
+      totalAmount: round(entries.reduce((sum, entry) => sum + entry.lines[entry.lines.length - 1].credit, 0)),
+      taxAmount: round(entries.reduce((sum, entry) => sum + entry.tax, 0)),
+      entries: entries.map(({ expense, ...entry }) => ({ ...entry, expense: expense._id })),
+      skipped
+    };
+  }
+
+  async createExport(companyId, admin, format, criteria = {}) {
+    let accountingExport;
+
+    try {
+      if (!FORMATS[format]) {
+        return { success: false, error: `Unknown export format "${format}"` };
+      }
+
+      const company = await Company.findById(companyId);
+      if (!company) {
+        return { success: false, error: 'Company not found' };
+      }
+
+      accountingExport = new AccountingExport({
+        company: companyId,
+        format,
+        criteria,
+        currency: company.currency,
+        createdBy: admin._id
+      });
+      // Numbers come from a counter, so one freed by a deleted export is not issued again
+      await saveWithReference(accountingExport, 'GL');
+
+      // Claim the expenses first so a concurrent export cannot include them as well
+      const exportedAt = new Date();
+      await Expense.updateMany(
+        this.buildExportableQuery(companyId, criteria),
+        { $set: { accountingExport: accountingExport._id, exportedAt } }
+      );
+
+      const claimed = await Expense.find({ company: companyId, accountingExport: accountingExport._id })
+        .populate('employee', 'firstName lastName email')
+        .sort({ approvedAt: 1 });
+      const { entries, skipped } = await this.buildEntries(company, claimed, accountingExport.reference);
+
+      // Expenses that could not be converted are released for a later export
+      if (skipped.length > 0) {
+        await Expense.updateMany(
+          { _id: { $in: skipped.map(item => item.expense) }, accountingExport: accountingExport._id },
+          { $unset: { accountingExport: 1, exportedAt: 1 } }
+        );
+      }
+
+      if (entries.length === 0) {
+        await accountingExport.deleteOne();
+        return { success: false, error: 'No approved or paid expenses left to export', skipped };
+      }
+
+      const customColumns = await customFieldService.getExportColumns(companyId, entries.map(entry => entry.expense));
+      const rendered = FORMATS[format];
+
+      accountingExport.expenses = entries.map(entry => entry.expense._id);
+      accountingExport.expenseCount = entries.length;
+      accountingExport.totalAmount = round(entries.reduce((sum, entry) => sum + entry.lines[entry.lines.length - 1].credit, 0));
+      accountingExport.taxAmount = round(entries.reduce((sum, entry) => sum + entry.tax, 0));
+      accountingExport.skipped = skipped;
+      accountingExport.filename = `${accountingExport.reference}.${rendered.extension}`;
+      accountingExport.content = rendered.render({
+        reference: accountingExport.reference,
+        entries,
+        currency: company.currency,
+        customColumns
+      });
+      await accountingExport.save();
+
+      for (const entry of entries) {
+        // The expenses were claimed in bulk; the event only records the export being set
+        await auditService.recordEvent(entry.expense, admin, 'exported', {
+          before: { ...auditService.snapshot(entry.expense), accountingExport: undefined },
+          metadata: { accountingExport: accountingExport._id, reference: accountingExport.reference, format }
+        });
+      }
+
+      return { success: true, export: accountingExport, skipped };
+    } catch (error) {
+      console.error('Create accounting export error:', error);
+      // Release anything claimed by the failed export
+      if (accountingExport) {
+        await Expense.updateMany(
+          { company: companyId, accountingExport: accountingExport._id },
+          { $unset: { accountingExport: 1, exportedAt: 1 } }
+        ).catch(() => {});
+        await accountingExport.deleteOne().catch(() => {});
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getFile(companyId, exportId) {
+    const accountingExport = await AccountingExport.findOne({ _id: exportId, company: companyId }).select('+content');
+    if (!accountingExport) {
+      return null;
+    }
+
+    return {
+      filename: accountingExport.filename,
+      contentType: FORMATS[accountingExport.format].contentType,
+      content: accountingExport.content
+    };
+  }
+
+  // Releases the expenses of an export, e.g. when the file was never imported, so they can be exported again
+  async voidExport(companyId, exportId, admin, reason) {
+    try {
+      const accountingExport = await AccountingExport.findOne({ _id: exportId, company: companyId });
+
+      if (!accountingExport) {
+        return { success: false, error: 'Accounting export not found', notFound: true };
+      }
+
+      if (accountingExport.status === 'voided') {
+        return { success: false, error: 'Accounting export already voided' };
+      }
+
+      const expenses = await Expense.find({ company: companyId, accountingExport: accountingExport._id });
+
+      for (const expense of expenses) {
+        const before = auditService.snapshot(expense);
+        expense.accountingExport = undefined;
+        expense.exportedAt = undefined;
+        await expense.save();
+
+        await auditService.recordEvent(expense, admin, 'export_voided', {
+          before,
+          comments: reason,
+          metadata: { accountingExport: accountingExport._id, reference: accountingExport.reference }
+        });
+      }
+
+      accountingExport.status = 'voided';
+      accountingExport.voidedBy = admin._id;
+      accountingExport.voidedAt = new Date();
+      accountingExport.voidReason = reason;
+      await accountingExport.save();
+
+      return { success: true, export: accountingExport, releasedCount: expenses.length };
+    } catch (error) {
+      console.error('Void accounting export error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new AccountingExportService();
@@ -0,0 +1,117 @@
+const Company = require('../models/Company');
+const MileageRate = require('../models/MileageRate');
+const PerDiemRate = require('../models/PerDiemRate');
+
+const KM_PER_MILE = 1.609344;
+
+class AllowanceService {
+  // Latest active rate that is in effect on the given date
+  async findEffectiveRate(Model, query, date = new Date()) {
+    return await Model.findOne({
+      ...query,
+      isActive: true,
+      effectiveFrom: { $lte: date },
+      $or: [
+        { effectiveTo: { $exists: false } },
+        { effectiveTo: null },
+        { effectiveTo: { $gte: date } }
+      ]
+    }).sort({ effectiveFrom: -1 });
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  async calculateMileage(companyId, { distance, unit = 'km', vehicleType = 'car', startLocation, endLocation, date }) {
+    const rate = await this.findEffectiveRate(
+      MileageRate,
+      { company: companyId, vehicleType },
+      date ? new Date(date) : new Date()
+    );
+
+    if (!rate) {
+      return { success: false, error: `No mileage rate configured for ${vehicleType}` };
+    }
+
+    let billableDistance = distance;
+    if (unit !== rate.unit) {
+      billableDistance = unit === 'mile' ? distance * KM_PER_MILE : distance / KM_PER_MILE;
+    }
+
+    return {
+      success: true,
+      amount: this.round(billableDistance * rate.rate),
+      mileage: {
+        distance,
+        unit,
+        vehicleType,
+        startLocation,
+        endLocation,
+        rate: rate.rate,
+        rateUnit: rate.unit,
+        rateId: rate._id
+      }
+    };
+  }
+
+  // Full days are paid at the daily rate, departure/return days at the partial-day share
+  async calculatePerDiem(companyId, { country, days = 0, partialDays = 0, date }) {
+    if (days + partialDays <= 0) {
+      return { success: false, error: 'Per diem needs at least one full or partial day' };
+    }
+
+    const effectiveDate = date ? new Date(date) : new Date();
+    const escaped = (country || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const rate = await this.findEffectiveRate(
+      PerDiemRate,
+      { company: companyId, country: { $regex: `^${escaped}$`, $options: 'i' } },
+      effectiveDate
+    ) || await this.findEffectiveRate(PerDiemRate, { company: companyId, country: '' }, effectiveDate);
+
+    if (!rate) {
+      return { success: false, error: `No per diem rate configured for ${country}` };
+    }
+
+    const partialRate = rate.dailyRate * rate.partialDayPercent / 100;
+
+    return {
+      success: true,
+      amount: this.round(rate.dailyRate * days + partialRate * partialDays),
+      perDiem: {
+        country,
+        days,
+        partialDays,
+        dailyRate: rate.dailyRate,
+        partialDayPercent: rate.partialDayPercent,
+        rateId: rate._id
+      }
+    };
+  }
+
+  // Computes the amount for mileage and per diem expenses in the company currency
+  async calculate(companyId, kind, input) {
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { success: false, error: 'Company not found' };
+    }
+
+    let result;
+    if (kind === 'mileage') {
+      result = await this.calculateMileage(companyId, input.mileage || {});
+    } else if (kind === 'per_diem') {
+      result = await this.calculatePerDiem(companyId, input.perDiem || {});
+    } else {
+      return { success: false, error: `Unsupported expense kind: ${kind}` };
+    }
+
+    if (result.success) {
+      result.currency = company.currency;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AllowanceService();
@@ -0,0 +1,390 @@
+const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const delegationService = require('./delegationService');
+const approvalWorkflowService = require('./approvalWorkflowService');
+const { getCurrentLevel } = require('../utils/approvalChain');
+
+// Both expenses and expense reports carry an approval chain
+const DOCUMENTS = {
+  expense: { model: Expense, label: 'Expense' },
+  report: { model: ExpenseReport, label: 'Expense report' }
+};
+
+const APPROVER_ROLES = ['manager', 'admin'];
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+class ApprovalRoutingService {
+  // Users of the company by id, for checking many chains with one query
+  async loadUsers(companyId, ids) {
+    const unique = [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+    const users = await User.find({ _id: { $in: unique }, company: companyId })
+      .select('firstName lastName email role isActive');
+
+    return new Map(users.map(user => [user._id.toString(), user]));
+  }
+
+  // Why nobody can act on a pending step, or null when its approver can
+  getStepProblem(step, users) {
+    if (!step.approver) {
+      return 'no_approver';
+    }
+
+    const approver = users.get(step.approver.toString());
+    if (!approver) {
+      return 'missing_approver';
+    }
+    if (!approver.isActive) {
+      return 'inactive_approver';
+    }
+    if (!APPROVER_ROLES.includes(approver.role)) {
+      return 'not_approver';
+    }
+
+    return null;
+  }
+
+  // Steps of the current level nobody can act on; later levels are not reached until these are done
+  getStuckSteps(doc, users) {
+    const level = getCurrentLevel(doc.approvalChain);
+
+    return doc.approvalChain
+      .filter(step => step.status === 'pending' && step.level === level)
+      .map(step => ({ step, reason: this.getStepProblem(step, users) }))
+      .filter(({ reason }) => reason);
+  }
+
+  // The new approver must be able to open the approvals queue and must not approve their own spending
+  async findTarget(companyId, userId, doc = null) {
+    const target = await User.findOne({
+      _id: userId,
+      company: companyId,
+      isActive: true,
+      role: { $in: APPROVER_ROLES }
+    });
+
+    if (!target) {
+      return { success: false, error: 'The new approver must be an active manager or admin of the company' };
+    }
+    if (doc && sameId(doc.employee, target)) {
+      return { success: false, error: 'Employees cannot approve their own expenses' };
+    }
+
+    return { success: true, target };
+  }
+
+  // Hands the given pending steps to target. Each step is kept as 'reassigned' for the record and
+  // a pending step for target takes its place at the same level, unless target already has one there.
+  // A null target leaves the new step without an approver, so it shows up as stuck.
+  async reassignSteps(doc, type, steps, target, actor, { comments, managerStep = false } = {}) {
+    const now = new Date();
+    const before = type === 'expense' ? auditService.snapshot(doc) : null;
+    const note = comments || (target ? `Reassigned to ${target.firstName} ${target.lastName}` : 'Unassigned');
+    const moved = [];
+
+    for (const step of steps) {
+      step.status = 'reassigned';
+      step.actionDate = now;
+      step.comments = note;
+
+      const alreadyPending = doc.approvalChain.some(other =>
+        other.status === 'pending' && other.level === step.level &&
+        (target ? sameId(other.approver, target) : !other.approver)
+      );
+      if (!alreadyPending) {
+        doc.approvalChain.push({
+          approver: target ? target._id : null,
+          level: step.level,
+          status: 'pending',
+          stepName: step.stepName,
+          isRequired: step.isRequired,
+          isManagerApprover: managerStep && step.isManagerApprover,
+          reassignedFrom: step.approver || undefined,
+          rule: step.rule,
+          createdAt: now
+        });
+      }
+
+      moved.push({ level: step.level, fromApprover: step.approver || null });
+    }
+
+    await doc.save();
+
+    if (type === 'expense') {
+      await auditService.recordEvent(doc, actor, 'reassigned', {
+        before,
+        comments: note,
+        metadata: {
+          levels: [...new Set(moved.map(step => step.level))],
+          fromApprovers: moved.map(step => step.fromApprover).filter(Boolean),
+          toApprover: target ? target._id : null
+        }
+      });
+    }
+
+    // Later levels are notified as the chain reaches them
+    if (target && moved.some(step => step.level === getCurrentLevel(doc.approvalChain))) {
+      try {
+        if (type === 'expense') {
+          const populatedExpense = await Expense.findById(doc._id)
+            .populate('employee', 'firstName lastName email');
+          const recipients = await delegationService.addDelegates([target], doc);
+          await emailService.sendExpenseSubmittedEmail(populatedExpense, populatedExpense.employee, recipients);
+        } else {
+          const employee = await User.findById(doc.employee);
+          await emailService.sendExpenseReportSubmittedEmail(doc, employee, [target]);
+        }
+      } catch (emailError) {
+        // The chain has already been updated; a failed notification must not undo it
+        console.error('Reassignment notification error:', emailError);
+      }
+    }
+
+    return { type, id: doc._id, steps: moved, toApprover: target ? target._id : null };
+  }
+
+  // Reassigns the steps of one expense or report: those of fromApproverId, the listed stepIds,
+  // or by default the steps of the current level nobody can act on
+  async reassignDocument(type, companyId, id, toUserId, actor, { fromApproverId, stepIds, comments } = {}) {
+    try {
+      const { model, label } = DOCUMENTS[type];
+      const doc = await model.findOne({ _id: id, company: companyId });
+      if (!doc) {
+        return { success: false, notFound: true, error: `${label} not found` };
+      }
+      if (doc.status !== 'submitted') {
+        return { success: false, error: 'Only submitted items awaiting approval can be reassigned' };
+      }
+
+      const targetResult = await this.findTarget(companyId, toUserId, doc);
+      if (!targetResult.success) {
+        return targetResult;
+      }
+
+      let steps;
+      if (fromApproverId) {
+        steps = doc.approvalChain.filter(step => step.status === 'pending' && sameId(step.approver, fromApproverId));
+      } else if (stepIds?.length) {
+        steps = doc.approvalChain.filter(step => step.status === 'pending' && stepIds.includes(step._id.toString()));
+      } else {
+        const users = await this.loadUsers(companyId, doc.approvalChain.map(step => step.approver));
+        steps = this.getStuckSteps(doc, users).map(({ step }) => step);
+      }
+
+      if (steps.length === 0) {
+        return {
+          success: false,
+          error: fromApproverId || stepIds?.length
+            ? 'No matching pending approval steps'
+            : 'No stuck approval steps at the current level; choose the approver or steps to reassign'
+        };
+      }
+
+      const result = await this.reassignSteps(doc, type, steps, targetResult.target, actor, { comments });
+      return { success: true, ...result, document: doc };
+    } catch (error) {
+      console.error('Reassign approval error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Moves every pending step of fromUserId, on expenses and reports alike, to toUserId.
+  // Items submitted by toUserId are left for the admin to route by hand.
+  async reassignApprover(companyId, fromUserId, toUserId, actor, comments) {
+    try {
+      if (sameId(fromUserId, toUserId)) {
+        return { success: false, error: 'Choose a different approver' };
+      }
+
+      const from = await User.findOne({ _id: fromUserId, company: companyId });
+      if (!from) {
+        return { success: false, notFound: true, error: 'Approver not found' };
+      }
+
+      const targetResult = await this.findTarget(companyId, toUserId);
+      if (!targetResult.success) {
+        return targetResult;
+      }
+      const { target } = targetResult;
+
+      const reassigned = [];
+      const skipped = [];
+
+      for (const [type, { model }] of Object.entries(DOCUMENTS)) {
+        const docs = await model.find({
+          company: companyId,
+          status: 'submitted',
+          approvalChain: { $elemMatch: { approver: from._id, status: 'pending' } }
+        });
+
+        for (const doc of docs) {
+          if (sameId(doc.employee, target)) {
+            skipped.push({ type, id: doc._id, reason: 'Submitted by the new approver' });
+            continue;
+          }
+
+          const steps = doc.approvalChain.filter(step => step.status === 'pending' && sameId(step.approver, from));
+          reassigned.push(await this.reassignSteps(doc, type, steps, target, actor, {
+            comments: comments || `Reassigned from ${from.firstName} ${from.lastName} to ${target.firstName} ${target.lastName}`
+          }));
+        }
+      }
+
+      return { success: true, reassigned, skipped };
+    } catch (error) {
+      console.error('Reassign approver error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // After an employee's manager changes, hands their pending manager-approver steps from the
+  // previous manager (or steps left without an approver) to the new one. Without an active new
+  // manager, the previous manager's steps are left without an approver for an admin to reassign;
+  // they are returned as unassigned.
+  async rerouteManagerSteps(employee, previousManagerId, actor) {
+    try {
+      if (sameId(employee.manager, previousManagerId) || (!employee.manager && !previousManagerId)) {
+        return { success: true, reassigned: [], unassigned: [] };
+      }
+
+      const manager = employee.manager && await User.findOne({
+        _id: employee.manager,
+        company: employee.company,
+        isActive: true,
+        role: { $in: APPROVER_ROLES }
+      });
+
+      const reassigned = [];
+      const unassigned = [];
+      for (const [type, { model }] of Object.entries(DOCUMENTS)) {
+        const docs = await model.find({
+          company: employee.company,
+          employee: employee._id,
+          status: 'submitted',
+          approvalChain: { $elemMatch: { status: 'pending', isManagerApprover: true } }
+        });
+
+        for (const doc of docs) {
+          const steps = doc.approvalChain.filter(step =>
+            step.status === 'pending' && step.isManagerApprover &&
+            (manager ? !step.approver || sameId(step.approver, previousManagerId) : sameId(step.approver, previousManagerId))
+          );
+          if (steps.length === 0) {
+            continue;
+          }
+
+          if (manager) {
+            reassigned.push(await this.reassignSteps(doc, type, steps, manager, actor, {
+              comments: `Manager changed to ${manager.firstName} ${manager.lastName}`,
+              managerStep: true
+            }));
+          } else {
+            unassigned.push(await this.reassignSteps(doc, type, steps, null, actor, {
+              comments: 'Manager removed; waiting for an admin to assign an approver',
+              managerStep: true
+            }));
+          }
+        }
+      }
+
+      return { success: true, reassigned, unassigned };
+    } catch (error) {
+      console.error('Reroute manager steps error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Number of submitted expenses and reports with a pending step for userId
+  async countPendingApprovals(companyId, userId) {
+    const filter = {
+      company: companyId,
+      status: 'submitted',
+      approvalChain: { $elemMatch: { approver: userId, status: 'pending' } }
+    };
+
+    const [expenses, reports] = await Promise.all([
+      Expense.countDocuments(filter),
+      ExpenseReport.countDocuments(filter)
+    ]);
+
+    return expenses + reports;
+  }
+
+  // Submitted expenses and reports whose current level has a step nobody can act on,
+  // longest waiting first, with the employee's manager as the suggested new approver
+  async getStuckApprovals(companyId) {
+    try {
+      const [expenses, reports] = await Promise.all([
+        Expense.find({ company: companyId, status: 'submitted', 'approvalChain.0': { $exists: true } })
+          .populate('employee', 'firstName lastName email manager'),
+        ExpenseReport.find({ company: companyId, status: 'submitted', 'approvalChain.0': { $exists: true } })
+          .populate('employee', 'firstName lastName email manager')
+      ]);
+
+      const docs = [
+        ...expenses.map(doc => ({ type: 'expense', doc, title: doc.description, amount: doc.amount })),
+        ...reports.map(doc => ({ type: 'report', doc, title: doc.title, amount: doc.totalAmount }))
+      ];
+
+      const users = await this.loadUsers(companyId, docs.flatMap(({ doc }) => [
+        ...doc.approvalChain.map(step => step.approver),
+        doc.employee?.manager
+      ]));
+
+      const items = [];
+      for (const { type, doc, title, amount } of docs) {
+        const stuck = this.getStuckSteps(doc, users);
+        if (stuck.length === 0) {
+          continue;
+        }
+
+        const manager = doc.employee?.manager && users.get(doc.employee.manager.toString());
+        const suggested = manager && !this.getStepProblem({ approver: manager._id }, users) &&
+          !stuck.some(({ step }) => sameId(step.approver, manager))
+          ? manager
+          : null;
+
+        const waitingSince = new Date(Math.min(
+          ...stuck.map(({ step }) => approvalWorkflowService.getStepActiveSince(doc, step).getTime())
+        ));
+
+        items.push({
+          type,
+          id: doc._id,
+          title,
+          amount,
+          currency: doc.currency,
+          employee: doc.employee,
+          submittedAt: doc.submittedAt,
+          level: stuck[0].step.level,
+          waitingSince,
+          steps: stuck.map(({ step, reason }) => {
+            const approver = step.approver && users.get(step.approver.toString());
+            return {
+              stepId: step._id,
+              stepName: step.stepName,
+              reason,
+              approver: approver
+                ? { _id: approver._id, firstName: approver.firstName, lastName: approver.lastName, email: approver.email }
+                : null
+            };
+          }),
+          suggestedApprover: suggested
+            ? { _id: suggested._id, firstName: suggested.firstName, lastName: suggested.lastName, email: suggested.email }
+            : null
+        });
+      }
+
+      items.sort((a, b) => a.waitingSince - b.waitingSince);
+      return { success: true, items };
+    } catch (error) {
+      console.error('Get stuck approvals error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new ApprovalRoutingService();
@@ -2,6 +2,11 @@ const ApprovalWorkflow = require('../models/ApprovalWorkflow');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
 const emailService = require('./emailService');
+const auditService = require('./auditService');
+const merchantService = require('./merchantService');
+const categoryService = require('./categoryService');
+const customFieldService = require('./customFieldService');
+const { HANDED_OVER_STATUSES } = require('../utils/approvalChain');
 
 class ApprovalWorkflowService {
   async createWorkflow(companyId, workflowData) {
@@ -51,7 +56,8 @@ class ApprovalWorkflowService {
             }
             break;
           case 'category':
-            if (expense.category === rule.value) {
+            // A rule on a parent category also applies to its subcategories
+            if ((await categoryService.getLineageKeys(expense.company, expense.category)).includes(rule.value)) {
               return true;
             }
             break;
@@ -241,6 +247,32 @@ class ApprovalWorkflowService {
         }
       }
 
+      // Expenses that take a budget past the workflow threshold get an extra final step
+      const budgetSettings = workflow.budgetSettings;
+      const budgetThreshold = budgetSettings?.threshold ?? 100;
+      const overBudget = (expense.budgetImpact || []).some(impact => impact.percent >= budgetThreshold);
+
+      if (budgetSettings?.enabled && overBudget && budgetSettings.approvers?.length > 0) {
+        const budgetApprovers = await User.find({
+          _id: { $in: budgetSettings.approvers },
+          company: expense.company,
+          isActive: true
+        });
+        const budgetLevel = Math.max(0, ...approvalChain.map(a => a.level)) + 1;
+
+        for (const approver of budgetApprovers) {
+          approvalChain.push({
+            approver: approver._id,
+            level: budgetLevel,
+            stepName: budgetSettings.stepName || 'Budget Approval',
+            status: 'pending',
+            isRequired: true,
+            isManagerApprover: false,
+            rule: 'over_budget'
+          });
+        }
+      }
+
       // Sort by level
       approvalChain.sort((a, b) => a.level - b.level);
 
@@ -349,15 +381,15 @@ class ApprovalWorkflowService {
       // If this is a manager approver step, get the employee's manager
       if (sequenceStep.isManagerApprover) {
         console.log(`   Looking for employee's manager...`);
-        // Populate the employee to get manager information
-        const populatedExpense = await Expense.findById(expense._id)
-          .populate('employee', 'manager firstName lastName');
+        // Load the employee to get manager information (works for expenses and expense reports)
+        const employee = await User.findById(expense.employee?._id || expense.employee)
+          .select('manager firstName lastName');
         
-        console.log(`   Employee: ${populatedExpense.employee?.firstName} ${populatedExpense.employee?.lastName}`);
-        console.log(`   Employee manager ID: ${populatedExpense.employee?.manager}`);
+        console.log(`   Employee: ${employee?.firstName} ${employee?.lastName}`);
+        console.log(`   Employee manager ID: ${employee?.manager}`);
         
-        if (populatedExpense.employee && populatedExpense.employee.manager) {
-          const manager = await User.findById(populatedExpense.employee.manager);
+        if (employee && employee.manager) {
+          const manager = await User.findById(employee.manager);
           if (manager && manager.isActive) {
             approvers.push(manager);
             console.log(`   Found manager: ${manager.firstName} ${manager.lastName}`);
@@ -400,6 +432,8 @@ class ApprovalWorkflowService {
         throw new Error('No pending approval found for this user');
       }
 
+      const before = auditService.snapshot(expense);
+
       // Update approval
       expense.approvalChain[approvalIndex].status = action;
       expense.approvalChain[approvalIndex].comments = comments;
@@ -419,6 +453,14 @@ class ApprovalWorkflowService {
       }
 
       await expense.save();
+      await auditService.recordEvent(expense, approver, action, {
+        before,
+        comments,
+        metadata: { level: expense.approvalChain[approvalIndex].level }
+      });
+      if (expense.status === 'approved') {
+        await merchantService.learnFromExpense(expense);
+      }
 
       // Send notifications
       await this.sendApprovalNotifications(expense, approver, action);
@@ -477,7 +519,8 @@ class ApprovalWorkflowService {
 
   async checkPercentageRule(rule, expense) {
     try {
-      const totalApprovers = expense.approvalChain.length;
+      // Escalated steps were replaced by another step and do not count as approvers
+      const totalApprovers = expense.approvalChain.filter(a => !HANDED_OVER_STATUSES.includes(a.status)).length;
       const approvedCount = expense.approvalChain.filter(a => a.status === 'approved').length;
       const percentage = (approvedCount / totalApprovers) * 100;
       
@@ -527,6 +570,9 @@ class ApprovalWorkflowService {
           fieldValue = expense.amount;
           break;
         case 'category':
+          if (operator === 'equals') {
+            return (await categoryService.getLineageKeys(expense.company, expense.category)).includes(value);
+          }
           fieldValue = expense.category;
           break;
         case 'department':
@@ -535,8 +581,15 @@ class ApprovalWorkflowService {
         case 'role':
           fieldValue = expense.employee.role;
           break;
+        case 'budget_percent':
+          // Highest share of any matching budget, as of submission
+          fieldValue = Math.max(0, ...(expense.budgetImpact || []).map(impact => impact.percent));
+          break;
         default:
-          return false;
+          if (!customFieldService.isConditionField(field)) {
+            return false;
+          }
+          return this.evaluateCustomFieldCondition(customFieldService.getConditionValue(expense, field), operator, value);
       }
 
       switch (operator) {
@@ -557,6 +610,38 @@ class ApprovalWorkflowService {
     }
   }
 
+  // Custom field values may be numbers, dates, user ids or lists of them (e.g. attendees);
+  // a list matches when any of its values does
+  evaluateCustomFieldCondition(fieldValue, operator, value) {
+    const values = [].concat(fieldValue ?? []).map(item => item?.toString());
+    if (values.length === 0) {
+      return false;
+    }
+
+    const compare = (item) => {
+      const date = Date.parse(item);
+      if (isNaN(Number(item)) && !isNaN(date)) {
+        return date - Date.parse(value);
+      }
+      return Number(item) - Number(value);
+    };
+
+    return values.some(item => {
+      switch (operator) {
+        case 'equals':
+          return item === String(value);
+        case 'greater_than':
+          return compare(item) > 0;
+        case 'less_than':
+          return compare(item) < 0;
+        case 'contains':
+          return item.toLowerCase().includes(String(value).toLowerCase());
+        default:
+          return false;
+      }
+    });
+  }
+
   async checkAllRequiredApprovals(expense) {
     try {
       const pendingRequiredApprovals = expense.approvalChain.filter(
@@ -601,56 +686,178 @@ class ApprovalWorkflowService {
     }
   }
 
-  async checkEscalation(expense) {
+  // A step's escalation clock starts when it becomes actionable: when the previous
+  // level was completed, or when it was added to the chain
+  getStepActiveSince(expense, approval) {
+    let activeSince = new Date(approval.createdAt || expense.submittedAt || expense.createdAt);
+
+    for (const step of expense.approvalChain) {
+      if (step.level < approval.level && step.actionDate && step.actionDate > activeSince) {
+        activeSince = new Date(step.actionDate);
+      }
+    }
+
+    return activeSince;
+  }
+
+  // delegate hands the step to the stale approver's manager, falling back to the
+  // escalation approvers; escalate always uses the escalation approvers
+  async findEscalationTarget(expense, approval, settings) {
+    const excluded = expense.approvalChain
+      .filter(step => step.status === 'pending' && step.level === approval.level && step.approver)
+      .map(step => step.approver.toString());
+
+    if (settings.action === 'delegate') {
+      const staleApprover = await User.findById(approval.approver).select('manager');
+      if (staleApprover?.manager && !excluded.includes(staleApprover.manager.toString())) {
+        const manager = await User.findOne({
+          _id: staleApprover.manager,
+          company: expense.company,
+          isActive: true
+        });
+        if (manager) {
+          return manager;
+        }
+      }
+    }
+
+    const escalationApprovers = await User.find({
+      _id: { $in: settings.escalationApprovers || [] },
+      company: expense.company,
+      isActive: true
+    });
+
+    // Keep the configured order so the first listed approver is preferred
+    const ordered = (settings.escalationApprovers || [])
+      .map(id => escalationApprovers.find(user => user._id.toString() === id.toString()))
+      .filter(Boolean);
+
+    return ordered.find(user => !excluded.includes(user._id.toString())) || null;
+  }
+
+  // Sends reminders ahead of the deadline and hands stale steps over once it passes.
+  // Only the steps at the current level are considered, since later levels are not
+  // visible to their approvers yet. Returns the actions taken.
+  async checkEscalation(expense, now = new Date()) {
+    const actions = [];
+
     try {
       const workflow = await this.getWorkflowForExpense(expense);
-      if (!workflow || !workflow.escalationSettings.enabled) {
-        return;
+      const settings = workflow?.escalationSettings;
+      if (!settings || !settings.enabled) {
+        return actions;
       }
 
-      const escalationTime = workflow.escalationSettings.escalationTime * 60 * 60 * 1000; // Convert to milliseconds
-      const now = new Date();
+      const pendingSteps = expense.approvalChain.filter(
+        approval => approval.status === 'pending' && approval.isRequired && approval.approver
+      );
+      if (pendingSteps.length === 0) {
+        return actions;
+      }
 
-      for (const approval of expense.approvalChain) {
-        if (approval.status === 'pending' && approval.isRequired) {
-          const timeSinceCreated = now - approval.createdAt;
-          
-          if (timeSinceCreated >= escalationTime) {
-            // Escalate to escalation approvers
-            const escalationApprovers = await User.find({
-              _id: { $in: workflow.escalationSettings.escalationApprovers },
-              company: expense.company,
-              isActive: true
-            });
+      const currentLevel = Math.min(...pendingSteps.map(approval => approval.level));
+      const escalationTime = settings.escalationTime * 60 * 60 * 1000; // Convert to milliseconds
+      const reminderTime = (settings.reminderBeforeHours || 0) * 60 * 60 * 1000;
+      const before = auditService.snapshot(expense);
+      const handovers = [];
+      const reminders = [];
+
+      for (const approval of pendingSteps.filter(step => step.level === currentLevel)) {
+        const deadline = new Date(this.getStepActiveSince(expense, approval).getTime() + escalationTime);
+        const base = {
+          expense: expense._id,
+          company: expense.company,
+          level: approval.level,
+          fromApprover: approval.approver
+        };
 
-            if (escalationApprovers.length > 0) {
-              // Add escalation approver to chain
-              expense.approvalChain.push({
-                approver: escalationApprovers[0]._id,
-                level: 999, // High level for escalation
-                status: 'pending',
-                isRequired: true,
-                isEscalation: true
-              });
+        if (now >= deadline) {
+          const target = await this.findEscalationTarget(expense, approval, settings);
+          if (!target) {
+            actions.push({ ...base, action: 'skipped', message: 'No active escalation approver available' });
+            continue;
+          }
 
-              await expense.save();
+          const hours = settings.escalationTime;
+          approval.status = 'escalated';
+          approval.actionDate = now;
+          approval.comments = `Escalated after ${hours} hours without a decision`;
+
+          expense.approvalChain.push({
+            approver: target._id,
+            level: approval.level,
+            status: 'pending',
+            stepName: approval.stepName,
+            isRequired: true,
+            isEscalation: true,
+            escalatedFrom: approval.approver,
+            rule: approval.rule,
+            createdAt: now
+          });
 
-              // Notify escalation approver
-              const populatedExpense = await Expense.findById(expense._id)
-                .populate('employee', 'firstName lastName email');
+          const action = settings.action === 'delegate' ? 'delegated' : 'escalated';
+          handovers.push(target);
+          actions.push({
+            ...base,
+            action,
+            toApprover: target._id,
+            message: `${action === 'delegated' ? 'Delegated' : 'Escalated'} to ${target.firstName} ${target.lastName} after ${hours} hours`
+          });
+        } else if (reminderTime > 0 && !approval.reminderSentAt && now >= new Date(deadline.getTime() - reminderTime)) {
+          approval.reminderSentAt = now;
+          reminders.push({ approverId: approval.approver, deadline });
+          actions.push({ ...base, action: 'reminder', message: `Reminder sent; escalation due ${deadline.toISOString()}` });
+        }
+      }
 
-              await emailService.sendExpenseSubmittedEmail(
-                populatedExpense, 
-                populatedExpense.employee, 
-                escalationApprovers
-              );
-            }
+      if (handovers.length === 0 && reminders.length === 0) {
+        return actions;
+      }
+
+      await expense.save();
+
+      for (const action of actions.filter(a => a.action === 'escalated' || a.action === 'delegated')) {
+        await auditService.recordEvent(expense, null, 'escalated', {
+          before,
+          comments: action.message,
+          metadata: {
+            level: action.level,
+            mode: action.action,
+            fromApprover: action.fromApprover,
+            toApprover: action.toApprover
           }
+        });
+      }
+
+      try {
+        const populatedExpense = await Expense.findById(expense._id)
+          .populate('employee', 'firstName lastName email');
+
+        if (handovers.length > 0) {
+          await emailService.sendExpenseSubmittedEmail(populatedExpense, populatedExpense.employee, handovers);
         }
+
+        for (const reminder of reminders) {
+          const approver = await User.findOne({ _id: reminder.approverId, isActive: true });
+          if (approver) {
+            await emailService.sendApprovalReminderEmail(populatedExpense, populatedExpense.employee, approver, reminder.deadline);
+          }
+        }
+      } catch (emailError) {
+        // The chain has already been updated; a failed notification must not undo it
+        console.error('Escalation notification error:', emailError);
       }
     } catch (error) {
       console.error('Check escalation error:', error);
+      actions.push({
+        expense: expense._id,
+        company: expense.company,
+        action: 'failed',
+        message: error.message
+      });
     }
+
+    return actions;
   }
 
   async getWorkflowStats(companyId) {
@@ -670,6 +877,7 @@ class ApprovalWorkflowService {
           workflowId: workflow._id,
           workflowName: workflow.name,
           totalExpenses: expenses.length,
+          totalAmount: expenses.reduce((sum, e) => sum + (e.normalized?.amount ?? e.amount), 0),
           pendingApprovals: expenses.filter(e => e.status === 'submitted').length,
           approvedExpenses: expenses.filter(e => e.status === 'approved').length,
           rejectedExpenses: expenses.filter(e => e.status === 'rejected').length
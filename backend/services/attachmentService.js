@@ -0,0 +1,146 @@
+const Expense = require('../models/Expense');
+const ocrService = require('./ocrService');
+const pdfService = require('./pdfService');
+const duplicateService = require('./duplicateService');
+const storageService = require('./storageService');
+
+// Attachment types that are read with OCR and can be the primary receipt
+const RECEIPT_TYPES = ['receipt', 'invoice'];
+
+const FILE_FIELDS = [
+  'url', 'storage', 'filename', 'originalName', 'mimeType', 'size', 'thumbnailUrl', 'thumbnailFilename',
+  'contentHash', 'textHash', 'ocrData'
+];
+
+class AttachmentService {
+  isReceiptType(type) {
+    return RECEIPT_TYPES.includes(type);
+  }
+
+  // Stores the file (plus a thumbnail for PDFs) and OCRs receipts; returns the stored file fields
+  async storeFile(file, type, company) {
+    const { storage, key, url } = await storageService.put(company._id, 'receipts', file.buffer, file.mimetype);
+
+    const stored = {
+      url,
+      storage,
+      filename: key,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    };
+
+    // First-page thumbnail for PDF previews
+    if (pdfService.isPdf(file.mimetype)) {
+      try {
+        const thumbnail = await pdfService.renderThumbnail(file.buffer);
+        const thumbnailResult = await storageService.put(company._id, 'thumbnails', thumbnail, 'image/png');
+        stored.thumbnailUrl = thumbnailResult.url;
+        stored.thumbnailFilename = thumbnailResult.key;
+      } catch (thumbnailError) {
+        console.error('Failed to generate receipt thumbnail:', thumbnailError);
+      }
+    }
+
+    if (!this.isReceiptType(type)) {
+      return { ...stored, ...duplicateService.computeReceiptHashes(file.buffer) };
+    }
+
+    const ocrResult = await ocrService.processReceipt(file.buffer, file.mimetype, { company });
+    let ocrData;
+
+    if (ocrResult.success) {
+      ocrData = ocrResult.data;
+    } else {
+      console.error('OCR processing failed:', ocrResult.error);
+      // Still save the file without OCR data
+      ocrData = {
+        extractedText: 'OCR processing failed',
+        confidence: 0,
+        extractedAmount: null,
+        extractedDate: null,
+        extractedMerchant: null
+      };
+    }
+
+    return {
+      ...stored,
+      ...duplicateService.computeReceiptHashes(file.buffer, ocrData.extractedText),
+      ocrData
+    };
+  }
+
+  // Best effort; a file left behind in storage must not fail the request. Callers save or
+  // delete the expense first, so any expense still referencing the file shares it from a split.
+  async removeFile(attachment) {
+    if (attachment.filename && await Expense.exists({
+      $or: [{ 'attachments.filename': attachment.filename }, { 'receipt.filename': attachment.filename }]
+    })) {
+      return;
+    }
+
+    // Receipts from before storage providers existed are public Cloudinary uploads
+    const storage = attachment.storage || 'cloudinary';
+    const options = attachment.storage ? undefined : { type: 'upload' };
+
+    for (const key of [attachment.filename, attachment.thumbnailFilename].filter(Boolean)) {
+      try {
+        await storageService.remove(storage, key, options);
+      } catch (error) {
+        console.error('Failed to delete stored file:', error.message);
+      }
+    }
+  }
+
+  // Removes every stored file of an expense, e.g. after it was deleted
+  async removeExpenseFiles(expense) {
+    const files = [...expense.attachments];
+    // A legacy receipt is not in the attachments until the expense is first changed
+    if (expense.receipt?.filename && !files.some(file => file.filename === expense.receipt.filename)) {
+      files.push(expense.receipt);
+    }
+
+    for (const file of files) {
+      await this.removeFile(file);
+    }
+  }
+
+  // Expenses from before attachments existed only have the single receipt
+  ensureAttachments(expense) {
+    if (expense.attachments.length === 0 && expense.receipt?.url) {
+      const { receipt } = expense.toObject();
+      expense.attachments.push({ ...receipt, type: 'receipt', isPrimary: true });
+    }
+  }
+
+  setPrimary(expense, attachmentId) {
+    for (const attachment of expense.attachments) {
+      attachment.isPrimary = attachmentId !== null && attachment._id.toString() === attachmentId.toString();
+    }
+    this.syncPrimaryReceipt(expense);
+  }
+
+  // Promotes the first receipt-type attachment when there is no primary any more
+  syncPrimaryReceipt(expense) {
+    let primary = expense.attachments.find(attachment => attachment.isPrimary);
+
+    if (!primary) {
+      primary = expense.attachments.find(attachment => this.isReceiptType(attachment.type));
+      if (primary) primary.isPrimary = true;
+    }
+
+    if (!primary) {
+      expense.receipt = undefined;
+      return;
+    }
+
+    const source = primary.toObject();
+    const receipt = {};
+    for (const field of FILE_FIELDS) {
+      if (source[field] !== undefined) receipt[field] = source[field];
+    }
+    expense.receipt = receipt;
+  }
+}
+
+module.exports = new AttachmentService();
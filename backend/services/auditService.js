@@ -0,0 +1,81 @@
+const ExpenseEvent = require('../models/ExpenseEvent');
+
+// Expense fields that are tracked in the before/after diff of each event
+const TRACKED_FIELDS = [
+  'amount', 'currency', 'normalized', 'category', 'description', 'date', 'merchant',
+  'tags', 'customFields', 'status', 'isReimbursable', 'rejectionReason', 'receipt', 'attachments',
+  'approvalChain', 'totalApprovedAmount', 'submittedAt', 'approvedAt', 'paidAt',
+  'paymentBatch', 'accountingExport'
+];
+
+class AuditService {
+  snapshot(expense) {
+    if (!expense) {
+      return {};
+    }
+
+    const source = typeof expense.toObject === 'function'
+      ? expense.toObject({ depopulate: true, flattenMaps: true })
+      : expense;
+
+    const snapshot = {};
+    for (const field of TRACKED_FIELDS) {
+      if (source[field] !== undefined) {
+        // Round-trip through JSON so later mutations of the document don't leak in
+        snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+      }
+    }
+    return snapshot;
+  }
+
+  diff(before = {}, after = {}) {
+    const changes = [];
+
+    for (const field of TRACKED_FIELDS) {
+      const beforeValue = before[field];
+      const afterValue = after[field];
+
+      if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+        changes.push({ field, before: beforeValue, after: afterValue });
+      }
+    }
+
+    return changes;
+  }
+
+  async recordEvent(expense, actor, action, options = {}) {
+    try {
+      const { before = null, comments, metadata, onBehalfOf } = options;
+      const after = this.snapshot(expense);
+
+      const event = new ExpenseEvent({
+        expense: expense._id,
+        company: expense.company?._id || expense.company,
+        actor: actor?._id || actor || undefined,
+        onBehalfOf: onBehalfOf || undefined,
+        action,
+        fromStatus: before ? before.status : undefined,
+        toStatus: after.status,
+        changes: this.diff(before || {}, after),
+        comments,
+        metadata
+      });
+
+      await event.save();
+      return { success: true, event };
+    } catch (error) {
+      // Never fail the calling request because the audit write failed
+      console.error('Record expense event error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getExpenseHistory(expenseId, companyId) {
+    return await ExpenseEvent.find({ expense: expenseId, company: companyId })
+      .populate('actor', 'firstName lastName email role')
+      .populate('onBehalfOf', 'firstName lastName email role')
+      .sort({ createdAt: 1 });
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,276 @@
+const Budget = require('../models/Budget');
+const Company = require('../models/Company');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const normalizationService = require('./normalizationService');
+const categoryService = require('./categoryService');
+
+// Expenses in these statuses count against a budget
+const CONSUMING_STATUSES = ['submitted', 'pending_approval', 'approved', 'paid'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class BudgetService {
+  // Calendar period containing the date, in UTC
+  getPeriodRange(period, date = new Date()) {
+    const day = new Date(date);
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth();
+
+    if (period === 'year') {
+      return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)), label: `${year}` };
+    }
+
+    if (period === 'quarter') {
+      const quarter = Math.floor(month / 3);
+      return {
+        start: new Date(Date.UTC(year, quarter * 3, 1)),
+        end: new Date(Date.UTC(year, quarter * 3 + 3, 1)),
+        label: `Q${quarter + 1} ${year}`
+      };
+    }
+
+    return {
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1)),
+      label: `${MONTHS[month]} ${year}`
+    };
+  }
+
+  describe(budget) {
+    if (budget.name) {
+      return budget.name;
+    }
+
+    const parts = [
+      budget.department,
+      budget.category && budget.category.replace(/_/g, ' '),
+      budget.costCenter && `cost center ${budget.costCenter}`
+    ].filter(Boolean);
+
+    return parts.join(' ') || 'Company';
+  }
+
+  // lineage is the expense category with its parents; a budget on a parent covers its subcategories
+  matches(budget, expense, department, lineage = [expense.category]) {
+    if (budget.department && budget.department.toLowerCase() !== (department || '').toLowerCase()) {
+      return false;
+    }
+    if (budget.category && !lineage.includes(budget.category)) {
+      return false;
+    }
+    if (budget.costCenter && budget.costCenter !== expense.costCenter) {
+      return false;
+    }
+    return true;
+  }
+
+  async getEmployeeDepartment(expense) {
+    if (expense.employee?.department !== undefined) {
+      return expense.employee.department;
+    }
+
+    const employee = await User.findById(expense.employee?._id || expense.employee).select('department');
+    return employee?.department;
+  }
+
+  // Company-currency amounts of the expenses consuming the budget in the range, by expense id
+  async getConsumingAmounts(budget, range, company) {
+    const query = {
+      company: company._id,
+      status: { $in: CONSUMING_STATUSES },
+      date: { $gte: range.start, $lt: range.end }
+    };
+
+    if (budget.category) query.category = { $in: await categoryService.expandKeys(company._id, [budget.category]) };
+    if (budget.costCenter) query.costCenter = budget.costCenter;
+
+    if (budget.department) {
+      const escaped = budget.department.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.employee = {
+        $in: await User.find({
+          company: company._id,
+          department: { $regex: `^${escaped}$`, $options: 'i' }
+        }).distinct('_id')
+      };
+    }
+
+    const expenses = await Expense.find(query).select('amount currency date normalized');
+
+    const amounts = new Map();
+    for (const expense of expenses) {
+      amounts.set(expense._id.toString(), await normalizationService.getCompanyAmount(expense, company));
+    }
+    return amounts;
+  }
+
+  async getConsumption(budget, range, company, excludeExpenseId = null) {
+    const amounts = await this.getConsumingAmounts(budget, range, company);
+
+    let total = 0;
+    for (const [expenseId, amount] of amounts) {
+      if (expenseId !== excludeExpenseId?.toString()) total += amount;
+    }
+    return total;
+  }
+
+  // Where each matching budget stands once this expense is counted
+  async getImpact(expense) {
+    const company = await Company.findById(expense.company?._id || expense.company);
+    if (!company) {
+      return [];
+    }
+
+    const budgets = await Budget.find({ company: company._id, isActive: true });
+    if (budgets.length === 0) {
+      return [];
+    }
+
+    const lineage = await categoryService.getLineageKeys(company._id, expense.category);
+    return await this.buildImpact(expense, company, budgets, lineage,
+      (budget, range) => this.getConsumingAmounts(budget, range, company));
+  }
+
+  // Impact of many expenses of one company, such as an approvals queue, loading the budgets and
+  // their consumption once. An expense whose impact cannot be worked out keeps its stored impact.
+  async getImpacts(expenses, companyId) {
+    const impacts = new Map(expenses.map(expense => [expense._id.toString(), expense.budgetImpact || []]));
+
+    try {
+      const company = await Company.findById(companyId);
+      const budgets = company ? await Budget.find({ company: company._id, isActive: true }) : [];
+      if (budgets.length === 0) {
+        return new Map(expenses.map(expense => [expense._id.toString(), []]));
+      }
+
+      const consumption = new Map();
+      const consumingAmounts = (budget, range) => {
+        const key = `${budget._id}:${range.start.toISOString()}`;
+        if (!consumption.has(key)) {
+          consumption.set(key, this.getConsumingAmounts(budget, range, company));
+        }
+        return consumption.get(key);
+      };
+
+      const lineages = new Map();
+      for (const expense of expenses) {
+        try {
+          if (!lineages.has(expense.category)) {
+            lineages.set(expense.category, await categoryService.getLineageKeys(company._id, expense.category));
+          }
+          impacts.set(
+            expense._id.toString(),
+            await this.buildImpact(expense, company, budgets, lineages.get(expense.category), consumingAmounts)
+          );
+        } catch (error) {
+          console.error('Budget impact error:', error);
+        }
+      }
+    } catch (error) {
+      console.error('Budget impacts error:', error);
+    }
+
+    return impacts;
+  }
+
+  // consumingAmounts(budget, range) resolves to getConsumingAmounts, so callers can share the lookups
+  async buildImpact(expense, company, budgets, lineage, consumingAmounts) {
+    const department = await this.getEmployeeDepartment(expense);
+    const amount = await normalizationService.getCompanyAmount(expense, company);
+    const expenseId = expense._id.toString();
+    const impact = [];
+
+    for (const budget of budgets.filter(b => this.matches(b, expense, department, lineage))) {
+      const range = this.getPeriodRange(budget.period, expense.date);
+      let consumed = amount;
+      for (const [consumingId, consumingAmount] of await consumingAmounts(budget, range)) {
+        if (consumingId !== expenseId) consumed += consumingAmount;
+      }
+      const percent = budget.amount > 0 ? Math.round((consumed / budget.amount) * 1000) / 10 : 100;
+
+      impact.push({
+        budget: budget._id,
+        name: this.describe(budget),
+        periodLabel: range.label,
+        periodStart: range.start,
+        amount: budget.amount,
+        consumed: Math.round(consumed * 100) / 100,
+        percent,
+        overBudget: consumed > budget.amount
+      });
+    }
+
+    return impact.sort((a, b) => b.percent - a.percent);
+  }
+
+  // Stores the impact on the expense; the caller saves it
+  async applyBudgetCheck(expense) {
+    try {
+      const impact = await this.getImpact(expense);
+      expense.budgetImpact = impact;
+      expense.budgetCheckedAt = new Date();
+      return impact;
+    } catch (error) {
+      // Budgets are informational and must never block a submission
+      console.error('Budget check error:', error);
+      return [];
+    }
+  }
+
+  // Sends one alert per threshold per period, for the budgets this expense consumed
+  async checkThresholds(expense) {
+    try {
+      for (const impact of expense.budgetImpact || []) {
+        const budget = await Budget.findById(impact.budget);
+        if (!budget) continue;
+
+        const periodStart = new Date(impact.periodStart).getTime();
+        const crossed = budget.thresholds.filter(threshold =>
+          impact.percent >= threshold &&
+          !budget.alerts.some(alert => alert.threshold === threshold && alert.periodStart?.getTime() === periodStart)
+        );
+
+        if (crossed.length === 0) continue;
+
+        const recipients = budget.notify.length > 0
+          ? await User.find({ _id: { $in: budget.notify }, isActive: true })
+          : await User.find({ company: budget.company, role: 'admin', isActive: true });
+        const company = await Company.findById(budget.company);
+
+        try {
+          await emailService.sendBudgetThresholdEmail(recipients, impact, Math.max(...crossed), company);
+        } catch (emailError) {
+          console.error('Failed to send budget threshold email:', emailError);
+        }
+
+        for (const threshold of crossed) {
+          budget.alerts.push({ periodStart: impact.periodStart, threshold, percent: impact.percent });
+        }
+        await budget.save();
+      }
+    } catch (error) {
+      console.error('Check budget thresholds error:', error);
+    }
+  }
+
+  // Current consumption of every budget, for the admin overview
+  async getBudgetStatus(companyId, date = new Date()) {
+    const company = await Company.findById(companyId);
+    const budgets = await Budget.find({ company: companyId }).sort({ createdAt: -1 });
+
+    return await Promise.all(budgets.map(async (budget) => {
+      const range = this.getPeriodRange(budget.period, date);
+      const consumed = await this.getConsumption(budget, range, company);
+
+      return {
+        ...budget.toObject(),
+        label: this.describe(budget),
+        currentPeriod: { start: range.start, end: range.end, label: range.label },
+        consumed: Math.round(consumed * 100) / 100,
+        percent: budget.amount > 0 ? Math.round((consumed / budget.amount) * 1000) / 10 : 0
+      };
+    }));
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,571 @@
+const crypto = require('crypto');
+const CardTransaction = require('../models/CardTransaction');
+const Company = require('../models/Company');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const categoryService = require('./categoryService');
+const merchantService = require('./merchantService');
+const expenseImportService = require('./expenseImportService');
+const externalApiService = require('./externalApiService');
+const policyService = require('./policyService');
+const duplicateService = require('./duplicateService');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Card charges post up to a week after the purchase
+const MATCH_WINDOW_DAYS = 7;
+const AUTO_MATCH_THRESHOLD = 0.8;
+const SUGGESTION_THRESHOLD = 0.5;
+// An automatic match must beat the next candidate by this much, so two identical coffees
+// on the same day are left for the cardholder to pick
+const AMBIGUITY_MARGIN = 0.1;
+// Foreign-currency charges differ from the converted expense by the card's rate and fees
+const FX_TOLERANCE = 0.03;
+// Largest batch the card feed may push at once
+const MAX_FEED_TRANSACTIONS = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const utcDay = (date) => {
+  const value = new Date(date);
+  return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+};
+
+const dayDiff = (a, b) => Math.round(Math.abs(utcDay(a) - utcDay(b)) / DAY_MS);
+
+const dateWindow = (date) => ({
+  $gte: new Date(utcDay(date) - MATCH_WINDOW_DAYS * DAY_MS),
+  $lt: new Date(utcDay(date) + (MATCH_WINDOW_DAYS + 1) * DAY_MS)
+});
+
+const DATE_SCORES = [
+  [0, 0.3, 'same_day'],
+  [1, 0.25, 'within_1_day'],
+  [3, 0.15, 'within_3_days'],
+  [MATCH_WINDOW_DAYS, 0.05, 'within_7_days']
+];
+
+const CANDIDATE_FIELDS = 'employee amount currency date merchant description status category ' +
+  'receipt.url receipt.ocrData.extractedAmount receipt.ocrData.extractedDate ' +
+  'receipt.ocrData.extractedMerchant receipt.ocrData.cardLast4';
+
+class CardTransactionService {
+  // Expenses a card charge can be matched to. Expenses already in a payment run or an
+  // accounting export were handled as reimbursements and are left alone.
+  buildCandidateQuery(filters) {
+    return {
+      kind: 'standard',
+      status: { $ne: 'rejected' },
+      cardTransaction: { $exists: false },
+      paymentBatch: { $exists: false },
+      accountingExport: { $exists: false },
+      ...filters
+    };
+  }
+
+  // Rate from one currency to another, cached for the batch being matched; null when unknown
+  async getRate(rates, from, to) {
+    if (from === to) {
+      return 1;
+    }
+
+    const key = `${from}:${to}`;
+    if (!rates.has(key)) {
+      try {
+        rates.set(key, (await externalApiService.convertCurrency(1, from, to)).rate);
+      } catch {
+        rates.set(key, null);
+      }
+    }
+    return rates.get(key);
+  }
+
+  // How likely the expense is the purchase behind the charge. The amount and the date must
+  // both be close; the merchant and the card printed on the receipt add confidence.
+  // `rate` converts the expense currency into the transaction currency.
+  scoreMatch(transaction, expense, rate) {
+    const reasons = [];
+    const ocr = expense.receipt?.ocrData || {};
+
+    if (ocr.cardLast4 && transaction.cardLast4 && ocr.cardLast4 !== transaction.cardLast4) {
+      return { score: 0, reasons: ['other_card'] };
+    }
+
+    let score = 0;
+    const sameCurrency = expense.currency.code === transaction.currency.code;
+    if (sameCurrency && Math.abs(expense.amount - transaction.amount) < 0.01) {
+      reasons.push('same_amount');
+      score = 0.5;
+    } else if (sameCurrency && ocr.extractedAmount && Math.abs(ocr.extractedAmount - transaction.amount) < 0.01) {
+      reasons.push('same_receipt_amount');
+      score = 0.45;
+    } else if (!sameCurrency && rate && Math.abs(expense.amount * rate - transaction.amount) <= transaction.amount * FX_TOLERANCE) {
+      reasons.push('converted_amount');
+      score = 0.4;
+    } else {
+      return { score: 0, reasons };
+    }
+
+    const days = Math.min(...[expense.date, ocr.extractedDate]
+      .filter(Boolean)
+      .map(date => dayDiff(date, transaction.date)));
+    const dateScore = DATE_SCORES.find(([maxDays]) => days <= maxDays);
+    if (!dateScore) {
+      return { score: 0, reasons };
+    }
+    reasons.push(dateScore[2]);
+    score += dateScore[1];
+
+    const merchant = merchantService.normalizeKey(transaction.merchant || transaction.description);
+    const expenseMerchants = [expense.merchant, ocr.extractedMerchant]
+      .map(name => merchantService.normalizeKey(name))
+      .filter(Boolean);
+    if (merchant && expenseMerchants.includes(merchant)) {
+      reasons.push('same_merchant');
+      score += 0.2;
+    } else if (merchant && expenseMerchants.some(name => name.split(' ')[0] === merchant.split(' ')[0])) {
+      reasons.push('similar_merchant');
+      score += 0.1;
+    }
+
+    if (ocr.cardLast4 && ocr.cardLast4 === transaction.cardLast4) {
+      reasons.push('same_card');
+      score += 0.1;
+    }
+
+    return { score: round(Math.min(score, 1)), reasons };
+  }
+
+  // The best-scoring match when it is clear enough to link without asking
+  pickAutoMatch(matches) {
+    const [best, next] = matches;
+    if (!best || best.score < AUTO_MATCH_THRESHOLD) {
+      return null;
+    }
+    return next && next.score > best.score - AMBIGUITY_MARGIN ? null : best;
+  }
+
+  // The cardholder's unmatched expenses that may be this charge, best first
+  async findCandidates(transaction, rates = new Map()) {
+    const expenses = await Expense.find(this.buildCandidateQuery({
+      company: transaction.company,
+      employee: transaction.user,
+      $or: [
+        { date: dateWindow(transaction.date) },
+        { 'receipt.ocrData.extractedDate': dateWindow(transaction.date) }
+      ]
+    })).select(CANDIDATE_FIELDS);
+
+    const matches = [];
+    for (const expense of expenses) {
+      const rate = await this.getRate(rates, expense.currency.code, transaction.currency.code);
+      const { score, reasons } = this.scoreMatch(transaction, expense, rate);
+      if (score >= SUGGESTION_THRESHOLD) {
+        matches.push({ expense, score, reasons });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  // Links the charge and the expense; the company paid for the expense, so it is no longer
+  // reimbursable and stays out of payment runs
+  async link(transaction, expense, actor, { method, confidence, reasons = [] }) {
+    const before = auditService.snapshot(expense);
+
+    transaction.status = 'matched';
+    transaction.expense = expense._id;
+    transaction.match = {
+      method,
+      confidence,
+      reasons,
+      matchedBy: actor?._id,
+      matchedAt: new Date(),
+      expenseWasReimbursable: expense.isReimbursable
+    };
+
+    expense.cardTransaction = transaction._id;
+    expense.isReimbursable = false;
+
+    await expense.save();
+    await transaction.save();
+    await auditService.recordEvent(expense, actor, 'card_matched', {
+      before,
+      metadata: { cardTransaction: transaction._id, method, confidence, reasons }
+    });
+
+    return { expense: expense._id, method, confidence, reasons };
+  }
+
+  // Links a new charge to its expense when one stands out; returns the match or null
+  async matchTransaction(transaction, actor = null, rates = new Map()) {
+    const best = this.pickAutoMatch(await this.findCandidates(transaction, rates));
+    if (!best) {
+      return null;
+    }
+
+    const expense = await Expense.findById(best.expense._id);
+    return await this.link(transaction, expense, actor, { method: 'auto', confidence: best.score, reasons: best.reasons });
+  }
+
+  // Looks for the card charge of an expense that was just created or got its receipt.
+  // Matching is a convenience, so failures are logged rather than failing the request.
+  async matchExpense(expense, actor) {
+    try {
+      if (expense.cardTransaction || expense.kind !== 'standard' || expense.paymentBatch || expense.accountingExport) {
+        return null;
+      }
+
+      const ocr = expense.receipt?.ocrData || {};
+      const transactions = await CardTransaction.find({
+        company: expense.company,
+        user: expense.employee._id || expense.employee,
+        status: 'unmatched',
+        $or: [expense.date, ocr.extractedDate].filter(Boolean).map(date => ({ date: dateWindow(date) }))
+      });
+
+      const rates = new Map();
+      const matches = [];
+      for (const transaction of transactions) {
+        const rate = await this.getRate(rates, expense.currency.code, transaction.currency.code);
+        const { score, reasons } = this.scoreMatch(transaction, expense, rate);
+        if (score >= SUGGESTION_THRESHOLD) {
+          matches.push({ transaction, score, reasons });
+        }
+      }
+
+      const best = this.pickAutoMatch(matches.sort((a, b) => b.score - a.score));
+      if (!best) {
+        return null;
+      }
+      return await this.link(best.transaction, expense, actor, { method: 'auto', confidence: best.score, reasons: best.reasons });
+    } catch (error) {
+      console.error('Card transaction matching error:', error);
+      return null;
+    }
+  }
+
+  async matchManually(transaction, expenseId, actor) {
+    if (transaction.status === 'matched') {
+      return { success: false, error: 'The transaction is already matched; unmatch it first' };
+    }
+
+    const expense = await Expense.findOne(this.buildCandidateQuery({
+      _id: expenseId,
+      company: transaction.company,
+      employee: transaction.user
+    }));
+    if (!expense) {
+      return { success: false, error: 'Expense not found or already matched, paid or exported', notFound: true };
+    }
+
+    const rate = await this.getRate(new Map(), expense.currency.code, transaction.currency.code);
+    const { score, reasons } = this.scoreMatch(transaction, expense, rate);
+    const match = await this.link(transaction, expense, actor, { method: 'manual', confidence: score, reasons });
+
+    return { success: true, match };
+  }
+
+  async unmatch(transaction, actor) {
+    if (transaction.status !== 'matched') {
+      return { success: false, error: 'The transaction is not matched' };
+    }
+
+    const expense = await Expense.findById(transaction.expense);
+    if (expense) {
+      if (expense.paymentBatch || expense.accountingExport) {
+        return { success: false, error: 'The expense has already been paid or exported to accounting' };
+      }
+
+      const before = auditService.snapshot(expense);
+      expense.cardTransaction = undefined;
+      expense.isReimbursable = transaction.match?.expenseWasReimbursable ?? true;
+      await expense.save();
+      await auditService.recordEvent(expense, actor, 'card_unmatched', {
+        before,
+        metadata: { cardTransaction: transaction._id }
+      });
+    }
+
+    transaction.status = 'unmatched';
+    transaction.expense = undefined;
+    transaction.match = undefined;
+    await transaction.save();
+
+    return { success: true };
+  }
+
+  // Puts the charge of a deleted expense back in the queue
+  async releaseExpense(expense) {
+    await CardTransaction.updateOne(
+      { expense: expense._id },
+      { $set: { status: 'unmatched', updatedAt: new Date() }, $unset: { expense: 1, match: 1 } }
+    );
+  }
+
+  // Draft expense for a charge nothing matched; the cardholder then attaches the receipt
+  async createExpense(transaction, user) {
+    if (transaction.status === 'matched') {
+      return { success: false, error: 'The transaction is already matched' };
+    }
+
+    const companyId = transaction.company;
+    const merchant = await merchantService.resolve(companyId, transaction.merchant || transaction.description);
+    const suggestion = merchant.suggestion;
+
+    let category = 'other';
+    for (const key of [transaction.category, suggestion?.category]) {
+      if (key && (await categoryService.findCategory(companyId, key))?.isActive) {
+        category = key;
+        break;
+      }
+    }
+
+    const expense = new Expense({
+      employee: transaction.user,
+      company: companyId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      category,
+      description: transaction.description || merchant.name || 'Card transaction',
+      date: transaction.date,
+      merchant: merchant.name,
+      categorySuggestion: suggestion?.category === category ? {
+        category: suggestion.category,
+        confidence: suggestion.confidence,
+        source: suggestion.source,
+        merchant: suggestion.merchant
+      } : undefined,
+      isReimbursable: false,
+      status: 'draft'
+    });
+
+    await policyService.applyPolicy(expense, 'create');
+    await duplicateService.checkExpense(expense);
+    await expense.save();
+    await auditService.recordEvent(expense, user, 'created', {
+      metadata: { source: 'card_transaction', cardTransaction: transaction._id }
+    });
+
+    const match = await this.link(transaction, expense, user, { method: 'created', confidence: 1 });
+
+    return { success: true, expense, match };
+  }
+
+  // The cardholder's charges still waiting for a receipt: those without an expense, and those
+  // whose expense has no receipt file yet
+  async getNeedsReceipt(user) {
+    const companyId = user.company._id;
+
+    const [unmatched, waiting] = await Promise.all([
+      CardTransaction.find({ company: companyId, user: user._id, status: 'unmatched' }),
+      Expense.find({
+        company: companyId,
+        employee: user._id,
+        cardTransaction: { $exists: true },
+        'receipt.url': null,
+        status: { $ne: 'rejected' }
+      }).select('cardTransaction')
+    ]);
+
+    const matched = await CardTransaction.find({
+      _id: { $in: waiting.map(expense => expense.cardTransaction) },
+      company: companyId
+    }).populate('expense', 'description amount currency date merchant status');
+
+    return [...unmatched, ...matched].sort((a, b) => b.date - a.date);
+  }
+
+  // Records the charges of a card statement for the uploading cardholder and matches them.
+  // With `dryRun` nothing is saved; each row shows the expense it would be matched to.
+  async importTransactions(user, file, options = {}) {
+    const company = user.company;
+    const statement = await expenseImportService.readStatement(user, file, options);
+    if (!statement.success) {
+      return statement;
+    }
+
+    const { summary, rows, errors } = statement;
+
+    const imported = await CardTransaction.find({
+      company: company._id,
+      user: user._id,
+      externalId: { $in: rows.map(row => row.externalId) }
+    }).select('externalId');
+    const importedIds = new Set(imported.map(transaction => transaction.externalId));
+
+    const rates = new Map();
+    const results = [];
+    for (const row of rows) {
+      if (importedIds.has(row.externalId)) {
+        errors.push({ row: row.row, error: 'Already imported' });
+        continue;
+      }
+      importedIds.add(row.externalId);
+
+      const transaction = new CardTransaction({
+        company: company._id,
+        user: user._id,
+        source: 'import',
+        externalId: row.externalId,
+        date: row.date,
+        amount: row.amount,
+        currency: row.currency,
+        description: row.description,
+        merchant: row.merchant,
+        category: row.category,
+        importSource: { filename: file.originalname, fileType: summary.fileType, row: row.row }
+      });
+
+      const result = {
+        row: row.row,
+        date: row.date,
+        description: row.description,
+        merchant: row.merchant,
+        amount: row.amount,
+        currency: row.currency,
+        category: row.category,
+        categorySource: row.source
+      };
+
+      try {
+        if (options.dryRun) {
+          const best = this.pickAutoMatch(await this.findCandidates(transaction, rates));
+          result.match = best ? { expense: best.expense, confidence: best.score, reasons: best.reasons } : null;
+        } else {
+          await transaction.save();
+          result.transaction = transaction._id;
+          result.match = await this.matchTransaction(transaction, user, rates);
+        }
+        results.push(result);
+      } catch (error) {
+        errors.push({ row: row.row, error: error.message });
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return { success: true, dryRun: Boolean(options.dryRun), ...summary, results, errors };
+  }
+
+  // Charges pushed by the card feed. Each names its cardholder by email or employee id;
+  // transactions received before are skipped, so the feed can safely retry a push.
+  // A new secret replaces the previous one at once; it is only returned here
+  async rotateWebhookSecret(companyId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const company = await Company.findByIdAndUpdate(
+      companyId,
+      { $set: { 'cardFeed.webhookSecret': secret, 'cardFeed.secretCreatedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!company) {
+      return { success: false, error: 'Company not found', notFound: true };
+    }
+
+    return { success: true, secret, createdAt: company.cardFeed.secretCreatedAt };
+  }
+
+  // Secret the company's feed signs with, or null when there is none to accept
+  async getWebhookSecret(companyId) {
+    const company = await Company.findById(companyId).select('+cardFeed.webhookSecret');
+    return company?.isActive ? company.cardFeed?.webhookSecret || null : null;
+  }
+
+  async receiveFeed(companyId, items) {
+    if (items.length > MAX_FEED_TRANSACTIONS) {
+      return { success: false, error: `Send at most ${MAX_FEED_TRANSACTIONS} transactions at a time` };
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company || !company.isActive) {
+      return { success: false, error: 'Company not found', notFound: true };
+    }
+
+    const users = new Map();
+    const findUser = async (item) => {
+      const key = item.cardholderEmail ? `email:${String(item.cardholderEmail).toLowerCase()}` : `id:${item.employeeId}`;
+      if (!users.has(key)) {
+        users.set(key, await User.findOne({
+          company: company._id,
+          isActive: true,
+          ...(item.cardholderEmail ? { email: String(item.cardholderEmail).toLowerCase() } : { employeeId: String(item.employeeId) })
+        }));
+      }
+      return users.get(key);
+    };
+
+    const rates = new Map();
+    const summary = { received: items.length, created: 0, duplicates: 0, matched: 0, errors: [] };
+
+    for (const [index, item] of items.entries()) {
+      const reject = (error) => summary.errors.push({ index, id: item?.id, error });
+
+      if (!item || !item.id) {
+        reject('Missing transaction id');
+        continue;
+      }
+      if (!item.cardholderEmail && !item.employeeId) {
+        reject('Missing cardholderEmail or employeeId');
+        continue;
+      }
+
+      const amount = Number(item.amount);
+      const date = new Date(item.date);
+      const currency = expenseImportService.getCurrency(String(item.currency || company.currency?.code || '').toUpperCase(), company);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        reject('Amount must be a positive charge; credits and refunds are not recorded');
+        continue;
+      }
+      if (!item.date || isNaN(date)) {
+        reject(`Unreadable date "${item.date}"`);
+        continue;
+      }
+      if (!currency) {
+        reject(`Unknown currency "${item.currency}"`);
+        continue;
+      }
+
+      const user = await findUser(item);
+      if (!user) {
+        reject('Cardholder not found');
+        continue;
+      }
+
+      const externalId = `feed:${item.id}`;
+      if (await CardTransaction.exists({ company: company._id, user: user._id, externalId })) {
+        summary.duplicates++;
+        continue;
+      }
+
+      try {
+        const merchant = await merchantService.resolve(company._id, item.merchant || item.description);
+        const transaction = new CardTransaction({
+          company: company._id,
+          user: user._id,
+          source: 'webhook',
+          externalId,
+          cardLast4: item.cardLast4 ? String(item.cardLast4).slice(-4) : undefined,
+          date,
+          amount: round(amount),
+          currency,
+          description: String(item.description || item.merchant || '').slice(0, 500),
+          merchant: merchant.name,
+          category: merchant.suggestion?.category
+        });
+        await transaction.save();
+        summary.created++;
+
+        if (await this.matchTransaction(transaction, null, rates)) {
+          summary.matched++;
+        }
+      } catch (error) {
+        reject(error.message);
+      }
+    }
+
+    return { success: true, ...summary };
+  }
+}
+
+module.exports = new CardTransactionService();
@@ -0,0 +1,215 @@
+const ExpenseCategory = require('../models/ExpenseCategory');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Delegation = require('../models/Delegation');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const Merchant = require('../models/Merchant');
+
+// The categories every company started with before catalogs existed
+const DEFAULT_CATEGORIES = [
+  { key: 'travel', label: 'Travel', icon: 'Flight' },
+  { key: 'meals', label: 'Meals', icon: 'Restaurant' },
+  { key: 'accommodation', label: 'Accommodation', icon: 'Hotel' },
+  { key: 'transport', label: 'Transport', icon: 'DirectionsCar' },
+  { key: 'office_supplies', label: 'Office Supplies', icon: 'Inventory' },
+  { key: 'entertainment', label: 'Entertainment', icon: 'TheaterComedy' },
+  { key: 'training', label: 'Training', icon: 'School' },
+  { key: 'communication', label: 'Communication', icon: 'Phone' },
+  { key: 'other', label: 'Other', icon: 'Category' }
+];
+
+const humanize = (key) => key.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+class CategoryService {
+  slugify(label) {
+    return String(label || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 50);
+  }
+
+  // Companies get the default catalog the first time their categories are needed
+  async ensureDefaults(companyId) {
+    if (await ExpenseCategory.exists({ company: companyId })) {
+      return false;
+    }
+
+    try {
+      await ExpenseCategory.insertMany(
+        DEFAULT_CATEGORIES.map((category, index) => ({ ...category, company: companyId, sortOrder: index })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Another request seeded the catalog at the same time
+      if (error.code !== 11000) throw error;
+    }
+    return true;
+  }
+
+  async getCategories(companyId, { activeOnly = false } = {}) {
+    await this.ensureDefaults(companyId);
+
+    const query = { company: companyId };
+    if (activeOnly) query.isActive = true;
+
+    return await ExpenseCategory.find(query).sort({ sortOrder: 1, label: 1 });
+  }
+
+  async findCategory(companyId, key) {
+    await this.ensureDefaults(companyId);
+    return await ExpenseCategory.findOne({ company: companyId, key });
+  }
+
+  // express-validator custom check; expenses need an active category, configuration may
+  // still refer to an inactive one
+  async assertCategory(companyId, key, { activeOnly = true } = {}) {
+    if (!companyId) {
+      throw new Error('User is not associated with a company');
+    }
+
+    const category = await this.findCategory(companyId, key);
+    if (!category) {
+      throw new Error(`Unknown category "${key}"`);
+    }
+    if (activeOnly && !category.isActive) {
+      throw new Error(`Category "${category.label}" is no longer in use`);
+    }
+    return true;
+  }
+
+  // The key and the keys of its parents, closest first
+  getLineage(categories, key) {
+    const byId = new Map(categories.map(category => [category._id.toString(), category]));
+    const lineage = [key];
+    let current = categories.find(category => category.key === key);
+
+    while (current?.parent) {
+      current = byId.get(current.parent.toString());
+      if (!current || lineage.includes(current.key)) break;
+      lineage.push(current.key);
+    }
+
+    return lineage;
+  }
+
+  // The keys and the keys of all their children
+  getDescendantKeys(categories, keys) {
+    const result = new Set(keys);
+    let added = true;
+
+    while (added) {
+      added = false;
+      for (const category of categories) {
+        const parent = category.parent && categories.find(c => c._id.equals(category.parent));
+        if (parent && result.has(parent.key) && !result.has(category.key)) {
+          result.add(category.key);
+          added = true;
+        }
+      }
+    }
+
+    return [...result];
+  }
+
+  async getLineageKeys(companyId, key) {
+    const categories = await ExpenseCategory.find({ company: companyId }).select('key parent');
+    return this.getLineage(categories, key);
+  }
+
+  async expandKeys(companyId, keys) {
+    if (!keys?.length) {
+      return [];
+    }
+
+    const categories = await ExpenseCategory.find({ company: companyId }).select('key parent');
+    return this.getDescendantKeys(categories, keys);
+  }
+
+  // Settings of the category, inherited from its parents where it does not set them
+  async getSettings(companyId, key) {
+    const categories = await ExpenseCategory.find({ company: companyId });
+    const lineage = this.getLineage(categories, key)
+      .map(lineageKey => categories.find(category => category.key === lineageKey))
+      .filter(Boolean);
+
+    return {
+      label: lineage[0]?.label || humanize(key),
+      glAccount: lineage.find(category => category.glAccount)?.glAccount || null,
+      receiptRequired: lineage.some(category => category.settings?.receiptRequired),
+      defaultTaxRate: lineage.find(category => category.settings?.defaultTaxRate != null)?.settings.defaultTaxRate ?? null
+    };
+  }
+
+  // A category cannot become its own ancestor
+  async wouldCreateCycle(category, parentId) {
+    let currentId = parentId;
+    const seen = new Set();
+
+    while (currentId) {
+      if (currentId.toString() === category._id.toString() || seen.has(currentId.toString())) {
+        return true;
+      }
+      seen.add(currentId.toString());
+      const current = await ExpenseCategory.findOne({ _id: currentId, company: category.company }).select('parent');
+      currentId = current?.parent;
+    }
+
+    return false;
+  }
+
+  async isInUse(companyId, key) {
+    const [expense, budget, merchant] = await Promise.all([
+      Expense.exists({ company: companyId, category: key }),
+      Budget.exists({ company: companyId, category: key }),
+      Merchant.exists({ company: companyId, category: key })
+    ]);
+    return Boolean(expense || budget || merchant);
+  }
+
+  // Seeds the default catalog and adds any other category still referenced by the company's
+  // expenses, budgets, delegations, policy, workflows or merchant rules
+  async migrateCompany(companyId) {
+    const seeded = await this.ensureDefaults(companyId);
+
+    const [expenseKeys, budgetKeys, delegationKeys, merchantKeys, policy, workflows] = await Promise.all([
+      Expense.distinct('category', { company: companyId }),
+      Budget.distinct('category', { company: companyId }),
+      Delegation.distinct('categories', { company: companyId }),
+      Merchant.distinct('category', { company: companyId }),
+      ExpensePolicy.findOne({ company: companyId }),
+      ApprovalWorkflow.find({ company: companyId, 'rules.condition': 'category' }).select('rules')
+    ]);
+
+    const used = new Set([
+      ...expenseKeys,
+      ...budgetKeys,
+      ...delegationKeys,
+      ...merchantKeys,
+      ...(policy?.categoryLimits || []).map(limit => limit.category),
+      ...(policy?.dayRestrictions?.categories || []),
+      ...workflows.flatMap(workflow => workflow.rules
+        .filter(rule => rule.condition === 'category')
+        .map(rule => rule.value))
+    ].filter(key => typeof key === 'string' && key));
+
+    const existing = new Set(await ExpenseCategory.distinct('key', { company: companyId }));
+    const missing = [...used].filter(key => !existing.has(key));
+
+    for (const [index, key] of missing.entries()) {
+      await ExpenseCategory.create({
+        company: companyId,
+        key,
+        label: humanize(key),
+        sortOrder: DEFAULT_CATEGORIES.length + index
+      });
+    }
+
+    return { seeded, added: missing };
+  }
+}
+
+module.exports = new CategoryService();
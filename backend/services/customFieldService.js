@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const categoryService = require('./categoryService');
+
+// Workflow conditions and exports refer to a custom field as "customFields.<key>"
+const FIELD_PREFIX = 'customFields.';
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+class CustomFieldService {
+  async getFields(companyId, { activeOnly = false } = {}) {
+    const query = { company: companyId };
+    if (activeOnly) query.isActive = true;
+
+    return await CustomField.find(query).sort({ sortOrder: 1, label: 1 });
+  }
+
+  // Active fields asked for on an expense in the category, including fields set on its parents
+  async getFieldsForCategory(companyId, category) {
+    const [fields, lineage] = await Promise.all([
+      this.getFields(companyId, { activeOnly: true }),
+      category ? categoryService.getLineageKeys(companyId, category) : []
+    ]);
+
+    return fields.filter(field =>
+      field.categories.length === 0 || field.categories.some(key => lineage.includes(key))
+    );
+  }
+
+  // Converts one submitted value to what is stored, or returns an error message
+  async coerceValue(field, value, companyId) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length > 1 && !field.multiple) {
+      return { error: `${field.label} takes a single value` };
+    }
+
+    const result = [];
+    for (const item of values) {
+      switch (field.type) {
+        case 'text': {
+          const text = String(item).trim();
+          if (text.length > 1000) {
+            return { error: `${field.label} must be at most 1000 characters` };
+          }
+          result.push(text);
+          break;
+        }
+        case 'number': {
+          const number = typeof item === 'number' ? item : parseFloat(item);
+          if (!Number.isFinite(number)) {
+            return { error: `${field.label} must be a number` };
+          }
+          result.push(number);
+          break;
+        }
+        case 'date': {
+          const date = new Date(item);
+          if (isNaN(date.getTime())) {
+            return { error: `${field.label} must be a date` };
+          }
+          result.push(date);
+          break;
+        }
+        case 'select':
+          if (!field.options.includes(item)) {
+            return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+          }
+          result.push(item);
+          break;
+        case 'user': {
+          const userId = item?._id || item;
+          if (!mongoose.isValidObjectId(userId) ||
+              !await User.exists({ _id: userId, company: companyId })) {
+            return { error: `${field.label} must be a user of the company` };
+          }
+          result.push(new mongoose.Types.ObjectId(String(userId)));
+          break;
+        }
+        default:
+          return { error: `${field.label} has an unknown type` };
+      }
+    }
+
+    return { value: field.multiple ? result : result[0] };
+  }
+
+  // Checks submitted values against the fields of the expense's category. Submitted values
+  // replace the existing ones key by key; values of fields that do not apply to the category,
+  // e.g. after it changed, are dropped. Required fields are only enforced when `enforceRequired` is set.
+  async validate(companyId, category, submitted = {}, existing = {}, { enforceRequired = true } = {}) {
+    const [fields, allKeys] = await Promise.all([
+      this.getFieldsForCategory(companyId, category),
+      CustomField.distinct('key', { company: companyId })
+    ]);
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const errors = [];
+    const values = {};
+
+    for (const [key, value] of Object.entries(existing || {})) {
+      if (byKey.has(key) && !isEmpty(value)) values[key] = value;
+    }
+
+    for (const [key, value] of Object.entries(submitted || {})) {
+      const field = byKey.get(key);
+      if (!field) {
+        if (!allKeys.includes(key)) {
+          errors.push({ path: `${FIELD_PREFIX}${key}`, msg: `Unknown custom field "${key}"` });
+        }
+        continue;
+      }
+
+      if (isEmpty(value)) {
+        delete values[key];
+        continue;
+      }
+
+      const coerced = await this.coerceValue(field, value, companyId);
+      if (coerced.error) {
+        errors.push({ path: `${FIELD_PREFIX}${key}`, msg: coerced.error });
+      } else {
+        values[key] = coerced.value;
+      }
+    }
+
+    if (enforceRequired) {
+      for (const field of fields) {
+        if (field.required && isEmpty(values[field.key])) {
+          errors.push({ path: `${FIELD_PREFIX}${field.key}`, msg: `${field.label} is required` });
+        }
+      }
+    }
+
+    return { values, errors };
+  }
+
+  // Value of "customFields.<key>" on an expense, or undefined for other condition fields
+  getConditionValue(expense, field) {
+    if (!field?.startsWith(FIELD_PREFIX)) {
+      return undefined;
+    }
+
+    const key = field.slice(FIELD_PREFIX.length);
+    const values = expense.customFields;
+    return values instanceof Map ? values.get(key) : values?.[key];
+  }
+
+  isConditionField(field) {
+    return typeof field === 'string' && field.startsWith(FIELD_PREFIX);
+  }
+
+  // Export columns for the company's fields, each with a header and a function giving the
+  // printable value of an expense; user fields show names
+  async getExportColumns(companyId, expenses) {
+    const fields = await this.getFields(companyId);
+    const valueOf = (expense, field) => [].concat(this.getConditionValue(expense, `${FIELD_PREFIX}${field.key}`) ?? []);
+
+    const userIds = new Set();
+    for (const field of fields.filter(f => f.type === 'user')) {
+      for (const expense of expenses) {
+        valueOf(expense, field).forEach(id => userIds.add(String(id)));
+      }
+    }
+    const users = await User.find({ _id: { $in: [...userIds] } }).select('firstName lastName');
+    const names = new Map(users.map(user => [user._id.toString(), `${user.firstName} ${user.lastName}`]));
+
+    return fields.map(field => ({
+      key: `${FIELD_PREFIX}${field.key}`,
+      header: field.label,
+      value: (expense) => valueOf(expense, field).map(item => {
+        if (field.type === 'date') return new Date(item).toISOString().split('T')[0];
+        if (field.type === 'user') return names.get(String(item)) || String(item);
+        return String(item);
+      }).join('; ')
+    }));
+  }
+
+  async isInUse(companyId, key) {
+    return Boolean(await Expense.exists({ company: companyId, [`${FIELD_PREFIX}${key}`]: { $exists: true } }));
+  }
+}
+
+module.exports = new CustomFieldService();
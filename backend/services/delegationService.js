@@ -0,0 +1,209 @@
+const Company = require('../models/Company');
+const Expense = require('../models/Expense');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const categoryService = require('./categoryService');
+const { nextApproverExpr } = require('../utils/approvalChain');
+
+class DelegationService {
+  // Delegations in force at the given date, filtered by delegate and/or delegator
+  async getActiveDelegations(companyId, { delegate, delegators } = {}, date = new Date()) {
+    const query = {
+      company: companyId,
+      isActive: true,
+      startDate: { $lte: date },
+      endDate: { $gte: date }
+    };
+
+    if (delegate) query.delegate = delegate;
+    if (delegators) query.delegator = { $in: delegators };
+
+    return await Delegation.find(query);
+  }
+
+  // What delegations are checked against: the submitter, the amount with its currency and the
+  // category lineage (category and parents) of each expense. A report has the lineages of its
+  // member expenses and is limited by its total.
+  async getCoverage(document, companyId) {
+    if (!document.lineItems) {
+      return {
+        employee: document.employee,
+        amount: document.amount,
+        currencyCode: document.currency?.code,
+        lineages: [await categoryService.getLineageKeys(companyId, document.category)]
+      };
+    }
+
+    const expenses = await Expense.find({
+      _id: { $in: document.lineItems.map(item => item.expense?._id || item.expense) }
+    }).select('category');
+    const categories = [...new Set(expenses.map(expense => expense.category))];
+
+    return {
+      employee: document.employee,
+      amount: document.totalAmount,
+      currencyCode: document.currency?.code,
+      lineages: await Promise.all(categories.map(category => categoryService.getLineageKeys(companyId, category)))
+    };
+  }
+
+  // Amount limits compare against the company currency, so an amount in another currency
+  // is only covered by delegations without an amount limit. Delegating a parent category
+  // covers its subcategories; a report needs every member expense covered.
+  covers(delegation, coverage, companyCurrencyCode) {
+    if (delegation.categories?.length && !coverage.lineages.every(lineage =>
+      lineage.some(category => delegation.categories.includes(category))
+    )) {
+      return false;
+    }
+
+    if (delegation.maxAmount !== undefined && delegation.maxAmount !== null) {
+      if (coverage.currencyCode !== companyCurrencyCode || coverage.amount > delegation.maxAmount) {
+        return false;
+      }
+    }
+
+    // Nobody approves their own expense on someone else's behalf
+    const employeeId = coverage.employee?._id || coverage.employee;
+    return employeeId?.toString() !== delegation.delegate.toString();
+  }
+
+  // Query clause for a delegation on expenses, mirroring covers() so pagination stays correct;
+  // categories are the delegated categories with their subcategories
+  delegationClause(delegation, companyCurrencyCode, categories = delegation.categories) {
+    const clause = {
+      employee: { $ne: delegation.delegate },
+      $expr: nextApproverExpr(delegation.delegator)
+    };
+
+    if (categories?.length) {
+      clause.category = { $in: categories };
+    }
+
+    if (delegation.maxAmount !== undefined && delegation.maxAmount !== null) {
+      clause['currency.code'] = companyCurrencyCode;
+      clause.amount = { $lte: delegation.maxAmount };
+    }
+
+    return clause;
+  }
+
+  // Query clause for a delegation on reports. Member categories are not on the report, so a
+  // delegation limited to categories matches more reports than it covers; check findActingStep.
+  reportDelegationClause(delegation, companyCurrencyCode) {
+    const clause = {
+      employee: { $ne: delegation.delegate },
+      $expr: nextApproverExpr(delegation.delegator)
+    };
+
+    if (delegation.maxAmount !== undefined && delegation.maxAmount !== null) {
+      clause['currency.code'] = companyCurrencyCode;
+      clause.totalAmount = { $lte: delegation.maxAmount };
+    }
+
+    return clause;
+  }
+
+  // Expenses (or, with type 'report', expense reports) where the user is the next approver,
+  // directly or through a delegation
+  async buildPendingQuery(user, type = 'expense') {
+    const companyId = user.company._id;
+    const delegations = await this.getActiveDelegations(companyId, { delegate: user._id });
+    const clauses = [];
+    for (const delegation of delegations) {
+      if (type === 'report') {
+        clauses.push(this.reportDelegationClause(delegation, user.company.currency?.code));
+        continue;
+      }
+      const categories = await categoryService.expandKeys(companyId, delegation.categories);
+      clauses.push(this.delegationClause(delegation, user.company.currency?.code, categories));
+    }
+
+    return {
+      company: companyId,
+      status: 'submitted',
+      $or: [
+        { $expr: nextApproverExpr(user._id) },
+        ...clauses
+      ]
+    };
+  }
+
+  // Picks the pending step of an expense or report the user acts on: their own first, then
+  // one they cover for a delegator, preferring the current level. onBehalfOf is the delegator.
+  async findActingStep(document, user) {
+    const userId = user._id.toString();
+    const pending = document.approvalChain
+      .map((approval, index) => ({ approval, index }))
+      .filter(({ approval }) => approval.status === 'pending' && approval.approver)
+      // Approvers may be populated, e.g. in the pending reports list
+      .map(({ approval, index }) => ({ approval, index, approver: approval.approver._id || approval.approver }));
+
+    const delegatorIds = pending
+      .map(({ approver }) => approver)
+      .filter(id => id.toString() !== userId);
+
+    const delegations = delegatorIds.length > 0
+      ? await this.getActiveDelegations(user.company._id, { delegate: user._id, delegators: delegatorIds })
+      : [];
+
+    const coverage = delegations.length > 0
+      ? await this.getCoverage(document, user.company._id)
+      : null;
+
+    const candidates = [];
+    for (const { approval, index, approver } of pending) {
+      const approverId = approver.toString();
+      if (approverId === userId) {
+        candidates.push({ index, level: approval.level, onBehalfOf: null });
+        continue;
+      }
+
+      const delegation = delegations.find(d =>
+        d.delegator.toString() === approverId && this.covers(d, coverage, user.company.currency?.code)
+      );
+      if (delegation) {
+        candidates.push({ index, level: approval.level, onBehalfOf: approver, delegation: delegation._id });
+      }
+    }
+
+    candidates.sort((a, b) => (a.level - b.level) || ((a.onBehalfOf ? 1 : 0) - (b.onBehalfOf ? 1 : 0)));
+    return candidates[0] || null;
+  }
+
+  // Adds the delegates of any approver who is out of office, so new approval
+  // requests reach someone who can act on them
+  async addDelegates(approvers, expense) {
+    try {
+      const approverIds = approvers.map(approver => approver._id || approver);
+      if (approverIds.length === 0) {
+        return approvers;
+      }
+
+      const companyId = expense.company?._id || expense.company;
+      const delegations = await this.getActiveDelegations(companyId, { delegators: approverIds });
+      if (delegations.length === 0) {
+        return approvers;
+      }
+
+      const company = await Company.findById(companyId).select('currency');
+      const coverage = await this.getCoverage(expense, companyId);
+      const delegateIds = delegations
+        .filter(delegation => this.covers(delegation, coverage, company?.currency?.code))
+        .map(delegation => delegation.delegate);
+
+      const known = new Set(approverIds.map(id => id.toString()));
+      const delegates = await User.find({
+        _id: { $in: delegateIds.filter(id => !known.has(id.toString())) },
+        isActive: true
+      });
+
+      return [...approvers, ...delegates];
+    } catch (error) {
+      console.error('Add delegates error:', error);
+      return approvers;
+    }
+  }
+}
+
+module.exports = new DelegationService();
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const Expense = require('../models/Expense');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_THRESHOLD = 0.7;
+
+class DuplicateService {
+  normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // contentHash catches the same file uploaded twice; textHash catches the same
+  // receipt photographed or scanned again, which produces a different file
+  computeReceiptHashes(buffer, extractedText) {
+    const hashes = {
+      contentHash: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+
+    const normalizedText = this.normalizeText(extractedText);
+    if (normalizedText.length >= 20 && extractedText !== 'OCR processing failed') {
+      hashes.textHash = crypto.createHash('sha256').update(normalizedText).digest('hex');
+    }
+
+    return hashes;
+  }
+
+  getMerchant(expense) {
+    return this.normalizeText(expense.receipt?.ocrData?.extractedMerchant);
+  }
+
+  // Scores how likely two expenses are the same claim; receipt hash matches are conclusive
+  compare(expense, candidate) {
+    const reasons = [];
+    let score = 0;
+
+    const receipt = expense.receipt || {};
+    const candidateReceipt = candidate.receipt || {};
+
+    if (receipt.contentHash && receipt.contentHash === candidateReceipt.contentHash) {
+      reasons.push('same_receipt_file');
+      score = 1;
+    } else if (receipt.textHash && receipt.textHash === candidateReceipt.textHash) {
+      reasons.push('same_receipt_text');
+      score = 1;
+    }
+
+    const sameAmount = expense.currency.code === candidate.currency.code &&
+      Math.abs(expense.amount - candidate.amount) < 0.01;
+    const sameDay = new Date(expense.date).toISOString().split('T')[0] ===
+      new Date(candidate.date).toISOString().split('T')[0];
+
+    if (sameAmount && sameDay) {
+      reasons.push('same_amount_and_date');
+      let fieldScore = 0.5;
+
+      const merchant = this.getMerchant(expense);
+      if (merchant && merchant === this.getMerchant(candidate)) {
+        reasons.push('same_merchant');
+        fieldScore += 0.3;
+      }
+
+      if (expense.category === candidate.category) {
+        reasons.push('same_category');
+        fieldScore += 0.2;
+      }
+
+      score = Math.max(score, fieldScore);
+    }
+
+    return { score: Math.round(score * 100) / 100, reasons };
+  }
+
+  async findDuplicates(expense) {
+    const dayStart = new Date(expense.date);
+    dayStart.setUTCHours(0, 0, 0, 0);
+
+    const or = [
+      {
+        amount: { $gte: expense.amount - 0.01, $lte: expense.amount + 0.01 },
+        date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+      }
+    ];
+
+    if (expense.receipt?.contentHash) {
+      or.push({ 'receipt.contentHash': expense.receipt.contentHash });
+    }
+    if (expense.receipt?.textHash) {
+      or.push({ 'receipt.textHash': expense.receipt.textHash });
+    }
+
+    // Matches across all employees of the company, not just the submitter
+    const query = {
+      _id: { $ne: expense._id },
+      company: expense.company,
+      status: { $ne: 'rejected' },
+      $or: or
+    };
+    // Expenses split from the same receipt share it on purpose
+    if (expense.itemization?.group) {
+      query['itemization.group'] = { $ne: expense.itemization.group };
+    }
+
+    const candidates = await Expense.find(query).select('employee amount currency date category receipt.contentHash receipt.textHash receipt.ocrData.extractedMerchant');
+
+    const matches = [];
+    for (const candidate of candidates) {
+      const { score, reasons } = this.compare(expense, candidate);
+      if (score >= DUPLICATE_THRESHOLD) {
+        matches.push({
+          expense: candidate._id,
+          employee: candidate.employee,
+          score,
+          reasons
+        });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  // Stores the result on the expense (the caller saves it) and flags the matched
+  // expenses back so their approvers see the same warning. Expenses it no longer
+  // matches, e.g. after an edit, lose the flag it left on them.
+  async checkExpense(expense) {
+    try {
+      const matches = await this.findDuplicates(expense);
+      await this.releaseMatches(expense, matches.map(match => match.expense));
+
+      expense.duplicateCheck = {
+        isLikelyDuplicate: matches.length > 0,
+        matches,
+        checkedAt: new Date()
+      };
+
+      for (const match of matches) {
+        await Expense.updateOne(
+          {
+            _id: match.expense,
+            status: { $in: ['draft', 'submitted'] },
+            'duplicateCheck.matches.expense': { $ne: expense._id }
+          },
+          {
+            $set: { 'duplicateCheck.isLikelyDuplicate': true, 'duplicateCheck.checkedAt': new Date() },
+            $push: {
+              'duplicateCheck.matches': {
+                expense: expense._id,
+                employee: expense.employee?._id || expense.employee,
+                score: match.score,
+                reasons: match.reasons
+              }
+            }
+          }
+        );
+      }
+
+      return matches;
+    } catch (error) {
+      // Duplicate detection is advisory and must never fail the request
+      console.error('Duplicate check error:', error);
+      return [];
+    }
+  }
+
+  // Removes the expense from the matches flagged on other expenses, except those in keep,
+  // and clears the warning on expenses left without any match
+  async releaseMatches(expense, keep = []) {
+    try {
+      const flagged = await Expense.find({
+        _id: { $nin: keep },
+        'duplicateCheck.matches.expense': expense._id
+      }).distinct('_id');
+
+      if (flagged.length === 0) {
+        return;
+      }
+
+      await Expense.updateMany(
+        { _id: { $in: flagged } },
+        { $pull: { 'duplicateCheck.matches': { expense: expense._id } } }
+      );
+      await Expense.updateMany(
+        { _id: { $in: flagged }, 'duplicateCheck.matches': { $size: 0 } },
+        { $set: { 'duplicateCheck.isLikelyDuplicate': false, 'duplicateCheck.checkedAt': new Date() } }
+      );
+    } catch (error) {
+      console.error('Release duplicate matches error:', error);
+    }
+  }
+}
+
+module.exports = new DuplicateService();
@@ -218,6 +218,44 @@ Please review and approve or reject this expense.
     };
   }
 
+  getApprovalReminderTemplate(expense, employee, deadline) {
+    return {
+      subject: `Reminder: Expense Awaiting Your Approval - ${expense.description}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #ed6c02;">Approval Reminder</h2>
+          <p>An expense is still waiting for your decision. It will be escalated to another approver on ${new Date(deadline).toLocaleString()} if no action is taken.</p>
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 4px; margin: 20px 0;">
+            <p><strong>Employee:</strong> ${employee.firstName} ${employee.lastName}</p>
+            <p><strong>Description:</strong> ${expense.description}</p>
+            <p><strong>Amount:</strong> ${expense.currency.symbol}${expense.amount} ${expense.currency.code}</p>
+            <p><strong>Category:</strong> ${expense.category}</p>
+            <p><strong>Submitted:</strong> ${new Date(expense.submittedAt || expense.createdAt).toLocaleDateString()}</p>
+          </div>
+          <div style="margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/approvals" 
+               style="background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+              Review Expense
+            </a>
+          </div>
+        </div>
+      `,
+      text: `
+Approval Reminder
+
+An expense is still waiting for your decision. It will be escalated to another approver on ${new Date(deadline).toLocaleString()} if no action is taken.
+
+Employee: ${employee.firstName} ${employee.lastName}
+Description: ${expense.description}
+Amount: ${expense.currency.symbol}${expense.amount} ${expense.currency.code}
+Category: ${expense.category}
+Submitted: ${new Date(expense.submittedAt || expense.createdAt).toLocaleDateString()}
+
+Review this expense at: ${process.env.FRONTEND_URL}/approvals
+      `
+    };
+  }
+
   getExpenseApprovedTemplate(expense, approver) {
     return {
       subject: `Expense Approved - ${expense.description}`,
@@ -296,6 +334,183 @@ Please review the rejection reason and submit a new expense if needed.
     };
   }
 
+  getExpenseReportSubmittedTemplate(report, employee) {
+    const symbol = report.currency?.symbol || '';
+    const code = report.currency?.code || '';
+
+    return {
+      subject: `New Expense Report Submitted - ${report.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #1976d2;">New Expense Report Submitted</h2>
+          <p>A new expense report has been submitted and requires your approval.</p>
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 4px; margin: 20px 0;">
+            <p><strong>Employee:</strong> ${employee.firstName} ${employee.lastName}</p>
+            <p><strong>Report:</strong> ${report.title}</p>
+            <p><strong>Purpose:</strong> ${report.purpose || '-'}</p>
+            <p><strong>Period:</strong> ${new Date(report.startDate).toLocaleDateString()} - ${new Date(report.endDate).toLocaleDateString()}</p>
+            <p><strong>Expenses:</strong> ${report.lineItems.length}</p>
+            <p><strong>Total:</strong> ${symbol}${report.totalAmount} ${code}</p>
+          </div>
+          <div style="margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/approvals" 
+               style="background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+              Review Report
+            </a>
+          </div>
+          <p>Please review the report and approve or reject its expenses.</p>
+        </div>
+      `,
+      text: `
+New Expense Report Submitted
+
+A new expense report has been submitted and requires your approval.
+
+Employee: ${employee.firstName} ${employee.lastName}
+Report: ${report.title}
+Purpose: ${report.purpose || '-'}
+Period: ${new Date(report.startDate).toLocaleDateString()} - ${new Date(report.endDate).toLocaleDateString()}
+Expenses: ${report.lineItems.length}
+Total: ${symbol}${report.totalAmount} ${code}
+
+Review this report at: ${process.env.FRONTEND_URL}/approvals
+
+Please review the report and approve or reject its expenses.
+      `
+    };
+  }
+
+  getExpenseReportDecisionTemplate(report, approver) {
+    const approvedCount = report.lineItems.filter(item => item.status === 'approved').length;
+    const rejectedCount = report.lineItems.filter(item => item.status === 'rejected').length;
+    const statusText = report.status.replace('_', ' ');
+    const color = report.status === 'rejected' ? '#f44336' : '#4caf50';
+
+    return {
+      subject: `Expense Report ${statusText.charAt(0).toUpperCase() + statusText.slice(1)} - ${report.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: ${color};">Expense Report ${statusText}</h2>
+          <p>Your expense report has been reviewed by ${approver.firstName} ${approver.lastName}.</p>
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 4px; margin: 20px 0;">
+            <p><strong>Report:</strong> ${report.title}</p>
+            <p><strong>Approved Expenses:</strong> ${approvedCount}</p>
+            <p><strong>Rejected Expenses:</strong> ${rejectedCount}</p>
+            ${report.rejectionReason ? `<p style="color: #f44336;"><strong>Rejection Reason:</strong> ${report.rejectionReason}</p>` : ''}
+          </div>
+          <div style="margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/expenses" 
+               style="background-color: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+              View Expenses
+            </a>
+          </div>
+        </div>
+      `,
+      text: `
+Expense Report ${statusText}
+
+Your expense report has been reviewed by ${approver.firstName} ${approver.lastName}.
+
+Report: ${report.title}
+Approved Expenses: ${approvedCount}
+Rejected Expenses: ${rejectedCount}
+${report.rejectionReason ? `Rejection Reason: ${report.rejectionReason}` : ''}
+
+View your expenses at: ${process.env.FRONTEND_URL}/expenses
+      `
+    };
+  }
+
+  getRemittanceTemplate(employee, batch, payment) {
+    const symbol = batch.currency.symbol || '';
+    const rows = payment.lines.map(line => `
+            <tr>
+              <td style="padding: 4px 8px;">${line.description || ''}</td>
+              <td style="padding: 4px 8px; text-align: right;">${line.originalAmount} ${line.originalCurrency}</td>
+              <td style="padding: 4px 8px; text-align: right;">${symbol}${line.amount.toFixed(2)}</td>
+            </tr>`).join('');
+    const textRows = payment.lines.map(line =>
+      `- ${line.description || ''}: ${line.originalAmount} ${line.originalCurrency} = ${symbol}${line.amount.toFixed(2)} ${batch.currency.code}`
+    ).join('\n');
+
+    return {
+      subject: `Expense Reimbursement - ${batch.reference}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4caf50;">Expense Reimbursement</h2>
+          <p>Hello ${employee.firstName} ${employee.lastName},</p>
+          <p>The following approved expenses have been reimbursed in payment run <strong>${batch.reference}</strong>.</p>
+          <table style="width: 100%; border-collapse: collapse; background-color: #f5f5f5; margin: 20px 0;">
+            <tr>
+              <th style="padding: 4px 8px; text-align: left;">Expense</th>
+              <th style="padding: 4px 8px; text-align: right;">Original</th>
+              <th style="padding: 4px 8px; text-align: right;">Reimbursed</th>
+            </tr>${rows}
+          </table>
+          <p><strong>Total Reimbursed:</strong> ${symbol}${payment.amount.toFixed(2)} ${batch.currency.code}</p>
+          <div style="margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/expenses" 
+               style="background-color: #4caf50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+              View Expenses
+            </a>
+          </div>
+        </div>
+      `,
+      text: `
+Expense Reimbursement
+
+Hello ${employee.firstName} ${employee.lastName},
+
+The following approved expenses have been reimbursed in payment run ${batch.reference}.
+
+${textRows}
+
+Total Reimbursed: ${symbol}${payment.amount.toFixed(2)} ${batch.currency.code}
+
+View your expenses at: ${process.env.FRONTEND_URL}/expenses
+      `
+    };
+  }
+
+  getBudgetThresholdTemplate(impact, threshold, company) {
+    const symbol = company?.currency?.symbol || '';
+    const code = company?.currency?.code || '';
+    const overBudget = impact.percent >= 100;
+
+    return {
+      subject: `Budget Alert - ${impact.name} at ${impact.percent}% for ${impact.periodLabel}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: ${overBudget ? '#f44336' : '#ed6c02'};">Budget Alert</h2>
+          <p>The <strong>${impact.name}</strong> budget for ${impact.periodLabel} has passed its ${threshold}% threshold.</p>
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 4px; margin: 20px 0;">
+            <p><strong>Budget:</strong> ${symbol}${impact.amount.toFixed(2)} ${code}</p>
+            <p><strong>Consumed:</strong> ${symbol}${impact.consumed.toFixed(2)} ${code} (${impact.percent}%)</p>
+            <p>Submitted and approved expenses both count towards the budget.</p>
+          </div>
+          <div style="margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/settings" 
+               style="background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+              View Budgets
+            </a>
+          </div>
+        </div>
+      `,
+      text: `
+Budget Alert
+
+The ${impact.name} budget for ${impact.periodLabel} has passed its ${threshold}% threshold.
+
+Budget: ${symbol}${impact.amount.toFixed(2)} ${code}
+Consumed: ${symbol}${impact.consumed.toFixed(2)} ${code} (${impact.percent}%)
+
+Submitted and approved expenses both count towards the budget.
+
+View budgets at: ${process.env.FRONTEND_URL}/settings
+      `
+    };
+  }
+
   getPasswordResetTemplate(user, resetToken) {
     return {
       subject: 'Password Reset Request',
@@ -363,6 +578,17 @@ If you didn't request this reset, please ignore this email and your password wil
     return results;
   }
 
+  // Remind an approver that an expense is about to be escalated
+  async sendApprovalReminderEmail(expense, employee, approver, deadline) {
+    const template = this.getApprovalReminderTemplate(expense, employee, deadline);
+    return await this.sendEmail({
+      to: approver.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
   // Send expense approved notification
   async sendExpenseApprovedEmail(expense, approver) {
     const template = this.getExpenseApprovedTemplate(expense, approver);
@@ -385,6 +611,64 @@ If you didn't request this reset, please ignore this email and your password wil
     });
   }
 
+  // Send expense report submitted notification
+  async sendExpenseReportSubmittedEmail(report, employee, approvers) {
+    const template = this.getExpenseReportSubmittedTemplate(report, employee);
+    const results = [];
+
+    for (const approver of approvers) {
+      const result = await this.sendEmail({
+        to: approver.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+      results.push({ approver: approver.email, result });
+    }
+
+    return results;
+  }
+
+  // Send expense report outcome to the employee
+  async sendExpenseReportDecisionEmail(report, employee, approver) {
+    const template = this.getExpenseReportDecisionTemplate(report, approver);
+    return await this.sendEmail({
+      to: employee.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  // Send remittance summary for a payment run
+  async sendRemittanceEmail(employee, batch, payment) {
+    const template = this.getRemittanceTemplate(employee, batch, payment);
+    return await this.sendEmail({
+      to: employee.email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+  }
+
+  // Send budget threshold alert to the budget owners
+  async sendBudgetThresholdEmail(recipients, impact, threshold, company) {
+    const template = this.getBudgetThresholdTemplate(impact, threshold, company);
+    const results = [];
+
+    for (const recipient of recipients) {
+      const result = await this.sendEmail({
+        to: recipient.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+      results.push({ recipient: recipient.email, result });
+    }
+
+    return results;
+  }
+
   // Send password reset email
   async sendPasswordResetEmail(user, resetToken) {
     const template = this.getPasswordResetTemplate(user, resetToken);
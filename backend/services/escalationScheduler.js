@@ -0,0 +1,100 @@
+const Expense = require('../models/Expense');
+const EscalationRun = require('../models/EscalationRun');
+const approvalWorkflowService = require('./approvalWorkflowService');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Periodically runs checkEscalation over every submitted expense. Runs inside the
+// API process; a run that is still in progress is never overlapped by the next tick.
+class EscalationScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMinutes = parseFloat(process.env.ESCALATION_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    this.lastRun = null;
+  }
+
+  isEnabled() {
+    return process.env.ESCALATION_SCHEDULER_ENABLED !== 'false';
+  }
+
+  start() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('Escalation run error:', error));
+    }, this.intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`Escalation scheduler started (every ${this.intervalMinutes} minutes)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Checks all submitted expenses, or only one company's for a manual run
+  async run({ trigger = 'scheduled', companyId = null, triggeredBy = null } = {}) {
+    if (this.running) {
+      return { success: false, error: 'An escalation run is already in progress' };
+    }
+
+    this.running = true;
+    const run = new EscalationRun({
+      trigger,
+      company: companyId || undefined,
+      triggeredBy: triggeredBy || undefined
+    });
+
+    try {
+      await run.save();
+
+      const query = { status: 'submitted', 'approvalChain.status': 'pending' };
+      if (companyId) query.company = companyId;
+
+      const now = new Date();
+      const cursor = Expense.find(query).cursor();
+
+      for (let expense = await cursor.next(); expense; expense = await cursor.next()) {
+        const actions = await approvalWorkflowService.checkEscalation(expense, now);
+        run.expensesChecked += 1;
+        run.actions.push(...actions);
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      console.error('Escalation run error:', error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      this.running = false;
+    }
+
+    try {
+      await run.save();
+    } catch (error) {
+      console.error('Save escalation run error:', error);
+    }
+
+    this.lastRun = run;
+    return { success: run.status === 'completed', run, error: run.error };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      scheduled: !!this.timer,
+      running: this.running,
+      intervalMinutes: this.intervalMinutes
+    };
+  }
+}
+
+module.exports = new EscalationScheduler();
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const externalApiService = require('./externalApiService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rates are only published on business days; look back far enough to cover weekends and holidays
+const LOOKBACK_DAYS = parseInt(process.env.EXCHANGE_RATE_LOOKBACK_DAYS) || 7;
+
+class ExchangeRateService {
+  toDay(date) {
+    const day = new Date(date);
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+  }
+
+  formatDay(date) {
+    return this.toDay(date).toISOString().split('T')[0];
+  }
+
+  lookbackWindow(day) {
+    return { $lte: day, $gte: new Date(day.getTime() - LOOKBACK_DAYS * DAY_MS) };
+  }
+
+  // Dates within the lookback window can still be filled from the live feed
+  isRecent(day) {
+    return day.getTime() >= this.toDay(Date.now() - LOOKBACK_DAYS * DAY_MS).getTime();
+  }
+
+  // Upserts one day of rates for a base currency; rates are [{ toCurrency, rate }]
+  async storeRates(base, date, rates, source) {
+    const day = this.toDay(date);
+    const now = new Date();
+
+    const operations = rates
+      .filter(rate => rate.toCurrency && rate.toCurrency !== base && rate.rate > 0)
+      .map(rate => ({
+        updateOne: {
+          filter: { base, quote: rate.toCurrency.toUpperCase(), date: day },
+          update: {
+            $set: { rate: rate.rate, source, updatedAt: now },
+            $setOnInsert: { createdAt: now }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length === 0) {
+      return 0;
+    }
+
+    await ExchangeRate.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  }
+
+  // Fetches the published rates and keeps them in the history; the static fallback is never stored
+  async recordLatest(base) {
+    const latest = await externalApiService.getExchangeRates(base);
+
+    if (latest.source !== 'fallback' && latest.rates.length > 0) {
+      try {
+        await this.storeRates(base, latest.date, latest.rates, latest.source);
+      } catch (error) {
+        console.error('Store exchange rate history error:', error);
+      }
+    }
+
+    return latest;
+  }
+
+  // Latest stored rate on or before the day, direct or inverted
+  async findStoredRate(from, to, day) {
+    const window = this.lookbackWindow(day);
+    const [direct, inverse] = await Promise.all([
+      ExchangeRate.findOne({ base: from, quote: to, date: window }).sort({ date: -1 }),
+      ExchangeRate.findOne({ base: to, quote: from, date: window }).sort({ date: -1 })
+    ]);
+
+    if (direct && (!inverse || direct.date >= inverse.date)) {
+      return { rate: direct.rate, date: direct.date, source: direct.source };
+    }
+    if (inverse) {
+      return { rate: 1 / inverse.rate, date: inverse.date, source: inverse.source };
+    }
+    return null;
+  }
+
+  // Rate in force on the date, falling back to the nearest prior business day
+  async getRate(fromCurrency, toCurrency, date = new Date()) {
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+    const requestedDate = this.toDay(date);
+
+    if (from === to) {
+      return { rate: 1, date: requestedDate, requestedDate, source: 'same_currency', exact: true };
+    }
+
+    let stored = await this.findStoredRate(from, to, requestedDate);
+    if (!stored && this.isRecent(requestedDate)) {
+      await this.recordLatest(from);
+      stored = await this.findStoredRate(from, to, requestedDate);
+    }
+
+    if (stored) {
+      return {
+        ...stored,
+        requestedDate,
+        exact: stored.date.getTime() === requestedDate.getTime()
+      };
+    }
+
+    // No history around the date: use the current rate and report its real date
+    const conversion = await externalApiService.convertCurrency(1, from, to);
+    return {
+      rate: conversion.rate,
+      date: this.toDay(conversion.rateDate || Date.now()),
+      requestedDate,
+      source: conversion.source,
+      exact: false
+    };
+  }
+
+  async convert(amount, fromCurrency, toCurrency, date = new Date()) {
+    const rate = await this.getRate(fromCurrency, toCurrency, date);
+
+    return {
+      originalAmount: amount,
+      convertedAmount: amount * rate.rate,
+      fromCurrency,
+      toCurrency,
+      rate: rate.rate,
+      source: rate.source,
+      rateDate: rate.date,
+      requestedDate: rate.requestedDate,
+      exact: rate.exact
+    };
+  }
+
+  // Every stored rate for the base on or before the date, one per quote currency
+  async getRatesForDate(baseCurrency, date) {
+    const base = baseCurrency.toUpperCase();
+    const requestedDate = this.toDay(date);
+
+    const findRates = () => ExchangeRate.aggregate([
+      { $match: { base, date: this.lookbackWindow(requestedDate) } },
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: '$quote',
+          rate: { $first: '$rate' },
+          date: { $first: '$date' },
+          source: { $first: '$source' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    let rates = await findRates();
+    if (rates.length === 0 && this.isRecent(requestedDate)) {
+      await this.recordLatest(base);
+      rates = await findRates();
+    }
+
+    if (rates.length === 0) {
+      return null;
+    }
+
+    const latest = rates.reduce((max, rate) => (rate.date > max ? rate.date : max), rates[0].date);
+
+    return {
+      base,
+      date: this.formatDay(latest),
+      requestedDate: this.formatDay(requestedDate),
+      rates: rates.map(rate => ({
+        toCurrency: rate._id,
+        rate: rate.rate,
+        date: this.formatDay(rate.date),
+        source: rate.source
+      }))
+    };
+  }
+
+  // CSV with a header row containing date, base, quote and rate columns
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const split = (line) => line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+    const header = split(lines[0]).map(column => column.toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const columns = {
+      date: column('date'),
+      base: column('base', 'from'),
+      quote: column('quote', 'to', 'currency'),
+      rate: column('rate')
+    };
+
+    if (Object.values(columns).some(index => index === -1)) {
+      throw new Error('CSV header must contain date, base, quote and rate columns');
+    }
+
+    return lines.slice(1).map(line => {
+      const values = split(line);
+      return {
+        date: values[columns.date],
+        base: values[columns.base],
+        quote: values[columns.quote],
+        rate: values[columns.rate]
+      };
+    });
+  }
+
+  // Either flat { date, base, quote, rate } records or daily { date, base, rates: { EUR: 0.92 } } snapshots
+  parseJson(content) {
+    const data = JSON.parse(content);
+    const entries = Array.isArray(data) ? data : [data];
+
+    return entries.flatMap(entry => {
+      if (entry.rates && typeof entry.rates === 'object') {
+        return Object.entries(entry.rates).map(([quote, rate]) => ({
+          date: entry.date,
+          base: entry.base,
+          quote,
+          rate
+        }));
+      }
+      return [entry];
+    });
+  }
+
+  // Loads rate records, reporting invalid rows instead of failing the whole import
+  async importRecords(records, source = 'import') {
+    const errors = [];
+    const days = new Map();
+
+    records.forEach((record, index) => {
+      const row = index + 1;
+      const rate = parseFloat(record.rate);
+      const date = new Date(record.date);
+      const base = String(record.base || '').trim().toUpperCase();
+      const quote = String(record.quote || '').trim().toUpperCase();
+
+      if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
+        errors.push({ row, error: 'Invalid currency code' });
+        return;
+      }
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ row, error: 'Invalid date' });
+        return;
+      }
+      if (!(rate > 0)) {
+        errors.push({ row, error: 'Invalid rate' });
+        return;
+      }
+
+      const key = `${base}|${this.formatDay(date)}`;
+      if (!days.has(key)) {
+        days.set(key, { base, date, rates: [] });
+      }
+      days.get(key).rates.push({ toCurrency: quote, rate });
+    });
+
+    let imported = 0;
+    for (const day of days.values()) {
+      imported += await this.storeRates(day.base, day.date, day.rates, source);
+    }
+
+    return { success: true, imported, days: days.size, errors };
+  }
+
+  async importFile(filePath, source = 'import') {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const records = path.extname(filePath).toLowerCase() === '.json'
+        ? this.parseJson(content)
+        : this.parseCsv(content);
+
+      return await this.importRecords(records, source);
+    } catch (error) {
+      console.error('Import exchange rates error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,372 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const Expense = require('../models/Expense');
+const categoryService = require('./categoryService');
+const customFieldService = require('./customFieldService');
+const storageService = require('./storageService');
+const pdfService = require('./pdfService');
+const { escapeFormula, toCsv } = require('../utils/csv');
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  pending_approval: 'Pending Approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  paid: 'Paid'
+};
+
+const STEP_LABELS = {
+  pending: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  escalated: 'Escalated'
+};
+
+// Width in pixels receipt images are scaled down to before they are embedded in the PDF
+const THUMBNAIL_WIDTH = 360;
+
+const isoDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const isoDateTime = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const personName = (user) => (user?.firstName ? `${user.firstName} ${user.lastName}` : '');
+
+const money = (value) => new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+// Cells are typed so spreadsheets get real dates and numbers; CSV and PDF print them as text
+const formatValue = (column, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (column.type === 'date') return isoDate(value);
+  if (column.type === 'money') return value.toFixed(2);
+  return String(value);
+};
+
+const renderCsv = ({ expenses, columns }) => toCsv([
+  columns.map(column => column.header),
+  ...expenses.map(expense => columns.map(column => formatValue(column, column.value(expense))))
+]);
+
+// One sheet per status, in workflow order
+const renderXlsx = async ({ company, expenses, columns }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = company.name;
+  workbook.created = new Date();
+
+  const statuses = Object.keys(STATUS_LABELS).filter(status => expenses.some(expense => expense.status === status));
+
+  for (const status of statuses.length > 0 ? statuses : [null]) {
+    const sheet = workbook.addWorksheet(status ? STATUS_LABELS[status] : 'Expenses', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || 16,
+      style: column.type === 'money' ? { numFmt: '#,##0.00' } : column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    for (const expense of expenses.filter(expense => expense.status === status)) {
+      sheet.addRow(columns.map(column => {
+        const value = column.value(expense);
+        if (column.type === 'date' && value) return new Date(value);
+        return typeof value === 'string' ? escapeFormula(value) : value ?? '';
+      }));
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Printable report: totals, then each expense with its receipt thumbnail and approval signatures
+const renderPdf = ({ company, user, expenses, columns, thumbnails, filters }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: 'Expense Report', Author: company.name } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const column = (key) => columns.find(item => item.key === key);
+  const customColumns = columns.filter(item => customFieldService.isConditionField(item.key));
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Expense Report');
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(company.name)
+    .text(`Generated ${isoDateTime(new Date())} by ${personName(user)}`);
+
+  const criteria = [
+    filters.status && `Status: ${STATUS_LABELS[filters.status] || filters.status}`,
+    filters.category && `Category: ${filters.categoryLabel || filters.category}`,
+    (filters.startDate || filters.endDate) && `Dates: ${isoDate(filters.startDate) || '...'} to ${isoDate(filters.endDate) || '...'}`
+  ].filter(Boolean);
+  if (criteria.length > 0) doc.text(criteria.join('   '));
+
+  // Totals per currency, since expenses in different currencies cannot be added up
+  const totals = new Map();
+  for (const expense of expenses) {
+    totals.set(expense.currency.code, (totals.get(expense.currency.code) || 0) + expense.amount);
+  }
+  doc.moveDown().fillColor('black').font('Helvetica-Bold').fontSize(11)
+    .text(`${expenses.length} expenses`, { continued: totals.size > 0 })
+    .font('Helvetica')
+    .text(totals.size > 0 ? `   ${[...totals].map(([code, total]) => `${money(total)} ${code}`).join('   ')}` : '');
+
+  for (const expense of expenses) {
+    const thumbnail = thumbnails.get(expense._id.toString());
+    ensureSpace(thumbnail ? 200 : 120);
+
+    doc.moveDown();
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.5);
+
+    const page = doc.page;
+    const top = doc.y;
+    const textWidth = thumbnail ? width - 140 : width;
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('black')
+      .text(`${isoDate(expense.date)}  ${expense.description}`, left, top, { width: textWidth - 110 });
+    const headingBottom = doc.y;
+    doc.text(`${money(expense.amount)} ${expense.currency.code}`, left + textWidth - 110, top, { width: 110, align: 'right' });
+
+    const details = [
+      ['Employee', column('employee').value(expense)],
+      ['Category', column('category').value(expense)],
+      ['Merchant', expense.merchant],
+      ['Status', column('status').value(expense)],
+      ['Cost center', expense.costCenter],
+      expense.normalized?.amount !== undefined && expense.normalized.currency !== expense.currency.code &&
+        ['Company amount', `${money(expense.normalized.amount)} ${expense.normalized.currency}`],
+      ...customColumns.map(item => [item.header, item.value(expense)])
+    ].filter(detail => detail && detail[1]);
+
+    doc.font('Helvetica').fontSize(9).fillColor('#333333');
+    doc.y = Math.max(doc.y, headingBottom);
+    for (const [label, value] of details) {
+      doc.font('Helvetica-Bold').text(`${label}: `, left, doc.y, { width: textWidth, continued: true })
+        .font('Helvetica').text(String(value));
+    }
+
+    if (thumbnail) {
+      doc.image(thumbnail, left + width - 130, top, { fit: [130, 170], align: 'right' });
+    } else if (!expense.receipt?.url) {
+      doc.fillColor('#999999').text('No receipt attached', left, doc.y, { width: textWidth });
+    }
+
+    const chain = [...expense.approvalChain].sort((a, b) => a.level - b.level);
+    if (chain.length > 0) {
+      doc.moveDown(0.5).font('Helvetica-Bold').fillColor('black').text('Approvals', left, doc.y, { width: textWidth });
+
+      for (const step of chain) {
+        const approver = personName(step.approver) || 'Unknown approver';
+        const onBehalf = step.actedBy && personName(step.actedBy) ? ` (signed by ${personName(step.actedBy)} on behalf)` : '';
+
+        doc.font('Helvetica').fillColor('#333333')
+          .text(`${step.stepName || `Level ${step.level}`}: ${STEP_LABELS[step.status]}`, left, doc.y, { width: textWidth, continued: true });
+
+        if (['approved', 'rejected'].includes(step.status) && step.actionDate) {
+          doc.font('Helvetica-Oblique').fillColor('black')
+            .text(`   /s/ ${approver}${onBehalf}, ${isoDateTime(step.actionDate)}`);
+        } else {
+          doc.font('Helvetica').text(`   ${approver}`);
+        }
+
+        if (step.comments) {
+          doc.font('Helvetica-Oblique').fillColor('#555555').text(`"${step.comments}"`, left + 12, doc.y, { width: textWidth - 12 });
+        }
+      }
+    }
+
+    // Keep the next expense clear of the thumbnail unless the text already ran onto a new page
+    if (thumbnail && doc.page === page) {
+      doc.y = Math.max(doc.y, top + 175);
+    }
+  }
+
+  // Page numbers go in the bottom margin, which must not trigger a new page
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const pageBottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#999999')
+      .text(`Page ${index + 1} of ${range.count}`, left, doc.page.height - 30, { width, align: 'center' });
+    doc.page.margins.bottom = pageBottom;
+  }
+
+  doc.end();
+});
+
+// The PDF embeds receipt images, so it takes fewer expenses than the spreadsheet formats
+const FORMATS = {
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv',
+    maxExpenses: 10000,
+    render: renderCsv
+  },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    maxExpenses: 10000,
+    render: renderXlsx
+  },
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    maxExpenses: 250,
+    thumbnails: true,
+    render: renderPdf
+  }
+};
+
+class ExpenseExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  // Columns shared by all formats, followed by the company's custom fields
+  async getColumns(companyId, expenses) {
+    const categories = await categoryService.getCategories(companyId);
+    const categoryLabels = new Map(categories.map(category => [category.key, category.label]));
+    const customColumns = await customFieldService.getExportColumns(companyId, expenses);
+
+    return [
+      { key: 'id', header: 'Expense ID', width: 26, value: (expense) => expense._id.toString() },
+      { key: 'date', header: 'Date', type: 'date', width: 12, value: (expense) => expense.date },
+      { key: 'employee', header: 'Employee', width: 20, value: (expense) => personName(expense.employee) },
+      { key: 'email', header: 'Email', width: 26, value: (expense) => expense.employee?.email },
+      { key: 'department', header: 'Department', value: (expense) => expense.employee?.department },
+      { key: 'description', header: 'Description', width: 32, value: (expense) => expense.description },
+      { key: 'merchant', header: 'Merchant', width: 20, value: (expense) => expense.merchant },
+      {
+        key: 'category',
+        header: 'Category',
+        value: (expense) => categoryLabels.get(expense.category) || expense.category
+      },
+      { key: 'amount', header: 'Amount', type: 'money', width: 12, value: (expense) => expense.amount },
+      { key: 'currency', header: 'Currency', width: 10, value: (expense) => expense.currency.code },
+      {
+        key: 'normalizedAmount',
+        header: 'Company Amount',
+        type: 'money',
+        width: 14,
+        value: (expense) => expense.normalized?.amount
+      },
+      { key: 'normalizedCurrency', header: 'Company Currency', value: (expense) => expense.normalized?.currency },
+      { key: 'status', header: 'Status', value: (expense) => STATUS_LABELS[expense.status] || expense.status },
+      { key: 'submittedAt', header: 'Submitted', type: 'date', width: 12, value: (expense) => expense.submittedAt },
+      { key: 'approvedAt', header: 'Approved', type: 'date', width: 12, value: (expense) => expense.approvedAt },
+      { key: 'paidAt', header: 'Paid', type: 'date', width: 12, value: (expense) => expense.paidAt },
+      { key: 'reimbursable', header: 'Reimbursable', width: 12, value: (expense) => yesNo(expense.isReimbursable) },
+      { key: 'costCenter', header: 'Cost Center', value: (expense) => expense.costCenter },
+      { key: 'tags', header: 'Tags', value: (expense) => expense.tags.join('; ') },
+      { key: 'receipt', header: 'Receipt', width: 10, value: (expense) => yesNo(expense.receipt?.url) },
+      {
+        key: 'approvals',
+        header: 'Approvals',
+        width: 40,
+        value: (expense) => expense.approvalChain
+          .map(step => `${personName(step.approver) || 'Unknown'}: ${step.status}${step.actionDate ? ` ${isoDate(step.actionDate)}` : ''}`)
+          .join('; ')
+      },
+      ...customColumns.map(column => ({ ...column, width: 20 }))
+    ];
+  }
+
+  // Receipt image scaled down to a JPEG; PDF receipts use their stored first-page thumbnail.
+  // Receipts that cannot be read or decoded are left out of the report rather than failing it.
+  async loadThumbnail(receipt) {
+    const file = storageService.parseUrl(receipt?.thumbnailUrl || receipt?.url);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      let buffer = await storageService.get(file.storage, file.key);
+      if (!receipt.thumbnailUrl && pdfService.isPdf(receipt.mimeType)) {
+        buffer = await pdfService.renderThumbnail(buffer, THUMBNAIL_WIDTH);
+      }
+
+      const image = await loadImage(buffer);
+      const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+      const canvas = createCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+      const context = canvas.getContext('2d');
+
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      return canvas.toBuffer('image/jpeg', 80);
+    } catch (error) {
+      console.error('Failed to load receipt thumbnail:', error.message);
+      return null;
+    }
+  }
+
+  // Renders the expenses matching `query` (already scoped to what the user may see)
+  async exportExpenses(company, user, query, sort, format, filters = {}) {
+    const rendered = FORMATS[format];
+    if (!rendered) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
+
+    const total = await Expense.countDocuments(query);
+    if (total > rendered.maxExpenses) {
+      return {
+        success: false,
+        error: `${total} expenses match; narrow the filters to at most ${rendered.maxExpenses} for a ${format.toUpperCase()} export`
+      };
+    }
+
+    const expenses = await Expense.find(query)
+      .populate('employee', 'firstName lastName email department')
+      .populate('approvalChain.approver', 'firstName lastName')
+      .populate('approvalChain.actedBy', 'firstName lastName')
+      .sort(sort);
+
+    const columns = await this.getColumns(company._id, expenses);
+
+    // One receipt at a time, so a large report does not hold every original image in memory
+    const thumbnails = new Map();
+    if (rendered.thumbnails) {
+      for (const expense of expenses) {
+        const thumbnail = await this.loadThumbnail(expense.receipt);
+        if (thumbnail) thumbnails.set(expense._id.toString(), thumbnail);
+      }
+    }
+
+    const categoryLabel = filters.category && columns.find(column => column.key === 'category')
+      .value({ category: filters.category });
+
+    const content = await rendered.render({
+      company,
+      user,
+      expenses,
+      columns,
+      thumbnails,
+      filters: { ...filters, categoryLabel }
+    });
+
+    return {
+      success: true,
+      filename: `expenses-${isoDate(new Date())}.${rendered.extension}`,
+      contentType: rendered.contentType,
+      content,
+      count: expenses.length
+    };
+  }
+}
+
+module.exports = new ExpenseExportService();
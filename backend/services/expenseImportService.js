@@ -0,0 +1,524 @@
+const crypto = require('crypto');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Expense = require('../models/Expense');
+const ImportTemplate = require('../models/ImportTemplate');
+const categoryService = require('./categoryService');
+const merchantService = require('./merchantService');
+const receiptParserService = require('./receiptParserService');
+const policyService = require('./policyService');
+const duplicateService = require('./duplicateService');
+const auditService = require('./auditService');
+const { parseCsv } = require('../utils/csv');
+
+const MAPPING_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'currency', 'merchant', 'category', 'reference'];
+
+// Header patterns used to suggest a mapping, checked in this order so that e.g. a "Payee"
+// column becomes the merchant before it could become the description
+const COLUMN_HINTS = [
+  ['date', /\bdate\b|datum|fecha/i],
+  ['debit', /debit|withdrawal|^charges?$|^soll$/i],
+  ['credit', /credit|deposit|^payments?$|^haben$/i],
+  ['amount', /amount|betrag|montant|importe|^value$|^sum$/i],
+  ['currency', /currency|^curr\.?$|^ccy$|währung|devise|moneda/i],
+  ['category', /categor|kategorie/i],
+  ['reference', /reference|^ref\.?$|transaction id|^fitid$|^id$/i],
+  ['merchant', /merchant|payee|vendor|supplier|händler|commerçant/i],
+  ['description', /description|descripción|beschreibung|details|narrative|^name$|memo|text|verwendungszweck|libell|concepto/i]
+];
+
+// OFX/QFX statements have fixed fields; charges are negative amounts
+const OFX_MAPPING = { date: 'Date', description: 'Name', merchant: 'Name', amount: 'Amount', currency: 'Currency', reference: 'FITID' };
+const OFX_COLUMNS = ['Date', 'Amount', 'Name', 'Memo', 'Type', 'FITID', 'Currency'];
+
+// Larger statements should be split into several imports
+const MAX_ROWS = 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Expense currencies carry a symbol and name for display; the company currency has its own.
+// Returns null for codes that are not ISO 4217 currencies.
+const toCurrency = (code, company) => {
+  if (code === company.currency?.code && company.currency.symbol) {
+    return { code, symbol: company.currency.symbol, name: company.currency.name };
+  }
+
+  try {
+    const symbol = new Intl.NumberFormat('en', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find(part => part.type === 'currency').value;
+    const name = new Intl.DisplayNames(['en'], { type: 'currency', fallback: 'none' }).of(code);
+    return name ? { code, symbol, name } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Spreadsheet cells can hold rich text, formula results and hyperlinks
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value === 'number') return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+  }
+  return String(value).trim();
+};
+
+// Blank headers get a placeholder and repeated ones a suffix, so every column can be mapped
+const uniqueHeaders = (headers) => {
+  const seen = new Map();
+  return headers.map((header, index) => {
+    const name = String(header || '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+};
+
+// Rows below the header keyed by column; `row` is the line number shown in the error report
+const toRecords = (rows, headerRow) => {
+  const columns = uniqueHeaders(rows[headerRow - 1] || []);
+  const records = rows.slice(headerRow)
+    .map((cells, index) => ({
+      row: headerRow + index + 1,
+      values: Object.fromEntries(columns.map((column, position) => [column, cells[position] ?? '']))
+    }))
+    // Blank lines carry no data
+    .filter(record => Object.values(record.values).some(value => value !== ''));
+
+  return { columns, records };
+};
+
+class ExpenseImportService {
+  getCurrency(code, company) {
+    return toCurrency(code, company);
+  }
+
+  getFileType(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const head = file.buffer.subarray(0, 512).toString('latin1');
+
+    if (['.ofx', '.qfx'].includes(extension) || /OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+    if (['.csv', '.txt', '.tsv'].includes(extension) || /^text\//.test(file.mimetype)) return 'csv';
+    return null;
+  }
+
+  // Transactions of an SGML (1.x) or XML (2.x) OFX statement; dates are turned into ISO form
+  parseOfx(text) {
+    const currency = text.match(/<CURDEF>\s*([A-Z]{3})/i)?.[1].toUpperCase() || '';
+    const tag = (block, name) => block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'))?.[1].trim() || '';
+
+    const records = text.split(/<STMTTRN>/i).slice(1).map((section, index) => {
+      const block = section.split(/<\/STMTTRN>/i)[0];
+      const posted = tag(block, 'DTPOSTED');
+
+      return {
+        row: index + 1,
+        values: {
+          Date: posted.length >= 8 ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : posted,
+          Amount: tag(block, 'TRNAMT'),
+          Name: tag(block, 'NAME') || tag(block, 'MEMO'),
+          Memo: tag(block, 'MEMO'),
+          Type: tag(block, 'TRNTYPE'),
+          FITID: tag(block, 'FITID'),
+          // Foreign-currency transactions name their currency; the rest are in the statement's
+          Currency: tag(block, 'CURSYM') || currency
+        }
+      };
+    });
+
+    return { columns: OFX_COLUMNS, records };
+  }
+
+  async parseXlsx(buffer, headerRow) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return { columns: [], records: [] };
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, number) => {
+      rows[number - 1] = row.values.slice(1).map(cellValue);
+    });
+
+    return toRecords(Array.from(rows, cells => cells || []), headerRow);
+  }
+
+  // Columns and rows of an uploaded statement, keyed by column header
+  async parseFile(file, headerRow = 1) {
+    const fileType = this.getFileType(file);
+
+    if (fileType === 'ofx') {
+      // OFX 1.x files declare CHARSET:1252 in their header
+      const encoding = /CHARSET:\s*1252/i.test(file.buffer.subarray(0, 512).toString('latin1')) ? 'latin1' : 'utf8';
+      return { fileType, ...this.parseOfx(file.buffer.toString(encoding)) };
+    }
+    if (fileType === 'xlsx') {
+      return { fileType, ...await this.parseXlsx(file.buffer, headerRow) };
+    }
+    if (fileType === 'csv') {
+      return { fileType, ...toRecords(parseCsv(file.buffer.toString('utf8')), headerRow) };
+    }
+
+    return { fileType: null, columns: [], records: [] };
+  }
+
+  suggestMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+
+    for (const [field, pattern] of COLUMN_HINTS) {
+      const column = columns.find(name => !used.has(name) && pattern.test(name));
+      if (column) {
+        mapping[field] = column;
+        used.add(column);
+      }
+    }
+
+    // A single signed amount column is simpler than debit/credit when both were guessed
+    if (mapping.amount) {
+      delete mapping.debit;
+      delete mapping.credit;
+    }
+
+    return mapping;
+  }
+
+  // Known fields that name a column; clients send empty strings for unmapped fields
+  cleanMapping(mapping) {
+    return Object.fromEntries(MAPPING_FIELDS
+      .filter(field => typeof mapping?.[field] === 'string' && mapping[field].trim())
+      .map(field => [field, mapping[field].trim()]));
+  }
+
+  // The mapping names an existing column for the date, the amount and the description or merchant
+  validateMapping(mapping, columns) {
+    const missing = Object.entries(mapping).find(([, column]) => column && !columns.includes(column));
+    if (missing) {
+      return `Column "${missing[1]}" mapped to ${missing[0]} is not in the file`;
+    }
+    if (!mapping.date) {
+      return 'Map a column to the date';
+    }
+    if (!mapping.amount && !mapping.debit) {
+      return 'Map a column to the amount, or to the debit and credit amounts';
+    }
+    if (!mapping.description && !mapping.merchant) {
+      return 'Map a column to the description or the merchant';
+    }
+    return null;
+  }
+
+  // Signed number from a statement cell: "-12.50", "(12.50)", "12,50-", "1.234,50 CR", "$12.50"
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const text = String(value || '').trim();
+    if (!text) {
+      return null;
+    }
+
+    const negative = /^\(.*\)$/.test(text) || /^-|-$|^[^\d]*-/.test(text) || /\bCR\.?$/i.test(text);
+    const token = text.replace(/[^\d.,']/g, '');
+    if (!token) {
+      return null;
+    }
+
+    let amount = receiptParserService.parseNumber(token);
+    if (amount === null && /^\d+[.,]\d$/.test(token)) {
+      amount = parseFloat(token.replace(',', '.'));
+    }
+    if (amount === null) {
+      amount = receiptParserService.parseNumber(token, true);
+    }
+
+    return amount === null ? null : negative ? -amount : amount;
+  }
+
+  parseDate(value, locale) {
+    if (value instanceof Date) {
+      return isNaN(value) ? null : value;
+    }
+    return receiptParserService.parseDate(String(value || ''), locale);
+  }
+
+  // Category named in the file, else the one learned for the merchant, else the default
+  inferCategory(value, categories, merchant, defaultCategory) {
+    const text = String(value || '').trim().toLowerCase();
+    if (text) {
+      const named = categories.find(category => category.key === text ||
+        category.label.toLowerCase() === text ||
+        category.key === categoryService.slugify(text));
+      if (named) return { category: named.key, source: 'file' };
+    }
+
+    const suggested = merchant.suggestion && categories.find(category => category.key === merchant.suggestion.category);
+    if (suggested) {
+      return { category: suggested.key, source: 'merchant', suggestion: merchant.suggestion };
+    }
+
+    return { category: defaultCategory, source: 'default' };
+  }
+
+  // Expense fields of one row, or the reason it cannot be imported
+  async buildRow(record, settings, context) {
+    const read = (field) => {
+      const column = settings.mapping[field];
+      const value = column ? record.values[column] : '';
+      return typeof value === 'string' ? value.trim() : value;
+    };
+
+    const date = this.parseDate(read('date'), context.locale);
+    if (!date) {
+      return { error: `Unreadable date "${read('date')}"` };
+    }
+
+    let amount;
+    if (settings.mapping.amount) {
+      amount = this.parseAmount(read('amount'));
+      if (amount === null) {
+        return { error: `Unreadable amount "${read('amount')}"` };
+      }
+      if (settings.chargeSign === 'negative') amount = -amount;
+    } else {
+      const debit = this.parseAmount(read('debit'));
+      const credit = this.parseAmount(read('credit'));
+      if (debit === null && credit === null) {
+        return { error: 'No debit or credit amount' };
+      }
+      amount = debit ? Math.abs(debit) : -Math.abs(credit || 0);
+    }
+
+    if (amount < 0) {
+      return { error: 'Credit or payment, not a charge' };
+    }
+    if (amount === 0) {
+      return { error: 'Amount is zero' };
+    }
+
+    const rawMerchant = read('merchant') || read('description');
+    const description = String(read('description') || read('merchant') || '').slice(0, 500);
+    if (!description) {
+      return { error: 'No description or merchant' };
+    }
+
+    const currencyText = String(read('currency') || '').toUpperCase();
+    const code = (/^[A-Z]{3}$/.test(currencyText) && currencyText) ||
+      receiptParserService.parseCurrency(`${read('currency') || ''} ${read('amount') || read('debit') || ''}`, context.locale) ||
+      settings.defaultCurrency ||
+      context.company.currency?.code;
+    const currency = code && toCurrency(code, context.company);
+    if (!currency) {
+      return { error: `Unknown currency "${code || read('currency')}"` };
+    }
+
+    if (!context.merchants.has(rawMerchant)) {
+      context.merchants.set(rawMerchant, await merchantService.resolve(context.company._id, rawMerchant));
+    }
+    const merchant = context.merchants.get(rawMerchant);
+    const category = this.inferCategory(read('category'), context.categories, merchant, settings.defaultCategory);
+
+    return {
+      expense: {
+        date,
+        amount: round(amount),
+        currency,
+        description,
+        merchant: merchant.name,
+        reference: read('reference') ? String(read('reference')) : null,
+        ...category
+      }
+    };
+  }
+
+  // Statement references identify a transaction; without one, identical rows are told apart
+  // by how often they occur in the file
+  buildExternalId(expense, occurrences) {
+    if (expense.reference) {
+      return `ref:${expense.reference}`;
+    }
+
+    const hash = crypto.createHash('sha1')
+      .update([expense.date.toISOString().split('T')[0], expense.amount, expense.currency.code, expense.description].join('|'))
+      .digest('hex');
+    const count = (occurrences.get(hash) || 0) + 1;
+    occurrences.set(hash, count);
+    return `row:${hash}:${count}`;
+  }
+
+  // Saved template settings overridden by the options of this import
+  async resolveSettings(companyId, fileType, columns, options) {
+    let template = null;
+    if (options.templateId) {
+      template = await ImportTemplate.findOne({ _id: options.templateId, company: companyId });
+      if (!template) {
+        return { error: 'Import template not found', notFound: true };
+      }
+    }
+
+    const pick = (name, fallback) => options[name] ?? template?.[name] ?? fallback;
+    const mapping = options.mapping || template?.mapping;
+
+    return {
+      mapping: fileType === 'ofx' ? OFX_MAPPING : mapping ? this.cleanMapping(mapping) : this.suggestMapping(columns),
+      chargeSign: fileType === 'ofx' ? 'negative' : pick('chargeSign', 'positive'),
+      dateOrder: pick('dateOrder', null),
+      defaultCategory: pick('defaultCategory', 'other'),
+      defaultCurrency: pick('defaultCurrency', null),
+      reimbursable: pick('reimbursable', false)
+    };
+  }
+
+  // Charges of an uploaded statement with their transaction ids, plus the rows that cannot be
+  // imported by row number. Shared by the expense and card transaction imports.
+  async readStatement(user, file, options = {}) {
+    const company = user.company;
+    const parsed = await this.parseFile(file, options.headerRow || 1);
+    if (!parsed.fileType) {
+      return { success: false, error: 'Upload a CSV, XLSX, OFX or QFX file' };
+    }
+
+    const settings = await this.resolveSettings(company._id, parsed.fileType, parsed.columns, options);
+    if (settings.error) {
+      return { success: false, error: settings.error, notFound: settings.notFound };
+    }
+
+    const summary = { fileType: parsed.fileType, columns: parsed.columns, mapping: settings.mapping };
+
+    const mappingError = this.validateMapping(settings.mapping, parsed.columns);
+    if (mappingError) {
+      return { success: false, error: mappingError, ...summary };
+    }
+    if (parsed.records.length === 0) {
+      return { success: false, error: 'The file has no rows to import', ...summary };
+    }
+    if (parsed.records.length > MAX_ROWS) {
+      return { success: false, error: `The file has ${parsed.records.length} rows; import at most ${MAX_ROWS} at a time`, ...summary };
+    }
+
+    const categories = await categoryService.getCategories(company._id, { activeOnly: true });
+    if (!categories.some(category => category.key === settings.defaultCategory)) {
+      return { success: false, error: `Default category "${settings.defaultCategory}" is not an active category`, ...summary };
+    }
+
+    const locale = receiptParserService.getLocale(company);
+    const context = {
+      company,
+      locale: settings.dateOrder ? { ...locale, dateOrder: settings.dateOrder } : locale,
+      categories,
+      merchants: new Map()
+    };
+
+    const rows = [];
+    const errors = [];
+    const occurrences = new Map();
+
+    for (const record of parsed.records) {
+      const built = await this.buildRow(record, settings, context);
+      if (built.error) {
+        errors.push({ row: record.row, error: built.error });
+      } else {
+        rows.push({ row: record.row, ...built.expense, externalId: this.buildExternalId(built.expense, occurrences) });
+      }
+    }
+
+    return { success: true, settings, summary, rows, errors };
+  }
+
+  // Creates a draft expense for each charge in the statement, or with `dryRun` only reports
+  // what would be created. Rows that cannot be imported are listed in `errors` by row number.
+  async importExpenses(user, file, options = {}) {
+    const company = user.company;
+    const statement = await this.readStatement(user, file, options);
+    if (!statement.success) {
+      return statement;
+    }
+
+    const { settings, summary, rows, errors } = statement;
+
+    const imported = await Expense.find({
+      company: company._id,
+      employee: user._id,
+      'importSource.externalId': { $in: rows.map(row => row.externalId) }
+    }).select('importSource.externalId');
+    const importedIds = new Set(imported.map(expense => expense.importSource.externalId));
+
+    const results = [];
+    for (const row of rows) {
+      if (importedIds.has(row.externalId)) {
+        errors.push({ row: row.row, error: 'Already imported' });
+        continue;
+      }
+      importedIds.add(row.externalId);
+
+      const result = {
+        row: row.row,
+        date: row.date,
+        description: row.description,
+        merchant: row.merchant,
+        amount: row.amount,
+        currency: row.currency,
+        category: row.category,
+        categorySource: row.source
+      };
+
+      if (options.dryRun) {
+        results.push(result);
+        continue;
+      }
+
+      try {
+        const expense = new Expense({
+          employee: user._id,
+          company: company._id,
+          amount: row.amount,
+          currency: row.currency,
+          category: row.category,
+          description: row.description,
+          date: row.date,
+          merchant: row.merchant,
+          categorySuggestion: row.suggestion ? {
+            category: row.suggestion.category,
+            confidence: row.suggestion.confidence,
+            source: row.suggestion.source,
+            merchant: row.suggestion.merchant
+          } : undefined,
+          isReimbursable: settings.reimbursable,
+          status: 'draft',
+          importSource: {
+            filename: file.originalname,
+            fileType: summary.fileType,
+            row: row.row,
+            externalId: row.externalId,
+            importedAt: new Date()
+          }
+        });
+
+        await policyService.applyPolicy(expense, 'create');
+        await duplicateService.checkExpense(expense);
+        await expense.save();
+        await auditService.recordEvent(expense, user, 'created', {
+          metadata: { source: 'import', filename: file.originalname, row: row.row }
+        });
+
+        results.push({ ...result, expense: expense._id });
+      } catch (error) {
+        errors.push({ row: row.row, error: error.message });
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return { success: true, dryRun: Boolean(options.dryRun), ...summary, results, errors };
+  }
+}
+
+module.exports = new ExpenseImportService();
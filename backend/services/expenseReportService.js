@@ -0,0 +1,386 @@
+const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const approvalWorkflowService = require('./approvalWorkflowService');
+const externalApiService = require('./externalApiService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const policyService = require('./policyService');
+const duplicateService = require('./duplicateService');
+const budgetService = require('./budgetService');
+const normalizationService = require('./normalizationService');
+const merchantService = require('./merchantService');
+
+class ExpenseReportService {
+  async loadMemberExpenses(employeeId, companyId, expenseIds, reportId = null) {
+    const uniqueIds = [...new Set(expenseIds.map(id => id.toString()))];
+
+    const expenses = await Expense.find({
+      _id: { $in: uniqueIds },
+      employee: employeeId,
+      company: companyId
+    });
+
+    if (expenses.length !== uniqueIds.length) {
+      return { success: false, error: 'Some expenses were not found' };
+    }
+
+    const notDraft = expenses.filter(e => e.status !== 'draft');
+    if (notDraft.length > 0) {
+      return { success: false, error: 'Only draft expenses can be added to a report' };
+    }
+
+    const inOtherReport = expenses.filter(e =>
+      e.report && (!reportId || e.report.toString() !== reportId.toString())
+    );
+    if (inOtherReport.length > 0) {
+      return { success: false, error: 'Some expenses already belong to another report' };
+    }
+
+    return { success: true, expenses };
+  }
+
+  // Totals the report in the company currency
+  async calculateTotal(companyId, expenses) {
+    const company = await Company.findById(companyId);
+    let total = 0;
+
+    for (const expense of expenses) {
+      const conversion = await externalApiService.convertCurrency(
+        expense.amount,
+        expense.currency.code,
+        company.currency.code
+      );
+      total += conversion.convertedAmount;
+    }
+
+    return {
+      totalAmount: Math.round(total * 100) / 100,
+      currency: company.currency
+    };
+  }
+
+  async setMembers(report, expenses) {
+    const previousIds = report.lineItems.map(item => item.expense.toString());
+    const nextIds = expenses.map(e => e._id.toString());
+
+    // Release expenses that were removed from the report
+    const removedIds = previousIds.filter(id => !nextIds.includes(id));
+    if (removedIds.length > 0) {
+      await Expense.updateMany(
+        { _id: { $in: removedIds }, report: report._id },
+        { $unset: { report: 1 } }
+      );
+    }
+
+    await Expense.updateMany(
+      { _id: { $in: nextIds } },
+      { $set: { report: report._id } }
+    );
+
+    report.lineItems = expenses.map(e => ({ expense: e._id, status: 'pending' }));
+
+    const { totalAmount, currency } = await this.calculateTotal(report.company, expenses);
+    report.totalAmount = totalAmount;
+    report.currency = currency;
+  }
+
+  async releaseMembers(report) {
+    await Expense.updateMany(
+      { report: report._id, status: 'draft' },
+      { $unset: { report: 1 } }
+    );
+  }
+
+  // Workflow selection looks at a single expense, so describe the report as one
+  buildApprovalSubject(report, employee, expenses) {
+    const amountByCategory = {};
+    for (const expense of expenses) {
+      amountByCategory[expense.category] = (amountByCategory[expense.category] || 0) + expense.amount;
+    }
+    const category = Object.keys(amountByCategory)
+      .sort((a, b) => amountByCategory[b] - amountByCategory[a])[0] || 'other';
+
+    return {
+      _id: report._id,
+      company: report.company,
+      employee,
+      amount: report.totalAmount,
+      currency: report.currency,
+      category,
+      budgetImpact: expenses.flatMap(expense => expense.budgetImpact || [])
+    };
+  }
+
+  async submitReport(report, workflowId = null) {
+    try {
+      if (report.status !== 'draft') {
+        return { success: false, error: 'Report already submitted' };
+      }
+
+      if (report.lineItems.length === 0) {
+        return { success: false, error: 'Add at least one expense before submitting' };
+      }
+
+      const expenses = await Expense.find({
+        _id: { $in: report.lineItems.map(item => item.expense) },
+        report: report._id
+      });
+
+      if (expenses.some(e => e.status !== 'draft')) {
+        return { success: false, error: 'All expenses in the report must be drafts' };
+      }
+
+      const blockedExpenses = [];
+      for (const expense of expenses) {
+        const policyResult = await policyService.applyPolicy(expense, 'submit');
+        if (policyResult.blocked) {
+          await expense.save();
+          blockedExpenses.push({ expense: expense._id, description: expense.description, violations: policyResult.violations });
+        }
+      }
+
+      if (blockedExpenses.length > 0) {
+        return {
+          success: false,
+          error: 'Some expenses violate company policy and cannot be submitted',
+          violations: blockedExpenses
+        };
+      }
+
+      // Member drafts may have been edited since they were added
+      const { totalAmount, currency } = await this.calculateTotal(report.company, expenses);
+      report.totalAmount = totalAmount;
+      report.currency = currency;
+
+      const company = await Company.findById(report.company);
+      for (const expense of expenses) {
+        await normalizationService.normalize(expense, company);
+        await budgetService.applyBudgetCheck(expense);
+      }
+
+      const employee = await User.findById(report.employee);
+      const subject = this.buildApprovalSubject(report, employee, expenses);
+      const approvalChain = await approvalWorkflowService.setupApprovalChain(subject, workflowId);
+
+      if (!approvalChain || approvalChain.length === 0) {
+        return { success: false, error: 'No approval chain could be set up for this report' };
+      }
+
+      report.approvalChain = approvalChain;
+      report.selectedWorkflow = workflowId || undefined;
+      report.status = 'submitted';
+      report.submittedAt = new Date();
+      await report.save();
+
+      for (const expense of expenses) {
+        const before = auditService.snapshot(expense);
+        await duplicateService.checkExpense(expense);
+        expense.status = 'submitted';
+        expense.submittedAt = report.submittedAt;
+        await expense.save();
+
+        await auditService.recordEvent(expense, employee, 'submitted', {
+          before,
+          metadata: { report: report._id }
+        });
+        await budgetService.checkThresholds(expense);
+      }
+
+      try {
+        const approvers = await User.find({
+          _id: { $in: approvalChain.map(a => a.approver).filter(a => a) },
+          isActive: true
+        });
+
+        if (approvers.length > 0) {
+          await emailService.sendExpenseReportSubmittedEmail(report, employee, approvers);
+        }
+      } catch (emailError) {
+        console.error('Failed to send expense report submission email:', emailError);
+        // Don't fail the submission if email fails
+      }
+
+      return { success: true, report };
+    } catch (error) {
+      console.error('Submit expense report error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // lineDecisions: [{ expense, status: 'rejected', reason }] for line items this approver rejects
+  // step is the { index, onBehalfOf } found by delegationService.findActingStep; without it the
+  // approver's own pending step is used
+  async approveReport(report, approver, comments = '', lineDecisions = [], step = null) {
+    try {
+      const approvalIndex = this.getActingIndex(report, approver, step);
+
+      if (approvalIndex === -1) {
+        return { success: false, error: 'No pending approval found for this user' };
+      }
+
+      report.approvalChain[approvalIndex].status = 'approved';
+      report.approvalChain[approvalIndex].comments = comments;
+      report.approvalChain[approvalIndex].actionDate = new Date();
+      if (step?.onBehalfOf) {
+        report.approvalChain[approvalIndex].actedBy = approver._id;
+      }
+
+      // Lines not rejected by any step are approved once the chain completes
+      for (const decision of lineDecisions.filter(d => d.status === 'rejected')) {
+        const lineItem = report.lineItems.find(item => item.expense.toString() === decision.expense.toString());
+        if (!lineItem || lineItem.status === 'rejected') {
+          continue;
+        }
+
+        lineItem.status = 'rejected';
+        lineItem.reason = decision.reason;
+        lineItem.decidedBy = approver._id;
+        lineItem.decidedAt = new Date();
+      }
+
+      const pendingRequired = report.approvalChain.filter(
+        approval => approval.status === 'pending' && approval.isRequired && approval.approver
+      );
+
+      if (pendingRequired.length === 0 || report.lineItems.every(item => item.status === 'rejected')) {
+        await this.finalizeReport(report, approver, step?.onBehalfOf);
+      } else {
+        await report.save();
+
+        try {
+          const nextApprovers = await User.find({
+            _id: { $in: pendingRequired.map(a => a.approver) },
+            isActive: true
+          });
+          const employee = await User.findById(report.employee);
+          await emailService.sendExpenseReportSubmittedEmail(report, employee, nextApprovers);
+        } catch (emailError) {
+          console.error('Failed to notify next report approvers:', emailError);
+        }
+      }
+
+      return { success: true, report };
+    } catch (error) {
+      console.error('Approve expense report error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async rejectReport(report, approver, reason, comments = '', step = null) {
+    try {
+      const approvalIndex = this.getActingIndex(report, approver, step);
+
+      if (approvalIndex === -1) {
+        return { success: false, error: 'No pending approval found for this user' };
+      }
+
+      report.approvalChain[approvalIndex].status = 'rejected';
+      report.approvalChain[approvalIndex].comments = comments;
+      report.approvalChain[approvalIndex].actionDate = new Date();
+      if (step?.onBehalfOf) {
+        report.approvalChain[approvalIndex].actedBy = approver._id;
+      }
+      report.rejectionReason = reason;
+
+      for (const lineItem of report.lineItems) {
+        if (lineItem.status !== 'rejected') {
+          lineItem.status = 'rejected';
+          lineItem.reason = reason;
+          lineItem.decidedBy = approver._id;
+          lineItem.decidedAt = new Date();
+        }
+      }
+
+      await this.finalizeReport(report, approver, step?.onBehalfOf);
+
+      return { success: true, report };
+    } catch (error) {
+      console.error('Reject expense report error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getActingIndex(report, approver, step) {
+    if (step) {
+      return report.approvalChain[step.index]?.status === 'pending' ? step.index : -1;
+    }
+
+    return report.approvalChain.findIndex(
+      approval => approval.approver && approval.approver.toString() === approver._id.toString() &&
+                 approval.status === 'pending'
+    );
+  }
+
+  // Applies each line item's outcome to its expense and closes the report. onBehalfOf is the
+  // approver a delegate acted for.
+  async finalizeReport(report, approver, onBehalfOf = null) {
+    const now = new Date();
+
+    for (const lineItem of report.lineItems) {
+      if (lineItem.status === 'pending') {
+        lineItem.status = 'approved';
+        lineItem.decidedBy = approver._id;
+        lineItem.decidedAt = now;
+      }
+    }
+
+    const approvedCount = report.lineItems.filter(item => item.status === 'approved').length;
+    if (approvedCount === report.lineItems.length) {
+      report.status = 'approved';
+    } else if (approvedCount === 0) {
+      report.status = 'rejected';
+    } else {
+      report.status = 'partially_approved';
+    }
+    report.decidedAt = now;
+    await report.save();
+
+    for (const lineItem of report.lineItems) {
+      const expense = await Expense.findOne({ _id: lineItem.expense, report: report._id });
+      if (!expense) {
+        continue;
+      }
+
+      const before = auditService.snapshot(expense);
+
+      if (lineItem.status === 'approved') {
+        expense.status = 'approved';
+        expense.approvedAt = now;
+        expense.totalApprovedAmount = expense.amount;
+      } else {
+        expense.status = 'rejected';
+        expense.rejectionReason = lineItem.reason || report.rejectionReason || 'Rejected in expense report';
+      }
+
+      await expense.save();
+      await auditService.recordEvent(expense, approver, lineItem.status, {
+        before,
+        comments: lineItem.reason,
+        onBehalfOf,
+        metadata: { report: report._id }
+      });
+      if (expense.status === 'approved') {
+        await merchantService.learnFromExpense(expense);
+      }
+    }
+
+    try {
+      const employee = await User.findById(report.employee);
+      await emailService.sendExpenseReportDecisionEmail(report, employee, approver);
+    } catch (emailError) {
+      console.error('Failed to send expense report decision email:', emailError);
+    }
+  }
+
+  async getReportWithExpenses(reportId, companyId) {
+    return await ExpenseReport.findOne({ _id: reportId, company: companyId })
+      .populate('employee', 'firstName lastName email department')
+      .populate('lineItems.expense')
+      .populate('approvalChain.approver', 'firstName lastName email role')
+      .populate('approvalChain.actedBy', 'firstName lastName email role');
+  }
+}
+
+module.exports = new ExpenseReportService();
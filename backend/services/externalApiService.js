@@ -59,6 +59,7 @@ class ExternalApiService {
       const result = {
         base: baseCurrency,
         date: response.data.date,
+        source: 'exchangerate-api',
         rates: exchangeRates,
         lastUpdated: new Date()
       };
@@ -74,7 +75,13 @@ class ExternalApiService {
   async convertCurrency(amount, fromCurrency, toCurrency) {
     try {
       if (fromCurrency === toCurrency) {
-        return { originalAmount: amount, convertedAmount: amount, rate: 1 };
+        return {
+          originalAmount: amount,
+          convertedAmount: amount,
+          rate: 1,
+          source: 'same_currency',
+          rateDate: new Date().toISOString().split('T')[0]
+        };
       }
 
       const rates = await this.getExchangeRates(fromCurrency);
@@ -90,6 +97,8 @@ class ExternalApiService {
         fromCurrency,
         toCurrency,
         rate: rate.rate,
+        source: rates.source,
+        rateDate: rates.date,
         lastUpdated: rate.lastUpdated
       };
     } catch (error) {
@@ -257,6 +266,7 @@ class ExternalApiService {
     return {
       base: baseCurrency,
       date: new Date().toISOString().split('T')[0],
+      source: 'fallback',
       rates: fallbackRates[baseCurrency] || [],
       lastUpdated: new Date()
     };
@@ -0,0 +1,128 @@
+const Expense = require('../models/Expense');
+const policyService = require('./policyService');
+const duplicateService = require('./duplicateService');
+const auditService = require('./auditService');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ItemizationService {
+  // Amount of each split from its line items or explicit amount. Tax, tip and anything
+  // else left over is shared out in proportion, so the splits add up to the expense.
+  allocate(total, lineItems, splits) {
+    const used = new Set();
+    const bases = [];
+
+    for (const split of splits) {
+      const items = [];
+      for (const index of split.lineItems || []) {
+        if (!lineItems[index]) {
+          return { success: false, error: `Line item ${index + 1} does not exist` };
+        }
+        if (used.has(index)) {
+          return { success: false, error: `Line item ${index + 1} is in more than one split` };
+        }
+        used.add(index);
+        items.push(lineItems[index]);
+      }
+
+      const base = split.amount !== undefined
+        ? Number(split.amount)
+        : round(items.reduce((sum, item) => sum + (item.amount || 0), 0));
+
+      bases.push({ ...split, items, base });
+    }
+
+    const baseTotal = round(bases.reduce((sum, split) => sum + split.base, 0));
+    if (baseTotal <= 0) {
+      return { success: false, error: 'Splits must have an amount' };
+    }
+    if (baseTotal > total + 0.01) {
+      return { success: false, error: 'Split amounts exceed the expense amount' };
+    }
+
+    const remainder = total - baseTotal;
+    let allocated = 0;
+    const allocations = bases.map((split, index) => {
+      // The last split takes the rounding difference
+      const amount = index === bases.length - 1
+        ? round(total - allocated)
+        : round(split.base + remainder * (split.base / baseTotal));
+      allocated = round(allocated + amount);
+      return { ...split, amount };
+    });
+
+    return { success: true, allocations };
+  }
+
+  // Splits a draft into one expense per group of receipt line items (e.g. hotel room vs. minibar).
+  // The original expense becomes the first split; the others share its receipt and attachments.
+  async split(expense, splits, user) {
+    if (expense.status !== 'draft') {
+      return { success: false, error: 'Only draft expenses can be split' };
+    }
+    if (expense.kind !== 'standard') {
+      return { success: false, error: 'Mileage and per diem expenses cannot be split' };
+    }
+    if (expense.report) {
+      return { success: false, error: 'Remove this expense from its expense report before splitting it' };
+    }
+
+    const lineItems = expense.receipt?.ocrData?.lineItems || [];
+    const result = this.allocate(expense.amount, lineItems, splits);
+    if (!result.success) {
+      return result;
+    }
+
+    const before = auditService.snapshot(expense);
+    const source = expense.toObject();
+    const [first, ...rest] = result.allocations;
+    const itemizationFor = (split) => ({ group: expense._id, lineItems: split.items });
+
+    expense.amount = first.amount;
+    expense.category = first.category;
+    if (first.description) expense.description = first.description;
+    expense.itemization = itemizationFor(first);
+
+    const created = rest.map(split => new Expense({
+      employee: source.employee,
+      company: source.company,
+      kind: 'standard',
+      amount: split.amount,
+      currency: source.currency,
+      category: split.category,
+      description: split.description || source.description,
+      merchant: source.merchant,
+      date: source.date,
+      country: source.country,
+      costCenter: source.costCenter,
+      tags: source.tags,
+      customFields: source.customFields,
+      isReimbursable: source.isReimbursable,
+      receipt: source.receipt,
+      attachments: (source.attachments || []).map(({ _id, ...attachment }) => attachment),
+      itemization: itemizationFor(split),
+      status: 'draft'
+    }));
+
+    for (const splitExpense of [expense, ...created]) {
+      await policyService.applyPolicy(splitExpense, 'create');
+      await duplicateService.checkExpense(splitExpense);
+      await splitExpense.save();
+    }
+
+    await auditService.recordEvent(expense, user, 'updated', {
+      before,
+      comments: `Split into ${result.allocations.length} expenses`,
+      metadata: { split: true, expenses: created.map(e => e._id) }
+    });
+    for (const splitExpense of created) {
+      await auditService.recordEvent(splitExpense, user, 'created', {
+        metadata: { source: 'split', splitFrom: expense._id }
+      });
+    }
+
+    return { success: true, expenses: [expense, ...created] };
+  }
+}
+
+module.exports = new ItemizationService();
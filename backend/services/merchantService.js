@@ -0,0 +1,212 @@
+const Merchant = require('../models/Merchant');
+const Expense = require('../models/Expense');
+
+// Card processors put their own prefix in front of the merchant, e.g. "SQ *BLUE BOTTLE"
+const PROCESSOR_PREFIX = /^(?:sq|tst|sp|pp|paypal|sumup|zettle|iz|izettle)\s*\*\s*/i;
+// Store and terminal numbers, e.g. "#1234", "Store 56", "Nr. 7"
+const STORE_NUMBER = /(?:#|\b(?:no|nr|store|str|filiale|branch|unit)\.?\s*)\s*\d+\b/gi;
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'gmbh', 'ag', 'kg', 'sa', 'sas',
+  'sarl', 'srl', 'spa', 'bv', 'nv', 'plc', 'pty', 'kk', 'pvt'
+]);
+
+const APPROVED_STATUSES = ['approved', 'paid'];
+
+const titleCase = (key) => key.replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+
+class MerchantService {
+  // "STARBUCKS #1234" and "Starbucks Store 88" both become "starbucks"
+  normalizeKey(raw) {
+    if (!raw) {
+      return '';
+    }
+
+    const words = String(raw)
+      .normalize('NFKC')
+      .trim()
+      .replace(PROCESSOR_PREFIX, '')
+      .toLowerCase()
+      .replace(STORE_NUMBER, ' ')
+      .replace(/['’`]/g, '')
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .split(' ')
+      .filter(Boolean)
+      // Numbers after the name are store numbers; a leading one is part of it, as in 7-Eleven
+      .filter((word, index) => index === 0 || !/^\d+$/.test(word));
+
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+      words.pop();
+    }
+
+    return words.join(' ');
+  }
+
+  // The directory entry for a merchant string. Learned entries only match the exact name;
+  // admin rules also match longer names starting with it ("shell" matches "shell oil 0423")
+  // and win over learned entries.
+  async findMerchant(companyId, raw) {
+    const key = this.normalizeKey(raw);
+    if (!key) {
+      return null;
+    }
+
+    const words = key.split(' ');
+    const candidates = words.map((word, index) => words.slice(0, index + 1).join(' '));
+
+    const merchants = await Merchant.find({
+      company: companyId,
+      isActive: true,
+      $or: [{ key: { $in: candidates } }, { aliases: { $in: candidates } }]
+    });
+
+    let best = null;
+    let bestLength = 0;
+    for (const merchant of merchants) {
+      const matched = [merchant.key, ...(merchant.aliases || [])].filter(name => candidates.includes(name));
+      const length = Math.max(...matched.map(name => name.length));
+      if (length < key.length && !merchant.category) {
+        continue;
+      }
+      const better = !best
+        || (merchant.category && !best.category)
+        || (Boolean(merchant.category) === Boolean(best.category) && length > bestLength);
+      if (better) {
+        best = merchant;
+        bestLength = length;
+      }
+    }
+
+    return best;
+  }
+
+  // Admin rules are certain; learned categories are as confident as the share of approved
+  // expenses that used them, discounted while there are only a few of them
+  getSuggestion(merchant) {
+    if (!merchant) {
+      return null;
+    }
+
+    const base = { merchant: merchant._id, merchantName: merchant.name };
+
+    if (merchant.category) {
+      return { ...base, category: merchant.category, confidence: 1, source: 'rule' };
+    }
+
+    let category = null;
+    let top = 0;
+    let total = 0;
+    for (const [name, count] of merchant.categoryCounts || []) {
+      total += count;
+      if (count > top) {
+        category = name;
+        top = count;
+      }
+    }
+
+    if (!category) {
+      return null;
+    }
+
+    const confidence = Math.round((top / total) * (total / (total + 1)) * 100) / 100;
+    return { ...base, category, confidence, source: 'history' };
+  }
+
+  // Normalized merchant name and category suggestion for an expense being created
+  async resolve(companyId, raw) {
+    const key = this.normalizeKey(raw);
+    if (!key) {
+      return { name: raw ? String(raw).trim() : '', suggestion: null };
+    }
+
+    const merchant = await this.findMerchant(companyId, raw);
+    return {
+      name: merchant ? merchant.name : titleCase(key),
+      suggestion: this.getSuggestion(merchant)
+    };
+  }
+
+  getExpenseMerchant(expense) {
+    return expense.merchant || expense.receipt?.ocrData?.extractedMerchant;
+  }
+
+  async addCategoryCounts(companyId, key, counts, lastSeenAt) {
+    const update = {
+      $inc: { expenseCount: 0 },
+      $set: { updatedAt: new Date() }
+    };
+    for (const [category, count] of Object.entries(counts)) {
+      update.$inc[`categoryCounts.${category}`] = count;
+      update.$inc.expenseCount += count;
+    }
+    if (lastSeenAt) {
+      update.$max = { lastSeenAt };
+    }
+
+    const merchant = await this.findMerchant(companyId, key);
+    if (merchant) {
+      await Merchant.updateOne({ _id: merchant._id }, update);
+      return;
+    }
+
+    await Merchant.updateOne(
+      { company: companyId, key },
+      { ...update, $setOnInsert: { name: titleCase(key), source: 'learned', createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  // Called once an expense is fully approved; the approved category is what employees
+  // with the same merchant get suggested next time
+  async learnFromExpense(expense) {
+    try {
+      const key = this.normalizeKey(this.getExpenseMerchant(expense));
+      if (!key || !expense.category) {
+        return { success: true, learned: false };
+      }
+
+      await this.addCategoryCounts(expense.company, key, { [expense.category]: 1 }, expense.approvedAt || new Date());
+      return { success: true, learned: true };
+    } catch (error) {
+      console.error('Learn merchant category error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Rebuilds the learned categories from all approved and paid expenses; admin rules are kept
+  async relearn(companyId) {
+    try {
+      const expenses = await Expense.find({
+        company: companyId,
+        status: { $in: APPROVED_STATUSES }
+      }).select('merchant category approvedAt receipt.ocrData.extractedMerchant');
+
+      const byKey = new Map();
+      for (const expense of expenses) {
+        const key = this.normalizeKey(this.getExpenseMerchant(expense));
+        if (!key) continue;
+
+        const entry = byKey.get(key) || { counts: {}, lastSeenAt: null };
+        entry.counts[expense.category] = (entry.counts[expense.category] || 0) + 1;
+        if (expense.approvedAt && (!entry.lastSeenAt || expense.approvedAt > entry.lastSeenAt)) {
+          entry.lastSeenAt = expense.approvedAt;
+        }
+        byKey.set(key, entry);
+      }
+
+      await Merchant.updateMany({ company: companyId }, { $set: { categoryCounts: {}, expenseCount: 0 } });
+      // Learned entries nobody uses any more disappear with the rebuild
+      await Merchant.deleteMany({ company: companyId, source: 'learned', category: { $exists: false } });
+
+      for (const [key, entry] of byKey) {
+        await this.addCategoryCounts(companyId, key, entry.counts, entry.lastSeenAt);
+      }
+
+      return { success: true, expenses: expenses.length, merchants: byKey.size };
+    } catch (error) {
+      console.error('Relearn merchants error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new MerchantService();
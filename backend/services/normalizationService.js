@@ -0,0 +1,127 @@
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const exchangeRateService = require('./exchangeRateService');
+const auditService = require('./auditService');
+
+// Whether an expense has a normalized amount in the given currency. Drafts and expenses whose
+// rate was missing have none, and a company currency change leaves the old ones behind.
+const isConvertedExpr = (currencyCode) => ({
+  $and: [
+    { $eq: ['$normalized.currency', currencyCode] },
+    { $isNumber: '$normalized.amount' }
+  ]
+});
+
+class NormalizationService {
+  // Company-currency amount for aggregations; expenses that were not converted add nothing
+  amountExpr(currencyCode) {
+    return { $cond: [isConvertedExpr(currencyCode), '$normalized.amount', 0] };
+  }
+
+  // Counts the expenses left out of amountExpr so totals can say what they exclude
+  unconvertedExpr(currencyCode) {
+    return { $cond: [isConvertedExpr(currencyCode), 0, 1] };
+  }
+
+  // Stores the company-currency amount and the rate used; the caller saves it
+  async normalize(expense, company, revaluedBy = null) {
+    try {
+      if (!company?.currency?.code) {
+        company = await Company.findById(expense.company?._id || expense.company);
+      }
+      if (!company) {
+        return { success: false, error: 'Company not found' };
+      }
+
+      // Reimbursement uses the rate of the day the expense was incurred
+      const conversion = await exchangeRateService.convert(
+        expense.amount,
+        expense.currency.code,
+        company.currency.code,
+        expense.date
+      );
+
+      expense.normalized = {
+        amount: Math.round(conversion.convertedAmount * 100) / 100,
+        currency: company.currency.code,
+        rate: conversion.rate,
+        rateSource: conversion.source,
+        rateDate: conversion.rateDate,
+        normalizedAt: new Date(),
+        revaluedBy: revaluedBy || undefined
+      };
+
+      return { success: true, normalized: expense.normalized };
+    } catch (error) {
+      // A missing rate must not block a submission; re-valuation can fill it in later
+      console.error('Expense normalization error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Company-currency amount of a single expense, converting on the fly when it was never normalized
+  async getCompanyAmount(expense, company) {
+    if (expense.normalized?.amount !== undefined && expense.normalized.currency === company.currency.code) {
+      return expense.normalized.amount;
+    }
+
+    try {
+      const conversion = await exchangeRateService.convert(
+        expense.amount,
+        expense.currency.code,
+        company.currency.code,
+        expense.date
+      );
+      return conversion.convertedAmount;
+    } catch (error) {
+      console.error('Currency conversion failed, using original amount:', error.message);
+      return expense.amount;
+    }
+  }
+
+  // Recomputes normalized amounts from the rate history, e.g. after importing missing rates
+  async revalue(companyId, user, options = {}) {
+    const { expenseIds, statuses, onlyMissing = false, rateSource } = options;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { success: false, error: 'Company not found' };
+    }
+
+    const query = { company: company._id, status: { $ne: 'draft' } };
+    if (expenseIds?.length) query._id = { $in: expenseIds };
+    if (statuses?.length) query.status = { $in: statuses };
+    if (onlyMissing) {
+      query.$or = [
+        { 'normalized.amount': { $exists: false } },
+        { 'normalized.currency': { $ne: company.currency.code } }
+      ];
+    }
+    if (rateSource) query['normalized.rateSource'] = rateSource;
+
+    const expenses = await Expense.find(query);
+    const results = { checked: expenses.length, revalued: 0, failed: [] };
+
+    for (const expense of expenses) {
+      const before = auditService.snapshot(expense);
+      const result = await this.normalize(expense, company, user._id);
+
+      if (!result.success) {
+        results.failed.push({ expense: expense._id, error: result.error });
+        continue;
+      }
+
+      await expense.save();
+      await auditService.recordEvent(expense, user, 'updated', {
+        before,
+        comments: 'Company-currency amount re-valued',
+        metadata: { revaluation: true }
+      });
+      results.revalued += 1;
+    }
+
+    return { success: true, ...results };
+  }
+}
+
+module.exports = new NormalizationService();
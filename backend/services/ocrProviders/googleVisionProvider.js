@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+// Google Cloud Vision TEXT_DETECTION; needs GOOGLE_VISION_API_KEY
+class GoogleVisionProvider {
+  constructor() {
+    this.name = 'google_vision';
+    this.version = 'v1';
+    this.apiKey = process.env.GOOGLE_VISION_API_KEY;
+    this.url = 'https://vision.googleapis.com/v1/images:annotate';
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  async recognize(imageBuffer, options = {}) {
+    const { languageHints = ['en'] } = options;
+
+    const requestBody = {
+      requests: [{
+        image: {
+          content: imageBuffer.toString('base64')
+        },
+        features: [{
+          type: 'TEXT_DETECTION',
+          maxResults: 1
+        }],
+        imageContext: {
+          languageHints
+        }
+      }]
+    };
+
+    const response = await axios.post(
+      `${this.url}?key=${this.apiKey}`,
+      requestBody,
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const annotations = response.data.responses[0]?.textAnnotations;
+    if (!annotations || annotations.length === 0) {
+      return { text: '', confidence: 0 };
+    }
+
+    return {
+      text: annotations[0].description,
+      confidence: annotations[0].score || 0.8
+    };
+  }
+}
+
+module.exports = new GoogleVisionProvider();
@@ -0,0 +1,73 @@
+const Tesseract = require('tesseract.js');
+const { version } = require('tesseract.js/package.json');
+
+// ISO 639-1 language hints to Tesseract language codes
+const TESSERACT_LANGUAGES = {
+  en: 'eng',
+  de: 'deu',
+  fr: 'fra',
+  es: 'spa',
+  it: 'ita',
+  nl: 'nld',
+  pt: 'por',
+  pl: 'pol',
+  sv: 'swe',
+  no: 'nor',
+  da: 'dan',
+  hi: 'hin',
+  ja: 'jpn',
+  zh: 'chi_sim'
+};
+
+// Local OCR with tesseract.js; set TESSERACT_LANG_PATH to a directory of traineddata files to run offline
+class TesseractProvider {
+  constructor() {
+    this.name = 'tesseract';
+    this.version = version;
+    this.workers = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Workers are expensive to start, so keep one per language set
+  getWorker(languages) {
+    const key = languages.join('+');
+
+    if (!this.workers.has(key)) {
+      const options = process.env.TESSERACT_LANG_PATH ? { langPath: process.env.TESSERACT_LANG_PATH } : {};
+      const worker = Tesseract.createWorker(languages, 1, options).catch(error => {
+        this.workers.delete(key);
+        throw error;
+      });
+      this.workers.set(key, worker);
+    }
+
+    return this.workers.get(key);
+  }
+
+  // OCR_LANGUAGES wins over the hints, e.g. when only some traineddata files are available offline
+  getLanguages(languageHints = []) {
+    if (process.env.OCR_LANGUAGES) {
+      return process.env.OCR_LANGUAGES.split(',');
+    }
+
+    const languages = languageHints.map(hint => TESSERACT_LANGUAGES[hint]).filter(Boolean);
+    return languages.length > 0 ? [...new Set(languages)] : ['eng'];
+  }
+
+  async recognize(imageBuffer, options = {}) {
+    const languages = this.getLanguages(options.languageHints);
+    const worker = await this.getWorker(languages);
+    const { data } = await worker.recognize(imageBuffer);
+
+    return {
+      text: data.text.trim(),
+      // Tesseract reports 0-100
+      confidence: (data.confidence || 0) / 100
+    };
+  }
+}
+
+module.exports = new TesseractProvider();
@@ -1,173 +1,117 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const googleVisionProvider = require('./ocrProviders/googleVisionProvider');
+const tesseractProvider = require('./ocrProviders/tesseractProvider');
+const mockProvider = require('./ocrProviders/mockProvider');
+const pdfService = require('./pdfService');
+const receiptParserService = require('./receiptParserService');
+
+const PROVIDERS = {
+  [googleVisionProvider.name]: googleVisionProvider,
+  [tesseractProvider.name]: tesseractProvider,
+  [mockProvider.name]: mockProvider
+};
 
 class OCRService {
-  constructor() {
-    this.googleVisionApiKey = process.env.GOOGLE_VISION_API_KEY;
-    this.googleVisionUrl = 'https://vision.googleapis.com/v1/images:annotate';
+  // Company setting first, then OCR_PROVIDER, then Google Vision when it has a key, else local Tesseract
+  resolveProviderName(company) {
+    return company?.settings?.ocrProvider ||
+      process.env.OCR_PROVIDER ||
+      (googleVisionProvider.isAvailable() ? googleVisionProvider.name : tesseractProvider.name);
   }
 
-  async extractTextFromImage(imageBuffer, mimeType = 'image/jpeg') {
-    try {
-      if (!this.googleVisionApiKey) {
-        console.log('Google Vision API key not configured, using mock OCR');
-        return this.getMockOCRData();
-      }
-
-      const requestBody = {
-        requests: [{
-          image: {
-            content: imageBuffer.toString('base64')
-          },
-          features: [{
-            type: 'TEXT_DETECTION',
-            maxResults: 1
-          }],
-          imageContext: {
-            languageHints: ['en']
-          }
-        }]
-      };
-
-      const response = await axios.post(
-        `${this.googleVisionUrl}?key=${this.googleVisionApiKey}`,
-        requestBody,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const annotations = response.data.responses[0]?.textAnnotations;
-      if (!annotations || annotations.length === 0) {
-        return {
-          extractedText: '',
-          confidence: 0,
-          extractedAmount: null,
-          extractedDate: null,
-          extractedMerchant: null
-        };
-      }
-
-      const fullText = annotations[0].description;
-      const confidence = annotations[0].score || 0.8;
-
-      // Extract structured data
-      const extractedData = this.parseReceiptText(fullText);
+  getProvider(company) {
+    const name = this.resolveProviderName(company);
+    const provider = PROVIDERS[name];
 
-      return {
-        extractedText: fullText,
-        confidence,
-        ...extractedData
-      };
-    } catch (error) {
-      console.error('OCR extraction error:', error);
-      return this.getMockOCRData();
+    if (!provider) {
+      throw new Error(`Unknown OCR provider: ${name}`);
+    }
+    if (!provider.isAvailable()) {
+      throw new Error(name === mockProvider.name
+        ? 'The mock OCR provider can only be used in tests'
+        : `OCR provider ${name} is not configured`);
     }
+
+    return provider;
   }
 
-  parseReceiptText(text) {
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    
-    let extractedAmount = null;
-    let extractedDate = null;
-    let extractedMerchant = null;
-
-    // Extract amount (look for currency patterns)
-    const amountPatterns = [
-      /\$(\d+\.?\d*)/g,
-      /(\d+\.?\d*)\s*USD/g,
-      /Total[:\s]*\$?(\d+\.?\d*)/gi,
-      /Amount[:\s]*\$?(\d+\.?\d*)/gi
-    ];
-
-    for (const pattern of amountPatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        const amounts = matches.map(match => {
-          const num = match.replace(/[^\d.]/g, '');
-          return parseFloat(num);
-        }).filter(num => !isNaN(num) && num > 0);
-        
-        if (amounts.length > 0) {
-          extractedAmount = Math.max(...amounts);
-          break;
-        }
-      }
-    }
+  async extractTextFromImage(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const provider = this.getProvider(options.company);
+    const { text, confidence } = await provider.recognize(imageBuffer, {
+      mimeType,
+      languageHints: this.getLanguageHints(options.company)
+    });
 
-    // Extract date (look for date patterns)
-    const datePatterns = [
-      /\b(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})\b/g,
-      /\b(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})\b/g,
-      /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},?\s+\d{4}\b/gi
-    ];
-
-    for (const pattern of datePatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        const dateStr = matches[0];
-        const parsedDate = new Date(dateStr);
-        if (!isNaN(parsedDate.getTime())) {
-          extractedDate = parsedDate;
-          break;
-        }
-      }
-    }
+    return this.buildResult(text, confidence, provider, options.company);
+  }
 
-    // Extract merchant (usually first line or contains common business words)
-    const businessKeywords = ['restaurant', 'store', 'shop', 'cafe', 'hotel', 'gas', 'station', 'market', 'pharmacy', 'clinic', 'office'];
-    const merchantLines = lines.filter(line => 
-      businessKeywords.some(keyword => line.toLowerCase().includes(keyword)) ||
-      line.length > 5 && line.length < 50 && !line.match(/\d+\.\d+/) && !line.match(/\d{2}\/\d{2}\/\d{4}/)
-    );
-
-    if (merchantLines.length > 0) {
-      extractedMerchant = merchantLines[0];
-    } else if (lines.length > 0) {
-      extractedMerchant = lines[0];
-    }
+  // Text-based PDFs are read directly; scanned ones are rasterized and OCR'd page by page
+  async extractTextFromPdf(pdfBuffer, options = {}) {
+    let provider = null;
+
+    const result = await pdfService.readReceipt(pdfBuffer, (image) => {
+      provider = provider || this.getProvider(options.company);
+      return provider.recognize(image, {
+        mimeType: 'image/png',
+        languageHints: this.getLanguageHints(options.company)
+      });
+    });
 
     return {
-      extractedAmount,
-      extractedDate,
-      extractedMerchant
+      ...this.buildResult(result.text, result.confidence, result.scanned ? provider : pdfService, options.company),
+      pageCount: result.pageCount
     };
   }
 
-  getMockOCRData() {
+  // Languages commonly found on receipts in the company's country
+  getLanguageHints(company) {
+    return receiptParserService.getLocale(company).languages;
+  }
+
+  buildResult(text, confidence, engine, company) {
+    const extractedData = text
+      ? this.parseReceiptText(text, company)
+      : { extractedAmount: null, extractedDate: null, extractedMerchant: null };
+
     return {
-      extractedText: 'Sample receipt text extracted from image',
-      confidence: 0.85,
-      extractedAmount: 45.50,
-      extractedDate: new Date(),
-      extractedMerchant: 'Sample Merchant'
+      extractedText: text,
+      confidence,
+      ...extractedData,
+      engine: engine.name,
+      engineVersion: engine.version,
+      processedAt: new Date()
     };
   }
 
+  // Amounts, dates and currency signs are read with the conventions of the company's country
+  parseReceiptText(text, company) {
+    return receiptParserService.parse(text, receiptParserService.getLocale(company));
+  }
+
   async validateReceiptImage(imageBuffer, mimeType) {
     // Basic validation
     const maxSize = 10 * 1024 * 1024; // 10MB
     if (imageBuffer.length > maxSize) {
-      throw new Error('Image too large. Maximum size is 10MB.');
+      throw new Error('File too large. Maximum size is 10MB.');
     }
 
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
     if (!allowedTypes.includes(mimeType)) {
-      throw new Error('Invalid image type. Allowed types: JPEG, PNG, GIF, WebP');
+      throw new Error('Invalid file type. Allowed types: JPEG, PNG, GIF, WebP, PDF');
     }
 
     return true;
   }
 
-  async processReceipt(imageBuffer, mimeType = 'image/jpeg') {
+  // options.company selects the company's configured OCR provider and the receipt locale
+  async processReceipt(imageBuffer, mimeType = 'image/jpeg', options = {}) {
     try {
       // Validate image
       await this.validateReceiptImage(imageBuffer, mimeType);
 
       // Extract text using OCR
-      const ocrData = await this.extractTextFromImage(imageBuffer, mimeType);
+      const ocrData = pdfService.isPdf(mimeType)
+        ? await this.extractTextFromPdf(imageBuffer, options)
+        : await this.extractTextFromImage(imageBuffer, mimeType, options);
 
       return {
         success: true,
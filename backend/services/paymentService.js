@@ -0,0 +1,225 @@
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const PaymentBatch = require('../models/PaymentBatch');
+const emailService = require('./emailService');
+const externalApiService = require('./externalApiService');
+const auditService = require('./auditService');
+const { saveWithReference } = require('../utils/reference');
+
+class PaymentService {
+  buildPayableQuery(companyId, filters = {}) {
+    const { expenseIds, employeeIds, approvedBefore } = filters;
+
+    const query = {
+      company: companyId,
+      status: 'approved',
+      isReimbursable: true,
+      paymentBatch: { $exists: false }
+    };
+
+    if (expenseIds && expenseIds.length > 0) query._id = { $in: expenseIds };
+    if (employeeIds && employeeIds.length > 0) query.employee = { $in: employeeIds };
+    if (approvedBefore) query.approvedAt = { $lte: new Date(approvedBefore) };
+
+    return query;
+  }
+
+  // Converts every payable expense to the company currency and groups them by employee
+  async getPayableExpenses(companyId, filters = {}) {
+    const company = await Company.findById(companyId);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const expenses = await Expense.find(this.buildPayableQuery(companyId, filters))
+      .populate('employee', 'firstName lastName email department')
+      .sort({ approvedAt: 1 });
+
+    const payments = new Map();
+    const skipped = [];
+
+    for (const expense of expenses) {
+      const approvedAmount = expense.totalApprovedAmount || expense.amount;
+
+      try {
+        const conversion = await externalApiService.convertCurrency(
+          approvedAmount,
+          expense.currency.code,
+          company.currency.code
+        );
+        const amount = Math.round(conversion.convertedAmount * 100) / 100;
+        const employeeId = expense.employee._id.toString();
+
+        if (!payments.has(employeeId)) {
+          payments.set(employeeId, { employee: expense.employee, amount: 0, lines: [] });
+        }
+
+        const payment = payments.get(employeeId);
+        payment.lines.push({
+          expense: expense._id,
+          description: expense.description,
+          originalAmount: approvedAmount,
+          originalCurrency: expense.currency.code,
+          exchangeRate: conversion.rate,
+          amount
+        });
+        payment.amount = Math.round((payment.amount + amount) * 100) / 100;
+      } catch (error) {
+        skipped.push({ expense: expense._id, error: error.message });
+      }
+    }
+
+    const paymentList = [...payments.values()];
+
+    return {
+      currency: company.currency,
+      payments: paymentList,
+      totalAmount: Math.round(paymentList.reduce((sum, p) => sum + p.amount, 0) * 100) / 100,
+      expenseCount: paymentList.reduce((sum, p) => sum + p.lines.length, 0),
+      skipped
+    };
+  }
+
+  async createPaymentRun(companyId, admin, filters = {}, notes = '') {
+    try {
+      const preview = await this.getPayableExpenses(companyId, filters);
+
+      if (preview.expenseCount === 0) {
+        return { success: false, error: 'No approved reimbursable expenses to pay', skipped: preview.skipped };
+      }
+
+      const batch = new PaymentBatch({
+        company: companyId,
+        currency: preview.currency,
+        payments: preview.payments.map(p => ({
+          employee: p.employee._id,
+          amount: p.amount,
+          lines: p.lines
+        })),
+        totalAmount: preview.totalAmount,
+        expenseCount: preview.expenseCount,
+        notes,
+        createdBy: admin._id
+      });
+
+      await saveWithReference(batch, 'PAY');
+
+      const paidAt = new Date();
+      const expenseIds = preview.payments.flatMap(p => p.lines.map(line => line.expense));
+      const alreadyHandled = [];
+
+      for (const expenseId of expenseIds) {
+        // Claim in one update so an expense can never be paid twice
+        const expense = await Expense.findOneAndUpdate(
+          {
+            _id: expenseId,
+            company: companyId,
+            status: 'approved',
+            isReimbursable: true,
+            paymentBatch: { $exists: false }
+          },
+          { $set: { status: 'paid', paidAt, paymentBatch: batch._id, updatedAt: paidAt } },
+          { new: true }
+        );
+
+        if (!expense) {
+          alreadyHandled.push(expenseId.toString());
+          continue;
+        }
+
+        // The claim only matches approved, unpaid expenses, so that was the state before it
+        const before = { ...auditService.snapshot(expense), status: 'approved', paidAt: undefined, paymentBatch: undefined };
+
+        await auditService.recordEvent(expense, admin, 'paid', {
+          before,
+          metadata: { paymentBatch: batch._id, reference: batch.reference }
+        });
+      }
+
+      // Drop lines for expenses that were paid or changed since the preview
+      if (alreadyHandled.length > 0) {
+        for (const payment of batch.payments) {
+          payment.lines = payment.lines.filter(line => !alreadyHandled.includes(line.expense.toString()));
+          payment.amount = Math.round(payment.lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+        }
+        batch.payments = batch.payments.filter(payment => payment.lines.length > 0);
+        batch.totalAmount = Math.round(batch.payments.reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+        batch.expenseCount = batch.payments.reduce((sum, p) => sum + p.lines.length, 0);
+      }
+
+      if (batch.expenseCount === 0) {
+        await batch.deleteOne();
+        return { success: false, error: 'All expenses in this run were already paid or changed', skipped: preview.skipped };
+      }
+
+      // Email each employee a remittance summary
+      for (const payment of batch.payments) {
+        const employee = preview.payments
+          .find(p => p.employee._id.toString() === payment.employee.toString())
+          .employee;
+
+        try {
+          const result = await emailService.sendRemittanceEmail(employee, batch, payment);
+          payment.remittanceSent = result.success === true;
+        } catch (emailError) {
+          console.error('Failed to send remittance email:', emailError);
+          // Don't fail the payment run if email fails
+        }
+      }
+
+      await batch.save();
+
+      return { success: true, batch, skipped: preview.skipped };
+    } catch (error) {
+      console.error('Create payment run error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async reversePaymentBatch(companyId, batchId, admin, reason) {
+    try {
+      const batch = await PaymentBatch.findOne({ _id: batchId, company: companyId });
+
+      if (!batch) {
+        return { success: false, error: 'Payment batch not found', notFound: true };
+      }
+
+      if (batch.status === 'reversed') {
+        return { success: false, error: 'Payment batch already reversed' };
+      }
+
+      const expenses = await Expense.find({
+        company: companyId,
+        paymentBatch: batch._id,
+        status: 'paid'
+      });
+
+      for (const expense of expenses) {
+        const before = auditService.snapshot(expense);
+        expense.status = 'approved';
+        expense.paidAt = undefined;
+        expense.paymentBatch = undefined;
+        await expense.save();
+
+        await auditService.recordEvent(expense, admin, 'payment_reversed', {
+          before,
+          comments: reason,
+          metadata: { paymentBatch: batch._id, reference: batch.reference }
+        });
+      }
+
+      batch.status = 'reversed';
+      batch.reversedBy = admin._id;
+      batch.reversedAt = new Date();
+      batch.reversalReason = reason;
+      await batch.save();
+
+      return { success: true, batch, reversedCount: expenses.length };
+    } catch (error) {
+      console.error('Reverse payment batch error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new PaymentService();
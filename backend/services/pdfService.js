@@ -0,0 +1,123 @@
+const { version } = require('pdfjs-dist/package.json');
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Text-based PDFs yield at least this many characters per page; fewer means a scan
+const MIN_TEXT_PER_PAGE = 20;
+
+class PdfService {
+  constructor() {
+    this.name = 'pdf_text';
+    this.version = version;
+    this.pdfjs = null;
+  }
+
+  isPdf(mimeType) {
+    return mimeType === PDF_MIME_TYPE;
+  }
+
+  // pdfjs-dist ships as an ES module only
+  async getPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return this.pdfjs;
+  }
+
+  async load(buffer) {
+    const pdfjs = await this.getPdfjs();
+    return pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      useSystemFonts: true,
+      verbosity: 0
+    }).promise;
+  }
+
+  // Embedded text of each page; empty for scanned pages
+  async extractText(document) {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+        .join('')
+        .replace(/[ \t]+\n/g, '\n')
+        .trim();
+
+      pages.push(text);
+      page.cleanup();
+    }
+
+    return pages;
+  }
+
+  isScanned(pages) {
+    const characters = pages.reduce((sum, text) => sum + text.replace(/\s/g, '').length, 0);
+    return characters < MIN_TEXT_PER_PAGE * pages.length;
+  }
+
+  // Renders one page to PNG, scaled so its width is `width` pixels
+  async renderPage(document, pageNumber, width) {
+    const page = await document.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+    const { canvas, context } = document.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+    const image = canvas.toBuffer('image/png');
+
+    page.cleanup();
+    return image;
+  }
+
+  async renderThumbnail(buffer, width = 300) {
+    const document = await this.load(buffer);
+    try {
+      return await this.renderPage(document, 1, width);
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  // Text of a PDF receipt; scanned pages are rasterized and passed to `ocrPage(image)`
+  async readReceipt(buffer, ocrPage, options = {}) {
+    const { maxPages = parseInt(process.env.OCR_PDF_MAX_PAGES) || 5, ocrWidth = 1600 } = options;
+    const document = await this.load(buffer);
+
+    try {
+      const pages = await this.extractText(document);
+
+      if (!this.isScanned(pages)) {
+        return {
+          text: pages.join('\n\n'),
+          confidence: 1,
+          pageCount: document.numPages,
+          scanned: false
+        };
+      }
+
+      const results = [];
+      for (let pageNumber = 1; pageNumber <= Math.min(document.numPages, maxPages); pageNumber++) {
+        const image = await this.renderPage(document, pageNumber, ocrWidth);
+        results.push(await ocrPage(image));
+      }
+
+      return {
+        text: results.map(result => result.text).filter(Boolean).join('\n\n'),
+        confidence: results.reduce((sum, result) => sum + result.confidence, 0) / (results.length || 1),
+        pageCount: document.numPages,
+        pagesProcessed: results.length,
+        scanned: true
+      };
+    } finally {
+      await document.destroy();
+    }
+  }
+}
+
+module.exports = new PdfService();
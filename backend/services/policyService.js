@@ -0,0 +1,205 @@
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const externalApiService = require('./externalApiService');
+const categoryService = require('./categoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PolicyService {
+  // Returns the saved policy or an unsaved default so callers never need a null check
+  async getPolicy(companyId) {
+    const policy = await ExpensePolicy.findOne({ company: companyId });
+    return policy || new ExpensePolicy({ company: companyId });
+  }
+
+  async toCompanyAmount(amount, currencyCode, company) {
+    try {
+      const conversion = await externalApiService.convertCurrency(amount, currencyCode, company.currency.code);
+      return conversion.convertedAmount;
+    } catch (error) {
+      console.error('Policy currency conversion failed, using original amount:', error.message);
+      return amount;
+    }
+  }
+
+  formatAmount(amount, company) {
+    return `${company.currency.symbol || ''}${amount.toFixed(2)} ${company.currency.code}`;
+  }
+
+  // Limits of the category itself take precedence over its parents'; within a category
+  // a country-specific limit takes precedence over the generic one for the same period
+  selectCategoryLimits(policy, lineage, country) {
+    const selected = {};
+
+    for (const category of lineage) {
+      const byPeriod = {};
+
+      for (const limit of policy.categoryLimits.filter(l => l.category === category)) {
+        const matchesCountry = limit.country && country &&
+          limit.country.toLowerCase() === country.toLowerCase();
+
+        if (limit.country && !matchesCountry) {
+          continue;
+        }
+
+        const current = byPeriod[limit.period];
+        if (!current || (matchesCountry && !current.country)) {
+          byPeriod[limit.period] = limit;
+        }
+      }
+
+      for (const [period, limit] of Object.entries(byPeriod)) {
+        if (!selected[period]) selected[period] = limit;
+      }
+    }
+
+    return Object.values(selected);
+  }
+
+  // Sum of the employee's other expenses in the same category on the same day
+  async getSameDayTotal(expense, company) {
+    const dayStart = new Date(expense.date);
+    dayStart.setUTCHours(0, 0, 0, 0);
+
+    const others = await Expense.find({
+      _id: { $ne: expense._id },
+      employee: expense.employee?._id || expense.employee,
+      company: company._id,
+      category: expense.category,
+      status: { $ne: 'rejected' },
+      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+    }).select('amount currency');
+
+    let total = 0;
+    for (const other of others) {
+      total += await this.toCompanyAmount(other.amount, other.currency.code, company);
+    }
+    return total;
+  }
+
+  // stage is 'create' for drafts and 'submit' when the expense enters approval
+  async evaluateExpense(expense, stage = 'create') {
+    const company = await Company.findById(expense.company);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const policy = await this.getPolicy(company._id);
+    const amount = await this.toCompanyAmount(expense.amount, expense.currency.code, company);
+    const lineage = await categoryService.getLineageKeys(company._id, expense.category);
+    const categorySettings = await categoryService.getSettings(company._id, expense.category);
+    const violations = [];
+
+    const maxAmount = company.settings?.maxExpenseAmount;
+    if (maxAmount && amount > maxAmount) {
+      violations.push({
+        rule: 'max_amount',
+        severity: 'block',
+        message: `Amount exceeds the company maximum of ${this.formatAmount(maxAmount, company)}`,
+        limit: maxAmount,
+        actual: amount
+      });
+    }
+
+    const country = expense.country || company.country;
+    for (const limit of this.selectCategoryLimits(policy, lineage, country)) {
+      let actual = amount;
+      let label = 'per expense';
+
+      if (limit.period === 'per_night') {
+        actual = amount / (expense.nights || 1);
+        label = 'per night';
+      } else if (limit.period === 'per_day') {
+        actual = amount + await this.getSameDayTotal(expense, company);
+        label = 'per day';
+      }
+
+      if (actual > limit.amount) {
+        violations.push({
+          rule: 'category_limit',
+          severity: limit.severity,
+          message: `${this.formatAmount(actual, company)} exceeds the ${categorySettings.label} limit of ` +
+            `${this.formatAmount(limit.amount, company)} ${label}${limit.country ? ` in ${limit.country}` : ''}`,
+          limit: limit.amount,
+          actual
+        });
+      }
+    }
+
+    // Mileage and per diem are computed from rate tables and have no receipt
+    const needsReceipt = !expense.kind || expense.kind === 'standard';
+    // Categories that always need a receipt ignore the amount threshold
+    const receiptThreshold = categorySettings.receiptRequired
+      ? 0
+      : policy.receiptRequiredAbove ?? (company.settings?.requireReceipt ? 0 : null);
+    if (needsReceipt && receiptThreshold !== null && amount > receiptThreshold && !expense.receipt?.url) {
+      violations.push({
+        rule: 'receipt_required',
+        // Drafts can still get a receipt attached, so only block at submission
+        severity: stage === 'submit' ? policy.receiptSeverity : 'warning',
+        message: categorySettings.receiptRequired
+          ? `A receipt is required for ${categorySettings.label} expenses`
+          : receiptThreshold > 0
+            ? `A receipt is required for expenses above ${this.formatAmount(receiptThreshold, company)}`
+            : 'A receipt is required',
+        limit: receiptThreshold,
+        actual: amount
+      });
+    }
+
+    const restrictions = policy.dayRestrictions || {};
+    const restricted = !restrictions.categories?.length ||
+      lineage.some(category => restrictions.categories.includes(category));
+    const expenseDate = new Date(expense.date);
+
+    if (restricted && restrictions.weekends && [0, 6].includes(expenseDate.getUTCDay())) {
+      violations.push({
+        rule: 'weekend',
+        severity: restrictions.severity,
+        message: 'Expense was incurred on a weekend'
+      });
+    }
+
+    if (restricted && restrictions.holidays) {
+      const day = expenseDate.toISOString().split('T')[0];
+      const holiday = policy.holidays.find(h => new Date(h.date).toISOString().split('T')[0] === day);
+      if (holiday) {
+        violations.push({
+          rule: 'holiday',
+          severity: restrictions.severity,
+          message: `Expense was incurred on a company holiday${holiday.name ? ` (${holiday.name})` : ''}`
+        });
+      }
+    }
+
+    if (policy.maxSubmissionAgeDays) {
+      const ageDays = Math.floor((Date.now() - expenseDate.getTime()) / DAY_MS);
+      if (ageDays > policy.maxSubmissionAgeDays) {
+        violations.push({
+          rule: 'submission_age',
+          severity: policy.submissionAgeSeverity,
+          message: `Expense is ${ageDays} days old; the limit is ${policy.maxSubmissionAgeDays} days`,
+          limit: policy.maxSubmissionAgeDays,
+          actual: ageDays
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Evaluates and stores the violations on the expense; the caller saves it
+  async applyPolicy(expense, stage = 'create') {
+    const violations = await this.evaluateExpense(expense, stage);
+    expense.policyViolations = violations;
+    expense.policyCheckedAt = new Date();
+
+    return {
+      violations,
+      blocked: violations.some(v => v.severity === 'block')
+    };
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,398 @@
+// Receipt conventions by company country: ambiguous numeric date order, OCR language
+// hints and which currency "$", "¥" and "kr" mean. Unknown countries get US conventions.
+const COUNTRY_LOCALES = {
+  'united states': { dateOrder: 'MDY', languages: ['en'] },
+  canada: { dateOrder: 'DMY', languages: ['en', 'fr'], dollar: 'CAD' },
+  mexico: { dateOrder: 'DMY', languages: ['es', 'en'], dollar: 'MXN' },
+  brazil: { dateOrder: 'DMY', languages: ['pt', 'en'] },
+  'united kingdom': { dateOrder: 'DMY', languages: ['en'] },
+  ireland: { dateOrder: 'DMY', languages: ['en'] },
+  germany: { dateOrder: 'DMY', languages: ['de', 'en'] },
+  austria: { dateOrder: 'DMY', languages: ['de', 'en'] },
+  switzerland: { dateOrder: 'DMY', languages: ['de', 'fr', 'it', 'en'] },
+  france: { dateOrder: 'DMY', languages: ['fr', 'en'] },
+  belgium: { dateOrder: 'DMY', languages: ['fr', 'nl', 'en'] },
+  netherlands: { dateOrder: 'DMY', languages: ['nl', 'en'] },
+  spain: { dateOrder: 'DMY', languages: ['es', 'en'] },
+  portugal: { dateOrder: 'DMY', languages: ['pt', 'en'] },
+  italy: { dateOrder: 'DMY', languages: ['it', 'en'] },
+  poland: { dateOrder: 'DMY', languages: ['pl', 'en'] },
+  sweden: { dateOrder: 'YMD', languages: ['sv', 'en'], krona: 'SEK' },
+  norway: { dateOrder: 'DMY', languages: ['no', 'en'], krona: 'NOK' },
+  denmark: { dateOrder: 'DMY', languages: ['da', 'en'], krona: 'DKK' },
+  india: { dateOrder: 'DMY', languages: ['en', 'hi'] },
+  japan: { dateOrder: 'YMD', languages: ['ja', 'en'] },
+  china: { dateOrder: 'YMD', languages: ['zh', 'en'], yen: 'CNY' },
+  'hong kong': { dateOrder: 'DMY', languages: ['zh', 'en'], dollar: 'HKD' },
+  singapore: { dateOrder: 'DMY', languages: ['en', 'zh'], dollar: 'SGD' },
+  australia: { dateOrder: 'DMY', languages: ['en'], dollar: 'AUD' },
+  'new zealand': { dateOrder: 'DMY', languages: ['en'], dollar: 'NZD' }
+};
+
+const DEFAULT_LOCALE = { dateOrder: 'MDY', languages: ['en'], dollar: 'USD', yen: 'JPY', krona: null };
+
+// Summary labels, checked in this order so "Subtotal" is not read as "Total"
+const SUMMARY_KEYWORDS = [
+  {
+    field: 'subtotal',
+    keywords: [
+      'subtotal', 'sub-total', 'sub total', 'zwischensumme', 'sous-total', 'total ht', 'montant ht',
+      'subtotale', 'imponibile', 'base imponible', 'subtotaal', '小計', '小计', 'उप-योग', 'उप योग'
+    ]
+  },
+  {
+    field: 'tip',
+    keywords: ['tip', 'gratuity', 'service charge', 'trinkgeld', 'pourboire', 'propina', 'mancia', 'fooi', 'チップ', '小费', 'टिप']
+  },
+  {
+    field: 'tax',
+    keywords: [
+      'tax', 'vat', 'gst', 'hst', 'pst', 'cgst', 'sgst', 'igst', 'mwst', 'ust', 'tva', 'iva', 'btw', 'moms',
+      '消費税', '内税', '外税', '税額', '税额', '税金', 'कर', 'जीएसटी'
+    ]
+  },
+  {
+    field: 'total',
+    keywords: [
+      'total', 'grand total', 'total due', 'amount due', 'balance due', 'total amount',
+      'summe', 'gesamt', 'gesamtbetrag', 'endbetrag', 'zu zahlen', 'total ttc', 'montant ttc', 'net à payer',
+      'à payer', 'totale', 'importe total', 'total a pagar', 'totaal', 'totalt', 'suma', 'razem',
+      '合計', '総合計', 'お会計', 'ご請求額', '合计', '总计', '应付', 'कुल', 'कुल राशि', 'कुल योग'
+    ]
+  }
+];
+
+// Lines with a price that are not purchases
+const NON_ITEM_KEYWORDS = [
+  'change', 'cash', 'tender', 'paid', 'payment', 'visa', 'mastercard', 'amex', 'debit', 'credit', 'card',
+  'balance', 'savings', 'you saved', 'auth', 'approval', 'bar', 'bargeld', 'rückgeld', 'wechselgeld',
+  'gegeben', 'karte', 'espèces', 'rendu', 'carte', 'efectivo', 'cambio', 'tarjeta', 'contanti', 'resto',
+  'お預り', 'お預かり', 'お釣り', 'おつり', '釣銭', 'クレジット', '找零', '现金', 'नकद'
+];
+
+// Chinese and Japanese have no spaces between words, so their keywords match anywhere
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const keywordPattern = (keywords) => new RegExp(
+  keywords
+    .map(keyword => CJK_PATTERN.test(keyword)
+      ? escapeRegExp(keyword)
+      : `(?<![\\p{L}\\p{M}])${escapeRegExp(keyword)}(?![\\p{L}\\p{M}])`)
+    .join('|'),
+  'iu'
+);
+
+const SUMMARY_LABELS = SUMMARY_KEYWORDS.map(({ field, keywords }) => ({ field, pattern: keywordPattern(keywords) }));
+const NON_ITEM_PATTERN = keywordPattern(NON_ITEM_KEYWORDS);
+
+// A number with optional thousands separators and decimals, e.g. 1,234.56, 1.234,56, 1'234.50 or 1,23,456.00
+const AMOUNT = String.raw`\d[\d.,']*\d|\d`;
+
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'INR', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'HUF', 'CNY', 'RMB', 'HKD', 'SGD', 'MXN', 'BRL', 'ZAR', 'AED', 'SAR', 'KRW'
+];
+
+// Codes and abbreviations only as whole words, so the end of an uppercase label such as "SUBTOTAL" or "TAX" is kept
+const CURRENCY_MARK = String.raw`[$€£¥₹円元]|\b(?:${CURRENCY_CODES.join('|')})\b|(?<!\p{L})(?:Rs\.?|zł|Kč|kr)`;
+// Not preceded by a separator, so the minutes of "14:05" or the year of a date are not prices
+const PRICE_AT_END = new RegExp(
+  String.raw`(-)?\s*(?:${CURRENCY_MARK})?\s*(?<![\d:/.,])(${AMOUNT})\s*(-)?\s*(?:${CURRENCY_MARK})?\s*(?:[A-Z*]{1,2})?$`,
+  'u'
+);
+
+// Currencies whose receipts show whole amounts
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'IDR'];
+
+// Masked card numbers such as "**** 1234", "XXXX1234" or "Visa ending in 1234"
+const CARD_PATTERN = /(?:[*xX#•]{4}[\s-]*){1,3}(\d{4})\b|\b(?:ending(?:\s+in)?|last\s*4(?:\s*digits)?)[:\s]*(\d{4})\b/i;
+
+const MONTHS = {
+  jan: 1, january: 1, januar: 1, janvier: 1, janv: 1, enero: 1, ene: 1, gennaio: 1,
+  feb: 2, february: 2, februar: 2, février: 2, févr: 2, fev: 2, febrero: 2, febbraio: 2,
+  mar: 3, march: 3, märz: 3, mär: 3, mars: 3, marzo: 3,
+  apr: 4, april: 4, avril: 4, avr: 4, abril: 4, abr: 4, aprile: 4,
+  may: 5, mai: 5, mayo: 5, maggio: 5,
+  jun: 6, june: 6, juni: 6, juin: 6, junio: 6, giugno: 6,
+  jul: 7, july: 7, juli: 7, juillet: 7, juil: 7, julio: 7, luglio: 7,
+  aug: 8, august: 8, août: 8, agosto: 8, ago: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9, septiembre: 9, settembre: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10, octobre: 10, octubre: 10, ottobre: 10,
+  nov: 11, november: 11, novembre: 11, noviembre: 11,
+  dec: 12, december: 12, dez: 12, dezember: 12, décembre: 12, déc: 12, diciembre: 12, dic: 12, dicembre: 12
+};
+
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ReceiptParserService {
+  // Conventions for the company's country plus its currency as the fallback for amounts
+  getLocale(company) {
+    const country = (company?.country || '').toLowerCase();
+    return {
+      ...DEFAULT_LOCALE,
+      ...COUNTRY_LOCALES[country],
+      currency: company?.currency?.code || null
+    };
+  }
+
+  // Full-width (Japanese/Chinese) and Devanagari digits and punctuation to ASCII
+  normalizeText(text) {
+    return text
+      .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+      .replace(/￥/g, '¥')
+      .replace(/　/g, ' ')
+      .replace(/[०-९]/g, char => String(char.charCodeAt(0) - 0x0966));
+  }
+
+  // Comma or dot decimals with any thousands style; whole numbers only for zero-decimal currencies
+  parseNumber(token, zeroDecimal = false) {
+    let integer = token;
+    let fraction = '';
+
+    const decimal = token.match(/^(.*)([.,])(\d{2})$/);
+    if (decimal) {
+      if (decimal[1].includes(decimal[2])) {
+        return null;
+      }
+      integer = decimal[1];
+      fraction = decimal[3];
+    } else if (!zeroDecimal) {
+      return null;
+    }
+
+    const grouped = /^\d+$/.test(integer) ||
+      /^\d{1,3}([.,'])\d{3}(?:\1\d{3})*$/.test(integer) ||
+      /^\d{1,2}(?:,\d{2})+,\d{3}$/.test(integer);
+    if (!grouped) {
+      return null;
+    }
+
+    return parseFloat(`${integer.replace(/\D/g, '')}${fraction ? `.${fraction}` : ''}`);
+  }
+
+  // Price at the end of a line, or null
+  parsePrice(line, zeroDecimal) {
+    const match = line.match(PRICE_AT_END);
+    if (!match) {
+      return null;
+    }
+
+    const amount = this.parseNumber(match[2], zeroDecimal);
+    if (amount === null) {
+      return null;
+    }
+
+    return {
+      amount: match[1] || match[3] ? -amount : amount,
+      label: line.slice(0, match.index).trim()
+    };
+  }
+
+  // "2 x Coffee 3.50 7.00", "Coffee 2 @ 3,50 7,00" and "2 Coffee 7.00"
+  parseLineItem(label, amount, zeroDecimal) {
+    const unit = (value, quantity) => {
+      const parsed = value ? this.parseNumber(value, zeroDecimal) : null;
+      return parsed !== null ? parsed : round(amount / quantity);
+    };
+
+    let match = label.match(/^(\d+)\s*[xX×]\s+(.+?)(?:\s+@?\s*(\d[\d.,]*))?$/u) ||
+      label.match(/^(\d+)\s+(.+?)\s+@\s*(\d[\d.,]*)$/u);
+    if (match) {
+      const quantity = parseInt(match[1]);
+      return { description: match[2].trim(), quantity, unitPrice: unit(match[3], quantity), amount };
+    }
+
+    match = label.match(/^(.+?)\s+(\d+)\s*(?:[xX×@]|pcs?|stk|点|個)\s*(\d[\d.,]*)?$/u);
+    if (match) {
+      const quantity = parseInt(match[2]);
+      return { description: match[1].trim(), quantity, unitPrice: unit(match[3], quantity), amount };
+    }
+
+    match = label.match(/^(\d{1,2})\s+(\p{L}.*)$/u);
+    if (match && parseInt(match[1]) > 0) {
+      const quantity = parseInt(match[1]);
+      return { description: match[2].trim(), quantity, unitPrice: unit(null, quantity), amount };
+    }
+
+    return { description: label, quantity: 1, unitPrice: amount, amount };
+  }
+
+  // ISO code first; "$", "¥" and "kr" are resolved by the company's country
+  parseCurrency(text, locale) {
+    const code = text.match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`));
+    if (code) {
+      return code[1] === 'RMB' ? 'CNY' : code[1];
+    }
+
+    const symbols = [
+      ['€', 'EUR'],
+      ['£', 'GBP'],
+      ['₹', 'INR'],
+      [/\bRs\.?\s*\d/, 'INR'],
+      ['円', 'JPY'],
+      ['元', 'CNY'],
+      ['zł', 'PLN'],
+      ['Kč', 'CZK'],
+      ['¥', locale.yen],
+      [/\bkr\b/i, locale.krona],
+      ['$', locale.dollar]
+    ];
+
+    const found = symbols.find(([symbol, currency]) => currency &&
+      (typeof symbol === 'string' ? text.includes(symbol) : symbol.test(text)));
+    return found ? found[1] : null;
+  }
+
+  parseCardLast4(text) {
+    const match = text.match(CARD_PATTERN);
+    return match ? match[1] || match[2] : null;
+  }
+
+  // Subtotal, tax, tip and total from labeled lines, and the purchases listed above them
+  parseAmounts(lines, zeroDecimal) {
+    const summary = { subtotal: null, tax: null, tip: null, total: null };
+    const lineItems = [];
+    let summaryStarted = false;
+
+    for (const line of lines) {
+      const price = this.parsePrice(line, zeroDecimal);
+      if (!price) continue;
+
+      const label = SUMMARY_LABELS.find(({ pattern }) => pattern.test(price.label));
+      if (label) {
+        summaryStarted = true;
+        if (label.field === 'tax') {
+          // Receipts can list several taxes, e.g. CGST and SGST
+          summary.tax = round((summary.tax || 0) + price.amount);
+        } else if (label.field === 'total') {
+          // The last total wins; earlier ones are usually "total items" or a pre-tip total
+          summary.total = price.amount;
+        } else {
+          summary[label.field] = price.amount;
+        }
+        continue;
+      }
+
+      if (summaryStarted || !/\p{L}/u.test(price.label) || NON_ITEM_PATTERN.test(price.label)) {
+        continue;
+      }
+
+      lineItems.push(this.parseLineItem(price.label, price.amount, zeroDecimal));
+    }
+
+    return { ...summary, lineItems };
+  }
+
+  // Without a labeled total, the largest amount on the receipt is the best guess. Whole
+  // numbers only count next to a currency sign, so dates and phone numbers are skipped.
+  parseLargestAmount(text, zeroDecimal) {
+    const pattern = new RegExp(String.raw`([$€£¥₹]\s*)?(${AMOUNT})(\s*[円元])?`, 'gu');
+    const amounts = [];
+
+    for (const match of text.matchAll(pattern)) {
+      const amount = this.parseNumber(match[2], zeroDecimal && Boolean(match[1] || match[3]));
+      if (amount > 0) amounts.push(amount);
+    }
+
+    return amounts.length > 0 ? Math.max(...amounts) : null;
+  }
+
+  buildDate(year, month, day) {
+    year = parseInt(year);
+    if (year < 100) year += 2000;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === Number(day);
+    return valid ? date : null;
+  }
+
+  // Numeric dates follow the company's country unless a part can only be the day
+  parseDate(text, locale) {
+    let match = text.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+    if (match) {
+      return this.buildDate(match[1], parseInt(match[2]), parseInt(match[3]));
+    }
+
+    match = text.match(/\b(\d{4})[\/.-](\d{1,2})[\/.-](\d{1,2})\b/);
+    if (match) {
+      return this.buildDate(match[1], parseInt(match[2]), parseInt(match[3]));
+    }
+
+    for (match of text.matchAll(/\b(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})\b/g)) {
+      const first = parseInt(match[1]);
+      const second = parseInt(match[2]);
+      let order = locale.dateOrder;
+
+      if (first > 12) order = 'DMY';
+      else if (second > 12) order = 'MDY';
+
+      const date = order === 'YMD'
+        ? this.buildDate(match[1], second, parseInt(match[3]))
+        : order === 'DMY'
+          ? this.buildDate(match[3], second, first)
+          : this.buildDate(match[3], first, second);
+      if (date) return date;
+    }
+
+    match = text.match(new RegExp(String.raw`(?<![\p{L}\d])(\d{1,2})\.?\s+(?:de\s+)?(${MONTH_NAMES})\.?,?\s+(?:de\s+)?(\d{4})`, 'iu'));
+    if (match) {
+      return this.buildDate(match[3], MONTHS[match[2].toLowerCase()], parseInt(match[1]));
+    }
+
+    match = text.match(new RegExp(String.raw`(?<!\p{L})(${MONTH_NAMES})\.?\s+(\d{1,2}),?\s+(\d{4})`, 'iu'));
+    if (match) {
+      return this.buildDate(match[3], MONTHS[match[1].toLowerCase()], parseInt(match[2]));
+    }
+
+    return null;
+  }
+
+  // Usually the first line or one containing a common business word
+  parseMerchant(lines) {
+    const businessKeywords = ['restaurant', 'store', 'shop', 'cafe', 'hotel', 'gas', 'station', 'market', 'pharmacy', 'clinic', 'office'];
+    const merchantLine = lines.find(line =>
+      businessKeywords.some(keyword => line.toLowerCase().includes(keyword)) ||
+      line.length > 5 && line.length < 50 && !line.match(/\d+[.,]\d+/) && !line.match(/\d{2}[\/.]\d{2}[\/.]\d{4}/)
+    );
+
+    return merchantLine || lines[0] || null;
+  }
+
+  // locale comes from getLocale(company)
+  parse(text, locale = DEFAULT_LOCALE) {
+    const normalizedText = this.normalizeText(text);
+    const lines = normalizedText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+    const extractedCurrency = this.parseCurrency(normalizedText, locale);
+    const zeroDecimal = ZERO_DECIMAL_CURRENCIES.includes(extractedCurrency || locale.currency);
+    const { subtotal, tax, tip, total, lineItems } = this.parseAmounts(lines, zeroDecimal);
+
+    // The labeled total, else the parts it is made of, else the largest number
+    let extractedAmount = total;
+    if (extractedAmount === null && subtotal !== null) {
+      extractedAmount = round(subtotal + (tax || 0) + (tip || 0));
+    }
+    if (extractedAmount === null) {
+      extractedAmount = this.parseLargestAmount(normalizedText, zeroDecimal);
+    }
+
+    return {
+      extractedAmount,
+      extractedDate: this.parseDate(normalizedText, locale),
+      extractedMerchant: this.parseMerchant(lines),
+      extractedCurrency,
+      lineItems,
+      subtotal,
+      tax,
+      tip,
+      total,
+      cardLast4: this.parseCardLast4(normalizedText)
+    };
+  }
+}
+
+module.exports = new ReceiptParserService();
@@ -0,0 +1,64 @@
+const path = require('path');
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary "authenticated" assets, which have no public URL; needs the CLOUDINARY_* credentials
+class CloudinaryProvider {
+  constructor() {
+    this.name = 'cloudinary';
+
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+  }
+
+  isAvailable() {
+    return Boolean(
+      process.env.CLOUDINARY_CLOUD_NAME &&
+      process.env.CLOUDINARY_API_KEY &&
+      process.env.CLOUDINARY_API_SECRET
+    );
+  }
+
+  // Cloudinary public ids have no file extension; PDFs are stored as image resources so they can be previewed
+  parseKey(key) {
+    const extension = path.extname(key);
+    return {
+      publicId: extension ? key.slice(0, -extension.length) : key,
+      format: extension.slice(1)
+    };
+  }
+
+  async put(key, buffer, mimeType) {
+    await cloudinary.uploader.upload(
+      `data:${mimeType};base64,${buffer.toString('base64')}`,
+      {
+        public_id: this.parseKey(key).publicId,
+        type: 'authenticated',
+        resource_type: 'image'
+      }
+    );
+  }
+
+  async get(key) {
+    const { publicId, format } = this.parseKey(key);
+    const url = cloudinary.utils.private_download_url(publicId, format, {
+      type: 'authenticated',
+      resource_type: 'image',
+      expires_at: Math.floor(Date.now() / 1000) + 60
+    });
+
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  // Receipts uploaded before storage providers existed are public "upload" assets
+  async remove(key, options = {}) {
+    const { type = 'authenticated' } = options;
+    await cloudinary.uploader.destroy(this.parseKey(key).publicId, { type, resource_type: 'image' });
+  }
+}
+
+module.exports = new CloudinaryProvider();
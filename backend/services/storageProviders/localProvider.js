@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files on the server's disk under STORAGE_LOCAL_DIR (default backend/uploads)
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'));
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Keys come from signed URLs, but never let one point outside the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = new LocalProvider();
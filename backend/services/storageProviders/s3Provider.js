@@ -0,0 +1,58 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Amazon S3 or an S3-compatible store (MinIO, R2, ...); needs S3_BUCKET
+class S3Provider {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return Boolean(this.bucket);
+  }
+
+  // Without explicit keys the SDK's default credential chain is used
+  getClient() {
+    if (!this.client) {
+      this.client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            }
+          : undefined
+      });
+    }
+    return this.client;
+  }
+
+  async put(key, buffer, mimeType) {
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType
+    }));
+  }
+
+  async get(key) {
+    const response = await this.getClient().send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.getClient().send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = new S3Provider();
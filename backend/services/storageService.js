@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const localProvider = require('./storageProviders/localProvider');
+const s3Provider = require('./storageProviders/s3Provider');
+const cloudinaryProvider = require('./storageProviders/cloudinaryProvider');
+
+const PROVIDERS = {
+  [localProvider.name]: localProvider,
+  [s3Provider.name]: s3Provider,
+  [cloudinaryProvider.name]: cloudinaryProvider
+};
+
+// Stored files are only reachable through this route, with a signature that expires
+const FILE_ROUTE = '/api/files/';
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+class StorageService {
+  // STORAGE_PROVIDER first, then Cloudinary when it has credentials, else the local disk
+  resolveProviderName() {
+    return process.env.STORAGE_PROVIDER ||
+      (cloudinaryProvider.isAvailable() ? cloudinaryProvider.name : localProvider.name);
+  }
+
+  getProvider(name = this.resolveProviderName()) {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+      throw new Error(`Unknown storage provider: ${name}`);
+    }
+    if (!provider.isAvailable()) {
+      throw new Error(`Storage provider ${name} is not configured`);
+    }
+
+    return provider;
+  }
+
+  get urlTtl() {
+    return parseInt(process.env.FILE_URL_TTL) || 900;
+  }
+
+  get secret() {
+    return process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  }
+
+  // Keys start with the company id so a signed URL can only ever reach that company's files
+  buildKey(companyId, folder, mimeType) {
+    const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${EXTENSIONS[mimeType] || ''}`;
+    return `${companyId}/${folder}/${name}`;
+  }
+
+  // Returns the key and the unsigned app path that is stored on the expense
+  async put(companyId, folder, buffer, mimeType) {
+    const provider = this.getProvider();
+    const key = this.buildKey(companyId, folder, mimeType);
+
+    await provider.put(key, buffer, mimeType);
+
+    return {
+      storage: provider.name,
+      key,
+      url: `${FILE_ROUTE}${provider.name}/${key}`
+    };
+  }
+
+  async get(providerName, key) {
+    return this.getProvider(providerName).get(key);
+  }
+
+  async remove(providerName, key, options) {
+    return this.getProvider(providerName).remove(key, options);
+  }
+
+  // Parses a stored app path back into its provider, key and owning company
+  parseUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(FILE_ROUTE)) {
+      return null;
+    }
+
+    const [storage, companyId, ...rest] = url.slice(FILE_ROUTE.length).split('?')[0].split('/');
+    if (!storage || !companyId || rest.length === 0) {
+      return null;
+    }
+
+    return { storage, companyId, key: [companyId, ...rest].join('/') };
+  }
+
+  sign(path, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${path}:${expires}`).digest('hex');
+  }
+
+  // Leaves URLs that are not ours, such as receipts uploaded before storage providers existed, unchanged
+  signUrl(url) {
+    if (!this.parseUrl(url)) {
+      return url;
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + this.urlTtl;
+    return `${url}?expires=${expires}&signature=${this.sign(url, expires)}`;
+  }
+
+  verifySignature(path, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(path, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Signs the URLs of a stored file or attachment as it is sent to a client
+  signFile(file) {
+    if (file?.url) file.url = this.signUrl(file.url);
+    if (file?.thumbnailUrl) file.thumbnailUrl = this.signUrl(file.thumbnailUrl);
+    return file;
+  }
+}
+
+module.exports = new StorageService();
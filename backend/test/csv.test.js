@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, escapeFormula, parseCsv, toCsv } = require('../utils/csv');
+
+describe('csvCell', () => {
+  it('quotes values with commas, quotes and line breaks', () => {
+    assert.equal(csvCell('Lunch, team'), '"Lunch, team"');
+    assert.equal(csvCell('The "big" one'), '"The ""big"" one"');
+    assert.equal(csvCell(null), '');
+  });
+
+  it('keeps text that would run as a formula as text', () => {
+    assert.equal(csvCell('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+    assert.equal(csvCell('+1+2'), "'+1+2");
+    assert.equal(csvCell('-2+3'), "'-2+3");
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('\tcmd'), "'\tcmd");
+    assert.equal(csvCell('\rcmd'), '"\'\rcmd"');
+  });
+
+  it('leaves numbers and ordinary text alone', () => {
+    assert.equal(csvCell('-12.50'), '-12.50');
+    assert.equal(csvCell(-7), '-7');
+    assert.equal(csvCell('+44'), '+44');
+    assert.equal(csvCell('Taxi to airport'), 'Taxi to airport');
+    assert.equal(escapeFormula('a=b'), 'a=b');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads back what toCsv writes', () => {
+    const rows = [['Description', 'Amount'], ['Lunch, "team"', '12.50'], ['Line\nbreak', '-3']];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const receiptParserService = require('../services/receiptParserService');
+
+const parse = (text, country, currencyCode) => receiptParserService.parse(
+  text,
+  receiptParserService.getLocale({ country, currency: { code: currencyCode } })
+);
+
+const descriptions = (result) => result.lineItems.map(item => item.description);
+
+describe('receiptParserService.parse', () => {
+  it('reads the labeled amounts of an uppercase US receipt', () => {
+    const result = parse(
+      'WALMART\n10/14/2026\nMILK 3.49\nBREAD 2.50\nSUBTOTAL 5.99\nTAX 0.48\nTOTAL 6.47\nVISA 6.47',
+      'United States',
+      'USD'
+    );
+
+    assert.equal(result.subtotal, 5.99);
+    assert.equal(result.tax, 0.48);
+    assert.equal(result.total, 6.47);
+    assert.equal(result.extractedAmount, 6.47);
+    assert.deepEqual(descriptions(result), ['MILK', 'BREAD']);
+  });
+
+  it('reads VAT on an uppercase UK receipt', () => {
+    const result = parse(
+      'TESCO STORES\n14/10/2026\nSEMI SKIMMED MILK £1.20\nWHITE BREAD £1.10\nSUBTOTAL £2.30\nVAT £0.46\nTOTAL £2.76\nCARD **** 1234',
+      'United Kingdom',
+      'GBP'
+    );
+
+    assert.equal(result.extractedCurrency, 'GBP');
+    assert.equal(result.subtotal, 2.3);
+    assert.equal(result.tax, 0.46);
+    assert.equal(result.total, 2.76);
+    assert.equal(result.cardLast4, '1234');
+    assert.deepEqual(descriptions(result), ['SEMI SKIMMED MILK', 'WHITE BREAD']);
+  });
+
+  it('adds up CGST and SGST on an uppercase Indian receipt', () => {
+    const result = parse(
+      'RELIANCE FRESH\n14-10-2026\nBASMATI RICE 120.00\nTOOR DAL 95.00\nSUBTOTAL 215.00\nCGST 5.38\nSGST 5.38\nGRAND TOTAL INR 225.76',
+      'India',
+      'INR'
+    );
+
+    assert.equal(result.extractedCurrency, 'INR');
+    assert.equal(result.subtotal, 215);
+    assert.equal(result.tax, 10.76);
+    assert.equal(result.total, 225.76);
+    assert.equal(result.extractedAmount, 225.76);
+    assert.deepEqual(descriptions(result), ['BASMATI RICE', 'TOOR DAL']);
+  });
+
+  it('keeps currency codes and symbols around the price out of the label', () => {
+    const result = parse('CAFE\nLATTE USD 4.50\nMUFFIN 3.00 EUR\nTOTAL 7.50', 'United States', 'USD');
+
+    assert.deepEqual(descriptions(result), ['LATTE', 'MUFFIN']);
+    assert.equal(result.total, 7.5);
+  });
+});
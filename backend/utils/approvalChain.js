@@ -0,0 +1,61 @@
+// Helpers for the approval chains of expenses and expense reports. A chain is a list of steps
+// by level; the lowest level with a pending step is the current one, and only its approvers
+// see the document in their queue.
+
+// Steps handed to another approver stay in the chain for the record but are no longer counted
+const HANDED_OVER_STATUSES = ['escalated', 'reassigned'];
+
+// Lowest level with a pending step, or null once nothing is pending
+const getCurrentLevel = (approvalChain = []) => {
+  const levels = approvalChain.filter(step => step.status === 'pending').map(step => step.level);
+  return levels.length > 0 ? Math.min(...levels) : null;
+};
+
+// Aggregation expression matching documents whose current level has a pending step for approverId
+const nextApproverExpr = (approverId) => ({
+  $let: {
+    vars: {
+      userApproval: {
+        $arrayElemAt: [
+          {
+            $filter: {
+              input: '$approvalChain',
+              cond: {
+                $and: [
+                  { $eq: ['$$this.approver', approverId] },
+                  { $eq: ['$$this.status', 'pending'] }
+                ]
+              }
+            }
+          },
+          0
+        ]
+      }
+    },
+    in: {
+      $and: [
+        { $ne: ['$$userApproval', null] },
+        {
+          $eq: [
+            '$$userApproval.level',
+            {
+              $min: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$approvalChain',
+                      cond: { $eq: ['$$this.status', 'pending'] }
+                    }
+                  },
+                  in: '$$this.level'
+                }
+              }
+            }
+          ]
+        }
+      ]
+    }
+  }
+});
+
+module.exports = { HANDED_OVER_STATUSES, getCurrentLevel, nextApproverExpr };
@@ -0,0 +1,69 @@
+// Spreadsheets run text starting with = + - @, a tab or a carriage return as a formula, so
+// such text gets a leading ' to stay text. Plain numbers like -12.50 are left alone.
+const escapeFormula = (text) => (
+  /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text
+);
+
+// RFC 4180 CSV: values with a comma, quote or line break are quoted, with quotes doubled
+const csvCell = (value) => {
+  const text = escapeFormula(value === undefined || value === null ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+const toCsv = (rows) => rows.map(csvRow).join('\r\n') + '\r\n';
+
+// Bank exports use commas, semicolons (comma-decimal locales) or tabs; the most common one
+// outside quotes on the first line wins
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Rows of cells; quoted values may contain delimiters, doubled quotes and line breaks
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = { escapeFormula, csvCell, csvRow, toCsv, parseCsv };
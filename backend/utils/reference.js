@@ -0,0 +1,30 @@
+const ReferenceCounter = require('../models/ReferenceCounter');
+
+const MAX_ATTEMPTS = 5;
+
+// Next reference in a company's daily sequence, e.g. PAY-20260101-004. Numbers come from an
+// atomic counter, so one is never handed out twice, even after its document was deleted.
+const nextReference = async (companyId, prefix) => {
+  const key = `${prefix}-${new Date().toISOString().split('T')[0].replace(/-/g, '')}`;
+  const counter = await ReferenceCounter.findOneAndUpdate(
+    { company: companyId, key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${key}-${String(counter.seq).padStart(3, '0')}`;
+};
+
+// Saves a new document under the next reference. A duplicate key (a concurrent first upsert of
+// the counter, or references issued before the counter existed) draws another number.
+const saveWithReference = async (doc, prefix) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      doc.reference = await nextReference(doc.company, prefix);
+      return await doc.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = { nextReference, saveWithReference };
@@ -9,6 +9,7 @@ import 'react-toastify/dist/ReactToastify.css';
 // Context Providers
 import { AuthProvider } from './contexts/AuthContext';
 import { CompanyProvider } from './contexts/CompanyContext';
+import { CategoryProvider } from './contexts/CategoryContext';
 
 // Components
 import Layout from './components/Layout';
@@ -20,6 +21,7 @@ import RoleSelection from './pages/RoleSelection';
 import Dashboard from './pages/Dashboard';
 import Expenses from './pages/Expenses';
 import ExpenseForm from './pages/ExpenseForm';
+import CardTransactions from './pages/CardTransactions';
 import Approvals from './pages/Approvals';
 import ApprovalWorkflows from './pages/ApprovalWorkflows';
 import Users from './pages/Users';
@@ -64,92 +66,99 @@ function App() {
         <CssBaseline />
         <AuthProvider>
           <CompanyProvider>
-            <Router>
-              <Routes>
-                {/* Public Routes */}
-                <Route path="/login" element={<Login />} />
-                <Route path="/auth/callback" element={<AuthCallback />} />
-                <Route path="/auth/role-selection" element={<RoleSelection />} />
+            <CategoryProvider>
+              <Router>
+                <Routes>
+                  {/* Public Routes */}
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/auth/callback" element={<AuthCallback />} />
+                  <Route path="/auth/role-selection" element={<RoleSelection />} />
                 
-                {/* Protected Routes */}
-                <Route path="/" element={<Layout />}>
-                  <Route index element={<Navigate to="/expenses" replace />} />
-                  <Route path="dashboard" element={
-                    <ProtectedRoute allowedRoles={['manager', 'admin']}>
-                      <Dashboard />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="expenses" element={
-                    <ProtectedRoute>
-                      <ErrorBoundary>
-                        <Expenses />
-                      </ErrorBoundary>
-                    </ProtectedRoute>
-                  } />
-                  <Route path="expenses/new" element={
-                    <ProtectedRoute>
-                      <ExpenseForm />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="expenses/:id/edit" element={
-                    <ProtectedRoute>
-                      <ExpenseForm />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="approvals" element={
-                    <ProtectedRoute allowedRoles={['manager', 'admin']}>
-                      <Approvals />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="approval-workflows" element={
-                    <ProtectedRoute allowedRoles={['admin']}>
-                      <ApprovalWorkflows />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="users" element={
-                    <ProtectedRoute allowedRoles={['admin']}>
-                      <Users />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="settings" element={
-                    <ProtectedRoute allowedRoles={['admin']}>
-                      <Settings />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="profile" element={
-                    <ProtectedRoute>
-                      <Profile />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="api-test" element={<APITest />} />
-                  <Route path="expense-management" element={
-                    <ProtectedRoute>
-                      <ExpenseManagement />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="currency-converter" element={<CurrencyConverter />} />
-                  <Route path="system-test" element={<SystemTest />} />
-                  <Route path="expense-test" element={
-                    <ProtectedRoute>
-                      <ExpenseTest />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="feature-test" element={
-                    <ProtectedRoute>
-                      <FeatureTest />
-                    </ProtectedRoute>
-                  } />
-                  <Route path="demo-setup" element={
-                    <ProtectedRoute>
-                      <DemoSetup />
-                    </ProtectedRoute>
-                  } />
-                </Route>
+                  {/* Protected Routes */}
+                  <Route path="/" element={<Layout />}>
+                    <Route index element={<Navigate to="/expenses" replace />} />
+                    <Route path="dashboard" element={
+                      <ProtectedRoute allowedRoles={['manager', 'admin']}>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="expenses" element={
+                      <ProtectedRoute>
+                        <ErrorBoundary>
+                          <Expenses />
+                        </ErrorBoundary>
+                      </ProtectedRoute>
+                    } />
+                    <Route path="expenses/new" element={
+                      <ProtectedRoute>
+                        <ExpenseForm />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="expenses/:id/edit" element={
+                      <ProtectedRoute>
+                        <ExpenseForm />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="card-transactions" element={
+                      <ProtectedRoute>
+                        <CardTransactions />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="approvals" element={
+                      <ProtectedRoute allowedRoles={['manager', 'admin']}>
+                        <Approvals />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="approval-workflows" element={
+                      <ProtectedRoute allowedRoles={['admin']}>
+                        <ApprovalWorkflows />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="users" element={
+                      <ProtectedRoute allowedRoles={['admin']}>
+                        <Users />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="settings" element={
+                      <ProtectedRoute allowedRoles={['admin']}>
+                        <Settings />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="profile" element={
+                      <ProtectedRoute>
+                        <Profile />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="api-test" element={<APITest />} />
+                    <Route path="expense-management" element={
+                      <ProtectedRoute>
+                        <ExpenseManagement />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="currency-converter" element={<CurrencyConverter />} />
+                    <Route path="system-test" element={<SystemTest />} />
+                    <Route path="expense-test" element={
+                      <ProtectedRoute>
+                        <ExpenseTest />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="feature-test" element={
+                      <ProtectedRoute>
+                        <FeatureTest />
+                      </ProtectedRoute>
+                    } />
+                    <Route path="demo-setup" element={
+                      <ProtectedRoute>
+                        <DemoSetup />
+                      </ProtectedRoute>
+                    } />
+                  </Route>
                 
-                {/* Catch all route */}
-                <Route path="*" element={<Navigate to="/dashboard" replace />} />
-              </Routes>
-            </Router>
+                  {/* Catch all route */}
+                  <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                </Routes>
+              </Router>
+            </CategoryProvider>
           </CompanyProvider>
         </AuthProvider>
         <ToastContainer
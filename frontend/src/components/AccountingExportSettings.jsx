@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Block as VoidIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+
+const FORMAT_LABELS = {
+  quickbooks_iif: 'QuickBooks (IIF)',
+  xero_csv: 'Xero manual journal (CSV)',
+  csv: 'Double-entry CSV',
+  json: 'Double-entry JSON'
+};
+
+const ACCOUNT_LABELS = {
+  expenseAccount: 'Default expense account',
+  taxAccount: 'Tax account',
+  payableAccount: 'Employee payable account',
+  clearingAccount: 'Company-paid clearing account'
+};
+
+const emptyCriteria = { from: '', to: '', paymentBatch: '' };
+
+// Only the criteria that are set are sent
+const toParams = (criteria) => Object.fromEntries(Object.entries(criteria).filter(([, value]) => value));
+
+// Admin export of approved and paid expenses as journal entries for the general ledger
+const AccountingExportSettings = () => {
+  const [accounts, setAccounts] = useState(null);
+  const [exports, setExports] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [criteria, setCriteria] = useState(emptyCriteria);
+  const [preview, setPreview] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const loadExports = async () => {
+    try {
+      setExports(await api.accountingExports.getAll());
+    } catch (error) {
+      console.error('Failed to load accounting exports:', error);
+      toast.error('Failed to load accounting exports');
+    }
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [settings, paymentBatches] = await Promise.all([
+          api.accountingExports.getSettings(),
+          api.paymentRuns.getAll()
+        ]);
+        setAccounts(settings.accounting);
+        setBatches(paymentBatches.filter(batch => batch.status === 'completed'));
+      } catch (error) {
+        console.error('Failed to load accounting settings:', error);
+      }
+    };
+    loadSettings();
+    loadExports();
+  }, []);
+
+  const handleCriteriaChange = (changes) => {
+    setCriteria({ ...criteria, ...changes });
+    setPreview(null);
+  };
+
+  const handleSaveAccounts = async () => {
+    try {
+      const response = await api.accountingExports.updateSettings(accounts);
+      setAccounts(response.accounting);
+      toast.success('Accounts saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save accounts');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreview(await api.accountingExports.preview(toParams(criteria)));
+    } catch (error) {
+      toast.error(error.message || 'Failed to preview export');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setRunning(true);
+      const response = await api.accountingExports.create({ format, ...toParams(criteria) });
+      toast.success(response.message);
+      await api.accountingExports.download(response.export._id);
+      setPreview(null);
+      loadExports();
+    } catch (error) {
+      toast.error(error.message || 'Failed to export expenses');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = async (accountingExport) => {
+    try {
+      await api.accountingExports.download(accountingExport._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to download export');
+    }
+  };
+
+  const handleVoid = async (accountingExport) => {
+    const reason = window.prompt(`Void ${accountingExport.reference}? Its expenses can then be exported again. Reason:`);
+    if (!reason) {
+      return;
+    }
+
+    try {
+      const response = await api.accountingExports.void(accountingExport._id, { reason });
+      toast.success(response.message);
+      loadExports();
+    } catch (error) {
+      toast.error(error.message || 'Failed to void export');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Each expense is booked to its category&apos;s GL account, with tax on its own line and the employee
+        payable as the offset. An expense is exported only once; void an export to export its expenses again.
+      </Typography>
+
+      {accounts && (
+        <Grid container spacing={2} alignItems="center" mb={3}>
+          {Object.entries(ACCOUNT_LABELS).map(([field, label]) => (
+            <Grid item xs={12} sm={6} md={3} key={field}>
+              <TextField
+                fullWidth
+                size="small"
+                label={label}
+                value={accounts[field] || ''}
+                onChange={(e) => setAccounts({ ...accounts, [field]: e.target.value })}
+              />
+            </Grid>
+          ))}
+          <Grid item xs={12}>
+            <Button variant="outlined" size="small" onClick={handleSaveAccounts}>Save Accounts</Button>
+          </Grid>
+        </Grid>
+      )}
+
+      <Box display="flex" gap={1} alignItems="center" flexWrap="wrap">
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Format</InputLabel>
+          <Select value={format} label="Format" onChange={(e) => setFormat(e.target.value)}>
+            {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="date"
+          label="Approved from"
+          value={criteria.from}
+          onChange={(e) => handleCriteriaChange({ from: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="Approved to"
+          value={criteria.to}
+          onChange={(e) => handleCriteriaChange({ to: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+        />
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel>Payment batch</InputLabel>
+          <Select
+            value={criteria.paymentBatch}
+            label="Payment batch"
+            onChange={(e) => handleCriteriaChange({ paymentBatch: e.target.value })}
+          >
+            <MenuItem value="">Any</MenuItem>
+            {batches.map(batch => (
+              <MenuItem key={batch._id} value={batch._id}>{batch.reference}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" onClick={handlePreview}>Preview</Button>
+        <Button variant="contained" onClick={handleExport} disabled={running}>
+          {running ? 'Exporting...' : 'Export'}
+        </Button>
+      </Box>
+
+      {preview && (
+        <Alert severity={preview.expenseCount > 0 ? 'info' : 'warning'} sx={{ mt: 2 }}>
+          {preview.expenseCount > 0
+            ? `${preview.expenseCount} expenses, ${formatCurrency(preview.totalAmount, preview.currency)} including ${formatCurrency(preview.taxAmount, preview.currency)} tax`
+            : 'No approved or paid expenses left to export'}
+          {preview.skipped.length > 0 && ` (${preview.skipped.length} cannot be converted to the company currency)`}
+        </Alert>
+      )}
+
+      <Table size="small" sx={{ mt: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Reference</TableCell>
+            <TableCell>Format</TableCell>
+            <TableCell>Created</TableCell>
+            <TableCell align="right">Expenses</TableCell>
+            <TableCell align="right">Total</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {exports.map((accountingExport) => (
+            <TableRow key={accountingExport._id}>
+              <TableCell>{accountingExport.reference}</TableCell>
+              <TableCell>{FORMAT_LABELS[accountingExport.format]}</TableCell>
+              <TableCell>{formatDate(accountingExport.createdAt)}</TableCell>
+              <TableCell align="right">{accountingExport.expenseCount}</TableCell>
+              <TableCell align="right">{formatCurrency(accountingExport.totalAmount, accountingExport.currency)}</TableCell>
+              <TableCell>
+                <Chip
+                  size="small"
+                  label={accountingExport.status}
+                  color={accountingExport.status === 'voided' ? 'default' : 'success'}
+                />
+              </TableCell>
+              <TableCell align="right">
+                <Tooltip title="Download">
+                  <IconButton size="small" onClick={() => handleDownload(accountingExport)}>
+                    <DownloadIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                {accountingExport.status === 'completed' && (
+                  <Tooltip title="Void">
+                    <IconButton size="small" color="error" onClick={() => handleVoid(accountingExport)}>
+                      <VoidIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Paper>
+  );
+};
+
+export default AccountingExportSettings;
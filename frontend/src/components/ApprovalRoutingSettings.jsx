@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '—');
+
+const reasonLabels = {
+  no_approver: 'No approver assigned',
+  missing_approver: 'Approver no longer exists',
+  inactive_approver: 'Approver is inactive',
+  not_approver: 'Approver is no longer a manager or admin'
+};
+
+const describeStep = (step) => {
+  const approver = step.approver ? `${fullName(step.approver)}: ` : '';
+  return `${step.stepName ? `${step.stepName} — ` : ''}${approver}${reasonLabels[step.reason] || step.reason}`;
+};
+
+// Approvals waiting on someone who cannot act, and handing an approver's queue to someone else
+const ApprovalRoutingSettings = () => {
+  const [items, setItems] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [approvers, setApprovers] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [handover, setHandover] = useState({ fromApproverId: '', toApproverId: '', comments: '' });
+
+  const loadStuck = useCallback(async () => {
+    try {
+      const [stuck, companyUsers, available] = await Promise.all([
+        api.approvals.getStuck(),
+        api.users.getAll(),
+        api.workflows.getAvailableApprovers()
+      ]);
+      setItems(stuck);
+      setUsers(companyUsers);
+      setApprovers(available);
+      setTargets(Object.fromEntries(stuck.map(item => [item.id, item.suggestedApprover?._id || ''])));
+    } catch (error) {
+      console.error('Failed to load stuck approvals:', error);
+      toast.error('Failed to load stuck approvals');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStuck();
+  }, [loadStuck]);
+
+  const handleReassign = async (item) => {
+    try {
+      const reassign = item.type === 'report' ? api.expenseReports.reassign : api.approvals.reassign;
+      await reassign(item.id, {
+        toApproverId: targets[item.id],
+        stepIds: item.steps.map(step => step.stepId)
+      });
+      toast.success('Approval reassigned');
+      loadStuck();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reassign approval');
+    }
+  };
+
+  const handleHandover = async () => {
+    const from = users.find(user => user._id === handover.fromApproverId);
+    const to = approvers.find(user => user._id === handover.toApproverId);
+    if (!window.confirm(`Reassign every pending approval of ${fullName(from)} to ${fullName(to)}?`)) {
+      return;
+    }
+
+    try {
+      const data = Object.fromEntries(Object.entries(handover).filter(([, value]) => value !== ''));
+      const result = await api.approvals.reassignApprover(data);
+      toast.success(result.message || 'Approvals reassigned');
+      setHandover({ fromApproverId: '', toApproverId: '', comments: '' });
+      loadStuck();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reassign approvals');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Submitted expenses and reports whose current approval step belongs to nobody, or to someone who
+        can no longer approve. Reassign them to keep them moving; the employee&apos;s manager is suggested when available.
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Item</TableCell>
+            <TableCell>Employee</TableCell>
+            <TableCell>Waiting Since</TableCell>
+            <TableCell>Stuck On</TableCell>
+            <TableCell>Reassign To</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={6}>
+                <Typography variant="body2" color="text.secondary">No stuck approvals</Typography>
+              </TableCell>
+            </TableRow>
+          )}
+          {items.map((item) => (
+            <TableRow key={item.id}>
+              <TableCell>
+                <Chip size="small" label={item.type === 'report' ? 'Report' : 'Expense'} sx={{ mr: 1 }} />
+                {item.title} ({formatCurrency(item.amount || 0, item.currency)})
+              </TableCell>
+              <TableCell>{fullName(item.employee)}</TableCell>
+              <TableCell>{formatDate(item.waitingSince)}</TableCell>
+              <TableCell>
+                {item.steps.map((step) => (
+                  <Typography key={step.stepId} variant="body2">{describeStep(step)}</Typography>
+                ))}
+              </TableCell>
+              <TableCell sx={{ minWidth: 180 }}>
+                <FormControl fullWidth size="small">
+                  <Select
+                    value={targets[item.id] || ''}
+                    displayEmpty
+                    onChange={(e) => setTargets({ ...targets, [item.id]: e.target.value })}
+                  >
+                    <MenuItem value="" disabled>Choose approver</MenuItem>
+                    {approvers
+                      .filter((approver) => approver._id !== item.employee?._id)
+                      .map((approver) => (
+                        <MenuItem key={approver._id} value={approver._id}>{fullName(approver)}</MenuItem>
+                      ))}
+                  </Select>
+                </FormControl>
+              </TableCell>
+              <TableCell align="right">
+                <Button size="small" onClick={() => handleReassign(item)} disabled={!targets[item.id]}>
+                  Reassign
+                </Button>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Hand Over an Approver&apos;s Queue</Typography>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Moves every pending approval of one person, on expenses and reports, to another approver, for example
+        when someone leaves the company.
+      </Typography>
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>From</InputLabel>
+            <Select
+              value={handover.fromApproverId}
+              label="From"
+              onChange={(e) => setHandover({ ...handover, fromApproverId: e.target.value })}
+            >
+              {users.map((user) => (
+                <MenuItem key={user._id} value={user._id}>
+                  {fullName(user)}{user.isActive ? '' : ' (inactive)'}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>To</InputLabel>
+            <Select
+              value={handover.toApproverId}
+              label="To"
+              onChange={(e) => setHandover({ ...handover, toApproverId: e.target.value })}
+            >
+              {approvers
+                .filter((approver) => approver._id !== handover.fromApproverId)
+                .map((approver) => (
+                  <MenuItem key={approver._id} value={approver._id}>{fullName(approver)}</MenuItem>
+                ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Comments"
+            value={handover.comments}
+            onChange={(e) => setHandover({ ...handover, comments: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} md={2}>
+          <Box display="flex" justifyContent="flex-end">
+            <Button
+              variant="contained"
+              onClick={handleHandover}
+              disabled={!handover.fromApproverId || !handover.toApproverId}
+            >
+              Reassign All
+            </Button>
+          </Box>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default ApprovalRoutingSettings;
@@ -0,0 +1,230 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardActionArea,
+  CardActions,
+  CardContent,
+  Chip,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  PictureAsPdf as PdfIcon,
+  SwapHoriz as ReplaceIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+  UploadFile as UploadIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api, apiClient } from '../utils/apiClient';
+
+const ATTACHMENT_TYPES = [
+  { value: 'receipt', label: 'Receipt' },
+  { value: 'invoice', label: 'Invoice' },
+  { value: 'boarding_pass', label: 'Boarding Pass' },
+  { value: 'attendee_list', label: 'Attendee List' },
+  { value: 'other', label: 'Other' }
+];
+
+const RECEIPT_TYPES = ['receipt', 'invoice'];
+
+const getTypeLabel = (type) => ATTACHMENT_TYPES.find(t => t.value === type)?.label || type;
+
+// Expenses from before attachments existed only carry a single receipt
+const getAttachments = (expense) => {
+  if (expense.attachments?.length > 0) {
+    return expense.attachments;
+  }
+  return expense.receipt?.url ? [{ ...expense.receipt, type: 'receipt', isPrimary: true }] : [];
+};
+
+const Thumbnail = ({ attachment }) => {
+  if (attachment.thumbnailUrl || attachment.mimeType?.startsWith('image/')) {
+    return (
+      <Box
+        component="img"
+        src={apiClient.fileUrl(attachment.thumbnailUrl || attachment.url)}
+        alt={attachment.originalName || getTypeLabel(attachment.type)}
+        sx={{ width: '100%', height: 120, objectFit: 'cover', display: 'block' }}
+      />
+    );
+  }
+
+  return (
+    <Box display="flex" alignItems="center" justifyContent="center" height={120} bgcolor="grey.100">
+      <PdfIcon fontSize="large" color="action" />
+    </Box>
+  );
+};
+
+// Receipts and supporting documents of an expense; owners can manage the files of their drafts
+const AttachmentGallery = ({ expense, editable = false, onChange }) => {
+  const [newType, setNewType] = useState('receipt');
+  const [busy, setBusy] = useState(false);
+  const addInput = useRef(null);
+  const replaceInput = useRef(null);
+  const replaceTarget = useRef(null);
+
+  const attachments = getAttachments(expense);
+  // Files can still be added after submission, but only changed on drafts
+  const canAdd = editable && !['approved', 'paid'].includes(expense.status);
+  const canModify = editable && expense.status === 'draft';
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      onChange?.({ receipt: response.receipt, attachments: response.attachments });
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update attachments');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('type', newType);
+    runAction(() => api.expenses.uploadAttachment(expense._id, formData), 'File uploaded');
+  };
+
+  const handleReplace = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !replaceTarget.current) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    runAction(
+      () => api.expenses.replaceAttachment(expense._id, replaceTarget.current, formData),
+      'File replaced'
+    );
+  };
+
+  const handleDelete = (attachment) => {
+    if (!window.confirm(`Delete ${attachment.originalName || 'this file'}?`)) {
+      return;
+    }
+    runAction(() => api.expenses.deleteAttachment(expense._id, attachment._id), 'File deleted');
+  };
+
+  const handleSetPrimary = (attachment) => {
+    runAction(
+      () => api.expenses.updateAttachment(expense._id, attachment._id, { isPrimary: true }),
+      'Primary receipt updated'
+    );
+  };
+
+  if (attachments.length === 0 && !canAdd) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+        Receipts & Attachments
+      </Typography>
+
+      <Grid container spacing={2}>
+        {attachments.map((attachment, index) => (
+          <Grid item xs={6} sm={4} md={3} key={attachment._id || index}>
+            <Card variant="outlined" sx={{ borderColor: attachment.isPrimary ? 'primary.main' : undefined }}>
+              <CardActionArea href={apiClient.fileUrl(attachment.url)} target="_blank" rel="noopener noreferrer">
+                <Thumbnail attachment={attachment} />
+              </CardActionArea>
+              <CardContent sx={{ p: 1, '&:last-child': { pb: 1 } }}>
+                <Typography variant="body2" noWrap title={attachment.originalName}>
+                  {attachment.originalName || getTypeLabel(attachment.type)}
+                </Typography>
+                <Box display="flex" gap={0.5} mt={0.5} flexWrap="wrap">
+                  <Chip label={getTypeLabel(attachment.type)} size="small" />
+                  {attachment.isPrimary && <Chip label="Primary" size="small" color="primary" />}
+                </Box>
+                {attachment.ocrData?.extractedAmount != null && (
+                  <Typography variant="caption" color="text.secondary" display="block" mt={0.5}>
+                    Read amount: {attachment.ocrData.extractedAmount} {attachment.ocrData.extractedCurrency || ''}
+                  </Typography>
+                )}
+              </CardContent>
+              {canModify && attachment._id && (
+                <CardActions sx={{ pt: 0 }}>
+                  {RECEIPT_TYPES.includes(attachment.type) && (
+                    <Tooltip title={attachment.isPrimary ? 'Primary receipt' : 'Make primary receipt'}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          disabled={busy || attachment.isPrimary}
+                          onClick={() => handleSetPrimary(attachment)}
+                        >
+                          {attachment.isPrimary ? <StarIcon fontSize="small" /> : <StarBorderIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                  <Tooltip title="Replace file">
+                    <IconButton
+                      size="small"
+                      disabled={busy}
+                      onClick={() => {
+                        replaceTarget.current = attachment._id;
+                        replaceInput.current.click();
+                      }}
+                    >
+                      <ReplaceIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete file">
+                    <IconButton size="small" disabled={busy} onClick={() => handleDelete(attachment)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </CardActions>
+              )}
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {canAdd && (
+        <Box display="flex" gap={2} alignItems="center" mt={2}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Type</InputLabel>
+            <Select value={newType} label="Type" onChange={(e) => setNewType(e.target.value)}>
+              {ATTACHMENT_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            variant="outlined"
+            startIcon={<UploadIcon />}
+            disabled={busy}
+            onClick={() => addInput.current.click()}
+          >
+            {busy ? 'Uploading...' : 'Add File'}
+          </Button>
+        </Box>
+      )}
+
+      <input ref={addInput} type="file" accept="image/*,application/pdf" hidden onChange={handleAdd} />
+      <input ref={replaceInput} type="file" accept="image/*,application/pdf" hidden onChange={handleReplace} />
+    </Box>
+  );
+};
+
+export default AttachmentGallery;
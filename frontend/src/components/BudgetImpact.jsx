@@ -0,0 +1,35 @@
+import React from 'react';
+import { Box, LinearProgress, Stack, Typography } from '@mui/material';
+
+const progressColor = (percent) => {
+  if (percent >= 100) return 'error';
+  if (percent >= 80) return 'warning';
+  return 'primary';
+};
+
+// Where each matching budget stands with this expense counted
+const BudgetImpact = ({ impact, dense = false }) => {
+  if (!impact || impact.length === 0) {
+    return null;
+  }
+
+  return (
+    <Stack spacing={dense ? 0.5 : 1}>
+      {impact.map((entry) => (
+        <Box key={`${entry.budget}-${entry.periodLabel}`}>
+          <Typography variant={dense ? 'caption' : 'body2'} component="div">
+            This expense puts {entry.name} at <strong>{entry.percent}%</strong> of its {entry.periodLabel} budget
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={Math.min(entry.percent, 100)}
+            color={progressColor(entry.percent)}
+            sx={{ height: dense ? 4 : 6, borderRadius: 1 }}
+          />
+        </Box>
+      ))}
+    </Stack>
+  );
+};
+
+export default BudgetImpact;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useCategories } from '../contexts/useCategories';
+
+const periodLabels = { month: 'Monthly', quarter: 'Quarterly', year: 'Yearly' };
+
+const emptyBudget = {
+  name: '',
+  department: '',
+  category: '',
+  costCenter: '',
+  period: 'quarter',
+  amount: '',
+  thresholds: '80, 100'
+};
+
+const progressColor = (percent) => {
+  if (percent >= 100) return 'error';
+  if (percent >= 80) return 'warning';
+  return 'primary';
+};
+
+// Admin management of department/category/cost center budgets (amounts in company currency)
+const BudgetSettings = () => {
+  const { activeCategories, getCategoryLabel } = useCategories();
+  const [budgets, setBudgets] = useState([]);
+  const [newBudget, setNewBudget] = useState(emptyBudget);
+
+  const loadBudgets = async () => {
+    try {
+      setBudgets(await api.budgets.getAll());
+    } catch (error) {
+      console.error('Failed to load budgets:', error);
+      toast.error('Failed to load budgets');
+    }
+  };
+
+  useEffect(() => {
+    loadBudgets();
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      const thresholds = newBudget.thresholds
+        .split(',')
+        .map(value => parseFloat(value))
+        .filter(value => !Number.isNaN(value));
+
+      await api.budgets.create({
+        ...Object.fromEntries(Object.entries(newBudget).filter(([, value]) => value !== '')),
+        amount: parseFloat(newBudget.amount),
+        thresholds
+      });
+      toast.success('Budget added');
+      setNewBudget(emptyBudget);
+      loadBudgets();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add budget');
+    }
+  };
+
+  const handleToggle = async (budget) => {
+    try {
+      await api.budgets.update(budget._id, { isActive: !budget.isActive });
+      loadBudgets();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update budget');
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    if (window.confirm('Delete this budget?')) {
+      try {
+        await api.budgets.delete(budget._id);
+        toast.success('Budget deleted');
+        loadBudgets();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete budget');
+      }
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Budget</TableCell>
+            <TableCell>Period</TableCell>
+            <TableCell>Amount</TableCell>
+            <TableCell sx={{ minWidth: 180 }}>Consumed (current period)</TableCell>
+            <TableCell>Alerts</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {budgets.map((budget) => (
+            <TableRow key={budget._id}>
+              <TableCell>
+                <Typography variant="body2">{budget.label}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {[budget.department, budget.category && getCategoryLabel(budget.category), budget.costCenter]
+                    .filter(Boolean).join(' • ') || 'All expenses'}
+                </Typography>
+              </TableCell>
+              <TableCell>{periodLabels[budget.period]}</TableCell>
+              <TableCell>{budget.amount}</TableCell>
+              <TableCell>
+                <Typography variant="caption">
+                  {budget.consumed} ({budget.percent}%) • {budget.currentPeriod?.label}
+                </Typography>
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(budget.percent, 100)}
+                  color={progressColor(budget.percent)}
+                />
+              </TableCell>
+              <TableCell>{(budget.thresholds || []).map(t => `${t}%`).join(', ')}</TableCell>
+              <TableCell>
+                <Switch size="small" checked={budget.isActive} onChange={() => handleToggle(budget)} />
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => handleDelete(budget)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Grid container spacing={2} mt={1} alignItems="center">
+        <Grid item xs={12} sm={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Name"
+            value={newBudget.name}
+            onChange={(e) => setNewBudget({ ...newBudget, name: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Department"
+            placeholder="Any"
+            value={newBudget.department}
+            onChange={(e) => setNewBudget({ ...newBudget, department: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Category</InputLabel>
+            <Select
+              value={newBudget.category}
+              label="Category"
+              onChange={(e) => setNewBudget({ ...newBudget, category: e.target.value })}
+            >
+              <MenuItem value="">Any</MenuItem>
+              {activeCategories.map((category) => (
+                <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={1}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Cost Center"
+            placeholder="Any"
+            value={newBudget.costCenter}
+            onChange={(e) => setNewBudget({ ...newBudget, costCenter: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={6} md={1}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Period</InputLabel>
+            <Select
+              value={newBudget.period}
+              label="Period"
+              onChange={(e) => setNewBudget({ ...newBudget, period: e.target.value })}
+            >
+              {Object.entries(periodLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={1}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Amount"
+            type="number"
+            value={newBudget.amount}
+            onChange={(e) => setNewBudget({ ...newBudget, amount: e.target.value })}
+            inputProps={{ min: 0, step: 0.01 }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Alert at (%)"
+            value={newBudget.thresholds}
+            onChange={(e) => setNewBudget({ ...newBudget, thresholds: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} md={1}>
+          <Box display="flex" justifyContent="flex-end">
+            <IconButton color="primary" onClick={handleAdd} disabled={!newBudget.amount}>
+              <AddIcon />
+            </IconButton>
+          </Box>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default BudgetSettings;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatDate } from '../utils/expenseUtils';
+
+// Admin management of the secret the company's card feed signs webhook pushes with
+const CardFeedSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [secret, setSecret] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await api.cardTransactions.getWebhookSecret());
+    } catch (error) {
+      console.error('Failed to load card feed settings:', error);
+      toast.error('Failed to load card feed settings');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleGenerate = async () => {
+    if (status?.configured && !window.confirm('Generate a new secret? The card feed is refused until it uses the new one.')) {
+      return;
+    }
+
+    try {
+      const result = await api.cardTransactions.rotateWebhookSecret();
+      setSecret(result.secret);
+      toast.success(result.message || 'Webhook secret generated');
+      loadStatus();
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate the webhook secret');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        The card feed sends this company id in X-Card-Feed-Company and signs every push with the company&apos;s
+        webhook secret. The secret is shown only once, right after it is generated.
+      </Typography>
+
+      <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+        <TextField size="small" label="Company ID" value={status?.company || ''} InputProps={{ readOnly: true }} />
+        <Typography variant="body2" color="text.secondary">
+          {status?.configured ? `Secret generated ${formatDate(status.createdAt)}` : 'No secret yet; pushes are refused'}
+        </Typography>
+        <Button variant="outlined" onClick={handleGenerate} disabled={!status}>
+          {status?.configured ? 'Rotate Secret' : 'Generate Secret'}
+        </Button>
+      </Box>
+
+      {secret && (
+        <Alert severity="info" sx={{ mt: 2 }} onClose={() => setSecret('')}>
+          Copy the secret into the card feed now: <code>{secret}</code>
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+export default CardFeedSettings;
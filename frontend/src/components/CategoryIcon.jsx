@@ -0,0 +1,10 @@
+import React from 'react';
+import { Category } from '@mui/icons-material';
+import { CATEGORY_ICONS } from '../utils/categoryIcons';
+
+const CategoryIcon = ({ name, ...props }) => {
+  const Icon = CATEGORY_ICONS[name] || Category;
+  return <Icon {...props} />;
+};
+
+export default CategoryIcon;
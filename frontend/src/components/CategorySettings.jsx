@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useCategories } from '../contexts/useCategories';
+import CategoryIcon from './CategoryIcon';
+import { CATEGORY_ICONS } from '../utils/categoryIcons';
+
+const emptyCategory = { label: '', parent: '', glAccount: '', icon: 'Category' };
+
+const IconSelect = ({ value, onChange }) => (
+  <Select size="small" value={value || 'Category'} onChange={(e) => onChange(e.target.value)}>
+    {Object.keys(CATEGORY_ICONS).map(name => (
+      <MenuItem key={name} value={name}>
+        <CategoryIcon name={name} fontSize="small" />
+      </MenuItem>
+    ))}
+  </Select>
+);
+
+// Admin editing of the company's expense categories; subcategories are covered by
+// budgets, limits, delegations and workflow rules set on their parent
+const CategorySettings = () => {
+  const { categories, reloadCategories } = useCategories();
+  const [newCategory, setNewCategory] = useState(emptyCategory);
+
+  const handleAdd = async () => {
+    try {
+      await api.categories.create({
+        ...newCategory,
+        parent: newCategory.parent || undefined
+      });
+      toast.success('Category added');
+      setNewCategory(emptyCategory);
+      reloadCategories();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add category');
+    }
+  };
+
+  const handleUpdate = async (category, changes) => {
+    try {
+      await api.categories.update(category._id, changes);
+      reloadCategories();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update category');
+    }
+  };
+
+  // Text fields are saved when they lose focus, and only if they changed
+  const handleBlur = (category, field, value) => {
+    if ((category[field] || '') !== value) {
+      handleUpdate(category, { [field]: value });
+    }
+  };
+
+  const handleTaxRateBlur = (category, value) => {
+    const defaultTaxRate = value === '' ? null : parseFloat(value);
+    if ((category.settings?.defaultTaxRate ?? null) !== defaultTaxRate) {
+      handleUpdate(category, { settings: { defaultTaxRate } });
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (window.confirm(`Delete ${category.label}?`)) {
+      try {
+        await api.categories.delete(category._id);
+        toast.success('Category deleted');
+        reloadCategories();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete category');
+      }
+    }
+  };
+
+  const parentOptions = (category) => categories.filter(option => option._id !== category?._id);
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={1}>
+        Categories in use cannot be deleted; deactivate them to stop offering them on new expenses.
+        The key is what existing expenses, budgets and rules refer to and cannot be changed.
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Icon</TableCell>
+            <TableCell>Label</TableCell>
+            <TableCell>Key</TableCell>
+            <TableCell>Parent</TableCell>
+            <TableCell>GL Account</TableCell>
+            <TableCell>Receipt Required</TableCell>
+            <TableCell>Default Tax %</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {categories.map((category) => (
+            <TableRow key={category._id}>
+              <TableCell>
+                <IconSelect value={category.icon} onChange={(icon) => handleUpdate(category, { icon })} />
+              </TableCell>
+              <TableCell sx={{ pl: 2 + category.depth * 3 }}>
+                <TextField
+                  size="small"
+                  variant="standard"
+                  defaultValue={category.label}
+                  onBlur={(e) => handleBlur(category, 'label', e.target.value.trim())}
+                />
+              </TableCell>
+              <TableCell>
+                <Typography variant="body2" color="text.secondary">{category.key}</Typography>
+              </TableCell>
+              <TableCell>
+                <Select
+                  size="small"
+                  value={category.parent || ''}
+                  displayEmpty
+                  onChange={(e) => handleUpdate(category, { parent: e.target.value || null })}
+                >
+                  <MenuItem value="">None</MenuItem>
+                  {parentOptions(category).map(option => (
+                    <MenuItem key={option._id} value={option._id} sx={{ pl: 2 + option.depth * 2 }}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </TableCell>
+              <TableCell>
+                <TextField
+                  size="small"
+                  variant="standard"
+                  defaultValue={category.glAccount || ''}
+                  onBlur={(e) => handleBlur(category, 'glAccount', e.target.value.trim())}
+                  sx={{ width: 100 }}
+                />
+              </TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={Boolean(category.settings?.receiptRequired)}
+                  onChange={() => handleUpdate(category, { settings: { receiptRequired: !category.settings?.receiptRequired } })}
+                />
+              </TableCell>
+              <TableCell>
+                <TextField
+                  size="small"
+                  variant="standard"
+                  type="number"
+                  defaultValue={category.settings?.defaultTaxRate ?? ''}
+                  onBlur={(e) => handleTaxRateBlur(category, e.target.value)}
+                  inputProps={{ min: 0, max: 100, step: 0.01 }}
+                  sx={{ width: 80 }}
+                />
+              </TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={category.isActive}
+                  onChange={() => handleUpdate(category, { isActive: !category.isActive })}
+                />
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => handleDelete(category)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Box display="flex" gap={1} mt={2} alignItems="center">
+        <IconSelect value={newCategory.icon} onChange={(icon) => setNewCategory({ ...newCategory, icon })} />
+        <TextField
+          size="small"
+          label="Label"
+          value={newCategory.label}
+          onChange={(e) => setNewCategory({ ...newCategory, label: e.target.value })}
+        />
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Parent</InputLabel>
+          <Select
+            value={newCategory.parent}
+            label="Parent"
+            onChange={(e) => setNewCategory({ ...newCategory, parent: e.target.value })}
+          >
+            <MenuItem value="">None</MenuItem>
+            {parentOptions(null).map(option => (
+              <MenuItem key={option._id} value={option._id} sx={{ pl: 2 + option.depth * 2 }}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="GL Account"
+          value={newCategory.glAccount}
+          onChange={(e) => setNewCategory({ ...newCategory, glAccount: e.target.value })}
+        />
+        <IconButton color="primary" onClick={handleAdd} disabled={!newCategory.label.trim()}>
+          <AddIcon />
+        </IconButton>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CategorySettings;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Checkbox,
+  FormControl,
+  FormHelperText,
+  Grid,
+  InputLabel,
+  ListItemText,
+  MenuItem,
+  Select,
+  TextField
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { api } from '../utils/apiClient';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+// Inputs for the company's custom fields that apply to the category; the server checks the values
+const CustomFieldInputs = ({ category, values, onChange }) => {
+  const { user } = useAuth();
+  const [fields, setFields] = useState([]);
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    if (!category) {
+      setFields([]);
+      return;
+    }
+
+    const loadFields = async () => {
+      try {
+        setFields(await api.customFields.getForCategory(category));
+      } catch (error) {
+        console.error('Failed to load custom fields:', error);
+      }
+    };
+    loadFields();
+  }, [category]);
+
+  const needsUsers = fields.some(field => field.type === 'user');
+
+  useEffect(() => {
+    if (!needsUsers || users.length > 0 || !user?.company) {
+      return;
+    }
+
+    api.companies.getUsers(user.company._id)
+      .then(setUsers)
+      .catch(error => console.error('Failed to load users:', error));
+  }, [needsUsers, users.length, user]);
+
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const renderSelect = (field, options) => {
+    const value = values[field.key] ?? (field.multiple ? [] : '');
+    const labelOf = (optionValue) => options.find(option => option.value === optionValue)?.label || optionValue;
+
+    return (
+      <FormControl fullWidth required={field.required}>
+        <InputLabel>{field.label}</InputLabel>
+        <Select
+          multiple={field.multiple}
+          value={value}
+          label={field.label}
+          onChange={(e) => setValue(field.key, e.target.value)}
+          renderValue={field.multiple ? (selected) => selected.map(labelOf).join(', ') : undefined}
+        >
+          {!field.multiple && !field.required && <MenuItem value="">None</MenuItem>}
+          {options.map(option => (
+            <MenuItem key={option.value} value={option.value}>
+              {field.multiple && <Checkbox size="small" checked={value.includes(option.value)} />}
+              <ListItemText primary={option.label} />
+            </MenuItem>
+          ))}
+        </Select>
+        {field.helpText && <FormHelperText>{field.helpText}</FormHelperText>}
+      </FormControl>
+    );
+  };
+
+  const renderInput = (field) => {
+    switch (field.type) {
+      case 'select':
+        return renderSelect(field, field.options.map(option => ({ value: option, label: option })));
+      case 'user':
+        return renderSelect(field, users.map(member => ({
+          value: member._id,
+          label: `${member.firstName} ${member.lastName}`
+        })));
+      default:
+        return (
+          <TextField
+            fullWidth
+            label={field.label}
+            type={field.type === 'text' ? 'text' : field.type}
+            value={field.type === 'date' ? toDateInput(values[field.key]) : values[field.key] ?? ''}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            required={field.required}
+            helperText={field.helpText}
+            InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+          />
+        );
+    }
+  };
+
+  return fields.map(field => (
+    <Grid item xs={12} sm={6} key={field._id}>
+      {renderInput(field)}
+    </Grid>
+  ));
+};
+
+export default CustomFieldInputs;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useCategories } from '../contexts/useCategories';
+
+const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Choice' },
+  { value: 'user', label: 'Person' }
+];
+
+const emptyField = { label: '', type: 'text', options: '', categories: [], required: false, multiple: false };
+
+const splitOptions = (options) => options.split(',').map(option => option.trim()).filter(Boolean);
+
+// Admin definition of the extra fields employees fill in on expenses
+const CustomFieldSettings = () => {
+  const { categories, getCategoryLabel } = useCategories();
+  const [fields, setFields] = useState([]);
+  const [newField, setNewField] = useState(emptyField);
+
+  const loadFields = async () => {
+    try {
+      setFields(await api.customFields.getAll());
+    } catch (error) {
+      console.error('Failed to load custom fields:', error);
+      toast.error('Failed to load custom fields');
+    }
+  };
+
+  useEffect(() => {
+    loadFields();
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      await api.customFields.create({
+        ...newField,
+        options: newField.type === 'select' ? splitOptions(newField.options) : []
+      });
+      toast.success('Custom field added');
+      setNewField(emptyField);
+      loadFields();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add custom field');
+    }
+  };
+
+  const handleUpdate = async (field, changes) => {
+    try {
+      await api.customFields.update(field._id, changes);
+      loadFields();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update custom field');
+    }
+  };
+
+  const handleDelete = async (field) => {
+    if (window.confirm(`Delete ${field.label}?`)) {
+      try {
+        await api.customFields.delete(field._id);
+        toast.success('Custom field deleted');
+        loadFields();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete custom field');
+      }
+    }
+  };
+
+  const renderCategories = (selected, onChange) => (
+    <Select
+      size="small"
+      multiple
+      displayEmpty
+      value={selected}
+      onChange={(e) => onChange(e.target.value)}
+      renderValue={(keys) => (keys.length === 0 ? 'All categories' : keys.map(getCategoryLabel).join(', '))}
+      sx={{ minWidth: 160 }}
+    >
+      {categories.map(category => (
+        <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+          <Checkbox size="small" checked={selected.includes(category.key)} />
+          <ListItemText primary={category.label} />
+        </MenuItem>
+      ))}
+    </Select>
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={1}>
+        Fields limited to a category are also asked for on its subcategories. Workflow conditions
+        refer to a field as <code>customFields.&lt;key&gt;</code>.
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Label</TableCell>
+            <TableCell>Key</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell>Choices</TableCell>
+            <TableCell>Categories</TableCell>
+            <TableCell>Required</TableCell>
+            <TableCell>Multiple</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {fields.map((field) => (
+            <TableRow key={field._id}>
+              <TableCell>{field.label}</TableCell>
+              <TableCell>
+                <Typography variant="body2" color="text.secondary">{field.key}</Typography>
+              </TableCell>
+              <TableCell>{FIELD_TYPES.find(type => type.value === field.type)?.label}</TableCell>
+              <TableCell>
+                {field.type === 'select' && (
+                  <TextField
+                    size="small"
+                    variant="standard"
+                    defaultValue={field.options.join(', ')}
+                    onBlur={(e) => {
+                      const options = splitOptions(e.target.value);
+                      if (options.join(',') !== field.options.join(',')) handleUpdate(field, { options });
+                    }}
+                  />
+                )}
+              </TableCell>
+              <TableCell>
+                {renderCategories(field.categories, (keys) => handleUpdate(field, { categories: keys }))}
+              </TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={field.required}
+                  onChange={() => handleUpdate(field, { required: !field.required })}
+                />
+              </TableCell>
+              <TableCell>
+                {['select', 'user'].includes(field.type) && (
+                  <Switch
+                    size="small"
+                    checked={field.multiple}
+                    onChange={() => handleUpdate(field, { multiple: !field.multiple })}
+                  />
+                )}
+              </TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={field.isActive}
+                  onChange={() => handleUpdate(field, { isActive: !field.isActive })}
+                />
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => handleDelete(field)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Box display="flex" gap={1} mt={2} alignItems="center" flexWrap="wrap">
+        <TextField
+          size="small"
+          label="Label"
+          value={newField.label}
+          onChange={(e) => setNewField({ ...newField, label: e.target.value })}
+        />
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>Type</InputLabel>
+          <Select
+            value={newField.type}
+            label="Type"
+            onChange={(e) => setNewField({ ...newField, type: e.target.value, multiple: false })}
+          >
+            {FIELD_TYPES.map(type => (
+              <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {newField.type === 'select' && (
+          <TextField
+            size="small"
+            label="Choices (comma separated)"
+            value={newField.options}
+            onChange={(e) => setNewField({ ...newField, options: e.target.value })}
+          />
+        )}
+        {renderCategories(newField.categories, (keys) => setNewField({ ...newField, categories: keys }))}
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={newField.required}
+              onChange={(e) => setNewField({ ...newField, required: e.target.checked })}
+            />
+          }
+          label="Required"
+        />
+        {['select', 'user'].includes(newField.type) && (
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={newField.multiple}
+                onChange={(e) => setNewField({ ...newField, multiple: e.target.checked })}
+              />
+            }
+            label="Multiple"
+          />
+        )}
+        <IconButton
+          color="primary"
+          onClick={handleAdd}
+          disabled={!newField.label.trim() || (newField.type === 'select' && splitOptions(newField.options).length === 0)}
+        >
+          <AddIcon />
+        </IconButton>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CustomFieldSettings;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { Grid, Typography } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { api } from '../utils/apiClient';
+import { formatDate } from '../utils/expenseUtils';
+
+// Read-only custom field values of an expense, labelled by the company's field definitions
+const CustomFieldValues = ({ values }) => {
+  const { user } = useAuth();
+  const [fields, setFields] = useState([]);
+  const [users, setUsers] = useState([]);
+  const hasValues = Object.keys(values || {}).length > 0;
+
+  useEffect(() => {
+    if (!hasValues) {
+      return;
+    }
+
+    const loadFields = async () => {
+      try {
+        const loaded = await api.customFields.getAll();
+        setFields(loaded);
+        if (loaded.some(field => field.type === 'user') && user?.company) {
+          setUsers(await api.companies.getUsers(user.company._id));
+        }
+      } catch (error) {
+        console.error('Failed to load custom fields:', error);
+      }
+    };
+    loadFields();
+  }, [hasValues, user]);
+
+  const formatValue = (field, value) => [].concat(value).map(item => {
+    if (field.type === 'date') return formatDate(item);
+    if (field.type === 'user') {
+      const member = users.find(candidate => candidate._id === item);
+      return member ? `${member.firstName} ${member.lastName}` : item;
+    }
+    return item;
+  }).join(', ');
+
+  return fields
+    .filter(field => values?.[field.key] !== undefined && values[field.key] !== '')
+    .map(field => (
+      <Grid item xs={6} sm={3} key={field._id}>
+        <Typography variant="caption" color="text.secondary">{field.label}</Typography>
+        <Typography variant="body1">{formatValue(field, values[field.key])}</Typography>
+      </Grid>
+    ));
+};
+
+export default CustomFieldValues;
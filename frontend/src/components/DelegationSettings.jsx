@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDate } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+const emptyDelegation = {
+  delegator: '',
+  delegate: '',
+  startDate: '',
+  endDate: '',
+  maxAmount: '',
+  categories: [],
+  reason: ''
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '—');
+
+const isInForce = (delegation) => {
+  const now = new Date();
+  return delegation.isActive && new Date(delegation.startDate) <= now && new Date(delegation.endDate) >= now;
+};
+
+// Out-of-office delegations: users manage their own, admins can set them for anyone
+const DelegationSettings = () => {
+  const { activeCategories, getCategoryLabel } = useCategories();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [delegations, setDelegations] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [approvers, setApprovers] = useState([]);
+  const [newDelegation, setNewDelegation] = useState(emptyDelegation);
+
+  const loadDelegations = useCallback(async () => {
+    try {
+      const [mine, company, available] = await Promise.all([
+        api.delegations.getMine(),
+        isAdmin ? api.delegations.getAll() : Promise.resolve(null),
+        api.workflows.getAvailableApprovers()
+      ]);
+      setDelegations(company || mine.delegations || []);
+      setReceived(mine.received || []);
+      setApprovers(available);
+    } catch (error) {
+      console.error('Failed to load delegations:', error);
+      toast.error('Failed to load delegations');
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    loadDelegations();
+  }, [loadDelegations]);
+
+  const handleAdd = async () => {
+    try {
+      const data = Object.fromEntries(
+        Object.entries(newDelegation).filter(([, value]) => value !== '')
+      );
+      await api.delegations.create(data);
+      toast.success('Delegation added');
+      setNewDelegation(emptyDelegation);
+      loadDelegations();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add delegation');
+    }
+  };
+
+  const handleToggle = async (delegation) => {
+    try {
+      await api.delegations.update(delegation._id, { isActive: !delegation.isActive });
+      loadDelegations();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update delegation');
+    }
+  };
+
+  const handleDelete = async (delegation) => {
+    if (window.confirm('Delete this delegation? Approvals already made by the delegate are kept.')) {
+      try {
+        await api.delegations.delete(delegation._id);
+        toast.success('Delegation deleted');
+        loadDelegations();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete delegation');
+      }
+    }
+  };
+
+  const describeLimits = (delegation) => {
+    const limits = [];
+    if (delegation.maxAmount !== undefined && delegation.maxAmount !== null) {
+      limits.push(`Up to ${delegation.maxAmount}`);
+    }
+    if (delegation.categories?.length) {
+      limits.push(delegation.categories.map(getCategoryLabel).join(', '));
+    }
+    return limits.join(' • ') || 'All expenses';
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>Out-of-Office Delegation</Typography>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        While a delegation is in force, the delegate can approve or reject expenses waiting on the delegator.
+        Amount limits are in the company currency.
+      </Typography>
+
+      {received.filter(isInForce).map((delegation) => (
+        <Alert key={delegation._id} severity="info" sx={{ mb: 2 }}>
+          You are covering approvals for {fullName(delegation.delegator)} until {formatDate(delegation.endDate)}
+          {' '}({describeLimits(delegation)})
+        </Alert>
+      ))}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {isAdmin && <TableCell>Delegator</TableCell>}
+            <TableCell>Delegate</TableCell>
+            <TableCell>Period</TableCell>
+            <TableCell>Limits</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {delegations.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={isAdmin ? 6 : 5}>
+                <Typography variant="body2" color="text.secondary">No delegations</Typography>
+              </TableCell>
+            </TableRow>
+          )}
+          {delegations.map((delegation) => (
+            <TableRow key={delegation._id}>
+              {isAdmin && <TableCell>{fullName(delegation.delegator)}</TableCell>}
+              <TableCell>{fullName(delegation.delegate)}</TableCell>
+              <TableCell>{formatDate(delegation.startDate)} – {formatDate(delegation.endDate)}</TableCell>
+              <TableCell>{describeLimits(delegation)}</TableCell>
+              <TableCell>
+                <Switch size="small" checked={delegation.isActive} onChange={() => handleToggle(delegation)} />
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => handleDelete(delegation)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Grid container spacing={2} mt={1} alignItems="center">
+        {isAdmin && (
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Delegator</InputLabel>
+              <Select
+                value={newDelegation.delegator}
+                label="Delegator"
+                onChange={(e) => setNewDelegation({ ...newDelegation, delegator: e.target.value })}
+              >
+                <MenuItem value="">Me</MenuItem>
+                {approvers.map((approver) => (
+                  <MenuItem key={approver._id} value={approver._id}>{fullName(approver)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        )}
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Delegate</InputLabel>
+            <Select
+              value={newDelegation.delegate}
+              label="Delegate"
+              onChange={(e) => setNewDelegation({ ...newDelegation, delegate: e.target.value })}
+            >
+              {approvers.map((approver) => (
+                <MenuItem key={approver._id} value={approver._id}>{fullName(approver)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={isAdmin ? 3 : 2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="From"
+            type="date"
+            value={newDelegation.startDate}
+            onChange={(e) => setNewDelegation({ ...newDelegation, startDate: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6} md={isAdmin ? 3 : 2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Until"
+            type="date"
+            value={newDelegation.endDate}
+            onChange={(e) => setNewDelegation({ ...newDelegation, endDate: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Max Amount"
+            type="number"
+            value={newDelegation.maxAmount}
+            onChange={(e) => setNewDelegation({ ...newDelegation, maxAmount: e.target.value })}
+            inputProps={{ min: 0, step: 0.01 }}
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Categories</InputLabel>
+            <Select
+              multiple
+              value={newDelegation.categories}
+              label="Categories"
+              onChange={(e) => setNewDelegation({ ...newDelegation, categories: e.target.value })}
+              renderValue={(selected) => selected.map(getCategoryLabel).join(', ')}
+            >
+              {activeCategories.map((category) => (
+                <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={isAdmin ? 6 : 2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Reason"
+            value={newDelegation.reason}
+            onChange={(e) => setNewDelegation({ ...newDelegation, reason: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} md={1}>
+          <Box display="flex" justifyContent="flex-end">
+            <IconButton
+              color="primary"
+              onClick={handleAdd}
+              disabled={!newDelegation.delegate || !newDelegation.startDate || !newDelegation.endDate}
+            >
+              <AddIcon />
+            </IconButton>
+          </Box>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default DelegationSettings;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Alert, AlertTitle, Link, List, ListItem, ListItemText } from '@mui/material';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+
+const reasonLabels = {
+  same_receipt_file: 'same receipt file',
+  same_receipt_text: 'same receipt content',
+  same_amount_and_date: 'same amount and date',
+  same_merchant: 'same merchant',
+  same_category: 'same category'
+};
+
+// Likely duplicate flag; matches are links when populated and onView is provided
+const DuplicateWarning = ({ duplicateCheck, onView, dense = false }) => {
+  if (!duplicateCheck?.isLikelyDuplicate || !duplicateCheck.matches?.length) {
+    return null;
+  }
+
+  return (
+    <Alert severity="warning" sx={dense ? { py: 0, '& .MuiAlert-message': { fontSize: '0.75rem' } } : undefined}>
+      <AlertTitle sx={dense ? { fontSize: '0.8rem', mb: 0 } : undefined}>
+        Possible duplicate of {duplicateCheck.matches.length} other expense{duplicateCheck.matches.length > 1 ? 's' : ''}
+      </AlertTitle>
+      <List dense disablePadding>
+        {duplicateCheck.matches.map((match, index) => {
+          const matched = typeof match.expense === 'object' ? match.expense : null;
+          const reasons = (match.reasons || []).map(r => reasonLabels[r] || r).join(', ');
+
+          return (
+            <ListItem key={index} disableGutters sx={{ py: 0 }}>
+              <ListItemText
+                primaryTypographyProps={{ variant: 'caption' }}
+                secondaryTypographyProps={{ variant: 'caption' }}
+                primary={matched ? (
+                  <>
+                    {onView ? (
+                      <Link component="button" variant="caption" onClick={() => onView(matched)}>
+                        {matched.description}
+                      </Link>
+                    ) : matched.description}
+                    {' '}— {matched.employee?.firstName} {matched.employee?.lastName},{' '}
+                    {formatCurrency(matched.amount, matched.currency)}, {formatDate(matched.date)} ({matched.status})
+                  </>
+                ) : 'Another expense in your company'}
+                secondary={`${Math.round(match.score * 100)}% match: ${reasons}`}
+              />
+            </ListItem>
+          );
+        })}
+      </List>
+    </Alert>
+  );
+};
+
+export default DuplicateWarning;
@@ -0,0 +1,154 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Divider,
+  Grid,
+  Typography
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import ExpenseTimeline from './ExpenseTimeline';
+import PolicyViolations from './PolicyViolations';
+import DuplicateWarning from './DuplicateWarning';
+import AttachmentGallery from './AttachmentGallery';
+import ReceiptLineItems from './ReceiptLineItems';
+import CustomFieldValues from './CustomFieldValues';
+import { useAuth } from '../contexts/AuthContext';
+import { getStatusColor, formatCurrency, formatDate, getExpenseKindLabel, getAllowanceSummary, getCategorySuggestionText } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+const ExpenseDetailsDialog = ({ expense, open, onClose, onExpenseChange }) => {
+  const { user } = useAuth();
+  const { getCategoryLabel } = useCategories();
+
+  if (!expense) {
+    return null;
+  }
+
+  const userId = user?.id || user?._id;
+  const isOwner = user?.role === 'employee' && (expense.employee?._id || expense.employee) === userId;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          {expense.description}
+          <Chip
+            label={expense.status}
+            color={getStatusColor(expense.status)}
+            size="small"
+          />
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        <Grid container spacing={2}>
+          <Grid item xs={6} sm={3}>
+            <Typography variant="caption" color="text.secondary">Amount</Typography>
+            <Typography variant="body1" fontWeight="medium">
+              {formatCurrency(expense.amount, expense.currency)}
+            </Typography>
+            {expense.normalized?.currency && expense.normalized.currency !== expense.currency?.code && (
+              <Typography variant="caption" color="text.secondary">
+                ≈ {expense.normalized.amount.toFixed(2)} {expense.normalized.currency}
+                {' '}@ {expense.normalized.rate} ({formatDate(expense.normalized.rateDate)})
+              </Typography>
+            )}
+            {expense.receipt?.ocrData?.extractedCurrency &&
+              expense.receipt.ocrData.extractedCurrency !== expense.currency?.code && (
+              <Typography variant="caption" color="warning.main" display="block">
+                The receipt appears to be in {expense.receipt.ocrData.extractedCurrency}
+              </Typography>
+            )}
+            {expense.cardTransaction && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                Paid with a company card, not reimbursed
+              </Typography>
+            )}
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <Typography variant="caption" color="text.secondary">Category</Typography>
+            <Typography variant="body1">{getCategoryLabel(expense.category)}</Typography>
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <Typography variant="caption" color="text.secondary">Date</Typography>
+            <Typography variant="body1">{formatDate(expense.date)}</Typography>
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <Typography variant="caption" color="text.secondary">Employee</Typography>
+            <Typography variant="body1">
+              {expense.employee?.firstName} {expense.employee?.lastName}
+            </Typography>
+          </Grid>
+          {expense.merchant && (
+            <Grid item xs={12} sm={6}>
+              <Typography variant="caption" color="text.secondary">Merchant</Typography>
+              <Typography variant="body1">{expense.merchant}</Typography>
+              {expense.categorySuggestion?.category && (
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {getCategorySuggestionText(expense.categorySuggestion, expense.merchant, getCategoryLabel)}
+                </Typography>
+              )}
+            </Grid>
+          )}
+          <CustomFieldValues values={expense.customFields} />
+          {getAllowanceSummary(expense) && (
+            <Grid item xs={12}>
+              <Typography variant="caption" color="text.secondary">{getExpenseKindLabel(expense.kind)}</Typography>
+              <Typography variant="body1">{getAllowanceSummary(expense)}</Typography>
+            </Grid>
+          )}
+          <Grid item xs={12}>
+            <AttachmentGallery
+              expense={expense}
+              editable={isOwner && Boolean(onExpenseChange)}
+              onChange={(changes) => onExpenseChange({ ...expense, ...changes })}
+            />
+          </Grid>
+          {expense.itemization?.lineItems?.length > 0 ? (
+            <Grid item xs={12}>
+              <Typography variant="caption" color="text.secondary">Itemized from the receipt</Typography>
+              <ReceiptLineItems ocrData={{ lineItems: expense.itemization.lineItems }} />
+            </Grid>
+          ) : expense.receipt?.ocrData?.lineItems?.length > 0 && (
+            <Grid item xs={12}>
+              <Typography variant="caption" color="text.secondary">Receipt line items</Typography>
+              <ReceiptLineItems ocrData={expense.receipt.ocrData} />
+            </Grid>
+          )}
+        </Grid>
+
+        <Divider sx={{ my: 2 }} />
+
+        {expense.duplicateCheck?.isLikelyDuplicate && (
+          <Box mb={2}>
+            <DuplicateWarning duplicateCheck={expense.duplicateCheck} />
+          </Box>
+        )}
+
+        {expense.policyViolations?.length > 0 && (
+          <>
+            <Typography variant="h6" mb={1}>Policy</Typography>
+            <PolicyViolations violations={expense.policyViolations} />
+            <Divider sx={{ my: 2 }} />
+          </>
+        )}
+
+        <Box display="flex" alignItems="center" mb={1}>
+          <HistoryIcon sx={{ mr: 1 }} color="action" />
+          <Typography variant="h6">History</Typography>
+        </Box>
+        <ExpenseTimeline expenseId={expense._id} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExpenseDetailsDialog;
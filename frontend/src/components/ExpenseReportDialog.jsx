@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  TextField,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+// Lets an employee bundle draft expenses into a report and optionally submit it right away
+const ExpenseReportDialog = ({ open, onClose, expenses, onCreated }) => {
+  const { getCategoryLabel } = useCategories();
+  const [title, setTitle] = useState('');
+  const [purpose, setPurpose] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const availableExpenses = (expenses || []).filter(e => e && e.status === 'draft' && !e.report);
+
+  useEffect(() => {
+    if (open) {
+      setTitle('');
+      setPurpose('');
+      setStartDate('');
+      setEndDate('');
+      setSelectedIds([]);
+    }
+  }, [open]);
+
+  // The report period defaults to the dates of the selected expenses
+  const toggleExpense = (expenseId) => {
+    const nextIds = selectedIds.includes(expenseId)
+      ? selectedIds.filter(id => id !== expenseId)
+      : [...selectedIds, expenseId];
+    setSelectedIds(nextIds);
+
+    const dates = availableExpenses
+      .filter(e => nextIds.includes(e._id))
+      .map(e => e.date.split('T')[0])
+      .sort();
+
+    if (dates.length > 0) {
+      setStartDate(dates[0]);
+      setEndDate(dates[dates.length - 1]);
+    }
+  };
+
+  const handleSave = async (submit) => {
+    if (!title.trim()) {
+      toast.error('Please enter a report title');
+      return;
+    }
+    if (selectedIds.length === 0) {
+      toast.error('Select at least one draft expense');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await api.expenseReports.create({
+        title,
+        purpose,
+        startDate,
+        endDate,
+        expenseIds: selectedIds
+      });
+
+      if (submit) {
+        await api.expenseReports.submit(response.report._id, {});
+        toast.success('Expense report submitted for approval');
+      } else {
+        toast.success('Expense report created');
+      }
+
+      onCreated?.();
+      onClose();
+    } catch (error) {
+      console.error('Failed to save expense report:', error);
+      toast.error(error.message || 'Failed to save expense report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Create Expense Report</DialogTitle>
+      <DialogContent dividers>
+        <Grid container spacing={2}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="e.g. Berlin client visit"
+              required
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Business Purpose"
+              value={purpose}
+              onChange={(e) => setPurpose(e.target.value)}
+              multiline
+              rows={2}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Start Date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="date"
+              label="End Date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+        </Grid>
+
+        <Box mt={3}>
+          <Typography variant="subtitle2" gutterBottom>
+            Draft Expenses ({selectedIds.length} selected)
+          </Typography>
+          {availableExpenses.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No draft expenses available. Expenses already in a report are not listed.
+            </Typography>
+          ) : (
+            <List dense>
+              {availableExpenses.map((expense) => (
+                <ListItem key={expense._id} button onClick={() => toggleExpense(expense._id)}>
+                  <ListItemIcon>
+                    <Checkbox edge="start" checked={selectedIds.includes(expense._id)} tabIndex={-1} disableRipple />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={expense.description}
+                    secondary={`${getCategoryLabel(expense.category)} • ${formatDate(expense.date)}`}
+                  />
+                  <Typography variant="body2" fontWeight="medium">
+                    {formatCurrency(expense.amount, expense.currency)}
+                  </Typography>
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button onClick={() => handleSave(false)} disabled={saving}>
+          Save as Draft
+        </Button>
+        <Button onClick={() => handleSave(true)} variant="contained" disabled={saving}>
+          Create & Submit
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExpenseReportDialog;
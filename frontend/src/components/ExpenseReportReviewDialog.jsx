@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import PolicyViolations from './PolicyViolations';
+import DuplicateWarning from './DuplicateWarning';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+// Approver view of an expense report: reject individual lines, then approve the rest or reject it all
+const ExpenseReportReviewDialog = ({ report, open, onClose, onDecided }) => {
+  const { getCategoryLabel } = useCategories();
+  const [rejectedLines, setRejectedLines] = useState({});
+  const [comments, setComments] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setRejectedLines({});
+      setComments('');
+    }
+  }, [open]);
+
+  if (!report) {
+    return null;
+  }
+
+  const toggleLine = (expenseId) => {
+    setRejectedLines(prev => {
+      const next = { ...prev };
+      if (expenseId in next) {
+        delete next[expenseId];
+      } else {
+        next[expenseId] = '';
+      }
+      return next;
+    });
+  };
+
+  const handleApprove = async () => {
+    const lineItems = Object.entries(rejectedLines).map(([expense, reason]) => ({
+      expense,
+      status: 'rejected',
+      reason: reason || 'Rejected by approver'
+    }));
+
+    try {
+      setSaving(true);
+      await api.expenseReports.approve(report._id, { comments, lineItems });
+      toast.success(lineItems.length > 0
+        ? `Report approved with ${lineItems.length} line(s) rejected`
+        : 'Report approved successfully');
+      onDecided?.();
+      onClose();
+    } catch (error) {
+      console.error('Failed to approve expense report:', error);
+      toast.error(error.message || 'Failed to approve expense report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!comments.trim()) {
+      toast.error('Please enter a rejection reason');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.expenseReports.reject(report._id, { reason: comments, comments });
+      toast.success('Report rejected successfully');
+      onDecided?.();
+      onClose();
+    } catch (error) {
+      console.error('Failed to reject expense report:', error);
+      toast.error(error.message || 'Failed to reject expense report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        {report.title}
+        <Typography variant="body2" color="text.secondary">
+          {report.employee?.firstName} {report.employee?.lastName} • {formatDate(report.startDate)} – {formatDate(report.endDate)}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {report.purpose && (
+          <Typography variant="body2" mb={2}>
+            {report.purpose}
+          </Typography>
+        )}
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">Reject</TableCell>
+              <TableCell>Expense</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell align="right">Amount</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.lineItems.map((item) => {
+              const expense = item.expense;
+              if (!expense) return null;
+              const alreadyRejected = item.status === 'rejected';
+              const isRejected = alreadyRejected || expense._id in rejectedLines;
+
+              return (
+                <TableRow key={expense._id}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={isRejected}
+                      disabled={alreadyRejected}
+                      onChange={() => toggleLine(expense._id)}
+                      color="error"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{expense.description}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {getCategoryLabel(expense.category)}
+                    </Typography>
+                    {expense.policyViolations?.length > 0 && (
+                      <Box mt={1}>
+                        <PolicyViolations violations={expense.policyViolations} dense />
+                      </Box>
+                    )}
+                    {expense.duplicateCheck?.isLikelyDuplicate && (
+                      <Box mt={1}>
+                        <DuplicateWarning duplicateCheck={expense.duplicateCheck} dense />
+                      </Box>
+                    )}
+                    {alreadyRejected && (
+                      <Typography variant="caption" color="error" display="block">
+                        Rejected: {item.reason}
+                      </Typography>
+                    )}
+                    {!alreadyRejected && expense._id in rejectedLines && (
+                      <TextField
+                        fullWidth
+                        size="small"
+                        placeholder="Reason for rejecting this line"
+                        value={rejectedLines[expense._id]}
+                        onChange={(e) => setRejectedLines(prev => ({ ...prev, [expense._id]: e.target.value }))}
+                        sx={{ mt: 1 }}
+                      />
+                    )}
+                  </TableCell>
+                  <TableCell>{formatDate(expense.date)}</TableCell>
+                  <TableCell align="right">{formatCurrency(expense.amount, expense.currency)}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        <Box display="flex" justifyContent="flex-end" mt={2}>
+          <Typography variant="subtitle1" fontWeight="medium">
+            Total: {formatCurrency(report.totalAmount, report.currency)}
+          </Typography>
+        </Box>
+
+        <TextField
+          fullWidth
+          label="Comments (required to reject the whole report)"
+          value={comments}
+          onChange={(e) => setComments(e.target.value)}
+          multiline
+          rows={3}
+          sx={{ mt: 2 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleReject}
+          variant="contained"
+          color="error"
+          startIcon={<CancelIcon />}
+          disabled={saving}
+        >
+          Reject Report
+        </Button>
+        <Button
+          onClick={handleApprove}
+          variant="contained"
+          color="success"
+          startIcon={<CheckCircleIcon />}
+          disabled={saving}
+        >
+          Approve
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExpenseReportReviewDialog;
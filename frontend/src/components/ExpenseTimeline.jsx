@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  AddCircleOutline as CreatedIcon,
+  Edit as EditIcon,
+  Send as SendIcon,
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+  AdminPanelSettings as OverrideIcon,
+  Receipt as ReceiptIcon,
+  Payments as PaymentsIcon,
+  Delete as DeleteIcon,
+  History as HistoryIcon,
+  Forward as ForwardIcon,
+  AccountBalance as AccountBalanceIcon,
+  CreditCard as CreditCardIcon
+} from '@mui/icons-material';
+import { api } from '../utils/apiClient';
+
+const actionDetails = {
+  created: { label: 'Created', icon: <CreatedIcon color="primary" /> },
+  updated: { label: 'Edited', icon: <EditIcon color="action" /> },
+  submitted: { label: 'Submitted', icon: <SendIcon color="warning" /> },
+  approved: { label: 'Approved', icon: <CheckCircleIcon color="success" /> },
+  rejected: { label: 'Rejected', icon: <CancelIcon color="error" /> },
+  overridden: { label: 'Admin Override', icon: <OverrideIcon color="secondary" /> },
+  receipt_uploaded: { label: 'Receipt Uploaded', icon: <ReceiptIcon color="info" /> },
+  paid: { label: 'Paid', icon: <PaymentsIcon color="success" /> },
+  payment_reversed: { label: 'Payment Reversed', icon: <PaymentsIcon color="error" /> },
+  deleted: { label: 'Deleted', icon: <DeleteIcon color="error" /> },
+  escalated: { label: 'Escalated', icon: <ForwardIcon color="info" /> },
+  exported: { label: 'Exported to Accounting', icon: <AccountBalanceIcon color="success" /> },
+  export_voided: { label: 'Accounting Export Voided', icon: <AccountBalanceIcon color="error" /> },
+  card_matched: { label: 'Matched to Card Transaction', icon: <CreditCardIcon color="info" /> },
+  card_unmatched: { label: 'Card Transaction Unmatched', icon: <CreditCardIcon color="action" /> },
+  reassigned: { label: 'Approver Reassigned', icon: <ForwardIcon color="action" /> }
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  if (typeof value === 'object') return value.code || value.originalName || 'updated';
+  return String(value);
+};
+
+// Fields whose raw value is too large to print inline
+const summaryOnlyFields = ['approvalChain', 'receipt'];
+
+const ExpenseTimeline = ({ expenseId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await api.expenses.getHistory(expenseId);
+        setEvents(response.events || []);
+      } catch (error) {
+        console.error('Failed to load expense history:', error);
+        setError(error.message || 'Failed to load expense history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (expenseId) {
+      loadHistory();
+    }
+  }, [expenseId]);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (events.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No history recorded for this expense yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <List dense>
+      {events.map((event) => {
+        const details = actionDetails[event.action] || { label: event.action, icon: <HistoryIcon /> };
+        const actorName = event.actor ? `${event.actor.firstName} ${event.actor.lastName}` : 'System';
+        const onBehalfOf = event.onBehalfOf
+          ? ` on behalf of ${event.onBehalfOf.firstName} ${event.onBehalfOf.lastName}`
+          : '';
+        const changes = (event.changes || []).filter(change => change.field !== 'status');
+
+        return (
+          <ListItem key={event._id} alignItems="flex-start">
+            <ListItemIcon>
+              {details.icon}
+            </ListItemIcon>
+            <ListItemText
+              primary={
+                <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                  <Typography variant="body2" fontWeight="medium">
+                    {details.label}
+                  </Typography>
+                  {event.fromStatus !== event.toStatus && event.toStatus && (
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      label={`${event.fromStatus || 'new'} → ${event.toStatus}`}
+                    />
+                  )}
+                </Box>
+              }
+              secondary={
+                <span>
+                  <Typography variant="caption" component="div">
+                    {actorName}{onBehalfOf} • {new Date(event.createdAt).toLocaleString()}
+                  </Typography>
+                  {event.comments && (
+                    <Typography variant="caption" component="div">
+                      "{event.comments}"
+                    </Typography>
+                  )}
+                  {changes.map((change) => (
+                    <Typography key={change.field} variant="caption" component="div" color="text.secondary">
+                      {summaryOnlyFields.includes(change.field)
+                        ? `${change.field} changed`
+                        : `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`}
+                    </Typography>
+                  ))}
+                </span>
+              }
+            />
+          </ListItem>
+        );
+      })}
+    </List>
+  );
+};
+
+export default ExpenseTimeline;
@@ -0,0 +1,418 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+const MAPPING_FIELDS = [
+  { field: 'date', label: 'Date' },
+  { field: 'description', label: 'Description' },
+  { field: 'merchant', label: 'Merchant' },
+  { field: 'amount', label: 'Amount' },
+  { field: 'debit', label: 'Debit (instead of amount)' },
+  { field: 'credit', label: 'Credit (instead of amount)' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'category', label: 'Category' },
+  { field: 'reference', label: 'Transaction reference' }
+];
+
+const defaultOptions = { headerRow: 1, dateOrder: '', chargeSign: 'positive', defaultCategory: 'other', reimbursable: false };
+
+// Shown rows of the preview; the import itself covers all of them
+const PREVIEW_ROWS = 50;
+
+// Creates draft expenses from a card statement or spreadsheet: map the columns, check the
+// dry run, then import. Mappings can be saved as templates for the next statement.
+// In `cardTransactions` mode the charges are recorded as company card transactions instead
+// and matched to existing expenses.
+const ImportExpensesDialog = ({ open, onClose, onImported, mode = 'expenses' }) => {
+  const forTransactions = mode === 'cardTransactions';
+  const { activeCategories, getCategoryLabel } = useCategories();
+  const [file, setFile] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState(defaultOptions);
+  const [columns, setColumns] = useState([]);
+  const [fileType, setFileType] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [running, setRunning] = useState(false);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await api.importTemplates.getAll());
+    } catch (error) {
+      console.error('Failed to load import templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      loadTemplates();
+    } else {
+      setFile(null);
+      setTemplateId('');
+      setMapping({});
+      setOptions(defaultOptions);
+      setColumns([]);
+      setFileType(null);
+      setPreview(null);
+      setError('');
+    }
+  }, [open]);
+
+  const resetPreview = () => {
+    setPreview(null);
+    setError('');
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setColumns([]);
+    setFileType(null);
+    resetPreview();
+  };
+
+  const handleTemplateChange = (id) => {
+    const template = templates.find(item => item._id === id);
+    setTemplateId(id);
+    if (template) {
+      setMapping(template.mapping || {});
+      setOptions({
+        headerRow: template.headerRow || 1,
+        dateOrder: template.dateOrder || '',
+        chargeSign: template.chargeSign || 'positive',
+        defaultCategory: template.defaultCategory || 'other',
+        reimbursable: Boolean(template.reimbursable)
+      });
+    }
+    resetPreview();
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping({ ...mapping, [field]: column });
+    resetPreview();
+  };
+
+  const handleOptionChange = (changes) => {
+    setOptions({ ...options, ...changes });
+    resetPreview();
+  };
+
+  // Without a mapping the server suggests one from the column headers
+  const buildFormData = (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (Object.values(mapping).some(Boolean)) formData.append('mapping', JSON.stringify(mapping));
+    formData.append('headerRow', options.headerRow);
+    if (options.dateOrder) formData.append('dateOrder', options.dateOrder);
+    formData.append('chargeSign', options.chargeSign);
+    formData.append('defaultCategory', options.defaultCategory);
+    if (!forTransactions) formData.append('reimbursable', options.reimbursable);
+    formData.append('dryRun', dryRun);
+    return formData;
+  };
+
+  const applyResponse = (response) => {
+    setColumns(response.columns || []);
+    setFileType(response.fileType || null);
+    if (response.mapping) setMapping(response.mapping);
+  };
+
+  const runImport = async (dryRun) => {
+    try {
+      setRunning(true);
+      setError('');
+      const importStatement = forTransactions ? api.cardTransactions.import : api.expenses.import;
+      const response = await importStatement(buildFormData(dryRun));
+      applyResponse(response);
+      setPreview(response);
+
+      if (!dryRun) {
+        toast.success(response.message);
+        onImported?.();
+        if (response.errorCount === 0) onClose();
+      }
+    } catch (error) {
+      if (error.data?.columns) applyResponse(error.data);
+      setPreview(null);
+      setError(error.message || 'Failed to read the file');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    const current = templates.find(item => item._id === templateId);
+    const name = window.prompt('Template name', current?.name || '');
+    if (!name) {
+      return;
+    }
+
+    const data = { name, mapping, ...options, dateOrder: options.dateOrder || null };
+    try {
+      const response = current && current.name === name
+        ? await api.importTemplates.update(current._id, data)
+        : await api.importTemplates.create(data);
+      toast.success(response.message);
+      await loadTemplates();
+      setTemplateId(response.template._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save template');
+    }
+  };
+
+  const isOfx = fileType === 'ofx';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Card Statement</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          {forTransactions
+            ? 'Upload a CSV, Excel (.xlsx), OFX or QFX statement of your company card. Each charge is matched to your expense for it; charges without one wait for a receipt. '
+            : 'Upload a CSV, Excel (.xlsx), OFX or QFX statement. Each charge becomes a draft expense; '}
+          Credits, payments and transactions imported before are skipped. Check the preview before importing.
+        </Typography>
+
+        <Box display="flex" gap={2} alignItems="center" flexWrap="wrap" mb={2}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+            {file ? file.name : 'Choose File'}
+            <input type="file" hidden accept=".csv,.tsv,.txt,.xlsx,.ofx,.qfx" onChange={handleFileChange} />
+          </Button>
+          {templates.length > 0 && (
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>Template</InputLabel>
+              <Select value={templateId} label="Template" onChange={(e) => handleTemplateChange(e.target.value)}>
+                <MenuItem value="">None</MenuItem>
+                {templates.map(template => (
+                  <MenuItem key={template._id} value={template._id}>{template.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+        </Box>
+
+        {!isOfx && (
+          <Grid container spacing={2} mb={2}>
+            <Grid item xs={6} sm={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Header row"
+                value={options.headerRow}
+                onChange={(e) => handleOptionChange({ headerRow: Math.max(1, parseInt(e.target.value) || 1) })}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Date order</InputLabel>
+                <Select
+                  value={options.dateOrder}
+                  label="Date order"
+                  onChange={(e) => handleOptionChange({ dateOrder: e.target.value })}
+                >
+                  <MenuItem value="">Company default</MenuItem>
+                  <MenuItem value="DMY">Day/Month/Year</MenuItem>
+                  <MenuItem value="MDY">Month/Day/Year</MenuItem>
+                  <MenuItem value="YMD">Year/Month/Day</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Charges are</InputLabel>
+                <Select
+                  value={options.chargeSign}
+                  label="Charges are"
+                  onChange={(e) => handleOptionChange({ chargeSign: e.target.value })}
+                >
+                  <MenuItem value="positive">Positive amounts</MenuItem>
+                  <MenuItem value="negative">Negative amounts</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+        )}
+
+        <Grid container spacing={2} mb={2} alignItems="center">
+          <Grid item xs={6} sm={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Default category</InputLabel>
+              <Select
+                value={options.defaultCategory}
+                label="Default category"
+                onChange={(e) => handleOptionChange({ defaultCategory: e.target.value })}
+              >
+                {activeCategories.map(category => (
+                  <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                    {category.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          {!forTransactions && (
+            <Grid item xs={6} sm={4}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={options.reimbursable}
+                    onChange={(e) => handleOptionChange({ reimbursable: e.target.checked })}
+                  />
+                }
+                label="Reimburse me (paid personally)"
+              />
+            </Grid>
+          )}
+        </Grid>
+
+        {columns.length > 0 && !isOfx && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>Columns</Typography>
+            <Grid container spacing={2} mb={2}>
+              {MAPPING_FIELDS.map(({ field, label }) => (
+                <Grid item xs={6} sm={4} md={3} key={field}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>{label}</InputLabel>
+                    <Select
+                      value={mapping[field] || ''}
+                      label={label}
+                      onChange={(e) => handleMappingChange(field, e.target.value)}
+                    >
+                      <MenuItem value="">Not in file</MenuItem>
+                      {columns.map(column => (
+                        <MenuItem key={column} value={column}>{column}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              ))}
+            </Grid>
+          </>
+        )}
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {preview && (
+          <>
+            <Alert severity={preview.errorCount > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {preview.message}
+            </Alert>
+
+            {preview.results.length > 0 && (
+              <Table size="small" sx={{ mb: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Merchant</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    {forTransactions && <TableCell>Expense</TableCell>}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.results.slice(0, PREVIEW_ROWS).map(result => (
+                    <TableRow key={result.row}>
+                      <TableCell>{result.row}</TableCell>
+                      <TableCell>{formatDate(result.date)}</TableCell>
+                      <TableCell>{result.description}</TableCell>
+                      <TableCell>{result.merchant}</TableCell>
+                      <TableCell>
+                        {getCategoryLabel(result.category)}
+                        {result.categorySource === 'merchant' && (
+                          <Typography component="span" variant="caption" color="text.secondary"> (learned)</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(result.amount, result.currency)}</TableCell>
+                      {forTransactions && (
+                        <TableCell>
+                          {result.match ? `Matched (${Math.round(result.match.confidence * 100)}%)` : 'Needs receipt'}
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            {preview.results.length > PREVIEW_ROWS && (
+              <Typography variant="body2" color="text.secondary" mb={2}>
+                and {preview.results.length - PREVIEW_ROWS} more
+              </Typography>
+            )}
+
+            {preview.errors.length > 0 && (
+              <>
+                <Typography variant="subtitle2" gutterBottom>Rows not imported</Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Reason</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.errors.map(rowError => (
+                      <TableRow key={`${rowError.row}-${rowError.error}`}>
+                        <TableCell>{rowError.row}</TableCell>
+                        <TableCell>{rowError.error}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {columns.length > 0 && !isOfx && (
+          <Button onClick={handleSaveTemplate} sx={{ mr: 'auto' }}>Save as Template</Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="outlined" onClick={() => runImport(true)} disabled={!file || running}>
+          Preview
+        </Button>
+        <Button
+          variant="contained"
+          onClick={() => runImport(false)}
+          disabled={!preview?.dryRun || preview.successCount === 0 || running}
+        >
+          {preview?.dryRun && preview.successCount > 0
+            ? `Import ${preview.successCount} ${forTransactions ? 'Transactions' : 'Expenses'}`
+            : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportExpensesDialog;
@@ -29,7 +29,8 @@ import {
   AccountCircle as AccountCircleIcon,
   Logout as LogoutIcon,
   Notifications as NotificationsIcon,
-  TrendingUp as TrendingUpIcon
+  TrendingUp as TrendingUpIcon,
+  CreditCard as CreditCardIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -72,6 +73,12 @@ const Layout = () => {
       path: '/expenses',
       roles: ['admin', 'manager', 'employee']
     },
+    {
+      text: 'Card Transactions',
+      icon: <CreditCardIcon />,
+      path: '/card-transactions',
+      roles: ['admin', 'manager', 'employee']
+    },
     {
       text: 'Expense Management',
       icon: <ReceiptIcon />,
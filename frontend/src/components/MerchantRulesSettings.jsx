@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useCategories } from '../contexts/useCategories';
+
+const emptyRule = { name: '', aliases: '', category: '' };
+
+const splitAliases = (aliases) => aliases.split(',').map(alias => alias.trim()).filter(Boolean);
+
+// Admin curation of the merchant directory: category rules and what was learned from approved expenses
+const MerchantRulesSettings = () => {
+  const { activeCategories, getCategoryLabel } = useCategories();
+  const [merchants, setMerchants] = useState([]);
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [search, setSearch] = useState('');
+  const [relearning, setRelearning] = useState(false);
+
+  const loadMerchants = async () => {
+    try {
+      setMerchants(await api.merchants.getAll());
+    } catch (error) {
+      console.error('Failed to load merchants:', error);
+      toast.error('Failed to load merchants');
+    }
+  };
+
+  useEffect(() => {
+    loadMerchants();
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      await api.merchants.create({
+        ...newRule,
+        aliases: splitAliases(newRule.aliases),
+        category: newRule.category || undefined
+      });
+      toast.success('Merchant rule added');
+      setNewRule(emptyRule);
+      loadMerchants();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add merchant rule');
+    }
+  };
+
+  const handleUpdate = async (merchant, changes) => {
+    try {
+      await api.merchants.update(merchant._id, changes);
+      loadMerchants();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update merchant');
+    }
+  };
+
+  const handleDelete = async (merchant) => {
+    if (window.confirm(`Delete ${merchant.name}? Existing expenses are not changed.`)) {
+      try {
+        await api.merchants.delete(merchant._id);
+        toast.success('Merchant deleted');
+        loadMerchants();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete merchant');
+      }
+    }
+  };
+
+  const handleRelearn = async () => {
+    try {
+      setRelearning(true);
+      const response = await api.merchants.relearn();
+      toast.success(response.message);
+      loadMerchants();
+    } catch (error) {
+      toast.error(error.message || 'Failed to relearn merchants');
+    } finally {
+      setRelearning(false);
+    }
+  };
+
+  const visible = merchants.filter(merchant =>
+    !search || `${merchant.name} ${(merchant.aliases || []).join(' ')}`.toLowerCase().includes(search.toLowerCase())
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1} gap={2}>
+        <Typography variant="body2" color="text.secondary">
+          Receipts are matched to these merchants to suggest a category. A rule always applies;
+          otherwise the category most often approved for the merchant is suggested.
+        </Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<RefreshIcon />}
+          onClick={handleRelearn}
+          disabled={relearning}
+          sx={{ flexShrink: 0 }}
+        >
+          {relearning ? 'Relearning...' : 'Relearn from Expenses'}
+        </Button>
+      </Box>
+
+      <TextField
+        size="small"
+        label="Search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        sx={{ mb: 1 }}
+      />
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Merchant</TableCell>
+            <TableCell>Also matches</TableCell>
+            <TableCell>Rule</TableCell>
+            <TableCell>Suggestion</TableCell>
+            <TableCell align="right">Approved</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {visible.map((merchant) => (
+            <TableRow key={merchant._id}>
+              <TableCell>
+                {merchant.name}
+                {merchant.source === 'learned' && <Chip label="Learned" size="small" sx={{ ml: 1 }} />}
+              </TableCell>
+              <TableCell>{(merchant.aliases || []).join(', ')}</TableCell>
+              <TableCell>
+                <Select
+                  size="small"
+                  value={merchant.category || ''}
+                  displayEmpty
+                  onChange={(e) => handleUpdate(merchant, { category: e.target.value || null })}
+                >
+                  <MenuItem value="">No rule</MenuItem>
+                  {activeCategories.map(category => (
+                    <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+                  ))}
+                </Select>
+              </TableCell>
+              <TableCell>
+                {merchant.suggestion
+                  ? `${getCategoryLabel(merchant.suggestion.category)} (${Math.round(merchant.suggestion.confidence * 100)}%)`
+                  : '-'}
+              </TableCell>
+              <TableCell align="right">{merchant.expenseCount}</TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={merchant.isActive}
+                  onChange={() => handleUpdate(merchant, { isActive: !merchant.isActive })}
+                />
+              </TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" onClick={() => handleDelete(merchant)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Box display="flex" gap={1} mt={2} alignItems="center">
+        <TextField
+          size="small"
+          label="Merchant"
+          value={newRule.name}
+          onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
+        />
+        <TextField
+          size="small"
+          label="Also matches (comma separated)"
+          value={newRule.aliases}
+          onChange={(e) => setNewRule({ ...newRule, aliases: e.target.value })}
+          sx={{ minWidth: 240 }}
+        />
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Category</InputLabel>
+          <Select
+            value={newRule.category}
+            label="Category"
+            onChange={(e) => setNewRule({ ...newRule, category: e.target.value })}
+          >
+            <MenuItem value="">No rule</MenuItem>
+            {activeCategories.map(category => (
+              <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <IconButton color="primary" onClick={handleAdd} disabled={!newRule.name.trim()}>
+          <AddIcon />
+        </IconButton>
+      </Box>
+    </Paper>
+  );
+};
+
+export default MerchantRulesSettings;
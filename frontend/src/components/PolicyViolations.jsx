@@ -0,0 +1,25 @@
+import React from 'react';
+import { Alert, Stack } from '@mui/material';
+
+// Policy warnings and hard blocks stored on an expense
+const PolicyViolations = ({ violations, dense = false }) => {
+  if (!violations || violations.length === 0) {
+    return null;
+  }
+
+  return (
+    <Stack spacing={dense ? 0.5 : 1}>
+      {violations.map((violation, index) => (
+        <Alert
+          key={index}
+          severity={violation.severity === 'block' ? 'error' : 'warning'}
+          sx={dense ? { py: 0, '& .MuiAlert-message': { fontSize: '0.75rem' } } : undefined}
+        >
+          {violation.message}
+        </Alert>
+      ))}
+    </Stack>
+  );
+};
+
+export default PolicyViolations;
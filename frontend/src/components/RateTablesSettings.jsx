@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatDate } from '../utils/expenseUtils';
+
+const vehicleLabels = {
+  car: 'Car',
+  electric_car: 'Electric Car',
+  motorcycle: 'Motorcycle',
+  van: 'Van',
+  bicycle: 'Bicycle'
+};
+
+const emptyMileage = { vehicleType: 'car', unit: 'km', rate: '', effectiveFrom: '' };
+const emptyPerDiem = { country: '', dailyRate: '', partialDayPercent: '75', effectiveFrom: '' };
+
+// Admin management of the mileage and per diem rate tables (amounts in company currency)
+const RateTablesSettings = () => {
+  const [mileageRates, setMileageRates] = useState([]);
+  const [perDiemRates, setPerDiemRates] = useState([]);
+  const [newMileage, setNewMileage] = useState(emptyMileage);
+  const [newPerDiem, setNewPerDiem] = useState(emptyPerDiem);
+
+  const loadRates = async () => {
+    try {
+      const [mileage, perDiem] = await Promise.all([api.rates.getMileage(), api.rates.getPerDiem()]);
+      setMileageRates(mileage);
+      setPerDiemRates(perDiem);
+    } catch (error) {
+      console.error('Failed to load rate tables:', error);
+      toast.error('Failed to load rate tables');
+    }
+  };
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const withoutEmpty = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => value !== ''));
+
+  const handleAddMileage = async () => {
+    try {
+      await api.rates.createMileage(withoutEmpty(newMileage));
+      toast.success('Mileage rate added');
+      setNewMileage(emptyMileage);
+      loadRates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add mileage rate');
+    }
+  };
+
+  const handleAddPerDiem = async () => {
+    try {
+      await api.rates.createPerDiem(withoutEmpty(newPerDiem));
+      toast.success('Per diem rate added');
+      setNewPerDiem(emptyPerDiem);
+      loadRates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add per diem rate');
+    }
+  };
+
+  const handleToggle = async (update, rate) => {
+    try {
+      await update(rate._id, { isActive: !rate.isActive });
+      loadRates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update rate');
+    }
+  };
+
+  const handleDelete = async (remove, rate) => {
+    if (window.confirm('Delete this rate? Existing expenses keep the rate they were calculated with.')) {
+      try {
+        await remove(rate._id);
+        toast.success('Rate deleted');
+        loadRates();
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete rate');
+      }
+    }
+  };
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={6}>
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>Mileage Rates</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Vehicle</TableCell>
+                <TableCell>Rate</TableCell>
+                <TableCell>From</TableCell>
+                <TableCell>Active</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {mileageRates.map((rate) => (
+                <TableRow key={rate._id}>
+                  <TableCell>{vehicleLabels[rate.vehicleType] || rate.vehicleType}</TableCell>
+                  <TableCell>{rate.rate} / {rate.unit}</TableCell>
+                  <TableCell>{formatDate(rate.effectiveFrom)}</TableCell>
+                  <TableCell>
+                    <Switch size="small" checked={rate.isActive} onChange={() => handleToggle(api.rates.updateMileage, rate)} />
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" color="error" onClick={() => handleDelete(api.rates.deleteMileage, rate)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <Box display="flex" gap={1} mt={2} alignItems="center">
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Vehicle</InputLabel>
+              <Select
+                value={newMileage.vehicleType}
+                label="Vehicle"
+                onChange={(e) => setNewMileage({ ...newMileage, vehicleType: e.target.value })}
+              >
+                {Object.entries(vehicleLabels).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 80 }}>
+              <InputLabel>Unit</InputLabel>
+              <Select
+                value={newMileage.unit}
+                label="Unit"
+                onChange={(e) => setNewMileage({ ...newMileage, unit: e.target.value })}
+              >
+                <MenuItem value="km">km</MenuItem>
+                <MenuItem value="mile">mile</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Rate"
+              type="number"
+              value={newMileage.rate}
+              onChange={(e) => setNewMileage({ ...newMileage, rate: e.target.value })}
+              inputProps={{ min: 0, step: 0.01 }}
+            />
+            <TextField
+              size="small"
+              label="From"
+              type="date"
+              value={newMileage.effectiveFrom}
+              onChange={(e) => setNewMileage({ ...newMileage, effectiveFrom: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <IconButton color="primary" onClick={handleAddMileage} disabled={!newMileage.rate}>
+              <AddIcon />
+            </IconButton>
+          </Box>
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>Per Diem Rates</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Country</TableCell>
+                <TableCell>Daily Rate</TableCell>
+                <TableCell>Partial Day</TableCell>
+                <TableCell>Active</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {perDiemRates.map((rate) => (
+                <TableRow key={rate._id}>
+                  <TableCell>{rate.country || 'All other countries'}</TableCell>
+                  <TableCell>{rate.dailyRate}</TableCell>
+                  <TableCell>{rate.partialDayPercent}%</TableCell>
+                  <TableCell>
+                    <Switch size="small" checked={rate.isActive} onChange={() => handleToggle(api.rates.updatePerDiem, rate)} />
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" color="error" onClick={() => handleDelete(api.rates.deletePerDiem, rate)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <Box display="flex" gap={1} mt={2} alignItems="center">
+            <TextField
+              size="small"
+              label="Country"
+              placeholder="Blank = default"
+              value={newPerDiem.country}
+              onChange={(e) => setNewPerDiem({ ...newPerDiem, country: e.target.value })}
+            />
+            <TextField
+              size="small"
+              label="Daily Rate"
+              type="number"
+              value={newPerDiem.dailyRate}
+              onChange={(e) => setNewPerDiem({ ...newPerDiem, dailyRate: e.target.value })}
+              inputProps={{ min: 0, step: 0.01 }}
+            />
+            <TextField
+              size="small"
+              label="Partial %"
+              type="number"
+              value={newPerDiem.partialDayPercent}
+              onChange={(e) => setNewPerDiem({ ...newPerDiem, partialDayPercent: e.target.value })}
+              inputProps={{ min: 0, max: 100 }}
+              sx={{ width: 100 }}
+            />
+            <IconButton color="primary" onClick={handleAddPerDiem} disabled={!newPerDiem.dailyRate}>
+              <AddIcon />
+            </IconButton>
+          </Box>
+        </Paper>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default RateTablesSettings;
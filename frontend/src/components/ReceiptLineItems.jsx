@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+
+const SUMMARY_FIELDS = [
+  { field: 'subtotal', label: 'Subtotal' },
+  { field: 'tax', label: 'Tax' },
+  { field: 'tip', label: 'Tip' },
+  { field: 'total', label: 'Total' }
+];
+
+const formatAmount = (value) => (value == null ? '' : Number(value).toFixed(2));
+
+// Line items and totals read from a receipt
+const ReceiptLineItems = ({ ocrData }) => {
+  if (!ocrData) {
+    return null;
+  }
+
+  const lineItems = ocrData.lineItems || [];
+  const summary = SUMMARY_FIELDS.filter(({ field }) => ocrData[field] != null);
+
+  if (lineItems.length === 0 && summary.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <Table size="small">
+        {lineItems.length > 0 && (
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell align="right">Qty</TableCell>
+              <TableCell align="right">Unit Price</TableCell>
+              <TableCell align="right">Amount</TableCell>
+            </TableRow>
+          </TableHead>
+        )}
+        <TableBody>
+          {lineItems.map((item, index) => (
+            <TableRow key={index}>
+              <TableCell>{item.description}</TableCell>
+              <TableCell align="right">{item.quantity}</TableCell>
+              <TableCell align="right">{formatAmount(item.unitPrice)}</TableCell>
+              <TableCell align="right">{formatAmount(item.amount)}</TableCell>
+            </TableRow>
+          ))}
+          {summary.map(({ field, label }) => (
+            <TableRow key={field}>
+              <TableCell colSpan={3} align="right" sx={{ fontWeight: field === 'total' ? 'bold' : undefined }}>
+                {label}
+              </TableCell>
+              <TableCell align="right" sx={{ fontWeight: field === 'total' ? 'bold' : undefined }}>
+                {formatAmount(ocrData[field])} {field === 'total' ? ocrData.extractedCurrency || '' : ''}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {ocrData.cardLast4 && (
+        <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+          Paid with card ending in {ocrData.cardLast4}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ReceiptLineItems;
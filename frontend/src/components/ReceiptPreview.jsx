@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link, Typography } from '@mui/material';
+
+// Inline preview of a receipt image or PDF
+const ReceiptPreview = ({ src, mimeType, alt = 'Receipt preview', height = 300 }) => {
+  if (mimeType === 'application/pdf') {
+    return (
+      <object data={src} type="application/pdf" width="100%" height={height} aria-label={alt}>
+        <Typography variant="body2" color="text.secondary">
+          PDF preview is not available in this browser.{' '}
+          <Link href={src} target="_blank" rel="noopener noreferrer">Open the PDF</Link>
+        </Typography>
+      </object>
+    );
+  }
+
+  return (
+    <img
+      src={src}
+      alt={alt}
+      style={{
+        maxWidth: '100%',
+        maxHeight: height,
+        border: '1px solid #ddd',
+        borderRadius: 4
+      }}
+    />
+  );
+};
+
+export default ReceiptPreview;
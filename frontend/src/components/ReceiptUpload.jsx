@@ -20,7 +20,8 @@ import {
   MenuItem,
   Chip,
   CircularProgress,
-  Divider
+  Divider,
+  FormHelperText
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
@@ -31,8 +32,27 @@ import {
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import { api, apiClient } from '../utils/apiClient';
+import ReceiptPreview from './ReceiptPreview';
+import ReceiptLineItems from './ReceiptLineItems';
+import { getCategorySuggestionText } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+const isPdf = (file) => file?.type === 'application/pdf';
+
+const currencyDetails = {
+  USD: { code: 'USD', symbol: '$', name: 'US Dollar' },
+  EUR: { code: 'EUR', symbol: '€', name: 'Euro' },
+  GBP: { code: 'GBP', symbol: '£', name: 'British Pound' },
+  CAD: { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' },
+  INR: { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+  JPY: { code: 'JPY', symbol: '¥', name: 'Japanese Yen' }
+};
+
+// The currency read from the receipt, even if it is not one of the common ones listed
+const getCurrencyDetails = (code) => currencyDetails[code] || { code, symbol: code, name: code };
 
 const ReceiptUpload = ({ open, onClose }) => {
+  const { activeCategories, getCategoryLabel } = useCategories();
   const navigate = useNavigate();
   const [file, setFile] = useState(null);
   const [preview, setPreview] = useState(null);
@@ -48,18 +68,21 @@ const ReceiptUpload = ({ open, onClose }) => {
     country: 'United States'
   });
 
-  const categories = [
-    'travel', 'meals', 'accommodation', 'transport',
-    'office_supplies', 'entertainment', 'training',
-    'communication', 'other'
-  ];
+  const clearFile = () => {
+    if (isPdf(file) && preview) {
+      URL.revokeObjectURL(preview);
+    }
+    setFile(null);
+    setPreview(null);
+    setOcrData(null);
+  };
 
   const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
     if (selectedFile) {
       // Validate file type
-      if (!selectedFile.type.startsWith('image/')) {
-        toast.error('Please select an image file');
+      if (!selectedFile.type.startsWith('image/') && !isPdf(selectedFile)) {
+        toast.error('Please select an image or PDF file');
         return;
       }
 
@@ -69,8 +92,15 @@ const ReceiptUpload = ({ open, onClose }) => {
         return;
       }
 
+      clearFile();
       setFile(selectedFile);
-      
+
+      // Browsers render PDFs from object URLs, not data URLs
+      if (isPdf(selectedFile)) {
+        setPreview(URL.createObjectURL(selectedFile));
+        return;
+      }
+
       // Create preview
       const reader = new FileReader();
       reader.onload = (e) => {
@@ -101,8 +131,10 @@ const ReceiptUpload = ({ open, onClose }) => {
         setExpenseForm(prev => ({
           ...prev,
           amount: extracted.extractedAmount ? extracted.extractedAmount.toString() : '',
-          description: `Receipt from ${extracted.extractedMerchant || 'Unknown Merchant'}`,
-          merchant: extracted.extractedMerchant || '',
+          currency: extracted.extractedCurrency ? getCurrencyDetails(extracted.extractedCurrency) : prev.currency,
+          category: extracted.categorySuggestion?.category || prev.category,
+          description: `Receipt from ${extracted.merchant || extracted.extractedMerchant || 'Unknown Merchant'}`,
+          merchant: extracted.merchant || extracted.extractedMerchant || '',
           date: extracted.extractedDate ? new Date(extracted.extractedDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]
         }));
         
@@ -158,9 +190,7 @@ const ReceiptUpload = ({ open, onClose }) => {
   };
 
   const handleClose = () => {
-    setFile(null);
-    setPreview(null);
-    setOcrData(null);
+    clearFile();
     setExpenseForm({
       amount: '',
       currency: { code: 'USD', symbol: '$', name: 'US Dollar' },
@@ -219,15 +249,15 @@ const ReceiptUpload = ({ open, onClose }) => {
                   >
                     <UploadIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
                     <Typography variant="h6" gutterBottom>
-                      Click to upload receipt image
+                      Click to upload receipt image or PDF
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      Supported formats: JPEG, PNG, GIF, WebP (Max 10MB)
+                      Supported formats: JPEG, PNG, GIF, WebP, PDF (Max 10MB)
                     </Typography>
                     <input
                       id="file-input"
                       type="file"
-                      accept="image/*"
+                      accept="image/*,application/pdf"
                       onChange={handleFileSelect}
                       style={{ display: 'none' }}
                     />
@@ -240,11 +270,7 @@ const ReceiptUpload = ({ open, onClose }) => {
                       </Typography>
                       <Button
                         size="small"
-                        onClick={() => {
-                          setFile(null);
-                          setPreview(null);
-                          setOcrData(null);
-                        }}
+                        onClick={clearFile}
                         startIcon={<CloseIcon />}
                       >
                         Remove
@@ -252,15 +278,10 @@ const ReceiptUpload = ({ open, onClose }) => {
                     </Box>
                     
                     <Box mb={2}>
-                      <img
+                      <ReceiptPreview
                         src={preview}
-                        alt="Receipt preview"
-                        style={{
-                          maxWidth: '100%',
-                          maxHeight: '200px',
-                          border: '1px solid #ddd',
-                          borderRadius: 4
-                        }}
+                        mimeType={file.type}
+                        height={isPdf(file) ? 400 : 200}
                       />
                     </Box>
 
@@ -303,7 +324,9 @@ const ReceiptUpload = ({ open, onClose }) => {
                   <Grid container spacing={2}>
                     <Grid item xs={6}>
                       <Typography variant="body2" color="text.secondary">
-                        Amount: {ocrData.extractedAmount ? `$${ocrData.extractedAmount}` : 'Not detected'}
+                        Amount: {ocrData.extractedAmount
+                          ? `${ocrData.extractedAmount} ${ocrData.extractedCurrency || ''}`
+                          : 'Not detected'}
                       </Typography>
                     </Grid>
                     <Grid item xs={6}>
@@ -321,6 +344,16 @@ const ReceiptUpload = ({ open, onClose }) => {
                         Confidence: {Math.round(ocrData.confidence * 100)}%
                       </Typography>
                     </Grid>
+                    <Grid item xs={12}>
+                      <ReceiptLineItems ocrData={ocrData} />
+                    </Grid>
+                    {ocrData.engine && (
+                      <Grid item xs={12}>
+                        <Typography variant="caption" color="text.secondary">
+                          Read by {ocrData.engine} {ocrData.engineVersion}
+                        </Typography>
+                      </Grid>
+                    )}
                   </Grid>
                 </CardContent>
               </Card>
@@ -348,6 +381,24 @@ const ReceiptUpload = ({ open, onClose }) => {
             />
           </Grid>
 
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel>Currency</InputLabel>
+              <Select
+                value={expenseForm.currency.code}
+                onChange={(e) => setExpenseForm({ ...expenseForm, currency: getCurrencyDetails(e.target.value) })}
+                label="Currency"
+                disabled={uploading}
+              >
+                {[...new Set([...Object.keys(currencyDetails), expenseForm.currency.code])].map((code) => (
+                  <MenuItem key={code} value={code}>
+                    {getCurrencyDetails(code).name} ({code})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
           <Grid item xs={12} sm={6}>
             <FormControl fullWidth required>
               <InputLabel>Category</InputLabel>
@@ -357,12 +408,17 @@ const ReceiptUpload = ({ open, onClose }) => {
                 label="Category"
                 disabled={uploading}
               >
-                {categories.map((category) => (
-                  <MenuItem key={category} value={category}>
-                    {category.replace('_', ' ').toUpperCase()}
+                {activeCategories.map((category) => (
+                  <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                    {category.label}
                   </MenuItem>
                 ))}
               </Select>
+              {ocrData?.categorySuggestion && (
+                <FormHelperText>
+                  {getCategorySuggestionText(ocrData.categorySuggestion, ocrData.merchant, getCategoryLabel)}
+                </FormHelperText>
+              )}
             </FormControl>
           </Grid>
 
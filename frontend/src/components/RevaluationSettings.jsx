@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControlLabel,
+  Paper,
+  Switch,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { useAuth } from '../contexts/AuthContext';
+
+// Admin re-valuation of submitted expenses in the company currency
+const RevaluationSettings = () => {
+  const { user } = useAuth();
+  const [onlyMissing, setOnlyMissing] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleRevalue = async () => {
+    if (!window.confirm('Re-value submitted expenses with the exchange rates of their expense dates?')) {
+      return;
+    }
+
+    try {
+      setRunning(true);
+      const response = await api.normalization.revalue({ onlyMissing });
+      setResult(response);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to re-value expenses');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Every expense records its amount in {user?.company?.currency?.code || 'the company currency'} when it is
+        submitted, along with the exchange rate used. Statistics and budgets use that amount. Re-value to refresh it,
+        for example after changing the company currency or when a fallback rate was used.
+      </Typography>
+
+      <Box display="flex" gap={2} alignItems="center">
+        <FormControlLabel
+          control={<Switch checked={onlyMissing} onChange={(e) => setOnlyMissing(e.target.checked)} />}
+          label="Only expenses without a company-currency amount"
+        />
+        <Button variant="outlined" onClick={handleRevalue} disabled={running}>
+          {running ? 'Re-valuing...' : 'Re-value Expenses'}
+        </Button>
+      </Box>
+
+      {result?.failed?.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {result.failed.length} expenses could not be converted: {result.failed[0].error}
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+export default RevaluationSettings;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { api } from '../utils/apiClient';
+import { formatCurrency } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
+
+// Splits a draft into one expense per category by assigning the receipt's line items,
+// e.g. the hotel room to accommodation and the minibar to meals
+const SplitExpenseDialog = ({ open, expense, onClose, onSplit }) => {
+  const { activeCategories, getCategoryLabel } = useCategories();
+  const [assignments, setAssignments] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const lineItems = expense?.receipt?.ocrData?.lineItems || [];
+
+  useEffect(() => {
+    if (open && expense) {
+      setAssignments((expense.receipt?.ocrData?.lineItems || []).map(() => expense.category));
+    }
+  }, [open, expense]);
+
+  if (!expense) {
+    return null;
+  }
+
+  // Same allocation as the server: tax and tip are shared in proportion to the items
+  const groups = [...new Set(assignments)].map(category => {
+    const indexes = assignments.map((c, i) => (c === category ? i : -1)).filter(i => i >= 0);
+    const base = indexes.reduce((sum, i) => sum + (lineItems[i].amount || 0), 0);
+    return { category, indexes, base };
+  });
+  const baseTotal = groups.reduce((sum, group) => sum + group.base, 0);
+  const getShare = (group) => (baseTotal > 0 ? (group.base / baseTotal) * expense.amount : 0);
+
+  const handleSplit = async () => {
+    try {
+      setSaving(true);
+      const response = await api.expenses.split(expense._id, {
+        splits: groups.map(group => ({
+          category: group.category,
+          lineItems: group.indexes,
+          description: `${expense.description} (${getCategoryLabel(group.category)})`
+        }))
+      });
+      toast.success(response.message);
+      onSplit?.(response.expenses);
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to split expense');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Split by Line Items</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Assign each line item to a category. One expense is created per category, sharing this receipt.
+          Tax and tip are shared in proportion to the items.
+        </Typography>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Category</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lineItems.map((item, index) => (
+              <TableRow key={index}>
+                <TableCell>
+                  {item.quantity > 1 ? `${item.quantity} × ` : ''}{item.description}
+                </TableCell>
+                <TableCell align="right">{Number(item.amount).toFixed(2)}</TableCell>
+                <TableCell>
+                  <FormControl size="small" fullWidth>
+                    <Select
+                      value={assignments[index] || expense.category}
+                      onChange={(e) => setAssignments(prev => prev.map((c, i) => (i === index ? e.target.value : c)))}
+                    >
+                      {activeCategories.map(category => (
+                        <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        {groups.length > 1 ? (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            {groups.map(group => (
+              <div key={group.category}>
+                {getCategoryLabel(group.category)}: {formatCurrency(getShare(group), expense.currency)}
+              </div>
+            ))}
+          </Alert>
+        ) : (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Assign the line items to at least two categories to split this expense.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSplit} disabled={saving || groups.length < 2 || baseTotal <= 0}>
+          {saving ? 'Splitting...' : `Split into ${groups.length} Expenses`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SplitExpenseDialog;
@@ -0,0 +1,65 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { CategoryContext } from './useCategories';
+import { api } from '../utils/apiClient';
+import { formatCategoryKey } from '../utils/expenseUtils';
+
+// Picker order: each category followed by its subcategories, with their depth for indenting
+const flattenTree = (categories) => {
+  const ids = new Set(categories.map(category => category._id));
+  const childrenOf = (parentId) => categories.filter(category =>
+    parentId ? category.parent === parentId : !category.parent || !ids.has(category.parent)
+  );
+
+  const result = [];
+  const visit = (parentId, depth) => {
+    for (const category of childrenOf(parentId)) {
+      result.push({ ...category, depth });
+      visit(category._id, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return result;
+};
+
+// The company's expense categories; inactive ones are kept for labels but not offered in pickers
+export const CategoryProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth();
+  const [categories, setCategories] = useState([]);
+
+  const loadCategories = useCallback(async () => {
+    if (!isAuthenticated || !user?.company) {
+      setCategories([]);
+      return;
+    }
+
+    try {
+      setCategories(await api.categories.getAll());
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  }, [isAuthenticated, user]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  const value = useMemo(() => {
+    const byKey = new Map(categories.map(category => [category.key, category]));
+    const tree = flattenTree(categories);
+
+    return {
+      categories: tree,
+      activeCategories: tree.filter(category => category.isActive),
+      getCategory: (key) => byKey.get(key),
+      getCategoryLabel: (key) => byKey.get(key)?.label || formatCategoryKey(key),
+      reloadCategories: loadCategories
+    };
+  }, [categories, loadCategories]);
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+};
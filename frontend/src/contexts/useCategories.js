@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from CategoryProvider so that file only exports the component
+export const CategoryContext = createContext();
+
+export const useCategories = () => {
+  const context = useContext(CategoryContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+};
@@ -42,11 +42,13 @@ import {
   CheckCircle as CheckCircleIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../contexts/useCategories';
 import { toast } from 'react-toastify';
 import { api } from '../utils/apiClient';
 
 const ApprovalWorkflows = () => {
   const { user } = useAuth();
+  const { activeCategories, getCategoryLabel } = useCategories();
   const [workflows, setWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -64,7 +66,15 @@ const ApprovalWorkflows = () => {
     escalationSettings: {
       enabled: false,
       escalationTime: 48,
+      reminderBeforeHours: 24,
+      action: 'escalate',
       escalationApprovers: []
+    },
+    budgetSettings: {
+      enabled: false,
+      threshold: 100,
+      stepName: 'Budget Approval',
+      approvers: []
     }
   });
 
@@ -110,7 +120,15 @@ const ApprovalWorkflows = () => {
       escalationSettings: {
         enabled: false,
         escalationTime: 48,
+        reminderBeforeHours: 24,
+        action: 'escalate',
         escalationApprovers: []
+      },
+      budgetSettings: {
+        enabled: false,
+        threshold: 100,
+        stepName: 'Budget Approval',
+        approvers: []
       }
     });
     setOpenDialog(true);
@@ -128,7 +146,15 @@ const ApprovalWorkflows = () => {
       escalationSettings: workflow.escalationSettings || {
         enabled: false,
         escalationTime: 48,
+        reminderBeforeHours: 24,
+        action: 'escalate',
         escalationApprovers: []
+      },
+      budgetSettings: workflow.budgetSettings || {
+        enabled: false,
+        threshold: 100,
+        stepName: 'Budget Approval',
+        approvers: []
       }
     });
     setOpenDialog(true);
@@ -367,7 +393,7 @@ const ApprovalWorkflows = () => {
                   <AccordionSummary expandIcon={<ExpandMoreIcon />}>
                     <Typography>
                       {rule.condition === 'amount_threshold' ? `Amount >= $${rule.value}` :
-                       rule.condition === 'category' ? `Category: ${rule.value}` :
+                       rule.condition === 'category' ? `Category: ${getCategoryLabel(rule.value)}` :
                        rule.condition === 'department' ? `Department: ${rule.value}` :
                        'Unnamed Rule'}
                     </Typography>
@@ -405,15 +431,9 @@ const ApprovalWorkflows = () => {
                               value={rule.value}
                               onChange={(e) => updateWorkflowRule(index, 'value', e.target.value)}
                             >
-                              <MenuItem value="travel">Travel</MenuItem>
-                              <MenuItem value="meals">Meals</MenuItem>
-                              <MenuItem value="accommodation">Accommodation</MenuItem>
-                              <MenuItem value="transport">Transport</MenuItem>
-                              <MenuItem value="office_supplies">Office Supplies</MenuItem>
-                              <MenuItem value="entertainment">Entertainment</MenuItem>
-                              <MenuItem value="training">Training</MenuItem>
-                              <MenuItem value="communication">Communication</MenuItem>
-                              <MenuItem value="other">Other</MenuItem>
+                              {activeCategories.map(category => (
+                                <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>{category.label}</MenuItem>
+                              ))}
                             </Select>
                           </FormControl>
                         ) : (
@@ -696,6 +716,118 @@ const ApprovalWorkflows = () => {
                       </Select>
                     </FormControl>
                   </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      label="Reminder Before Deadline (hours)"
+                      type="number"
+                      helperText="0 disables reminders"
+                      value={workflowForm.escalationSettings.reminderBeforeHours ?? 24}
+                      onChange={(e) => setWorkflowForm({
+                        ...workflowForm,
+                        escalationSettings: {
+                          ...workflowForm.escalationSettings,
+                          reminderBeforeHours: parseInt(e.target.value)
+                        }
+                      })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <FormControl fullWidth>
+                      <InputLabel>When Overdue</InputLabel>
+                      <Select
+                        value={workflowForm.escalationSettings.action || 'escalate'}
+                        label="When Overdue"
+                        onChange={(e) => setWorkflowForm({
+                          ...workflowForm,
+                          escalationSettings: {
+                            ...workflowForm.escalationSettings,
+                            action: e.target.value
+                          }
+                        })}
+                      >
+                        <MenuItem value="escalate">Escalate to escalation approvers</MenuItem>
+                        <MenuItem value="delegate">Delegate to the approver's manager</MenuItem>
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                </Grid>
+              )}
+
+              <Divider sx={{ my: 3 }} />
+
+              <Typography variant="h6" mb={2}>Budget Control</Typography>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={workflowForm.budgetSettings.enabled}
+                    onChange={(e) => setWorkflowForm({
+                      ...workflowForm,
+                      budgetSettings: {
+                        ...workflowForm.budgetSettings,
+                        enabled: e.target.checked
+                      }
+                    })}
+                  />
+                }
+                label="Add an approval step for over-budget expenses"
+              />
+
+              {workflowForm.budgetSettings.enabled && (
+                <Grid container spacing={2} mt={2}>
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      fullWidth
+                      label="Budget Consumed (%)"
+                      type="number"
+                      helperText="Expenses that take a budget to this level get the extra step"
+                      value={workflowForm.budgetSettings.threshold}
+                      onChange={(e) => setWorkflowForm({
+                        ...workflowForm,
+                        budgetSettings: {
+                          ...workflowForm.budgetSettings,
+                          threshold: parseFloat(e.target.value)
+                        }
+                      })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      fullWidth
+                      label="Step Name"
+                      value={workflowForm.budgetSettings.stepName}
+                      onChange={(e) => setWorkflowForm({
+                        ...workflowForm,
+                        budgetSettings: {
+                          ...workflowForm.budgetSettings,
+                          stepName: e.target.value
+                        }
+                      })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <FormControl fullWidth>
+                      <InputLabel>Budget Approvers</InputLabel>
+                      <Select
+                        multiple
+                        label="Budget Approvers"
+                        value={workflowForm.budgetSettings.approvers}
+                        onChange={(e) => setWorkflowForm({
+                          ...workflowForm,
+                          budgetSettings: {
+                            ...workflowForm.budgetSettings,
+                            approvers: e.target.value
+                          }
+                        })}
+                      >
+                        {availableApprovers.map((approver) => (
+                          <MenuItem key={approver._id} value={approver._id}>
+                            {approver.firstName} {approver.lastName} ({approver.role})
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
                 </Grid>
               )}
             </Box>
@@ -48,11 +48,18 @@ import {
   Person as PersonIcon,
   Schedule as ScheduleIcon,
   Warning as WarningIcon,
-  CheckCircleOutline as CheckCircleOutlineIcon
+  CheckCircleOutline as CheckCircleOutlineIcon,
+  Forward as ForwardIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { toast } from 'react-toastify';
 import { api } from '../utils/apiClient';
+import ExpenseReportReviewDialog from '../components/ExpenseReportReviewDialog';
+import PolicyViolations from '../components/PolicyViolations';
+import DuplicateWarning from '../components/DuplicateWarning';
+import BudgetImpact from '../components/BudgetImpact';
+import ExpenseDetailsDialog from '../components/ExpenseDetailsDialog';
+import { formatCurrency, formatDate } from '../utils/expenseUtils';
 
 const Approvals = () => {
   const { user } = useAuth();
@@ -63,6 +70,9 @@ const Approvals = () => {
   const [action, setAction] = useState('');
   const [comments, setComments] = useState('');
   const [tabValue, setTabValue] = useState(0);
+  const [reports, setReports] = useState([]);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [viewExpense, setViewExpense] = useState(null);
   const [filters, setFilters] = useState({
     status: '',
     category: '',
@@ -76,12 +86,17 @@ const Approvals = () => {
   const fetchPendingApprovals = async () => {
     try {
       setLoading(true);
-      const expenses = await api.approvals.getPending();
+      const [expenses, reports] = await Promise.all([
+        api.approvals.getPending(),
+        api.expenseReports.getPending()
+      ]);
       setExpenses(expenses);
+      setReports(reports);
     } catch (error) {
       console.error('Failed to fetch pending approvals:', error);
       toast.error('Failed to load pending approvals');
       setExpenses([]);
+      setReports([]);
     } finally {
       setLoading(false);
     }
@@ -134,13 +149,31 @@ const Approvals = () => {
       case 'pending': return { color: 'warning', icon: <ScheduleIcon />, text: 'Pending' };
       case 'approved': return { color: 'success', icon: <CheckCircleIcon />, text: 'Approved' };
       case 'rejected': return { color: 'error', icon: <CancelIcon />, text: 'Rejected' };
+      case 'escalated': return { color: 'info', icon: <ForwardIcon />, text: 'Escalated' };
+      case 'reassigned': return { color: 'default', icon: <ForwardIcon />, text: 'Reassigned' };
       default: return { color: 'default', icon: null, text: 'Unknown' };
     }
   };
 
+  // Name of the out-of-office approver whose step the user is covering, if any
+  const getDelegatorName = (expense) => {
+    const userId = user?.id || user?._id;
+    const pending = (expense.approvalChain || []).filter(a => a.status === 'pending' && a.approver);
+    const currentLevel = Math.min(...pending.map(a => a.level));
+    const current = pending.filter(a => a.level === currentLevel);
+    if (current.some(a => (a.approver._id || a.approver) === userId)) return null;
+
+    const step = current[0];
+    return step?.approver?.firstName ? `${step.approver.firstName} ${step.approver.lastName}` : null;
+  };
+
+  // Escalated and reassigned steps were replaced by a new step at the same level
+  const getActiveSteps = (approvalChain) => approvalChain.filter(a => !['escalated', 'reassigned'].includes(a.status));
+
   const calculateApprovalProgress = (approvalChain) => {
-    const total = approvalChain.length;
-    const completed = approvalChain.filter(a => a.status !== 'pending').length;
+    const steps = getActiveSteps(approvalChain);
+    const total = steps.length;
+    const completed = steps.filter(a => a.status !== 'pending').length;
     return total > 0 ? (completed / total) * 100 : 0;
   };
 
@@ -177,6 +210,40 @@ const Approvals = () => {
       {/* Pending Approvals Tab */}
       {tabValue === 0 && (
         <>
+          {reports.length > 0 && (
+            <Box mb={3}>
+              <Typography variant="h6" mb={2}>Expense Reports</Typography>
+              <Grid container spacing={3}>
+                {reports.map((report) => (
+                  <Grid item xs={12} md={6} lg={4} key={report._id}>
+                    <Card>
+                      <CardContent>
+                        <Box display="flex" justifyContent="space-between" alignItems="start" mb={1}>
+                          <Typography variant="h6">{report.title}</Typography>
+                          <Chip label={`${report.lineItems.length} expenses`} size="small" />
+                        </Box>
+                        <Typography variant="body2" color="textSecondary" mb={1}>
+                          {report.employee.firstName} {report.employee.lastName} • {formatDate(report.startDate)} – {formatDate(report.endDate)}
+                        </Typography>
+                        <Typography variant="h5" color="primary" mb={2}>
+                          {formatCurrency(report.totalAmount, report.currency)}
+                        </Typography>
+                        <Button
+                          variant="contained"
+                          startIcon={<VisibilityIcon />}
+                          onClick={() => setSelectedReport(report)}
+                          size="small"
+                        >
+                          Review
+                        </Button>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                ))}
+              </Grid>
+            </Box>
+          )}
+
           {expenses.length === 0 ? (
             <Card>
               <CardContent>
@@ -214,12 +281,40 @@ const Approvals = () => {
                         {expense.description}
                       </Typography>
 
+                      {getDelegatorName(expense) && (
+                        <Chip
+                          label={`On behalf of ${getDelegatorName(expense)}`}
+                          color="info"
+                          variant="outlined"
+                          size="small"
+                          sx={{ mb: 2 }}
+                        />
+                      )}
+
+                      {expense.policyViolations?.length > 0 && (
+                        <Box mb={2}>
+                          <PolicyViolations violations={expense.policyViolations} dense />
+                        </Box>
+                      )}
+
+                      {expense.duplicateCheck?.isLikelyDuplicate && (
+                        <Box mb={2}>
+                          <DuplicateWarning duplicateCheck={expense.duplicateCheck} onView={setViewExpense} dense />
+                        </Box>
+                      )}
+
+                      {expense.budgetImpact?.length > 0 && (
+                        <Box mb={2}>
+                          <BudgetImpact impact={expense.budgetImpact} dense />
+                        </Box>
+                      )}
+
                       {/* Approval Progress */}
                       <Box mb={2}>
                         <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
                           <Typography variant="caption">Approval Progress</Typography>
                           <Typography variant="caption">
-                            {expense.approvalChain?.filter(a => a.status !== 'pending').length || 0} / {expense.approvalChain?.length || 0}
+                            {getActiveSteps(expense.approvalChain || []).filter(a => a.status !== 'pending').length} / {getActiveSteps(expense.approvalChain || []).length}
                           </Typography>
                         </Box>
                         <LinearProgress 
@@ -244,7 +339,7 @@ const Approvals = () => {
                                       {status.icon}
                                     </ListItemIcon>
                                     <ListItemText
-                                      primary={`Step ${approval.level}: ${approval.stepName || 'Approval'}`}
+                                      primary={`Step ${approval.level}: ${approval.stepName || 'Approval'}${approval.isEscalation ? ' (escalation)' : ''}`}
                                       secondary={
                                         <span>
                                           <Typography variant="caption" color={status.color} component="span">
@@ -329,6 +424,21 @@ const Approvals = () => {
         </Card>
       )}
 
+      {/* Expense Report Review Dialog */}
+      <ExpenseReportReviewDialog
+        report={selectedReport}
+        open={Boolean(selectedReport)}
+        onClose={() => setSelectedReport(null)}
+        onDecided={fetchPendingApprovals}
+      />
+
+      {/* Matched Expense Details Dialog */}
+      <ExpenseDetailsDialog
+        expense={viewExpense}
+        open={Boolean(viewExpense)}
+        onClose={() => setViewExpense(null)}
+      />
+
       {/* Action Dialog */}
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle>
@@ -341,6 +451,26 @@ const Approvals = () => {
               <Typography>Amount: {selectedExpense.currency.symbol}{selectedExpense.amount}</Typography>
               <Typography>Category: {selectedExpense.category}</Typography>
               <Typography>Description: {selectedExpense.description}</Typography>
+
+              {selectedExpense.policyViolations?.length > 0 && (
+                <Box mt={2}>
+                  <Typography variant="subtitle2" mb={1}>Policy Violations:</Typography>
+                  <PolicyViolations violations={selectedExpense.policyViolations} dense />
+                </Box>
+              )}
+
+              {selectedExpense.budgetImpact?.length > 0 && (
+                <Box mt={2}>
+                  <Typography variant="subtitle2" mb={1}>Budget:</Typography>
+                  <BudgetImpact impact={selectedExpense.budgetImpact} />
+                </Box>
+              )}
+
+              {selectedExpense.duplicateCheck?.isLikelyDuplicate && (
+                <Box mt={2}>
+                  <DuplicateWarning duplicateCheck={selectedExpense.duplicateCheck} dense />
+                </Box>
+              )}
               
               {/* Show approval chain if available */}
               {selectedExpense.approvalChain && selectedExpense.approvalChain.length > 0 && (
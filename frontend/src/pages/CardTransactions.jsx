@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Paper,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  Tabs,
+  Typography
+} from '@mui/material';
+import {
+  UploadFile as UploadFileIcon,
+  Link as LinkIcon,
+  LinkOff as LinkOffIcon,
+  Receipt as ReceiptIcon,
+  Add as AddIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { api } from '../utils/apiClient';
+import { formatCurrency, formatDate, getStatusColor } from '../utils/expenseUtils';
+import ImportExpensesDialog from '../components/ImportExpensesDialog';
+import ExpenseDetailsDialog from '../components/ExpenseDetailsDialog';
+
+const REASON_LABELS = {
+  same_amount: 'same amount',
+  same_receipt_amount: 'receipt total',
+  converted_amount: 'converted amount',
+  same_day: 'same day',
+  within_1_day: '1 day apart',
+  within_3_days: 'within 3 days',
+  within_7_days: 'within a week',
+  same_merchant: 'same merchant',
+  similar_merchant: 'similar merchant',
+  same_card: 'same card'
+};
+
+const formatReasons = (reasons = []) => reasons.map(reason => REASON_LABELS[reason] || reason).join(', ');
+
+// Company card charges: the cardholder's "needs receipt" queue and the full list, with
+// manual matching for charges the automatic matching left open
+const CardTransactions = () => {
+  const { user } = useAuth();
+  const isEmployee = user?.role === 'employee';
+  const isAdmin = user?.role === 'admin';
+
+  const [tab, setTab] = useState(isEmployee ? 'queue' : 'all');
+  const [queue, setQueue] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [importOpen, setImportOpen] = useState(false);
+  const [matching, setMatching] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  const [viewExpense, setViewExpense] = useState(null);
+
+  const loadTransactions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      if (tab === 'queue') {
+        setQueue(await api.cardTransactions.getNeedsReceipt());
+      } else {
+        const response = await api.cardTransactions.getAll({ page: page + 1, limit: 20 });
+        setTransactions(response.transactions || []);
+        setTotal(response.pagination?.total || 0);
+      }
+    } catch (error) {
+      console.error('Failed to load card transactions:', error);
+      setError(error.message || 'Failed to load card transactions');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, page]);
+
+  useEffect(() => {
+    loadTransactions();
+  }, [loadTransactions]);
+
+  const openExpense = async (expenseId) => {
+    try {
+      setViewExpense(await api.expenses.getById(expenseId));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load expense');
+    }
+  };
+
+  const openMatchDialog = async (transaction) => {
+    setMatching(transaction);
+    setCandidates([]);
+    try {
+      setCandidatesLoading(true);
+      setCandidates(await api.cardTransactions.getCandidates(transaction._id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to find matching expenses');
+    } finally {
+      setCandidatesLoading(false);
+    }
+  };
+
+  const handleMatch = async (expenseId) => {
+    try {
+      const response = await api.cardTransactions.match(matching._id, expenseId);
+      toast.success(response.message);
+      setMatching(null);
+      loadTransactions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to match transaction');
+    }
+  };
+
+  const handleUnmatch = async (transaction) => {
+    if (!window.confirm('Unmatch this transaction from its expense? The expense becomes reimbursable again unless it was created from the transaction.')) {
+      return;
+    }
+    try {
+      const response = await api.cardTransactions.unmatch(transaction._id);
+      toast.success(response.message);
+      loadTransactions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to unmatch transaction');
+    }
+  };
+
+  // The new draft opens right away so the receipt can be attached
+  const handleCreateExpense = async (transaction) => {
+    try {
+      const response = await api.cardTransactions.createExpense(transaction._id);
+      toast.success(response.message);
+      loadTransactions();
+      openExpense(response.expense._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create expense');
+    }
+  };
+
+  const renderActions = (transaction) => {
+    if (!isEmployee) {
+      return transaction.expense && (
+        <Button size="small" onClick={() => openExpense(transaction.expense._id || transaction.expense)}>View Expense</Button>
+      );
+    }
+
+    if (transaction.status === 'matched') {
+      return (
+        <Box display="flex" gap={1} justifyContent="flex-end">
+          <Button size="small" startIcon={<ReceiptIcon />} onClick={() => openExpense(transaction.expense._id || transaction.expense)}>
+            {transaction.expense?.receipt?.url ? 'View Expense' : 'Add Receipt'}
+          </Button>
+          <Button size="small" color="inherit" startIcon={<LinkOffIcon />} onClick={() => handleUnmatch(transaction)}>
+            Unmatch
+          </Button>
+        </Box>
+      );
+    }
+
+    return (
+      <Box display="flex" gap={1} justifyContent="flex-end">
+        <Button size="small" startIcon={<LinkIcon />} onClick={() => openMatchDialog(transaction)}>Match</Button>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => handleCreateExpense(transaction)}>Create Expense</Button>
+      </Box>
+    );
+  };
+
+  const rows = tab === 'queue' ? queue : transactions;
+  const columnCount = isAdmin && tab === 'all' ? 7 : 6;
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Card Transactions
+        </Typography>
+        {isEmployee && (
+          <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={() => setImportOpen(true)}>
+            Import Card Statement
+          </Button>
+        )}
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Charges on company cards are matched to your expenses by amount, date and merchant. Expenses paid
+        with a company card are not reimbursed. Charges without an expense or receipt wait here until you add one.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Tabs value={tab} onChange={(e, value) => { setTab(value); setPage(0); }} sx={{ mb: 2 }}>
+        {isEmployee && <Tab value="queue" label={`Needs Receipt${tab === 'queue' && !loading ? ` (${queue.length})` : ''}`} />}
+        <Tab value="all" label="All Transactions" />
+      </Tabs>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              {isAdmin && tab === 'all' && <TableCell>Cardholder</TableCell>}
+              <TableCell>Merchant</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Card</TableCell>
+              <TableCell>Expense</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} align="center">
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : rows.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} align="center">
+                  <Typography color="textSecondary">
+                    {tab === 'queue' ? 'Every card transaction has an expense with a receipt.' : 'No card transactions yet.'}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              rows.map(transaction => (
+                <TableRow key={transaction._id}>
+                  <TableCell>{formatDate(transaction.date)}</TableCell>
+                  {isAdmin && tab === 'all' && (
+                    <TableCell>{transaction.user?.firstName} {transaction.user?.lastName}</TableCell>
+                  )}
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">{transaction.merchant || transaction.description}</Typography>
+                    {transaction.description && transaction.description !== transaction.merchant && (
+                      <Typography variant="caption" color="textSecondary">{transaction.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{formatCurrency(transaction.amount, transaction.currency)}</TableCell>
+                  <TableCell>{transaction.cardLast4 ? `•••• ${transaction.cardLast4}` : '—'}</TableCell>
+                  <TableCell>
+                    {transaction.status === 'matched' ? (
+                      <>
+                        <Typography variant="body2">{transaction.expense?.description || 'Matched'}</Typography>
+                        <Box display="flex" gap={0.5} mt={0.5}>
+                          {transaction.expense?.status && (
+                            <Chip label={transaction.expense.status} color={getStatusColor(transaction.expense.status)} size="small" />
+                          )}
+                          <Chip
+                            label={transaction.match?.method === 'created'
+                              ? 'Created from charge'
+                              : `${transaction.match?.method === 'manual' ? 'Manual' : 'Auto'} ${Math.round((transaction.match?.confidence || 0) * 100)}%`}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </Box>
+                      </>
+                    ) : (
+                      <Chip label="Unmatched" color="warning" size="small" />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{renderActions(transaction)}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        {tab === 'all' && (
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={20}
+            rowsPerPageOptions={[20]}
+            onPageChange={(e, value) => setPage(value)}
+          />
+        )}
+      </TableContainer>
+
+      <Dialog open={Boolean(matching)} onClose={() => setMatching(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Match Card Transaction</DialogTitle>
+        <DialogContent dividers>
+          {matching && (
+            <Typography variant="body2" mb={2}>
+              {formatDate(matching.date)} · {matching.merchant || matching.description} · {formatCurrency(matching.amount, matching.currency)}
+            </Typography>
+          )}
+          {candidatesLoading ? (
+            <Box display="flex" justifyContent="center" p={2}>
+              <CircularProgress />
+            </Box>
+          ) : candidates.length === 0 ? (
+            <Alert severity="info">
+              None of your expenses looks like this charge. Create an expense for it instead.
+            </Alert>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Expense</TableCell>
+                  <TableCell>Date</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Confidence</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {candidates.map(candidate => (
+                  <TableRow key={candidate.expense._id}>
+                    <TableCell>
+                      <Typography variant="body2">{candidate.expense.description}</Typography>
+                      {candidate.expense.merchant && (
+                        <Typography variant="caption" color="textSecondary">{candidate.expense.merchant}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{formatDate(candidate.expense.date)}</TableCell>
+                    <TableCell align="right">{formatCurrency(candidate.expense.amount, candidate.expense.currency)}</TableCell>
+                    <TableCell>
+                      {Math.round(candidate.score * 100)}%
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {formatReasons(candidate.reasons)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button size="small" variant="outlined" onClick={() => handleMatch(candidate.expense._id)}>
+                        Match
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMatching(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <ExpenseDetailsDialog
+        expense={viewExpense}
+        open={Boolean(viewExpense)}
+        onClose={() => {
+          setViewExpense(null);
+          loadTransactions();
+        }}
+        onExpenseChange={setViewExpense}
+      />
+
+      <ImportExpensesDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={loadTransactions}
+        mode="cardTransactions"
+      />
+    </Box>
+  );
+};
+
+export default CardTransactions;
@@ -27,6 +27,7 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import CurrencyConverter from '../components/CurrencyConverter';
+import { formatCurrency } from '../utils/expenseUtils';
 import axios from 'axios';
 
 const Dashboard = () => {
@@ -40,6 +41,7 @@ const Dashboard = () => {
     pendingAmount: 0,
     approvedAmount: 0
   });
+  const [currency, setCurrency] = useState();
   const [approvalStats, setApprovalStats] = useState(null);
   const [recentExpenses, setRecentExpenses] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -59,6 +61,7 @@ const Dashboard = () => {
       if (dashboardResponse.data) {
         // Use server-provided stats (already filtered by role)
         setStats(dashboardResponse.data.stats);
+        setCurrency(dashboardResponse.data.currency);
         setApprovalStats(dashboardResponse.data.approvalStats || null);
         setRecentExpenses(dashboardResponse.data.recentExpenses || []);
       } else {
@@ -175,10 +178,15 @@ const Dashboard = () => {
               <Box display="flex" alignItems="center">
                 <MoneyIcon color="info" sx={{ mr: 2, fontSize: 40 }} />
                 <Box>
-                  <Typography variant="h4">${stats.totalAmount.toFixed(2)}</Typography>
+                  <Typography variant="h4">{formatCurrency(stats.totalAmount, currency)}</Typography>
                   <Typography variant="body2" color="textSecondary">
                     Total Amount
                   </Typography>
+                  {stats.unconvertedExpenses > 0 && (
+                    <Typography variant="caption" color="textSecondary">
+                      Excludes {stats.unconvertedExpenses} draft or unconverted expense{stats.unconvertedExpenses === 1 ? '' : 's'}
+                    </Typography>
+                  )}
                 </Box>
               </Box>
             </CardContent>
@@ -1,9 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import { handleApiError, formatValidationErrors } from '../utils/errorHandler';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../contexts/useCategories';
+import { api } from '../utils/apiClient';
 import {
   Box,
   Button,
@@ -17,18 +19,27 @@ import {
   Grid,
   Typography,
   Paper,
-  IconButton
+  IconButton,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormHelperText,
+  ListItemIcon
 } from '@mui/material';
 import {
   ArrowBack as ArrowBackIcon,
   CloudUpload as CloudUploadIcon,
   AttachFile as AttachFileIcon
 } from '@mui/icons-material';
+import ReceiptPreview from '../components/ReceiptPreview';
+import CategoryIcon from '../components/CategoryIcon';
+import CustomFieldInputs from '../components/CustomFieldInputs';
 
 const ExpenseForm = () => {
   const navigate = useNavigate();
   const { id } = useParams();
   const { user } = useAuth();
+  const { categories, getCategory } = useCategories();
   const isEdit = Boolean(id);
 
   const [formData, setFormData] = useState({
@@ -38,39 +49,53 @@ const ExpenseForm = () => {
     description: '',
     date: new Date().toISOString().split('T')[0],
     merchant: '',
+    costCenter: '',
     tags: [],
-    workflowId: ''
+    workflowId: '',
+    kind: 'standard',
+    distance: '',
+    distanceUnit: 'km',
+    vehicleType: 'car',
+    startLocation: '',
+    endLocation: '',
+    perDiemCountry: '',
+    perDiemDays: '',
+    perDiemPartialDays: '0',
+    customFields: {}
   });
 
+  // Server-computed amount for mileage and per diem expenses
+  const [allowance, setAllowance] = useState(null);
+  const [allowanceError, setAllowanceError] = useState('');
+  const isAllowance = formData.kind !== 'standard';
+
   const [receiptFile, setReceiptFile] = useState(null);
   const [receiptPreview, setReceiptPreview] = useState(null);
   const [workflows, setWorkflows] = useState([]);
   const [loadingWorkflows, setLoadingWorkflows] = useState(false);
 
-  const categories = [
-    { value: 'travel', label: 'Travel' },
-    { value: 'meals', label: 'Meals' },
-    { value: 'accommodation', label: 'Accommodation' },
-    { value: 'transport', label: 'Transport' },
-    { value: 'office_supplies', label: 'Office Supplies' },
-    { value: 'entertainment', label: 'Entertainment' },
-    { value: 'training', label: 'Training' },
-    { value: 'communication', label: 'Communication' },
-    { value: 'other', label: 'Other' }
-  ];
+  // An expense being edited keeps its category even if it has been deactivated since
+  const categoryOptions = categories.filter(category => category.isActive || category.key === formData.category);
+  const selectedCategory = getCategory(formData.category);
+  // Allowances without a category are booked to the server's default one
+  const fieldCategory = formData.category || { mileage: 'transport', per_diem: 'meals' }[formData.kind];
 
   const currencies = [
     { value: 'USD', label: 'US Dollar (USD)' },
     { value: 'EUR', label: 'Euro (EUR)' },
     { value: 'GBP', label: 'British Pound (GBP)' },
-    { value: 'CAD', label: 'Canadian Dollar (CAD)' }
+    { value: 'CAD', label: 'Canadian Dollar (CAD)' },
+    { value: 'INR', label: 'Indian Rupee (INR)' },
+    { value: 'JPY', label: 'Japanese Yen (JPY)' }
   ];
 
   const currencyDetails = {
     USD: { code: 'USD', symbol: '$', name: 'US Dollar' },
     EUR: { code: 'EUR', symbol: '€', name: 'Euro' },
     GBP: { code: 'GBP', symbol: '£', name: 'British Pound' },
-    CAD: { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' }
+    CAD: { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' },
+    INR: { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+    JPY: { code: 'JPY', symbol: '¥', name: 'Japanese Yen' }
   };
 
   const handleInputChange = (field, value) => {
@@ -104,6 +129,62 @@ const ExpenseForm = () => {
     fetchWorkflows();
   }, [user, isEdit]);
 
+  const buildAllowanceInput = useCallback(() => (
+    formData.kind === 'mileage'
+      ? {
+          mileage: {
+            distance: formData.distance,
+            unit: formData.distanceUnit,
+            vehicleType: formData.vehicleType,
+            startLocation: formData.startLocation,
+            endLocation: formData.endLocation
+          }
+        }
+      : {
+          perDiem: {
+            country: formData.perDiemCountry,
+            days: formData.perDiemDays || 0,
+            partialDays: formData.perDiemPartialDays || 0
+          }
+        }
+  ), [
+    formData.kind, formData.distance, formData.distanceUnit, formData.vehicleType, formData.startLocation,
+    formData.endLocation, formData.perDiemCountry, formData.perDiemDays, formData.perDiemPartialDays
+  ]);
+
+  useEffect(() => {
+    if (!isAllowance) {
+      setAllowance(null);
+      setAllowanceError('');
+      return;
+    }
+
+    const ready = formData.kind === 'mileage'
+      ? parseFloat(formData.distance) > 0
+      : formData.perDiemCountry && (parseInt(formData.perDiemDays || 0) + parseInt(formData.perDiemPartialDays || 0)) > 0;
+
+    if (!ready) {
+      setAllowance(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await api.rates.calculate({ kind: formData.kind, date: formData.date, ...buildAllowanceInput() });
+        setAllowance(result);
+        setAllowanceError('');
+      } catch (error) {
+        setAllowance(null);
+        setAllowanceError(error.message || 'Failed to calculate amount');
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [
+    isAllowance, buildAllowanceInput, formData.kind, formData.date, formData.distance,
+    formData.perDiemCountry, formData.perDiemDays, formData.perDiemPartialDays
+  ]);
+
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
@@ -119,7 +200,12 @@ const ExpenseForm = () => {
     e.preventDefault();
     
     // Validate form
-    if (!formData.amount || !formData.category || !formData.description) {
+    if (isAllowance) {
+      if (!allowance || !formData.description) {
+        toast.error(allowanceError || 'Please fill in all required fields');
+        return;
+      }
+    } else if (!formData.amount || !formData.category || !formData.description) {
       toast.error('Please fill in all required fields');
       return;
     }
@@ -128,21 +214,38 @@ const ExpenseForm = () => {
       // Submit expense to API
       console.log('Submitting expense:', formData);
       
-      const expenseData = {
-        amount: parseFloat(formData.amount),
-        currency: currencyDetails[formData.currency] || currencyDetails['USD'],
-        category: formData.category,
-        description: formData.description,
-        date: formData.date,
-        merchant: formData.merchant || '',
-        tags: [],
-        workflowId: formData.workflowId || null
-      };
+      const expenseData = isAllowance
+        ? {
+            kind: formData.kind,
+            ...buildAllowanceInput(),
+            category: formData.category || undefined,
+            description: formData.description,
+            date: formData.date,
+            costCenter: formData.costCenter || undefined,
+            tags: [],
+            customFields: formData.customFields,
+            workflowId: formData.workflowId || null
+          }
+        : {
+            amount: parseFloat(formData.amount),
+            currency: currencyDetails[formData.currency] || currencyDetails['USD'],
+            category: formData.category,
+            description: formData.description,
+            date: formData.date,
+            merchant: formData.merchant || '',
+            costCenter: formData.costCenter || undefined,
+            tags: [],
+            customFields: formData.customFields,
+            workflowId: formData.workflowId || null
+          };
 
       console.log('💸 Processed expense data:', expenseData);
-      await axios.post('/api/expenses', expenseData);
+      const response = await axios.post('/api/expenses', expenseData);
       
       toast.success('Expense created successfully!');
+      (response.data.expense?.policyViolations || []).forEach(violation => {
+        toast.warning(`Policy: ${violation.message}`);
+      });
       navigate('/expenses');
     } catch (error) {
       const errorInfo = handleApiError(error, 'ExpenseForm');
@@ -180,49 +283,188 @@ const ExpenseForm = () => {
             <CardContent>
               <form onSubmit={handleSubmit}>
                 <Grid container spacing={3}>
-                  <Grid item xs={12} sm={6}>
-                    <TextField
-                      fullWidth
-                      label="Amount"
-                      type="number"
-                      value={formData.amount}
-                      onChange={(e) => handleInputChange('amount', e.target.value)}
-                      required
-                      inputProps={{ min: 0, step: 0.01 }}
-                    />
-                  </Grid>
-
-                  <Grid item xs={12} sm={6}>
-                    <FormControl fullWidth>
-                      <InputLabel>Currency</InputLabel>
-                      <Select
-                        value={formData.currency}
-                        onChange={(e) => handleInputChange('currency', e.target.value)}
-                        label="Currency"
+                  {!isEdit && (
+                    <Grid item xs={12}>
+                      <ToggleButtonGroup
+                        value={formData.kind}
+                        exclusive
+                        onChange={(e, value) => value && handleInputChange('kind', value)}
+                        size="small"
                       >
-                        {currencies.map((currency) => (
-                          <MenuItem key={currency.value} value={currency.value}>
-                            {currency.label}
-                          </MenuItem>
-                        ))}
-                      </Select>
-                    </FormControl>
-                  </Grid>
+                        <ToggleButton value="standard">Receipt Expense</ToggleButton>
+                        <ToggleButton value="mileage">Mileage</ToggleButton>
+                        <ToggleButton value="per_diem">Per Diem</ToggleButton>
+                      </ToggleButtonGroup>
+                    </Grid>
+                  )}
+
+                  {formData.kind === 'mileage' && (
+                    <>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          label="Distance"
+                          type="number"
+                          value={formData.distance}
+                          onChange={(e) => handleInputChange('distance', e.target.value)}
+                          required
+                          inputProps={{ min: 0, step: 0.1 }}
+                        />
+                      </Grid>
+                      <Grid item xs={6} sm={4}>
+                        <FormControl fullWidth>
+                          <InputLabel>Unit</InputLabel>
+                          <Select
+                            value={formData.distanceUnit}
+                            onChange={(e) => handleInputChange('distanceUnit', e.target.value)}
+                            label="Unit"
+                          >
+                            <MenuItem value="km">Kilometers</MenuItem>
+                            <MenuItem value="mile">Miles</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                      <Grid item xs={6} sm={4}>
+                        <FormControl fullWidth>
+                          <InputLabel>Vehicle</InputLabel>
+                          <Select
+                            value={formData.vehicleType}
+                            onChange={(e) => handleInputChange('vehicleType', e.target.value)}
+                            label="Vehicle"
+                          >
+                            <MenuItem value="car">Car</MenuItem>
+                            <MenuItem value="electric_car">Electric Car</MenuItem>
+                            <MenuItem value="motorcycle">Motorcycle</MenuItem>
+                            <MenuItem value="van">Van</MenuItem>
+                            <MenuItem value="bicycle">Bicycle</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                      <Grid item xs={12} sm={6}>
+                        <TextField
+                          fullWidth
+                          label="From"
+                          value={formData.startLocation}
+                          onChange={(e) => handleInputChange('startLocation', e.target.value)}
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={6}>
+                        <TextField
+                          fullWidth
+                          label="To"
+                          value={formData.endLocation}
+                          onChange={(e) => handleInputChange('endLocation', e.target.value)}
+                        />
+                      </Grid>
+                    </>
+                  )}
+
+                  {formData.kind === 'per_diem' && (
+                    <>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          label="Destination Country"
+                          value={formData.perDiemCountry}
+                          onChange={(e) => handleInputChange('perDiemCountry', e.target.value)}
+                          required
+                        />
+                      </Grid>
+                      <Grid item xs={6} sm={4}>
+                        <TextField
+                          fullWidth
+                          label="Full Days"
+                          type="number"
+                          value={formData.perDiemDays}
+                          onChange={(e) => handleInputChange('perDiemDays', e.target.value)}
+                          inputProps={{ min: 0, step: 1 }}
+                        />
+                      </Grid>
+                      <Grid item xs={6} sm={4}>
+                        <FormControl fullWidth>
+                          <InputLabel>Partial Days</InputLabel>
+                          <Select
+                            value={formData.perDiemPartialDays}
+                            onChange={(e) => handleInputChange('perDiemPartialDays', e.target.value)}
+                            label="Partial Days"
+                          >
+                            <MenuItem value="0">None</MenuItem>
+                            <MenuItem value="1">Departure or return</MenuItem>
+                            <MenuItem value="2">Departure and return</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </>
+                  )}
+
+                  {isAllowance && (
+                    <Grid item xs={12}>
+                      {allowanceError ? (
+                        <Alert severity="error">{allowanceError}</Alert>
+                      ) : allowance ? (
+                        <Alert severity="info">
+                          Amount: {allowance.currency?.symbol}{allowance.amount.toFixed(2)} {allowance.currency?.code}
+                          {' '}(calculated from the company rate table)
+                        </Alert>
+                      ) : (
+                        <Alert severity="info">The amount is calculated from the company rate table.</Alert>
+                      )}
+                    </Grid>
+                  )}
+
+                  {!isAllowance && (
+                    <>
+                      <Grid item xs={12} sm={6}>
+                        <TextField
+                          fullWidth
+                          label="Amount"
+                          type="number"
+                          value={formData.amount}
+                          onChange={(e) => handleInputChange('amount', e.target.value)}
+                          required
+                          inputProps={{ min: 0, step: 0.01 }}
+                        />
+                      </Grid>
+
+                      <Grid item xs={12} sm={6}>
+                        <FormControl fullWidth>
+                          <InputLabel>Currency</InputLabel>
+                          <Select
+                            value={formData.currency}
+                            onChange={(e) => handleInputChange('currency', e.target.value)}
+                            label="Currency"
+                          >
+                            {currencies.map((currency) => (
+                              <MenuItem key={currency.value} value={currency.value}>
+                                {currency.label}
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </>
+                  )}
 
                   <Grid item xs={12} sm={6}>
-                    <FormControl fullWidth required>
+                    <FormControl fullWidth required={!isAllowance}>
                       <InputLabel>Category</InputLabel>
                       <Select
                         value={formData.category}
                         onChange={(e) => handleInputChange('category', e.target.value)}
                         label="Category"
                       >
-                        {categories.map((category) => (
-                          <MenuItem key={category.value} value={category.value}>
+                        {categoryOptions.map((category) => (
+                          <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                            <ListItemIcon sx={{ minWidth: 32 }}>
+                              <CategoryIcon name={category.icon} fontSize="small" />
+                            </ListItemIcon>
                             {category.label}
                           </MenuItem>
                         ))}
                       </Select>
+                      {selectedCategory?.settings?.receiptRequired && (
+                        <FormHelperText>A receipt is required for this category</FormHelperText>
+                      )}
                     </FormControl>
                   </Grid>
 
@@ -266,16 +508,34 @@ const ExpenseForm = () => {
                     />
                   </Grid>
 
+                  {!isAllowance && (
+                    <Grid item xs={12} sm={6}>
+                      <TextField
+                        fullWidth
+                        label="Merchant"
+                        value={formData.merchant}
+                        onChange={(e) => handleInputChange('merchant', e.target.value)}
+                        placeholder="e.g., Restaurant Name, Store, etc."
+                      />
+                    </Grid>
+                  )}
+
                   <Grid item xs={12} sm={6}>
                     <TextField
                       fullWidth
-                      label="Merchant"
-                      value={formData.merchant}
-                      onChange={(e) => handleInputChange('merchant', e.target.value)}
-                      placeholder="e.g., Restaurant Name, Store, etc."
+                      label="Cost Center"
+                      value={formData.costCenter}
+                      onChange={(e) => handleInputChange('costCenter', e.target.value)}
+                      placeholder="Optional"
                     />
                   </Grid>
 
+                  <CustomFieldInputs
+                    category={fieldCategory}
+                    values={formData.customFields}
+                    onChange={(customFields) => handleInputChange('customFields', customFields)}
+                  />
+
                   <Grid item xs={12} sm={6}>
                     <TextField
                       fullWidth
@@ -289,43 +549,43 @@ const ExpenseForm = () => {
                     />
                   </Grid>
 
-                  <Grid item xs={12}>
-                    <Box display="flex" justifyContent="space-between" alignItems="center">
-                      <Typography variant="h6">
-                        Receipt Upload
-                      </Typography>
-                      <input
-                        accept="image/*"
-                        style={{ display: 'none' }}
-                        id="receipt-upload"
-                        type="file"
-                        onChange={handleFileUpload}
-                      />
-                      <label htmlFor="receipt-upload">
-                        <Button
-                          variant="outlined"
-                          component="span"
-                          startIcon={<CloudUploadIcon />}
-                        >
-                          Upload Receipt
-                        </Button>
-                      </label>
-                    </Box>
-                  </Grid>
+                  {!isAllowance && (
+                    <>
+                      <Grid item xs={12}>
+                        <Box display="flex" justifyContent="space-between" alignItems="center">
+                          <Typography variant="h6">
+                            Receipt Upload
+                          </Typography>
+                          <input
+                            accept="image/*,application/pdf"
+                            style={{ display: 'none' }}
+                            id="receipt-upload"
+                            type="file"
+                            onChange={handleFileUpload}
+                          />
+                          <label htmlFor="receipt-upload">
+                            <Button
+                              variant="outlined"
+                              component="span"
+                              startIcon={<CloudUploadIcon />}
+                            >
+                              Upload Receipt
+                            </Button>
+                          </label>
+                        </Box>
+                      </Grid>
 
-                  {receiptPreview && (
-                    <Grid item xs={12}>
-                      <Paper sx={{ p: 2, textAlign: 'center' }}>
-                        <img
-                          src={receiptPreview}
-                          alt="Receipt preview"
-                          style={{ maxWidth: '100%', maxHeight: '300px' }}
-                        />
-                        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-                          {receiptFile?.name}
-                        </Typography>
-                      </Paper>
-                    </Grid>
+                      {receiptPreview && (
+                        <Grid item xs={12}>
+                          <Paper sx={{ p: 2, textAlign: 'center' }}>
+                            <ReceiptPreview src={receiptPreview} mimeType={receiptFile?.type} />
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                              {receiptFile?.name}
+                            </Typography>
+                          </Paper>
+                        </Grid>
+                      )}
+                    </>
                   )}
 
                   <Grid item xs={12}>
@@ -359,7 +619,7 @@ const ExpenseForm = () => {
               • Include detailed description of the expense
             </Typography>
             <Typography variant="body2" color="text.secondary" paragraph>
-              • Upload clear receipt images
+              • Upload clear receipt images or PDF invoices
             </Typography>
             <Typography variant="body2" color="text.secondary" paragraph>
               • Submit within 30 days of expense
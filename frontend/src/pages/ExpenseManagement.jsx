@@ -42,11 +42,14 @@ import {
   Search as SearchIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../contexts/useCategories';
+import CustomFieldInputs from '../components/CustomFieldInputs';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 
 const ExpenseManagement = () => {
   const { user } = useAuth();
+  const { activeCategories, getCategoryLabel } = useCategories();
   const [expenses, setExpenses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -66,15 +69,10 @@ const ExpenseManagement = () => {
     date: new Date().toISOString().split('T')[0],
     receipt: null,
     merchant: '',
-    country: 'United States'
+    country: 'United States',
+    customFields: {}
   });
 
-  const categories = [
-    'travel', 'meals', 'accommodation', 'transport',
-    'office_supplies', 'entertainment', 'training',
-    'communication', 'other'
-  ];
-
   useEffect(() => {
     loadExpenses();
     loadCountries();
@@ -157,7 +155,8 @@ const ExpenseManagement = () => {
         description: expenseForm.description,
         date: expenseForm.date,
         merchant: expenseForm.merchant || '',
-        tags: []
+        tags: [],
+        customFields: expenseForm.customFields
       };
 
       console.log('📝 Submitting expense:', expenseData);
@@ -214,7 +213,8 @@ const ExpenseManagement = () => {
       date: new Date().toISOString().split('T')[0],
       receipt: null,
       merchant: '',
-      country: 'United States'
+      country: 'United States',
+      customFields: {}
     });
   };
 
@@ -401,7 +401,7 @@ const ExpenseManagement = () => {
                     </Typography>
                   </TableCell>
                   <TableCell>
-                    <Chip label={expense.category} size="small" />
+                    <Chip label={getCategoryLabel(expense.category)} size="small" />
                   </TableCell>
                   <TableCell>
                     {new Date(expense.date).toLocaleDateString()}
@@ -425,7 +425,8 @@ const ExpenseManagement = () => {
                           date: expense.date.split('T')[0],
                           receipt: expense.receipt,
                           merchant: expense.merchant || '',
-                          country: expense.country || 'United States'
+                          country: expense.country || 'United States',
+                          customFields: expense.customFields || {}
                         });
                         setOpenDialog(true);
                       }}
@@ -484,9 +485,9 @@ const ExpenseManagement = () => {
                   label="Category"
                   required
                 >
-                  {categories.map((category) => (
-                    <MenuItem key={category} value={category}>
-                      {category.replace('_', ' ').toUpperCase()}
+                  {activeCategories.map((category) => (
+                    <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                      {category.label}
                     </MenuItem>
                   ))}
                 </Select>
@@ -548,6 +549,11 @@ const ExpenseManagement = () => {
                 required
               />
             </Grid>
+            <CustomFieldInputs
+              category={expenseForm.category}
+              values={expenseForm.customFields}
+              onChange={(customFields) => setExpenseForm({ ...expenseForm, customFields })}
+            />
           </Grid>
         </DialogContent>
         <DialogActions>
@@ -15,11 +15,13 @@ import {
   CircularProgress
 } from '@mui/material';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../contexts/useCategories';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 
 const ExpenseTest = () => {
   const { user } = useAuth();
+  const { activeCategories } = useCategories();
   const [loading, setLoading] = useState(false);
   const [testResult, setTestResult] = useState(null);
 
@@ -96,12 +98,6 @@ const ExpenseTest = () => {
     }
   };
 
-  const categories = [
-    'travel', 'meals', 'accommodation', 'transport',
-    'office_supplies', 'entertainment', 'training',
-    'communication', 'other'
-  ];
-
   return (
     <Box p={3}>
       <Typography variant="h4" component="h1" gutterBottom>
@@ -139,9 +135,9 @@ const ExpenseTest = () => {
                       onChange={(e) => setTestExpense({ ...testExpense, category: e.target.value })}
                       label="Category"
                     >
-                      {categories.map((category) => (
-                        <MenuItem key={category} value={category}>
-                          {category.replace('_', ' ').toUpperCase()}
+                      {activeCategories.map((category) => (
+                        <MenuItem key={category.key} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                          {category.label}
                         </MenuItem>
                       ))}
                     </Select>
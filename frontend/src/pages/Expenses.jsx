@@ -40,15 +40,28 @@ import {
   CloudUpload as UploadIcon,
   AutoFixHigh as AutoFixHighIcon,
   Close as CloseIcon,
-  Check as CheckIcon
+  Check as CheckIcon,
+  Folder as FolderIcon,
+  Warning as WarningIcon,
+  CallSplit as SplitIcon,
+  Download as DownloadIcon,
+  UploadFile as UploadFileIcon,
+  CreditCard as CreditCardIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 import ReceiptUpload from '../components/ReceiptUpload';
-import { getStatusColor, getCategoryLabel, formatCurrency, formatDate } from '../utils/expenseUtils';
+import ExpenseDetailsDialog from '../components/ExpenseDetailsDialog';
+import ExpenseReportDialog from '../components/ExpenseReportDialog';
+import SplitExpenseDialog from '../components/SplitExpenseDialog';
+import ImportExpensesDialog from '../components/ImportExpensesDialog';
+import { api } from '../utils/apiClient';
+import { getStatusColor, formatCurrency, formatDate, getAllowanceSummary } from '../utils/expenseUtils';
+import { useCategories } from '../contexts/useCategories';
 
 const Expenses = () => {
+  const { getCategoryLabel } = useCategories();
   const navigate = useNavigate();
   const { user } = useAuth();
   const [anchorEl, setAnchorEl] = useState(null);
@@ -62,11 +75,18 @@ const Expenses = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [receiptUploadOpen, setReceiptUploadOpen] = useState(false);
+  const [viewExpense, setViewExpense] = useState(null);
+  const [splitExpense, setSplitExpense] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [reportDialogOpen, setReportDialogOpen] = useState(false);
   const [filterStatus, setFilterStatus] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [exportAnchorEl, setExportAnchorEl] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
 
   useEffect(() => {
     loadExpenses();
+    loadReports();
   }, []);
 
   // Refresh expenses when component becomes visible
@@ -115,6 +135,45 @@ const Expenses = () => {
     }
   };
 
+  const loadReports = async () => {
+    try {
+      const reports = await api.expenseReports.getAll();
+      setReports(reports);
+    } catch (error) {
+      console.error('Failed to load expense reports:', error);
+      setReports([]);
+    }
+  };
+
+  const handleReportsChanged = () => {
+    loadExpenses();
+    loadReports();
+  };
+
+  const handleSubmitReport = async (report) => {
+    try {
+      await api.expenseReports.submit(report._id, {});
+      toast.success('Expense report submitted for approval');
+      handleReportsChanged();
+    } catch (error) {
+      console.error('Failed to submit expense report:', error);
+      toast.error(error.message || 'Failed to submit expense report');
+    }
+  };
+
+  const handleDeleteReport = async (report) => {
+    if (window.confirm('Delete this report? Its expenses will stay as drafts.')) {
+      try {
+        await api.expenseReports.delete(report._id);
+        toast.success('Expense report deleted');
+        handleReportsChanged();
+      } catch (error) {
+        console.error('Failed to delete expense report:', error);
+        toast.error(error.message || 'Failed to delete expense report');
+      }
+    }
+  };
+
   const handleDeleteExpense = async (expenseId) => {
     if (window.confirm("Are you sure you want to delete this expense?")) {
       try {
@@ -149,8 +208,14 @@ const Expenses = () => {
 
   const handleView = () => {
     if (selectedExpense) {
-      // Navigate to expense detail view
-      console.log('View expense:', selectedExpense.id);
+      setViewExpense(selectedExpense);
+    }
+    handleMenuClose();
+  };
+
+  const handleSplit = () => {
+    if (selectedExpense) {
+      setSplitExpense(selectedExpense);
     }
     handleMenuClose();
   };
@@ -182,12 +247,27 @@ const Expenses = () => {
         }
       } catch (error) {
         console.error('Failed to submit expense:', error);
-        toast.error('Failed to submit expense');
+        const violations = error.response?.data?.violations || [];
+        toast.error(error.response?.data?.message || 'Failed to submit expense');
+        violations
+          .filter(violation => violation.severity === 'block')
+          .forEach(violation => toast.error(violation.message));
+        loadExpenses();
       }
       handleMenuClose();
     }
   };
 
+  // The export applies the status filter on the server; the search box only narrows the list on screen
+  const handleExport = async (format) => {
+    setExportAnchorEl(null);
+    try {
+      await api.expenses.export({ format, ...(filterStatus && { status: filterStatus }) });
+    } catch (error) {
+      toast.error(error.message || 'Failed to export expenses');
+    }
+  };
+
   const filteredExpenses = (expenses || []).filter(expense => {
     if (!expense) return false; // Add null check
     const matchesSearch = !searchTerm || 
@@ -205,6 +285,22 @@ const Expenses = () => {
           My Expenses
         </Typography>
         <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            onClick={(e) => setExportAnchorEl(e.currentTarget)}
+          >
+            Export
+          </Button>
+          <Menu
+            anchorEl={exportAnchorEl}
+            open={Boolean(exportAnchorEl)}
+            onClose={() => setExportAnchorEl(null)}
+          >
+            <MenuItem onClick={() => handleExport('csv')}>CSV</MenuItem>
+            <MenuItem onClick={() => handleExport('xlsx')}>Excel (sheet per status)</MenuItem>
+            <MenuItem onClick={() => handleExport('pdf')}>PDF report with receipts</MenuItem>
+          </Menu>
           {console.log('🔍 Button render check - user?.role === employee:', user?.role === 'employee')}
           {user?.role === 'employee' && (
             <>
@@ -215,6 +311,20 @@ const Expenses = () => {
               >
                 Smart Upload
               </Button>
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setImportOpen(true)}
+              >
+                Import Statement
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<FolderIcon />}
+                onClick={() => setReportDialogOpen(true)}
+              >
+                Create Report
+              </Button>
               <Button
                 variant="contained"
                 startIcon={<AddIcon />}
@@ -371,6 +481,38 @@ const Expenses = () => {
                             {expense.merchant}
                           </Typography>
                         )}
+                        {getAllowanceSummary(expense) && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            {getAllowanceSummary(expense)}
+                          </Typography>
+                        )}
+                        {expense.policyViolations?.length > 0 && (
+                          <Chip
+                            icon={<WarningIcon />}
+                            label={expense.policyViolations.some(v => v.severity === 'block') ? 'Policy block' : 'Policy warning'}
+                            color={expense.policyViolations.some(v => v.severity === 'block') ? 'error' : 'warning'}
+                            size="small"
+                            variant="outlined"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                        {expense.cardTransaction && (
+                          <Chip
+                            icon={<CreditCardIcon />}
+                            label="Company card"
+                            size="small"
+                            variant="outlined"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                        {expense.report && (
+                          <Chip
+                            icon={<FolderIcon />}
+                            label={reports.find(r => r._id === expense.report)?.title || 'In report'}
+                            size="small"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
                       </TableCell>
                       <TableCell>
                         <Chip
@@ -397,7 +539,7 @@ const Expenses = () => {
                       <TableCell>
                         {expense.receipt && expense.receipt.url ? (
                           <ReceiptIcon color="success" />
-                        ) : expense.receipt && expense.receipt.pendingOCRData ? (
+                        ) : expense.receipt && expense.receipt.ocrData ? (
                           <ReceiptIcon color="warning" />
                         ) : (
                           <ReceiptIcon color="disabled" />
@@ -418,6 +560,78 @@ const Expenses = () => {
             </Table>
           </TableContainer>
         </Grid>
+
+        {/* Expense Reports Table */}
+        {reports.length > 0 && (
+          <Grid item xs={12}>
+            <Typography variant="h6" gutterBottom>
+              Expense Reports
+            </Typography>
+            <TableContainer component={Paper}>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Title</TableCell>
+                    <TableCell>Period</TableCell>
+                    <TableCell>Expenses</TableCell>
+                    <TableCell>Total</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {reports.map((report) => (
+                    <TableRow key={report._id}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="medium">
+                          {report.title}
+                        </Typography>
+                        {report.purpose && (
+                          <Typography variant="caption" color="textSecondary">
+                            {report.purpose}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {formatDate(report.startDate)} – {formatDate(report.endDate)}
+                      </TableCell>
+                      <TableCell>
+                        {report.lineItems.length}
+                        {report.lineItems.some(item => item.status === 'rejected') && (
+                          <Typography variant="caption" color="error" display="block">
+                            {report.lineItems.filter(item => item.status === 'rejected').length} rejected
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {formatCurrency(report.totalAmount, report.currency)}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={report.status.replace('_', ' ')}
+                          color={getStatusColor(report.status)}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {report.status === 'draft' && user?.role === 'employee' && (
+                          <>
+                            <Button size="small" color="success" onClick={() => handleSubmitReport(report)}>
+                              Submit
+                            </Button>
+                            <IconButton size="small" color="error" onClick={() => handleDeleteReport(report)}>
+                              <DeleteIcon />
+                            </IconButton>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+        )}
       </Grid>
 
       {/* Debug Panel - Temporary for testing */}
@@ -466,12 +680,18 @@ const Expenses = () => {
               <EditIcon sx={{ mr: 1 }} />
               Edit
             </MenuItem>
-            {selectedExpense && selectedExpense.status === 'draft' && (
+            {selectedExpense && selectedExpense.status === 'draft' && !selectedExpense.report && (
               <MenuItem onClick={handleSubmit} sx={{ color: 'success.main' }}>
                 <CheckIcon sx={{ mr: 1 }} />
                 Submit
               </MenuItem>
             )}
+            {selectedExpense?.status === 'draft' && selectedExpense.receipt?.ocrData?.lineItems?.length > 1 && (
+              <MenuItem onClick={handleSplit}>
+                <SplitIcon sx={{ mr: 1 }} />
+                Split by Line Items
+              </MenuItem>
+            )}
             <MenuItem onClick={handleDelete} sx={{ color: 'error.main' }}>
               <DeleteIcon sx={{ mr: 1 }} />
               Delete
@@ -480,6 +700,39 @@ const Expenses = () => {
         )}
       </Menu>
 
+      {/* Expense Details Dialog */}
+      <ExpenseDetailsDialog
+        expense={viewExpense}
+        open={Boolean(viewExpense)}
+        onClose={() => setViewExpense(null)}
+        onExpenseChange={(updated) => {
+          setViewExpense(updated);
+          setExpenses(prev => prev.map(e => (e._id === updated._id ? updated : e)));
+        }}
+      />
+
+      {/* Split Expense Dialog */}
+      <SplitExpenseDialog
+        expense={splitExpense}
+        open={Boolean(splitExpense)}
+        onClose={() => setSplitExpense(null)}
+        onSplit={loadExpenses}
+      />
+
+      <ImportExpensesDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={loadExpenses}
+      />
+
+      {/* Expense Report Dialog */}
+      <ExpenseReportDialog
+        open={reportDialogOpen}
+        onClose={() => setReportDialogOpen(false)}
+        expenses={expenses}
+        onCreated={handleReportsChanged}
+      />
+
       {/* Receipt Upload Dialog */}
       <ReceiptUpload 
         open={receiptUploadOpen}
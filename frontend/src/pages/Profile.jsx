@@ -1,20 +1,25 @@
 import React from 'react';
 import { Box, Typography, Paper } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import DelegationSettings from '../components/DelegationSettings';
 
 const Profile = () => {
+  const { user } = useAuth();
+
   return (
     <Box>
       <Typography variant="h4" component="h1" gutterBottom>
         My Profile
       </Typography>
-      <Paper sx={{ p: 3 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="body1">
           User profile management will be implemented here.
         </Typography>
       </Paper>
+
+      {['manager', 'admin'].includes(user?.role) && <DelegationSettings />}
     </Box>
   );
 };
 
 export default Profile;
-
@@ -1,5 +1,14 @@
 import React from 'react';
 import { Box, Typography, Paper } from '@mui/material';
+import RateTablesSettings from '../components/RateTablesSettings';
+import BudgetSettings from '../components/BudgetSettings';
+import RevaluationSettings from '../components/RevaluationSettings';
+import AccountingExportSettings from '../components/AccountingExportSettings';
+import MerchantRulesSettings from '../components/MerchantRulesSettings';
+import CategorySettings from '../components/CategorySettings';
+import CustomFieldSettings from '../components/CustomFieldSettings';
+import ApprovalRoutingSettings from '../components/ApprovalRoutingSettings';
+import CardFeedSettings from '../components/CardFeedSettings';
 
 const Settings = () => {
   return (
@@ -7,14 +16,58 @@ const Settings = () => {
       <Typography variant="h4" component="h1" gutterBottom>
         Company Settings
       </Typography>
-      <Paper sx={{ p: 3 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="body1">
           Company settings and configuration will be implemented here.
         </Typography>
       </Paper>
+
+      <Typography variant="h5" gutterBottom>
+        Mileage & Per Diem Rates
+      </Typography>
+      <RateTablesSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Budgets
+      </Typography>
+      <BudgetSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Currency Re-valuation
+      </Typography>
+      <RevaluationSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Accounting Export
+      </Typography>
+      <AccountingExportSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Expense Categories
+      </Typography>
+      <CategorySettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Custom Fields
+      </Typography>
+      <CustomFieldSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Merchants & Category Rules
+      </Typography>
+      <MerchantRulesSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Stuck Approvals
+      </Typography>
+      <ApprovalRoutingSettings />
+
+      <Typography variant="h5" gutterBottom sx={{ mt: 3 }}>
+        Card Feed
+      </Typography>
+      <CardFeedSettings />
     </Box>
   );
 };
 
 export default Settings;
-
@@ -79,8 +79,9 @@ const Users = () => {
       }
 
       if (editingUser) {
-        await axios.put(`/api/users/${editingUser._id}`, userForm);
+        const response = await axios.put(`/api/users/${editingUser._id}`, userForm);
         toast.success('User updated successfully');
+        warnPendingApprovals(response.data.pendingApprovals);
       } else {
         await axios.post('/api/users', userForm);
         toast.success('User created successfully');
@@ -97,11 +98,19 @@ const Users = () => {
     }
   };
 
+  // Approvals left with a deactivated user, or without an approver after a manager change
+  const warnPendingApprovals = (count) => {
+    if (count > 0) {
+      toast.warning(`${count} pending approvals need a new approver. Reassign them under Settings > Stuck Approvals.`);
+    }
+  };
+
   const handleDeleteUser = async (userId) => {
     if (window.confirm('Are you sure you want to delete this user?')) {
       try {
-        await axios.delete(`/api/users/${userId}`);
+        const response = await axios.delete(`/api/users/${userId}`);
         toast.success('User deleted successfully');
+        warnPendingApprovals(response.data.pendingApprovals);
         loadUsers();
       } catch (error) {
         console.error('Failed to delete user:', error);
@@ -105,6 +105,33 @@ class ApiClient {
     return this.request(endpoint, { ...options, method: 'DELETE' });
   }
 
+  // Fetches a file and saves it under the name the server gives it
+  async download(endpoint, fallbackName = 'download') {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch {
+        errorData = {};
+      }
+      throw new ApiError(response.status, errorData.message || 'Download failed', errorData);
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   // Helper method for handling array responses
   async getArray(endpoint, arrayKey = null) {
     const data = await this.get(endpoint);
@@ -118,6 +145,11 @@ class ApiClient {
       return [];
     }
   }
+
+  // Stored receipts come back as signed paths on the API server
+  fileUrl(url) {
+    return url?.startsWith('/') ? `${this.baseURL}${url}` : url;
+  }
 }
 
 class ApiError extends Error {
@@ -143,9 +175,38 @@ export const api = {
     update: (id, data) => apiClient.put(`/api/expenses/${id}`, data),
     delete: (id) => apiClient.delete(`/api/expenses/${id}`),
     submit: (id) => apiClient.post(`/api/expenses/${id}/submit`),
+    split: (id, data) => apiClient.post(`/api/expenses/${id}/split`, data),
+    getHistory: (id) => apiClient.get(`/api/expenses/${id}/history`),
+    uploadAttachment: (id, formData) => apiClient.post(`/api/expenses/${id}/attachments`, formData),
+    updateAttachment: (id, attachmentId, data) => apiClient.put(`/api/expenses/${id}/attachments/${attachmentId}`, data),
+    replaceAttachment: (id, attachmentId, formData) => apiClient.post(`/api/expenses/${id}/attachments/${attachmentId}/replace`, formData),
+    deleteAttachment: (id, attachmentId) => apiClient.delete(`/api/expenses/${id}/attachments/${attachmentId}`),
     ocrProcess: (formData) => apiClient.post('/api/expenses/ocr-process', formData),
     ocrDraft: (data) => apiClient.post('/api/expenses/ocr-draft', data),
     dashboard: () => apiClient.get('/api/expenses/dashboard'),
+    export: (params) => apiClient.download(`/api/expenses/export?${new URLSearchParams(params)}`, 'expenses'),
+    import: (formData) => apiClient.post('/api/expenses/import', formData),
+  },
+
+  // Import templates
+  importTemplates: {
+    getAll: () => apiClient.getArray('/api/import-templates', 'templates'),
+    create: (data) => apiClient.post('/api/import-templates', data),
+    update: (id, data) => apiClient.put(`/api/import-templates/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/import-templates/${id}`),
+  },
+
+  // Company card transactions
+  cardTransactions: {
+    getAll: (params = {}) => apiClient.get(`/api/card-transactions?${new URLSearchParams(params)}`),
+    getNeedsReceipt: () => apiClient.getArray('/api/card-transactions/needs-receipt', 'transactions'),
+    import: (formData) => apiClient.post('/api/card-transactions/import', formData),
+    getCandidates: (id) => apiClient.getArray(`/api/card-transactions/${id}/candidates`, 'candidates'),
+    match: (id, expenseId) => apiClient.post(`/api/card-transactions/${id}/match`, { expenseId }),
+    unmatch: (id) => apiClient.post(`/api/card-transactions/${id}/unmatch`),
+    createExpense: (id) => apiClient.post(`/api/card-transactions/${id}/expense`),
+    getWebhookSecret: () => apiClient.get('/api/card-transactions/webhook-secret'),
+    rotateWebhookSecret: () => apiClient.post('/api/card-transactions/webhook-secret'),
   },
 
   // Approvals
@@ -155,6 +216,9 @@ export const api = {
     approve: (id, data) => apiClient.post(`/api/approvals/${id}/approve`, data),
     reject: (id, data) => apiClient.post(`/api/approvals/${id}/reject`, data),
     getStats: () => apiClient.get('/api/approvals/stats'),
+    getStuck: () => apiClient.getArray('/api/approvals/stuck', 'items'),
+    reassign: (id, data) => apiClient.post(`/api/approvals/${id}/reassign`, data),
+    reassignApprover: (data) => apiClient.post('/api/approvals/reassign-approver', data),
   },
 
   // Approval Workflows
@@ -167,6 +231,110 @@ export const api = {
     getAvailableApprovers: () => apiClient.getArray('/api/approval-workflows/approvers/available', 'approvers'),
   },
 
+  // Expense Reports
+  expenseReports: {
+    getAll: () => apiClient.getArray('/api/expense-reports', 'reports'),
+    getPending: () => apiClient.getArray('/api/expense-reports/pending', 'reports'),
+    getById: (id) => apiClient.get(`/api/expense-reports/${id}`),
+    create: (data) => apiClient.post('/api/expense-reports', data),
+    update: (id, data) => apiClient.put(`/api/expense-reports/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/expense-reports/${id}`),
+    submit: (id, data) => apiClient.post(`/api/expense-reports/${id}/submit`, data),
+    approve: (id, data) => apiClient.post(`/api/expense-reports/${id}/approve`, data),
+    reject: (id, data) => apiClient.post(`/api/expense-reports/${id}/reject`, data),
+    reassign: (id, data) => apiClient.post(`/api/expense-reports/${id}/reassign`, data),
+  },
+
+  // Expense Policy
+  policies: {
+    get: () => apiClient.get('/api/policies'),
+    update: (data) => apiClient.put('/api/policies', data),
+    reevaluate: () => apiClient.post('/api/policies/reevaluate', {}),
+  },
+
+  // Company expense category catalog
+  categories: {
+    getAll: () => apiClient.getArray('/api/categories', 'categories'),
+    create: (data) => apiClient.post('/api/categories', data),
+    update: (id, data) => apiClient.put(`/api/categories/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/categories/${id}`)
+  },
+
+  // Company-defined expense fields
+  customFields: {
+    getAll: () => apiClient.getArray('/api/custom-fields', 'fields'),
+    getForCategory: (category) => apiClient.getArray(`/api/custom-fields?${new URLSearchParams({ category })}`, 'fields'),
+    create: (data) => apiClient.post('/api/custom-fields', data),
+    update: (id, data) => apiClient.put(`/api/custom-fields/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/custom-fields/${id}`)
+  },
+
+  // Merchant directory and category suggestions
+  merchants: {
+    getAll: () => apiClient.getArray('/api/merchants', 'merchants'),
+    suggest: (merchant) => apiClient.get(`/api/merchants/suggest?${new URLSearchParams({ merchant })}`),
+    create: (data) => apiClient.post('/api/merchants', data),
+    update: (id, data) => apiClient.put(`/api/merchants/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/merchants/${id}`),
+    relearn: () => apiClient.post('/api/merchants/relearn', {})
+  },
+
+  // Mileage and Per Diem Rate Tables
+  rates: {
+    getMileage: () => apiClient.getArray('/api/rates/mileage', 'rates'),
+    createMileage: (data) => apiClient.post('/api/rates/mileage', data),
+    updateMileage: (id, data) => apiClient.put(`/api/rates/mileage/${id}`, data),
+    deleteMileage: (id) => apiClient.delete(`/api/rates/mileage/${id}`),
+    getPerDiem: () => apiClient.getArray('/api/rates/per-diem', 'rates'),
+    createPerDiem: (data) => apiClient.post('/api/rates/per-diem', data),
+    updatePerDiem: (id, data) => apiClient.put(`/api/rates/per-diem/${id}`, data),
+    deletePerDiem: (id) => apiClient.delete(`/api/rates/per-diem/${id}`),
+    calculate: (data) => apiClient.post('/api/rates/calculate', data),
+  },
+
+  // Out-of-office Delegations
+  delegations: {
+    getMine: () => apiClient.get('/api/delegations'),
+    getAll: () => apiClient.getArray('/api/delegations?all=true', 'delegations'),
+    create: (data) => apiClient.post('/api/delegations', data),
+    update: (id, data) => apiClient.put(`/api/delegations/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/delegations/${id}`),
+  },
+
+  // Budgets
+  budgets: {
+    getAll: () => apiClient.getArray('/api/budgets', 'budgets'),
+    create: (data) => apiClient.post('/api/budgets', data),
+    update: (id, data) => apiClient.put(`/api/budgets/${id}`, data),
+    delete: (id) => apiClient.delete(`/api/budgets/${id}`),
+  },
+
+  // Company-currency re-valuation
+  normalization: {
+    revalue: (data) => apiClient.post('/api/admin/expenses/revalue', data),
+  },
+
+  // Payment Runs
+  paymentRuns: {
+    getPayable: () => apiClient.get('/api/payment-runs/payable'),
+    getAll: () => apiClient.getArray('/api/payment-runs', 'batches'),
+    getById: (id) => apiClient.get(`/api/payment-runs/${id}`),
+    create: (data) => apiClient.post('/api/payment-runs', data),
+    reverse: (id, data) => apiClient.post(`/api/payment-runs/${id}/reverse`, data),
+  },
+
+  // Journal entry exports to the general ledger
+  accountingExports: {
+    getSettings: () => apiClient.get('/api/accounting-exports/settings'),
+    updateSettings: (data) => apiClient.put('/api/accounting-exports/settings', data),
+    preview: (params) => apiClient.get(`/api/accounting-exports/preview?${new URLSearchParams(params)}`),
+    getAll: () => apiClient.getArray('/api/accounting-exports', 'exports'),
+    getById: (id) => apiClient.get(`/api/accounting-exports/${id}`),
+    create: (data) => apiClient.post('/api/accounting-exports', data),
+    download: (id) => apiClient.download(`/api/accounting-exports/${id}/download`),
+    void: (id, data) => apiClient.post(`/api/accounting-exports/${id}/void`, data),
+  },
+
   // Users
   users: {
     getAll: () => apiClient.getArray('/api/users', 'users'),
@@ -182,6 +350,7 @@ export const api = {
     update: (id, data) => apiClient.put(`/api/companies/${id}`, data),
     getCountries: () => apiClient.getArray('/api/companies/data/countries'),
     getExchangeRates: (currency) => apiClient.get(`/api/companies/data/exchange-rates/${currency}`),
+    getUsers: (id) => apiClient.getArray(`/api/companies/${id}/users?isActive=true`),
   },
 
   // Auth
@@ -0,0 +1,45 @@
+import {
+  Book,
+  Category,
+  Celebration,
+  Computer,
+  DirectionsCar,
+  Flight,
+  Hotel,
+  Inventory,
+  LocalCafe,
+  LocalGasStation,
+  LocalParking,
+  LocalTaxi,
+  MedicalServices,
+  Phone,
+  Restaurant,
+  School,
+  TheaterComedy,
+  Train,
+  Work
+} from '@mui/icons-material';
+
+
+// Icons admins can give a category; the catalog stores the name
+export const CATEGORY_ICONS = {
+  Flight,
+  Train,
+  LocalTaxi,
+  DirectionsCar,
+  LocalGasStation,
+  LocalParking,
+  Hotel,
+  Restaurant,
+  LocalCafe,
+  TheaterComedy,
+  Celebration,
+  School,
+  Book,
+  Phone,
+  Computer,
+  Inventory,
+  MedicalServices,
+  Work,
+  Category
+};
@@ -5,25 +5,53 @@ export const getStatusColor = (status) => {
     case 'draft': return 'default';
     case 'submitted': return 'warning';
     case 'approved': return 'success';
+    case 'partially_approved': return 'success';
     case 'rejected': return 'error';
+    case 'paid': return 'info';
     case 'pending': return 'warning'; // Legacy support
     default: return 'default';
   }
 };
 
-export const getCategoryLabel = (category) => {
+// Readable fallback for a category key; labels come from the company catalog (useCategories)
+export const formatCategoryKey = (category) =>
+  (category || '').replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+export const getExpenseKindLabel = (kind) => {
   const labels = {
-    travel: 'Travel',
-    meals: 'Meals',
-    accommodation: 'Accommodation',
-    transport: 'Transport',
-    office_supplies: 'Office Supplies',
-    entertainment: 'Entertainment',
-    training: 'Training',
-    communication: 'Communication',
-    other: 'Other'
+    standard: 'Standard',
+    mileage: 'Mileage',
+    per_diem: 'Per Diem'
   };
-  return labels[category] || category;
+  return labels[kind] || labels.standard;
+};
+
+// One-line summary of how a mileage or per diem amount was computed
+export const getAllowanceSummary = (expense) => {
+  if (expense?.kind === 'mileage' && expense.mileage) {
+    const { distance, unit, vehicleType, startLocation, endLocation, rate, rateUnit } = expense.mileage;
+    const route = startLocation && endLocation ? ` (${startLocation} → ${endLocation})` : '';
+    return `${distance} ${unit} by ${vehicleType?.replace('_', ' ')}${route} at ${rate}/${rateUnit}`;
+  }
+  if (expense?.kind === 'per_diem' && expense.perDiem) {
+    const { country, days, partialDays, dailyRate, partialDayPercent } = expense.perDiem;
+    const partial = partialDays ? ` + ${partialDays} partial day(s) at ${partialDayPercent}%` : '';
+    return `${country}: ${days} day(s) at ${dailyRate}/day${partial}`;
+  }
+  return null;
+};
+
+// Where a suggested category came from and how sure the merchant directory is about it
+export const getCategorySuggestionText = (suggestion, merchantName, getLabel = formatCategoryKey) => {
+  if (!suggestion?.category) {
+    return null;
+  }
+  const merchant = suggestion.merchantName || merchantName || 'this merchant';
+  const category = getLabel(suggestion.category);
+  if (suggestion.source === 'rule') {
+    return `${category} by company rule for ${merchant}`;
+  }
+  return `${category} suggested from past ${merchant} expenses (${Math.round(suggestion.confidence * 100)}% confidence)`;
 };
 
 export const getStatusIcon = (status) => {
@@ -32,6 +60,7 @@ export const getStatusIcon = (status) => {
     case 'submitted': return '⏳';
     case 'approved': return '✅';
     case 'rejected': return '❌';
+    case 'paid': return '💸';
     default: return '📄';
   }
 };
@@ -52,7 +81,9 @@ export const getExpenseStatusText = (status) => {
     draft: 'Draft',
     submitted: 'Pending Approval',
     approved: 'Approved',
-    rejected: 'Rejected'
+    rejected: 'Rejected',
+    partially_approved: 'Partially Approved',
+    paid: 'Paid'
   };
   return statusTexts[status] || status;
 };